@@ -3,6 +3,8 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const multer = require('multer');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
@@ -12,9 +14,45 @@ const { v4: uuidv4 } = require('uuid');
 // Import SQLite database
 const database = require('./database');
 const axios = require('axios');
-const archiver = require('archiver');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const QRCode = require('qrcode');
+const { importCalibreLibrary } = require('./calibre_importer');
+const { getEpubInfo, readEpubResource } = require('./epub_reader');
+const {
+  FORMATS,
+  getFormatByFilename,
+  getContentType,
+  isAcceptedUpload,
+  hasValidSignature,
+  readBookMetadata,
+  describeFormats
+} = require('./book_formats');
+const {
+  OPDS_NAVIGATION_TYPE,
+  OPDS_ACQUISITION_TYPE,
+  OPENSEARCH_TYPE,
+  renderNavigationFeed,
+  renderAcquisitionFeed,
+  renderOpenSearchDescription
+} = require('./opds_feed');
+const { readBackupInfo, restoreBackup } = require('./backup_manager');
+const { SCHEDULE_SETTINGS, getBackupStatus, startBackupScheduler } = require('./backup_scheduler');
+const { describeConverters } = require('./format_converter');
+const { enqueueConversion } = require('./book_conversion');
+const { isIndexableFormat, enqueueContentIndex, searchContent } = require('./book_content');
+const { parseBookListQuery } = require('./book_query');
+const { isbnVariants, normalizeSubjects, parseMetadataFields } = require('./book_metadata');
+const { parseSeriesFields, parseSeriesIndex, describeSeries } = require('./book_series');
+const { parseTagName, parseTagNames, tagsFromSubjects, parseIdList, parseBulkTagging } = require('./book_tags');
+const {
+  CONTRIBUTOR_ROLES, AUTHOR_SEPARATOR, sortNameFor, parseAuthorName, parseSortName, parseRole, parseContributors,
+  contributorsFromAuthors, contributorsFromMetadata
+} = require('./book_authors');
+const { buildCategoryTree, flattenCategoryTree, parseParentId, validateCategoryParent } = require('./category_tree');
+const { MAX_SHELVES_PER_USER, parseShelfName, parseShelfDescription, checkShelfAccess } = require('./book_shelves');
+const { parseRating, parseReviewText, parseReviewStatus } = require('./book_reviews');
+const { enqueueJob, retryJob, deleteJob, startJobQueue } = require('./job_queue');
+const { JOB_TYPES, registerBackgroundJobs } = require('./background_jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -133,6 +171,24 @@ app.use('/uploads', express.static(path.join(__dirname, './uploads')));
 (async () => {
   await database.initializeDatabase();
   console.log('✅ SQLite Database initialisiert');
+
+  startBackupScheduler({
+    backupDir: path.join(__dirname, './backups'),
+    uploadDir: path.join(__dirname, './uploads')
+  });
+
+  registerBackgroundJobs({
+    backupDir: path.join(__dirname, './backups'),
+    uploadDir: path.join(__dirname, './uploads')
+  });
+  startJobQueue().catch(console.error);
+
+  // Books stored before the full-text search existed are indexed once
+  const unindexedBooks = await database.getAllBookIds({ unindexedOnly: true });
+  const pendingReindex = await database.getJobs({ type: JOB_TYPES.CONTENT_REINDEX, status: ['queued', 'running'] });
+  if (unindexedBooks.length > 0 && pendingReindex.length === 0) {
+    enqueueContentReindex(null).catch(console.error);
+  }
 })();
 
 // File Upload Configuration
@@ -153,17 +209,11 @@ const storage = multer.diskStorage({
 
 const fileFilter = (req, file, cb) => {
   if (file.fieldname === 'file') {
-    // Book file validation
-    const allowedTypes = ['.pdf', '.epub'];
-    const allowedMimeTypes = ['application/pdf', 'application/epub+zip'];
-    
-    const extname = path.extname(file.originalname).toLowerCase();
-    const mimetype = file.mimetype.toLowerCase();
-    
-    if (allowedTypes.includes(extname) && allowedMimeTypes.includes(mimetype)) {
+    // Book file validation (extension and MIME type; the content is checked after the upload)
+    if (isAcceptedUpload(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Nur PDF und EPUB Dateien sind erlaubt!'), false);
+      cb(new Error(`Nicht unterstütztes Dateiformat! Erlaubt sind: ${FORMATS.map(format => format.label).join(', ')}`), false);
     }
   } else if (file.fieldname === 'cover') {
     // Cover image validation
@@ -189,6 +239,19 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Backup archives are uploaded to a temporary folder and removed after restoring
+const backupUpload = multer({
+  dest: path.join(os.tmpdir(), 'lectoria-restore'),
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'backup' && path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Nur ZIP-Backups sind erlaubt!'), false);
+    }
+  },
+  limits: { fileSize: 2 * 1024 * 1024 * 1024 } // 2GB limit
+});
+
 // JWT Configuration
 const JWT_OPTIONS = {
   algorithm: 'HS256',
@@ -198,7 +261,7 @@ const JWT_OPTIONS = {
 };
 
 // Auth Middleware with enhanced security
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -234,6 +297,12 @@ const authenticateToken = (req, res, next) => {
     if (!['admin', 'user'].includes(decoded.role)) {
       return res.status(403).json({ error: 'Ungültige Benutzerrolle.' });
     }
+
+    // Reject tokens issued before the user's sessions were invalidated (e.g. password reset)
+    const user = await database.getUserById(decoded.id);
+    if (!user || (user.token_version || 0) !== (decoded.tv || 0)) {
+      return res.status(401).json({ error: 'Sitzung ist nicht mehr gültig. Bitte melden Sie sich erneut an.' });
+    }
     
     req.user = decoded;
     next();
@@ -255,6 +324,72 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
+// For routes that must reject other users before doing any work, e.g. before an upload is stored
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+  next();
+};
+
+// HTTP Basic auth for e-reader apps (OPDS), which cannot obtain a JWT.
+// Verified credentials are cached briefly so every feed page does not cost a bcrypt round;
+// the key includes the stored hash, so a password change invalidates it immediately.
+const BASIC_AUTH_CACHE_TTL = 10 * 60 * 1000;
+const basicAuthCache = new Map();
+
+const authenticateBasic = async (req, res, next) => {
+  const challenge = () => {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Lectoria", charset="UTF-8"');
+    return res.status(401).type('text/plain').send('Anmeldung erforderlich');
+  };
+
+  const [scheme, encoded] = (req.headers['authorization'] || '').split(' ');
+  if (!/^basic$/i.test(scheme || '') || !encoded || encoded.length > 1000) {
+    return challenge();
+  }
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const username = separator === -1 ? '' : decoded.substring(0, separator);
+  const password = separator === -1 ? '' : decoded.substring(separator + 1);
+  if (!username || !password) {
+    return challenge();
+  }
+
+  const ip = getClientIP(req);
+  const attempts = loginAttempts.get(ip);
+  if (attempts && attempts.count >= MAX_LOGIN_ATTEMPTS && (Date.now() - attempts.lastAttempt) < LOCKOUT_TIME) {
+    return res.status(429).type('text/plain').send('Zu viele Anmeldeversuche. Versuchen Sie es in 15 Minuten erneut.');
+  }
+
+  try {
+    const user = await database.getUserByUsername(username);
+    const cacheKey = user && crypto.createHash('sha256').update(`${user.id}:${user.password}:${password}`).digest('hex');
+    const cached = cacheKey && basicAuthCache.get(cacheKey);
+
+    if (!cached || cached < Date.now()) {
+      if (!user || !await bcrypt.compare(password, user.password)) {
+        const now = Date.now();
+        const failed = loginAttempts.get(ip) || { count: 0, lastAttempt: now };
+        failed.count++;
+        failed.lastAttempt = now;
+        loginAttempts.set(ip, failed);
+        return challenge();
+      }
+
+      if (basicAuthCache.size > 1000) basicAuthCache.clear();
+      basicAuthCache.set(cacheKey, Date.now() + BASIC_AUTH_CACHE_TTL);
+    }
+
+    req.user = { id: user.id, username: user.username, role: user.role };
+    next();
+  } catch (error) {
+    console.error('Basic auth error:', error);
+    res.status(500).type('text/plain').send('Anmeldung fehlgeschlagen');
+  }
+};
+
 // Routes
 
 // User Authentication
@@ -301,6 +436,7 @@ app.post('/api/auth/login', rateLimitAuth, async (req, res) => {
         id: user.id, 
         username: user.username, 
         role: user.role,
+        tv: user.token_version || 0,
         iat: Math.floor(Date.now() / 1000) // Issued at timestamp
       },
       JWT_SECRET,
@@ -400,6 +536,7 @@ app.post('/api/auth/register', rateLimitAuth, async (req, res) => {
         id: userId, 
         username, 
         role: 'user',
+        tv: 0,
         iat: Math.floor(Date.now() / 1000)
       },
       JWT_SECRET,
@@ -425,6 +562,7 @@ app.post('/api/auth/register', rateLimitAuth, async (req, res) => {
 });
 
 // Books API with pagination and caching
+// Field queries, filters and sorting are parsed in book_query.js
 app.get('/api/books', authenticateToken, async (req, res) => {
   // Validate pagination parameters
   let page = parseInt(req.query.page) || 1;
@@ -436,16 +574,21 @@ app.get('/api/books', authenticateToken, async (req, res) => {
   if (limit > 100) limit = 100; // Maximum 100 items per page
   
   const offset = (page - 1) * limit;
-  const search = req.query.search ? req.query.search.trim() : '';
-  const type = req.query.type || '';
-  
-  // Validate search length to prevent long queries
-  if (search.length > 255) {
-    return res.status(400).json({ error: 'Suchbegriff zu lang (max. 255 Zeichen)' });
+
+  let filters;
+  try {
+    filters = parseBookListQuery(req.query, { userId: req.user.id });
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: error.message });
   }
 
   try {
-    const result = await database.getBooks({ search, type, limit, offset });
+    // Shelves are private unless shared with the user
+    if (filters.shelf_id) {
+      checkShelfAccess(await database.getShelfForUser(filters.shelf_id, req.user.id), req.user.id);
+    }
+
+    const result = await database.getBooks({ ...filters, limit, offset, userId: req.user.id });
     
     res.json({
       books: result.books,
@@ -459,11 +602,124 @@ app.get('/api/books', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error fetching books:', error);
     res.status(500).json({ error: 'Fehler beim Laden der Bücher' });
   }
 });
 
+// Full-text search in book contents: matching books with snippets and their chapter (EPUB) or page (PDF)
+app.get('/api/search/content', authenticateToken, async (req, res) => {
+  let page = parseInt(req.query.page) || 1;
+  let limit = parseInt(req.query.limit) || 20;
+
+  if (page < 1) page = 1;
+  if (limit < 1) limit = 1;
+  if (limit > 50) limit = 50;
+
+  const search = req.query.search ? String(req.query.search).trim() : '';
+
+  if (!search) {
+    return res.status(400).json({ error: 'Suchbegriff ist erforderlich' });
+  }
+  if (search.length > 255) {
+    return res.status(400).json({ error: 'Suchbegriff zu lang (max. 255 Zeichen)' });
+  }
+
+  try {
+    const result = await searchContent({ search, limit, offset: (page - 1) * limit });
+
+    res.json({
+      books: result.books,
+      pagination: {
+        page,
+        limit,
+        total: result.total,
+        totalPages: Math.ceil(result.total / limit),
+        hasNext: page * limit < result.total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error searching book contents:', error);
+    res.status(500).json({ error: 'Fehler bei der Volltextsuche' });
+  }
+});
+
+// Index the contents of all books again, or only of books never indexed (e.g. after an import)
+const enqueueContentReindex = (createdBy, { unindexedOnly = true } = {}) => {
+  return enqueueJob(JOB_TYPES.CONTENT_REINDEX, { unindexed_only: unindexedOnly }, { createdBy });
+};
+
+app.post('/api/search/reindex', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const job = await enqueueContentReindex(req.user.id, { unindexedOnly: req.body.unindexed_only === true });
+    res.status(202).json({ message: 'Neuindizierung gestartet', job: describeJob(job) });
+  } catch (error) {
+    console.error('Error starting reindex:', error);
+    res.status(500).json({ error: 'Fehler beim Starten der Neuindizierung' });
+  }
+});
+
+// Format of an uploaded book file, or null if its content does not match the extension
+const detectUploadFormat = async (file) => {
+  const format = getFormatByFilename(file.originalname);
+  try {
+    return format && await hasValidSignature(file.path, format) ? format : null;
+  } catch (error) {
+    console.error('Error checking file signature:', error);
+    return null;
+  }
+};
+
+// Metadata embedded in an uploaded book file; null if it cannot be read
+const extractUploadMetadata = async (file, format, options) => {
+  try {
+    return await readBookMetadata(file.path, format, options);
+  } catch (error) {
+    console.warn(`Metadaten von ${file.originalname} konnten nicht gelesen werden:`, error.message);
+    return null;
+  }
+};
+
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+const MAX_EMBEDDED_COVER_SIZE = 5 * 1024 * 1024;
+
+const isUsableCover = (cover) => Boolean(cover && COVER_EXTENSIONS[cover.mediaType] && cover.data.length <= MAX_EMBEDDED_COVER_SIZE);
+
+// Detected metadata as returned to the client (cover only as flag, the image itself is not sent)
+const describeDetectedMetadata = (metadata) => {
+  if (!metadata) return null;
+  const { cover, ...fields } = metadata;
+  return { ...fields, cover: isUsableCover(cover) };
+};
+
+// Background job as returned to the client; files the job produced are offered via /api/jobs/:id/download
+const describeJob = (job) => {
+  if (!job.result?.filepath) return job;
+  const { filepath, ...result } = job.result;
+  return { ...job, result, download_url: `/api/jobs/${job.id}/download` };
+};
+
+// Supported book formats (upload hints and dashboard filters)
+app.get('/api/formats', authenticateToken, (req, res) => {
+  res.json(describeFormats());
+});
+
 app.post('/api/books/upload', authenticateToken, upload.fields([
   { name: 'file', maxCount: 1 },
   { name: 'cover', maxCount: 1 }
@@ -474,6 +730,7 @@ app.post('/api/books/upload', authenticateToken, upload.fields([
   
   const bookFile = req.files['file'][0];
   const coverFile = req.files['cover'] ? req.files['cover'][0] : null;
+  let extractedCoverPath = null;
   
   // Enhanced cleanup function to prevent race conditions
   const cleanupFiles = () => {
@@ -484,12 +741,26 @@ app.post('/api/books/upload', authenticateToken, upload.fields([
       if (coverFile && fs.existsSync(coverFile.path)) {
         fs.removeSync(coverFile.path);
       }
+      if (extractedCoverPath && fs.existsSync(extractedCoverPath)) {
+        fs.removeSync(extractedCoverPath);
+      }
     } catch (cleanupError) {
       console.error('File cleanup error:', cleanupError);
     }
   };
 
-  const { title, author, description, type, category_id, coverUrl } = req.body;
+  const { author, description, type, category_id, coverUrl, series, series_index } = req.body;
+
+  const bookFormat = await detectUploadFormat(bookFile);
+  if (!bookFormat) {
+    cleanupFiles();
+    return res.status(400).json({ error: 'Der Dateiinhalt passt nicht zum Dateiformat' });
+  }
+
+  // Fields left empty in the form are completed from the file's own metadata
+  const detected = await extractUploadMetadata(bookFile, bookFormat, { renderCover: !coverFile });
+  const title = req.body.title && req.body.title.trim() ? req.body.title : detected?.title?.substring(0, 255);
+  const seriesIndex = series_index !== undefined && series_index !== '' ? Number(series_index) : null;
   
   // Input validation with improved error handling
   try {
@@ -518,66 +789,148 @@ app.post('/api/books/upload', authenticateToken, upload.fields([
       return res.status(400).json({ error: 'Ungültiger Typ. Nur "book" oder "magazine" erlaubt' });
     }
 
+    if (series && series.length > 255) {
+      cleanupFiles();
+      return res.status(400).json({ error: 'Reihe ist zu lang (max. 255 Zeichen)' });
+    }
+
+    // ISBN, publisher, publication date, language, page count, edition, subjects, tags and contributors
+    let metadata;
+    let tags;
+    let contributors;
+    try {
+      metadata = parseMetadataFields(req.body);
+      tags = parseTagNames(req.body.tags);
+      contributors = req.body.contributors ? parseContributors(req.body.contributors) : [];
+    } catch (validationError) {
+      cleanupFiles();
+      return res.status(validationError.statusCode || 400).json({ error: validationError.message });
+    }
+
+    if (seriesIndex !== null && (!Number.isFinite(seriesIndex) || seriesIndex < 0)) {
+      cleanupFiles();
+      return res.status(400).json({ error: 'Ungültige Nummer in der Reihe' });
+    }
+
     const bookId = uuidv4();
     let coverImagePath = null;
 
-    // Handle cover image - either uploaded file or URL
+    // Handle cover image - an uploaded file, or a URL that is downloaded in the background
     if (coverFile) {
       coverImagePath = `/uploads/${coverFile.filename}`;
-    } else if (coverUrl) {
-      // Download cover from URL
-      try {
-        const coverResponse = await axios.get(coverUrl, {
-          responseType: 'arraybuffer',
-          timeout: 10000
-        });
-        
-        // Generate filename for cover
-        const timestamp = Date.now();
-        const randomNum = Math.floor(Math.random() * 1000000000);
-        const coverExtension = coverUrl.includes('.png') ? 'png' : 'jpg';
-        const coverFilename = `${timestamp}-${randomNum}-cover.${coverExtension}`;
-        const coverPath = path.join(__dirname, './uploads', coverFilename);
-        
-        // Save cover image
-        await fs.writeFile(coverPath, Buffer.from(coverResponse.data));
-        
-        coverImagePath = `/uploads/${coverFilename}`;
-      } catch (coverError) {
-        console.error('Error downloading cover from URL:', coverError);
-        // Continue without cover if download fails
+    }
+
+    // Fall back to the cover embedded in the EPUB or the rendered first page of the PDF
+    // (until a cover from coverUrl has been downloaded)
+    if (!coverImagePath && isUsableCover(detected?.cover)) {
+      const coverFilename = `${Date.now()}-${Math.floor(Math.random() * 1000000000)}-cover.${COVER_EXTENSIONS[detected.cover.mediaType]}`;
+      extractedCoverPath = path.join(__dirname, './uploads', coverFilename);
+      await fs.writeFile(extractedCoverPath, detected.cover.data);
+      coverImagePath = `/uploads/${coverFilename}`;
+    }
+
+    const detectedAuthor = detected?.authors.join(AUTHOR_SEPARATOR).substring(0, 255);
+    // Without a contributor list the authors come from the form or the file, plus the
+    // editors, translators and illustrators named in the file
+    if (contributors.length === 0) {
+      contributors = [
+        ...contributorsFromAuthors((author && author.trim()) || detected?.authors),
+        ...contributorsFromMetadata(detected?.contributors).filter(contributor => contributor.role !== 'author')
+      ];
+    }
+
+    // Keywords/subjects from the file select a matching category if none was chosen
+    let categoryId = category_id || null;
+    if (!categoryId && detected?.keywords) {
+      for (const keyword of detected.keywords) {
+        const category = await database.getCategoryByName(keyword);
+        if (category) {
+          categoryId = category.id;
+          break;
+        }
       }
     }
+    const bookSeries = (series && series.trim()) || detected?.series?.substring(0, 255) || null;
+    const detectedSeriesIndex = bookSeries && bookSeries === detected?.series ? detected.series_index : null;
+    const isbn = (metadata.isbn ? metadata : isbnVariants(detected?.isbn)) || {};
 
     const bookData = {
       id: bookId,
       title: title.trim(),
-      author: author ? author.trim() : 'Unbekannt',
-      description: description ? description.trim() : '',
+      author: (author && author.trim()) || detectedAuthor || 'Unbekannt',
+      contributors,
+      description: (description && description.trim()) || (detected?.description || '').substring(0, 1000),
       type: type || 'book',
-      category_id: category_id || null,
+      category_id: categoryId,
       filename: bookFile.originalname,
       filepath: bookFile.path,
       file_size: bookFile.size,
+      format: bookFormat.id,
       cover_image: coverImagePath,
-      uploaded_by: req.user.id
+      uploaded_by: req.user.id,
+      isbn: isbn.isbn || detected?.isbn || null,
+      isbn_10: isbn.isbn_10 || null,
+      isbn_13: isbn.isbn_13 || null,
+      publisher: metadata.publisher || detected?.publisher?.substring(0, 255) || null,
+      published_date: metadata.published_date || detected?.published_date || null,
+      edition: metadata.edition || null,
+      subjects: metadata.subjects?.length ? metadata.subjects : normalizeSubjects(detected?.keywords || []),
+      // The file's subjects (EPUB dc:subject, PDF keywords, ...) become tags if none were entered
+      tags: tags.length ? tags : tagsFromSubjects(detected?.keywords),
+      language: metadata.language || detected?.language?.substring(0, 35) || null,
+      series: bookSeries,
+      series_index: bookSeries ? (seriesIndex ?? detectedSeriesIndex) : null,
+      page_count: metadata.page_count || detected?.page_count || null
     };
 
     // Use database transaction to ensure atomicity
-    await database.createBook(bookData);
-    
+    const createdBook = await database.createBook(bookData);
+    
+    // The book is saved at this point, so a failure here only means the cover is missing
+    let coverJob = null;
+    if (!coverFile && coverUrl) {
+      coverJob = await enqueueJob(JOB_TYPES.COVER_DOWNLOAD, { url: coverUrl }, { bookId, createdBy: req.user.id })
+        .catch((coverError) => {
+          console.error('Error queueing cover download:', coverError);
+          return null;
+        });
+    }
+
+    if (isIndexableFormat(bookData.format)) {
+      await enqueueContentIndex(bookId, req.user.id);
+    }
+
     res.status(201).json({ 
       message: 'Buch erfolgreich hochgeladen',
       book: {
         id: bookData.id,
         title: bookData.title,
-        author: bookData.author,
+        author: createdBook.author,
+        contributors: createdBook.contributors,
         description: bookData.description,
         type: bookData.type,
         filename: bookData.filename,
-        file_size: bookData.file_size
+        file_size: bookData.file_size,
+        format: bookData.format,
+        cover_image: bookData.cover_image,
+        isbn: bookData.isbn,
+        isbn_10: bookData.isbn_10,
+        isbn_13: bookData.isbn_13,
+        publisher: bookData.publisher,
+        published_date: bookData.published_date,
+        edition: bookData.edition,
+        subjects: bookData.subjects,
+        tags: createdBook.tags,
+        language: bookData.language,
+        series_id: createdBook.series_id,
+        series: createdBook.series,
+        series_index: createdBook.series_index,
+        page_count: bookData.page_count,
+        category_id: bookData.category_id
         // Don't expose filepath for security
-      }
+      },
+      detected: describeDetectedMetadata(detected),
+      cover_job: coverJob && describeJob(coverJob)
     });
   } catch (error) {
     // Ensure cleanup happens on any error
@@ -602,10 +955,12 @@ app.delete('/api/books/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Keine Berechtigung zum Löschen' });
     }
 
-    await database.deleteBook(bookId);
+    const deleted = await database.deleteBook(bookId);
 
-    // Delete file
-    fs.remove(book.filepath).catch(console.error);
+    // Delete the files of all formats
+    for (const file of deleted.files) {
+      fs.remove(file.filepath).catch(console.error);
+    }
     
     res.json({ message: 'Buch erfolgreich gelöscht' });
   } catch (error) {
@@ -615,7 +970,45 @@ app.delete('/api/books/:id', authenticateToken, async (req, res) => {
 });
 
 // Download endpoint
-app.get('/api/books/:id/download', authenticateToken, async (req, res) => {
+// Send a book file with HTTP range support (Accept-Ranges / 206 Partial Content).
+// `?inline=1` lets viewers such as pdf.js load the file page by page instead of downloading it.
+const isRangeRequest = (req) => Boolean(req.headers.range);
+
+const sendBookFile = (req, res, filepath, filename) => {
+  const disposition = req.query.inline === '1' ? 'inline' : 'attachment';
+  const fallbackName = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+  res.sendFile(path.resolve(filepath), {
+    acceptRanges: true,
+    headers: {
+      'Content-Type': getContentType(filename),
+      'Content-Disposition': `${disposition}; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      console.error('Error sending book file:', error);
+      res.status(error.status || 500).json({ error: 'Fehler beim Senden der Datei' });
+    }
+  });
+};
+
+app.get('/api/books/:id', authenticateToken, async (req, res) => {
+  try {
+    const book = await database.getBookById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    const { filepath, ...bookInfo } = book;
+    res.json({ ...bookInfo, formats: describeBookFormats(await database.getBookFormats(book.id)) });
+  } catch (error) {
+    console.error('Error fetching book:', error);
+    res.status(500).json({ error: 'Fehler beim Laden des Buches' });
+  }
+});
+
+const downloadBook = async (req, res) => {
   const bookId = req.params.id;
 
   try {
@@ -629,584 +1022,1719 @@ app.get('/api/books/:id/download', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Datei nicht gefunden' });
     }
 
-    // Increment download counter
-    await database.incrementDownloadCount(bookId);
+    // Viewers fetch many byte ranges of the same file; only count the initial request
+    if (!isRangeRequest(req)) {
+      await database.incrementDownloadCount(bookId);
+    }
 
-    res.download(book.filepath, book.filename);
+    sendBookFile(req, res, book.filepath, book.filename);
   } catch (error) {
     console.error('Error downloading book:', error);
     res.status(500).json({ error: 'Datenbankfehler' });
   }
-});
+};
 
-// Shareable Links API
-app.post('/api/books/:id/share', authenticateToken, async (req, res) => {
-  const bookId = req.params.id;
-  const { expiresIn } = req.body; // Optional: hours until expiration
+app.get('/api/books/:id/download', authenticateToken, downloadBook);
 
+// Files of a book (one per format) without their storage path
+const describeBookFormats = (files) => files.map(({ filepath, ...file }) => file);
+
+const downloadBookFormat = async (req, res) => {
   try {
-    // Check if book exists and user has access
-    const book = await database.getBookById(bookId);
-    
-    if (!book) {
-      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    const file = await database.getBookFormat(req.params.id, req.params.format);
+
+    if (!file) {
+      return res.status(404).json({ error: 'Format nicht gefunden' });
     }
 
-    // Check permissions (admin or owner)
-    if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
-      return res.status(403).json({ error: 'Keine Berechtigung zum Teilen' });
+    if (!fs.existsSync(file.filepath)) {
+      return res.status(404).json({ error: 'Datei nicht gefunden' });
     }
 
-    const shareId = uuidv4();
-    const shareToken = uuidv4().replace(/-/g, ''); // Clean token for URLs
-    const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 60 * 60 * 1000) : null;
+    if (!isRangeRequest(req)) {
+      await database.incrementDownloadCount(file.book_id);
+    }
 
-    await database.createShareLink({
-      id: shareId,
-      book_id: bookId,
-      share_token: shareToken,
-      created_by: req.user.id,
-      expires_at: expiresAt
-    });
+    sendBookFile(req, res, file.filepath, file.filename);
+  } catch (error) {
+    console.error('Error downloading book format:', error);
+    res.status(500).json({ error: 'Datenbankfehler' });
+  }
+};
 
-    // Properly detect HTTPS (consider proxies)
-    const protocol = req.get('x-forwarded-proto') || req.protocol;
-    const host = req.get('host');
-    
-    res.status(201).json({
-      shareToken,
-      shareUrl: `${protocol === 'http' && host !== 'localhost' && !host.startsWith('localhost:') ? 'https' : protocol}://${host}/share/${shareToken}`,
-      expiresAt,
-      message: 'Freigabe-Link erfolgreich erstellt'
-    });
+app.get('/api/books/:id/formats', authenticateToken, async (req, res) => {
+  try {
+    const book = await database.getBookById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    res.json(describeBookFormats(await database.getBookFormats(book.id)));
   } catch (error) {
-    console.error('Error creating share link:', error);
-    res.status(500).json({ error: 'Fehler beim Erstellen des Freigabe-Links' });
+    console.error('Error fetching book formats:', error);
+    res.status(500).json({ error: 'Datenbankfehler' });
   }
 });
 
-app.get('/api/books/:id/shares', authenticateToken, async (req, res) => {
-  const bookId = req.params.id;
+// Attach a file in another format (e.g. the PDF edition of an EPUB) to an existing book
+app.post('/api/books/:id/formats', authenticateToken, upload.single('file'), async (req, res) => {
+  const file = req.file;
+  if (!file) {
+    return res.status(400).json({ error: 'Keine Datei hochgeladen' });
+  }
+
+  const removeUpload = () => fs.remove(file.path).catch(console.error);
 
   try {
-    // Check if user can view shares for this book
-    const book = await database.getBookById(bookId);
-    
+    const book = await database.getBookById(req.params.id);
+
     if (!book) {
+      removeUpload();
       return res.status(404).json({ error: 'Buch nicht gefunden' });
     }
 
     if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
+      removeUpload();
       return res.status(403).json({ error: 'Keine Berechtigung' });
     }
 
-    const shares = await database.getShareLinksForBook(bookId);
-    
-    // Properly detect HTTPS (consider proxies)
-    const protocol = req.get('x-forwarded-proto') || req.protocol;
-    const host = req.get('host');
-    const finalProtocol = protocol === 'http' && host !== 'localhost' && !host.startsWith('localhost:') ? 'https' : protocol;
-    
-    res.json(shares.map(share => ({
-      ...share,
-      shareUrl: `${finalProtocol}://${host}/share/${share.share_token}`
-    })));
-  } catch (error) {
-    console.error('Error fetching share links:', error);
-    res.status(500).json({ error: 'Fehler beim Laden der Freigaben' });
-  }
-});
-
-app.delete('/api/shares/:token', authenticateToken, async (req, res) => {
-  const shareToken = req.params.token;
+    const format = await detectUploadFormat(file);
+    if (!format) {
+      removeUpload();
+      return res.status(400).json({ error: 'Der Dateiinhalt passt nicht zum Dateiformat' });
+    }
 
-  try {
-    const share = await database.getShareLinkWithBook(shareToken);
-    
-    if (!share) {
-      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden' });
+    if (await database.getBookFormat(book.id, format.id)) {
+      removeUpload();
+      return res.status(409).json({ error: `Das Buch ist bereits als ${format.label} vorhanden` });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin' && share.created_by !== req.user.id && share.uploaded_by !== req.user.id) {
-      return res.status(403).json({ error: 'Keine Berechtigung zum Löschen' });
+    const [added] = describeBookFormats([await database.addBookFormat(book.id, {
+      format: format.id,
+      filename: file.originalname,
+      filepath: file.path,
+      file_size: file.size,
+      uploaded_by: req.user.id
+    })]);
+
+    // The new file may be a better source for the content index (EPUB before PDF)
+    if (isIndexableFormat(format.id)) {
+      await enqueueContentIndex(book.id, req.user.id);
     }
 
-    await database.deactivateShareLink(shareToken);
-    
-    res.json({ message: 'Freigabe-Link erfolgreich deaktiviert' });
+    res.status(201).json({ message: `${format.label} hinzugefügt`, format: added });
   } catch (error) {
-    console.error('Error deactivating share link:', error);
-    res.status(500).json({ error: 'Fehler beim Deaktivieren der Freigabe' });
+    removeUpload();
+    console.error('Error adding book format:', error);
+    res.status(500).json({ error: 'Fehler beim Hinzufügen des Formats' });
   }
 });
 
-// Public shared book access (no authentication required)
-app.get('/api/share/:token', async (req, res) => {
-  const shareToken = req.params.token;
+app.get('/api/books/:id/formats/:format/download', authenticateToken, downloadBookFormat);
 
+app.delete('/api/books/:id/formats/:format', authenticateToken, async (req, res) => {
   try {
-    const result = await database.getBookByShareToken(shareToken);
+    const book = await database.getBookById(req.params.id);
 
-    if (!result) {
-      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden oder inaktiv' });
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
     }
 
-    // Check if link has expired
-    if (result.expires_at && new Date(result.expires_at) < new Date()) {
-      return res.status(410).json({ error: 'Freigabe-Link ist abgelaufen' });
+    if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Keine Berechtigung zum Löschen' });
     }
 
-    // Increment access count
-    await database.incrementShareAccessCount(shareToken);
+    const files = await database.getBookFormats(book.id);
+    if (!files.some(file => file.format === req.params.format)) {
+      return res.status(404).json({ error: 'Format nicht gefunden' });
+    }
+
+    // The book itself is deleted through DELETE /api/books/:id
+    if (files.length === 1) {
+      return res.status(400).json({ error: 'Die einzige Datei eines Buches kann nicht entfernt werden' });
+    }
+
+    const removed = await database.deleteBookFormat(book.id, req.params.format);
+    fs.remove(removed.filepath).catch(console.error);
+
+    if (isIndexableFormat(removed.format)) {
+      await enqueueContentIndex(book.id, req.user.id);
+    }
 
-    // Return book info (no sensitive data)
     res.json({
-      id: result.book_id,
-      title: result.title,
-      author: result.author,
-      description: result.description,
-      type: result.type,
-      filename: result.filename,
-      file_size: result.file_size,
-      cover_image: result.cover_image,
-      download_count: result.download_count || 0,
-      upload_date: result.upload_date,
-      uploader_name: result.uploader_name,
-      shareToken: shareToken,
-      accessCount: result.access_count + 1
+      message: 'Format entfernt',
+      formats: describeBookFormats(await database.getBookFormats(book.id))
     });
   } catch (error) {
-    console.error('Error accessing shared book:', error);
-    res.status(500).json({ error: 'Datenbankfehler' });
+    console.error('Error deleting book format:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen' });
   }
 });
 
-// Public shared book download (no authentication required)
-app.get('/api/share/:token/download', async (req, res) => {
-  const shareToken = req.params.token;
+// Format conversions (e.g. EPUB -> PDF), run in the background; the result is added as a book format
+app.get('/api/conversions/converters', authenticateToken, async (req, res) => {
+  try {
+    res.json(await describeConverters());
+  } catch (error) {
+    console.error('Error checking converters:', error);
+    res.status(500).json({ error: 'Fehler beim Prüfen der Konverter' });
+  }
+});
+
+app.post('/api/books/:id/conversions', authenticateToken, async (req, res) => {
+  const { target_format, source_format } = req.body;
+
+  if (!target_format) {
+    return res.status(400).json({ error: 'Zielformat ist erforderlich' });
+  }
 
   try {
-    const result = await database.getBookByShareToken(shareToken);
+    const book = await database.getBookById(req.params.id);
 
-    if (!result) {
-      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden oder inaktiv' });
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
     }
 
-    // Check if link has expired
-    if (result.expires_at && new Date(result.expires_at) < new Date()) {
-      return res.status(410).json({ error: 'Freigabe-Link ist abgelaufen' });
+    if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Keine Berechtigung' });
     }
 
-    if (!fs.existsSync(result.filepath)) {
-      return res.status(404).json({ error: 'Datei nicht gefunden' });
+    const job = await enqueueConversion(book, {
+      targetFormat: target_format,
+      sourceFormat: source_format,
+      requestedBy: req.user.id
+    });
+
+    res.status(202).json({ message: 'Konvertierung gestartet', job: describeJob(job) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Error starting conversion:', error);
+    res.status(500).json({ error: 'Fehler beim Starten der Konvertierung' });
+  }
+});
 
-    // Increment both access count and download count
-    await database.incrementShareAccessCount(shareToken);
-    await database.incrementDownloadCount(result.book_id);
+app.get('/api/books/:id/conversions', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await database.getJobs({ type: JOB_TYPES.CONVERSION, bookId: req.params.id, limit: 20 });
+    res.json(jobs.map(describeJob));
+  } catch (error) {
+    console.error('Error fetching conversions:', error);
+    res.status(500).json({ error: 'Datenbankfehler' });
+  }
+});
+
+// Background jobs: admins see all jobs, users their own
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const getPermittedJob = async (req, res) => {
+  const job = await database.getJob(req.params.id);
+
+  if (!job || (req.user.role !== 'admin' && job.created_by !== req.user.id)) {
+    res.status(404).json({ error: 'Auftrag nicht gefunden' });
+    return null;
+  }
+  return job;
+};
+
+app.get('/api/jobs', authenticateToken, async (req, res) => {
+  const { type, status } = req.query;
+  const statuses = status ? String(status).split(',') : undefined;
+
+  if (statuses && statuses.some(value => !JOB_STATUSES.includes(value))) {
+    return res.status(400).json({ error: 'Ungültiger Status' });
+  }
+
+  try {
+    const jobs = await database.getJobs({
+      type,
+      status: statuses,
+      createdBy: req.user.role === 'admin' ? undefined : req.user.id,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json(jobs.map(describeJob));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Datenbankfehler' });
+  }
+});
 
-    res.download(result.filepath, result.filename);
+app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await getPermittedJob(req, res);
+    if (job) res.json(describeJob(job));
   } catch (error) {
-    console.error('Error downloading shared book:', error);
+    console.error('Error fetching job:', error);
     res.status(500).json({ error: 'Datenbankfehler' });
   }
 });
 
-// User Management (Admin only)
-app.get('/api/users', authenticateToken, async (req, res) => {
+// File produced by a job (e.g. the books archive)
+app.get('/api/jobs/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const job = await getPermittedJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed' || !job.result?.filepath) {
+      return res.status(409).json({ error: 'Der Auftrag hat keine Datei erzeugt' });
+    }
+    if (!await fs.pathExists(job.result.filepath)) {
+      return res.status(410).json({ error: 'Die Datei ist nicht mehr verfügbar' });
+    }
+
+    res.download(job.result.filepath, job.result.filename, (error) => {
+      if (error) console.error('Error sending job file:', error);
+    });
+  } catch (error) {
+    console.error('Error downloading job file:', error);
+    res.status(500).json({ error: 'Fehler beim Herunterladen' });
+  }
+});
+
+// Run a failed job again (Admin only)
+app.post('/api/jobs/:id/retry', authenticateToken, async (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
   }
 
   try {
-    const users = await database.getAllUsers();
-    res.json(users);
+    const job = await database.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Auftrag nicht gefunden' });
+    }
+    if (!await retryJob(job.id)) {
+      return res.status(409).json({ error: 'Nur fehlgeschlagene Aufträge können wiederholt werden' });
+    }
+
+    res.json({ message: 'Auftrag wird wiederholt', job: describeJob(await database.getJob(job.id)) });
   } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Fehler beim Laden der Benutzer' });
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Fehler beim Wiederholen des Auftrags' });
   }
 });
 
-// Update user (Admin only)
-app.put('/api/users/:id', authenticateToken, async (req, res) => {
+// Remove a queued or finished job and the files it produced (Admin only)
+app.delete('/api/jobs/:id', authenticateToken, async (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
   }
 
-  const { id } = req.params;
-  const updates = req.body;
+  try {
+    const job = await database.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Auftrag nicht gefunden' });
+    }
+    if (!await deleteJob(job)) {
+      return res.status(409).json({ error: 'Laufende Aufträge können nicht gelöscht werden' });
+    }
 
-  if (Object.keys(updates).length === 0) {
-    return res.status(400).json({ error: 'Keine Änderungen angegeben' });
+    res.json({ message: 'Auftrag gelöscht' });
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen des Auftrags' });
+  }
+});
+
+// Public base URL for links handed out to others (share pages, QR codes).
+// PUBLIC_URL wins; otherwise detect HTTPS behind proxies.
+const getPublicBaseUrl = (req) => {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
   }
 
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  const host = req.get('host');
+  const finalProtocol = protocol === 'http' && host !== 'localhost' && !host.startsWith('localhost:') ? 'https' : protocol;
+  return `${finalProtocol}://${host}`;
+};
+
+// EPUB resources for the in-browser reader
+const sendEpubResource = async (res, filepath, resourcePath) => {
+  const resource = await readEpubResource(filepath, resourcePath);
+  if (!resource) {
+    return res.status(404).json({ error: 'Ressource nicht gefunden' });
+  }
+
+  // Book content is shown in a same-origin iframe; scripts inside books never run
+  res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+  res.setHeader('Content-Security-Policy',
+    "default-src 'none'; " +
+    "img-src 'self' data:; " +
+    "style-src 'self' 'unsafe-inline'; " +
+    "font-src 'self' data:; " +
+    "media-src 'self'; " +
+    "frame-ancestors 'self';"
+  );
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.type(resource.mediaType);
+  res.send(resource.data);
+};
+
+// Shareable Links API
+app.post('/api/books/:id/share', authenticateToken, async (req, res) => {
+  const bookId = req.params.id;
+  const { expiresIn } = req.body; // Optional: hours until expiration
+
   try {
-    const success = await database.updateUser(id, updates);
+    // Check if book exists and user has access
+    const book = await database.getBookById(bookId);
     
-    if (!success) {
-      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
     }
-    
-    res.json({ message: 'Benutzer erfolgreich aktualisiert' });
+
+    // Check permissions (admin or owner)
+    if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Keine Berechtigung zum Teilen' });
+    }
+
+    const shareId = uuidv4();
+    const shareToken = uuidv4().replace(/-/g, ''); // Clean token for URLs
+    const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 60 * 60 * 1000) : null;
+
+    await database.createShareLink({
+      id: shareId,
+      book_id: bookId,
+      share_token: shareToken,
+      created_by: req.user.id,
+      expires_at: expiresAt
+    });
+
+    res.status(201).json({
+      shareToken,
+      shareUrl: `${getPublicBaseUrl(req)}/share/${shareToken}`,
+      expiresAt,
+      message: 'Freigabe-Link erfolgreich erstellt'
+    });
   } catch (error) {
-    console.error('Error updating user:', error);
-    res.status(500).json({ error: 'Fehler beim Aktualisieren des Benutzers' });
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen des Freigabe-Links' });
   }
 });
 
-// Delete user (Admin only)
-app.delete('/api/users/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
-  }
+app.get('/api/books/:id/shares', authenticateToken, async (req, res) => {
+  const bookId = req.params.id;
 
-  const { id } = req.params;
+  try {
+    // Check if user can view shares for this book
+    const book = await database.getBookById(bookId);
+    
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
 
-  // Prevent admin from deleting themselves
-  if (id === req.user.id) {
-    return res.status(400).json({ error: 'Sie können sich nicht selbst löschen' });
+    if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Keine Berechtigung' });
+    }
+
+    const shares = await database.getShareLinksForBook(bookId);
+    const baseUrl = getPublicBaseUrl(req);
+    
+    res.json(shares.map(share => ({
+      ...share,
+      shareUrl: `${baseUrl}/share/${share.share_token}`
+    })));
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Freigaben' });
   }
+});
+
+app.delete('/api/shares/:token', authenticateToken, async (req, res) => {
+  const shareToken = req.params.token;
 
   try {
-    const success = await database.deleteUser(id);
+    const share = await database.getShareLinkWithBook(shareToken);
     
-    if (!success) {
-      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+    if (!share) {
+      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && share.created_by !== req.user.id && share.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Keine Berechtigung zum Löschen' });
     }
+
+    await database.deactivateShareLink(shareToken);
     
-    res.json({ message: 'Benutzer erfolgreich gelöscht' });
+    res.json({ message: 'Freigabe-Link erfolgreich deaktiviert' });
   } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({ error: 'Fehler beim Löschen des Benutzers' });
+    console.error('Error deactivating share link:', error);
+    res.status(500).json({ error: 'Fehler beim Deaktivieren der Freigabe' });
   }
 });
 
-// System Settings (Admin only)
-app.get('/api/settings', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Nur Administratoren haben Zugriff' });
-  }
+// Public shared book access (no authentication required)
+app.get('/api/share/:token', async (req, res) => {
+  const shareToken = req.params.token;
 
   try {
-    const settings = await database.all('SELECT * FROM system_settings');
-    const settingsObj = {};
-    settings.forEach(setting => {
-      settingsObj[setting.setting_key] = setting.setting_value;
+    const result = await database.getBookByShareToken(shareToken);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden oder inaktiv' });
+    }
+
+    // Check if link has expired
+    if (result.expires_at && new Date(result.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Freigabe-Link ist abgelaufen' });
+    }
+
+    // Increment access count
+    await database.incrementShareAccessCount(shareToken);
+    const ratings = await database.getBookRatingSummary(result.book_id);
+    const reviews = await database.getBookReviews(result.book_id);
+    const formats = await database.getBookFormats(result.book_id);
+
+    // Return book info (no sensitive data)
+    res.json({
+      id: result.book_id,
+      title: result.title,
+      author: result.author,
+      description: result.description,
+      type: result.type,
+      filename: result.filename,
+      file_size: result.file_size,
+      formats: formats.map(file => file.format),
+      cover_image: result.cover_image,
+      download_count: result.download_count || 0,
+      upload_date: result.upload_date,
+      uploader_name: result.uploader_name,
+      shareToken: shareToken,
+      accessCount: result.access_count + 1,
+      average_rating: ratings.average_rating,
+      rating_count: ratings.rating_count,
+      reviews: reviews.map(review => ({
+        id: review.id,
+        username: review.username,
+        rating: review.rating,
+        review: review.review,
+        created_at: review.created_at,
+        updated_at: review.updated_at
+      }))
     });
-    res.json(settingsObj);
   } catch (error) {
-    console.error('Error fetching settings:', error);
-    res.status(500).json({ error: 'Error fetching settings' });
+    console.error('Error accessing shared book:', error);
+    res.status(500).json({ error: 'Datenbankfehler' });
+  }
+});
+
+// Shared EPUB reader (no authentication required)
+const getActiveShare = async (shareToken, res) => {
+  const result = await database.getBookByShareToken(shareToken);
+
+  if (!result) {
+    res.status(404).json({ error: 'Freigabe-Link nicht gefunden oder inaktiv' });
+    return null;
+  }
+
+  if (result.expires_at && new Date(result.expires_at) < new Date()) {
+    res.status(410).json({ error: 'Freigabe-Link ist abgelaufen' });
+    return null;
+  }
+
+  return result;
+};
+
+app.get('/api/share/:token/reader', async (req, res) => {
+  const shareToken = req.params.token;
+
+  try {
+    const result = await getActiveShare(shareToken, res);
+    if (!result) return;
+
+    // As in the reader for logged-in users, the EPUB may be any of the book's formats
+    const epubFile = await database.getBookFormat(result.book_id, 'epub');
+    if (!epubFile) {
+      return res.status(400).json({ error: 'Nur EPUB-Dateien können im Browser gelesen werden' });
+    }
+
+    if (!fs.existsSync(epubFile.filepath)) {
+      return res.status(404).json({ error: 'Datei nicht gefunden' });
+    }
+
+    const info = await getEpubInfo(epubFile.filepath);
+    res.json({
+      title: result.title,
+      author: result.author,
+      ...info,
+      resourceBase: `/api/share/${shareToken}/epub/`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error opening shared EPUB:', error);
+    res.status(500).json({ error: 'Fehler beim Öffnen des Buches' });
+  }
+});
+
+app.get('/api/share/:token/epub/*', async (req, res) => {
+  try {
+    const result = await getActiveShare(req.params.token, res);
+    if (!result) return;
+
+    const epubFile = await database.getBookFormat(result.book_id, 'epub');
+    if (!epubFile || !fs.existsSync(epubFile.filepath)) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    await sendEpubResource(res, epubFile.filepath, req.params[0]);
+  } catch (error) {
+    console.error('Error serving shared EPUB resource:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Buchressource' });
+  }
+});
+
+// Public QR code for a share link (no authentication required)
+// Query: format=png|svg, size=64-2048 (pixels), margin=0-10 (modules), download=1
+app.get('/api/share/:token/qr', async (req, res) => {
+  const shareToken = req.params.token;
+  const format = (req.query.format || 'png').toLowerCase();
+  const size = req.query.size === undefined ? 300 : Number(req.query.size);
+  const margin = req.query.margin === undefined ? 2 : Number(req.query.margin);
+
+  if (!['png', 'svg'].includes(format)) {
+    return res.status(400).json({ error: 'Ungültiges Format (png oder svg)' });
+  }
+  if (!Number.isInteger(size) || size < 64 || size > 2048) {
+    return res.status(400).json({ error: 'Ungültige Größe (64-2048)' });
+  }
+  if (!Number.isInteger(margin) || margin < 0 || margin > 10) {
+    return res.status(400).json({ error: 'Ungültiger Rand (0-10)' });
+  }
+
+  try {
+    const result = await database.getBookByShareToken(shareToken);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden oder inaktiv' });
+    }
+
+    if (result.expires_at && new Date(result.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Freigabe-Link ist abgelaufen' });
+    }
+
+    const shareUrl = `${getPublicBaseUrl(req)}/share/${shareToken}`;
+    const qrOptions = {
+      width: size,
+      margin,
+      errorCorrectionLevel: 'M',
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    };
+
+    // Links can be deactivated at any time, so clients must revalidate
+    res.setHeader('Cache-Control', 'no-cache');
+
+    if (req.query.download === '1' || req.query.download === 'true') {
+      const safeTitle = (result.title || 'share').replace(/[^a-zA-Z0-9.\-_]/g, '_').substring(0, 80);
+      res.setHeader('Content-Disposition', `attachment; filename="qr-${safeTitle}.${format}"`);
+    }
+
+    if (format === 'svg') {
+      res.type('image/svg+xml');
+      return res.send(await QRCode.toString(shareUrl, { ...qrOptions, type: 'svg' }));
+    }
+
+    res.type('image/png');
+    res.send(await QRCode.toBuffer(shareUrl, { ...qrOptions, type: 'png' }));
+  } catch (error) {
+    console.error('Error generating share QR code:', error);
+    res.status(500).json({ error: 'Fehler beim Generieren des QR-Codes' });
+  }
+});
+
+// Public shared book download (no authentication required)
+app.get('/api/share/:token/download', async (req, res) => {
+  const shareToken = req.params.token;
+
+  try {
+    const result = await database.getBookByShareToken(shareToken);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Freigabe-Link nicht gefunden oder inaktiv' });
+    }
+
+    // Check if link has expired
+    if (result.expires_at && new Date(result.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Freigabe-Link ist abgelaufen' });
+    }
+
+    if (!fs.existsSync(result.filepath)) {
+      return res.status(404).json({ error: 'Datei nicht gefunden' });
+    }
+
+    // Increment both access count and download count
+    if (!isRangeRequest(req)) {
+      await database.incrementShareAccessCount(shareToken);
+      await database.incrementDownloadCount(result.book_id);
+    }
+
+    sendBookFile(req, res, result.filepath, result.filename);
+  } catch (error) {
+    console.error('Error downloading shared book:', error);
+    res.status(500).json({ error: 'Datenbankfehler' });
+  }
+});
+
+// User Management (Admin only)
+app.get('/api/users', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const users = await database.getAllUsers();
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Benutzer' });
+  }
+});
+
+// Update user (Admin only)
+app.put('/api/users/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Keine Änderungen angegeben' });
+  }
+
+  try {
+    const success = await database.updateUser(id, updates);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+    }
+    
+    res.json({ message: 'Benutzer erfolgreich aktualisiert' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Fehler beim Aktualisieren des Benutzers' });
+  }
+});
+
+// Reset a user's password (Admin only)
+app.put('/api/users/:id/password', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { id } = req.params;
+  const { newPassword, mustChangePassword = false } = req.body;
+
+  if (!newPassword) {
+    return res.status(400).json({ error: 'Neues Passwort ist erforderlich' });
+  }
+
+  const passwordError = validatePasswordComplexity(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const user = await database.getUserById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await database.updateUserPassword(id, hashedPassword, new Date(), !!mustChangePassword);
+    await database.invalidateUserSessions(id);
+
+    res.json({ message: 'Passwort erfolgreich zurückgesetzt' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Fehler beim Zurücksetzen des Passworts' });
+  }
+});
+
+// Delete user (Admin only)
+app.delete('/api/users/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { id } = req.params;
+
+  // Prevent admin from deleting themselves
+  if (id === req.user.id) {
+    return res.status(400).json({ error: 'Sie können sich nicht selbst löschen' });
+  }
+
+  try {
+    const success = await database.deleteUser(id);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+    }
+    
+    res.json({ message: 'Benutzer erfolgreich gelöscht' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen des Benutzers' });
+  }
+});
+
+// System Settings (Admin only)
+app.get('/api/settings', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Nur Administratoren haben Zugriff' });
+  }
+
+  try {
+    const settings = await database.all('SELECT * FROM system_settings');
+    const settingsObj = { ...SCHEDULE_SETTINGS };
+    settings.forEach(setting => {
+      settingsObj[setting.setting_key] = setting.setting_value;
+    });
+    res.json(settingsObj);
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Error fetching settings' });
+  }
+});
+
+// Validators for settings accepted by PUT /api/settings; each returns the stored string or null if invalid
+const parseBooleanSetting = (value) => {
+  if (value === true || value === 'true') return 'true';
+  if (value === false || value === 'false') return 'false';
+  return null;
+};
+
+const parseIntegerSetting = (min, max) => (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? String(number) : null;
+};
+
+const SETTING_VALIDATORS = {
+  allow_registration: parseBooleanSetting,
+  backup_schedule_enabled: parseBooleanSetting,
+  backup_schedule_frequency: (value) => (['daily', 'weekly'].includes(value) ? value : null),
+  backup_schedule_time: (value) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : null),
+  backup_schedule_weekday: parseIntegerSetting(0, 6),
+  backup_keep_daily: parseIntegerSetting(0, 365),
+  backup_keep_weekly: parseIntegerSetting(0, 104),
+  backup_keep_monthly: parseIntegerSetting(0, 120)
+};
+
+app.put('/api/settings', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Nur Administratoren haben Zugriff' });
+  }
+
+  const updates = {};
+  for (const [key, validate] of Object.entries(SETTING_VALIDATORS)) {
+    if (req.body[key] === undefined) continue;
+
+    const value = validate(req.body[key]);
+    if (value === null) {
+      return res.status(400).json({ error: `Ungültiger Wert für ${key}` });
+    }
+    updates[key] = value;
+  }
+
+  try {
+    // Only touch updated_at when a value actually changes (the scheduler relies on it)
+    for (const [key, value] of Object.entries(updates)) {
+      await database.run(
+        `INSERT INTO system_settings (setting_key, setting_value, updated_at) 
+         VALUES (?, ?, datetime('now'))
+         ON CONFLICT (setting_key) DO UPDATE SET setting_value = excluded.setting_value, updated_at = datetime('now')
+         WHERE setting_value IS NOT excluded.setting_value`,
+        [key, value]
+      );
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Error updating settings' });
+  }
+});
+
+// Password rules for password changes; returns an error message or null
+const validatePasswordComplexity = (password) => {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Das neue Passwort muss mindestens 8 Zeichen lang sein';
+  }
+
+  // Check for basic complexity
+  const hasUpperCase = /[A-Z]/.test(password);
+  const hasLowerCase = /[a-z]/.test(password);
+  const hasNumbers = /\d/.test(password);
+  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+
+  if (!(hasUpperCase && hasLowerCase && hasNumbers && hasSpecialChar)) {
+    return 'Neues Passwort muss mindestens einen Großbuchstaben, einen Kleinbuchstaben, eine Zahl und ein Sonderzeichen enthalten';
+  }
+
+  return null;
+};
+
+// Password change endpoint
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const userId = req.user.id;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Aktuelles und neues Passwort sind erforderlich' });
+  }
+
+  const passwordError = validatePasswordComplexity(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const user = await database.getUserById(userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Benutzer nicht gefunden' });
+    }
+
+    // Use async bcrypt to prevent blocking the event loop
+    const passwordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!passwordValid) {
+      return res.status(401).json({ error: 'Aktuelles Passwort ist falsch' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const now = new Date();
+
+    await database.updateUserPassword(userId, hashedPassword, now);
+    
+    res.json({ message: 'Passwort erfolgreich geändert' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Fehler beim Ändern des Passworts' });
+  }
+});
+
+// Category Management: categories are nested with parent_id; lists come parents first, each with
+// depth, path (names from the top-level category), book_count and total_book_count (including subcategories)
+app.get('/api/categories', authenticateToken, async (req, res) => {
+  try {
+    const categories = await database.getAllCategories();
+    res.json(flattenCategoryTree(buildCategoryTree(categories)));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Kategorien' });
+  }
+});
+
+app.post('/api/categories', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { name, description, color, icon } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Kategoriename ist erforderlich' });
+  }
+
+  const categoryId = uuidv4();
+
+  try {
+    const parentId = parseParentId(req.body.parent_id) || null;
+    validateCategoryParent(await database.getAllCategories(), null, parentId);
+
+    await database.createCategory({
+      id: categoryId,
+      name,
+      parent_id: parentId,
+      description: description || '',
+      color: color || '#1976d2',
+      icon: icon || 'folder'
+    });
+    
+    res.status(201).json({ 
+      id: categoryId, 
+      name, 
+      parent_id: parentId,
+      description, 
+      color: color || '#1976d2', 
+      icon: icon || 'folder' 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) { // SQLite unique constraint violation
+      return res.status(400).json({ error: 'Kategorie existiert bereits' });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen der Kategorie' });
+  }
+});
+
+app.put('/api/categories/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Keine Änderungen angegeben' });
+  }
+
+  try {
+    // A new parent_id moves the category together with its subcategories
+    const parentId = parseParentId(updates.parent_id);
+    if (parentId !== undefined) {
+      const categories = await database.getAllCategories();
+      if (!categories.some(category => category.id === id)) {
+        return res.status(404).json({ error: 'Kategorie nicht gefunden' });
+      }
+      validateCategoryParent(categories, id, parentId);
+    }
+
+    const success = await database.updateCategory(id, { ...updates, parent_id: parentId });
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Kategorie nicht gefunden' });
+    }
+    
+    res.json({ message: 'Kategorie erfolgreich aktualisiert' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) { // SQLite unique constraint violation
+      return res.status(400).json({ error: 'Kategoriename existiert bereits' });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Fehler beim Aktualisieren der Kategorie' });
+  }
+});
+
+app.delete('/api/categories/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const success = await database.transaction(() => database.deleteCategory(id));
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Kategorie nicht gefunden' });
+    }
+    
+    res.json({ message: 'Kategorie erfolgreich gelöscht' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen der Kategorie' });
+  }
+});
+
+// Series: volumes in reading order and missing volumes
+app.get('/api/series', authenticateToken, async (req, res) => {
+  try {
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const series = await database.getAllSeries({ search });
+    res.json(series.map(item => describeSeries(item)));
+  } catch (error) {
+    console.error('Error getting series:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Reihen' });
+  }
+});
+
+// A series with its books in reading order
+const describeSeriesWithBooks = async (series, userId) => {
+  const { books } = await database.getBooks({ series_id: series.id, sort: 'series', order: 'asc', userId });
+  return {
+    ...describeSeries(series, books),
+    books: books.map(({ filepath, ...book }) => book)
+  };
+};
+
+app.get('/api/series/:id', authenticateToken, async (req, res) => {
+  try {
+    const series = await database.getSeriesById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Reihe nicht gefunden' });
+    }
+
+    res.json(await describeSeriesWithBooks(series, req.user.id));
+  } catch (error) {
+    console.error('Error getting series:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Reihe' });
+  }
+});
+
+// Remove a series cover that is no longer used
+const removeSeriesCover = (coverImage) => {
+  if (coverImage && coverImage.startsWith('/uploads/')) {
+    fs.remove(path.join(__dirname, './uploads', path.basename(coverImage))).catch(console.error);
+  }
+};
+
+// Create a series (Admin only); the cover is an optional image upload
+app.post('/api/series', authenticateToken, upload.single('cover'), async (req, res) => {
+  const coverImage = req.file ? `/uploads/${req.file.filename}` : null;
+
+  if (req.user.role !== 'admin') {
+    removeSeriesCover(coverImage);
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const fields = parseSeriesFields(req.body, { required: true });
+    const series = await database.createSeries({ ...fields, cover_image: coverImage, created_by: req.user.id });
+    res.status(201).json(await describeSeriesWithBooks(series, req.user.id));
+  } catch (error) {
+    removeSeriesCover(coverImage);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Reihe existiert bereits' });
+    }
+    console.error('Error creating series:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen der Reihe' });
+  }
+});
+
+// Update name, description or cover of a series (Admin only); remove_cover drops the cover
+app.put('/api/series/:id', authenticateToken, upload.single('cover'), async (req, res) => {
+  const coverImage = req.file ? `/uploads/${req.file.filename}` : null;
+
+  if (req.user.role !== 'admin') {
+    removeSeriesCover(coverImage);
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const series = await database.getSeriesById(req.params.id);
+    if (!series) {
+      removeSeriesCover(coverImage);
+      return res.status(404).json({ error: 'Reihe nicht gefunden' });
+    }
+
+    const fields = parseSeriesFields(req.body);
+    const removeCover = req.body.remove_cover === true || req.body.remove_cover === 'true';
+    if (coverImage || removeCover) {
+      fields.cover_image = coverImage;
+    }
+
+    const updated = await database.updateSeries(series.id, fields);
+    if (fields.cover_image !== undefined && series.cover_image !== fields.cover_image) {
+      removeSeriesCover(series.cover_image);
+    }
+    res.json(await describeSeriesWithBooks(updated, req.user.id));
+  } catch (error) {
+    removeSeriesCover(coverImage);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Reihe existiert bereits' });
+    }
+    console.error('Error updating series:', error);
+    res.status(500).json({ error: 'Fehler beim Aktualisieren der Reihe' });
+  }
+});
+
+// Delete a series (Admin only); its books are kept without series
+app.delete('/api/series/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const series = await database.deleteSeries(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Reihe nicht gefunden' });
+    }
+
+    removeSeriesCover(series.cover_image);
+    res.json({ message: 'Reihe erfolgreich gelöscht' });
+  } catch (error) {
+    console.error('Error deleting series:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen der Reihe' });
+  }
+});
+
+// Tags: free-form labels on books, managed by admins; uploaders tag their own books
+app.get('/api/tags', authenticateToken, async (req, res) => {
+  try {
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const limit = Math.min(parseInt(req.query.limit) || 0, 1000) || undefined;
+    res.json(await database.getAllTags({ search, limit }));
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Tags' });
+  }
+});
+
+// Create a tag without books (Admin only)
+app.post('/api/tags', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const tag = await database.createTag({ name: parseTagName(req.body.name), created_by: req.user.id });
+    res.status(201).json(tag);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Tag existiert bereits' });
+    }
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen des Tags' });
+  }
+});
+
+// Rename a tag (Admin only); to combine it with an existing tag, merge them
+app.put('/api/tags/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const tag = await database.renameTag(req.params.id, parseTagName(req.body.name));
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag nicht gefunden' });
+    }
+    res.json(tag);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Tag existiert bereits' });
+    }
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ error: 'Fehler beim Umbenennen des Tags' });
+  }
+});
+
+// Merge tags (Admin only): the books of tag_ids get the tag :id, then tag_ids are deleted
+app.post('/api/tags/:id/merge', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const tagIds = parseIdList(req.body.tag_ids, 'tag_ids');
+    const target = await database.getTagById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Tag nicht gefunden' });
+    }
+
+    const sources = await database.getTagsByIds(tagIds);
+    if (sources.length !== tagIds.length) {
+      return res.status(404).json({ error: 'Tag nicht gefunden' });
+    }
+
+    const merged = await database.transaction(() => database.mergeTags(target.id, tagIds));
+    res.json({ message: 'Tags erfolgreich zusammengeführt', merged, tag: await database.getTagById(target.id) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: 'Fehler beim Zusammenführen der Tags' });
+  }
+});
+
+// Delete a tag (Admin only); it is removed from all books
+app.delete('/api/tags/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const tag = await database.deleteTag(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag nicht gefunden' });
+    }
+    res.json({ message: 'Tag erfolgreich gelöscht' });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen des Tags' });
+  }
+});
+
+// Add and remove tags on many books at once; users can only tag books they uploaded
+app.post('/api/tags/bulk', authenticateToken, async (req, res) => {
+  try {
+    const { bookIds, add, remove } = parseBulkTagging(req.body);
+
+    const { books } = await database.getBooks({ book_ids: bookIds });
+    if (books.length !== bookIds.length) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+    if (req.user.role !== 'admin' && books.some(book => book.uploaded_by !== req.user.id)) {
+      return res.status(403).json({ error: 'Keine Berechtigung für diese Aktion' });
+    }
+
+    await database.transaction(async () => {
+      if (add.length > 0) await database.addBookTags(bookIds, add, req.user.id);
+      if (remove.length > 0) await database.removeBookTags(bookIds, remove);
+    });
+    res.json({ message: 'Tags erfolgreich aktualisiert', books: bookIds.length });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error tagging books:', error);
+    res.status(500).json({ error: 'Fehler beim Aktualisieren der Tags' });
+  }
+});
+
+// Replace the tags of a book (uploader or admin)
+app.put('/api/books/:id/tags', authenticateToken, async (req, res) => {
+  try {
+    const tags = parseTagNames(req.body.tags);
+
+    const book = await database.getBookById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+    if (req.user.role !== 'admin' && book.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Keine Berechtigung für diese Aktion' });
+    }
+
+    await database.transaction(() => database.setBookTags(book.id, tags, req.user.id));
+    res.json({ tags: (await database.getBookById(book.id)).tags });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error updating book tags:', error);
+    res.status(500).json({ error: 'Fehler beim Aktualisieren der Tags' });
+  }
+});
+
+// Authors: people credited on books (author, editor, translator, illustrator) with a sort name;
+// admins correct, merge and delete them, books.author follows
+app.get('/api/authors', authenticateToken, async (req, res) => {
+  try {
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const role = req.query.role ? parseRole(req.query.role) : null;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const { authors, total } = await database.getAllAuthors({ search, role, limit, offset: (page - 1) * limit });
+    res.json({
+      authors,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error getting authors:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Autoren' });
+  }
+});
+
+// Authors that are probably the same person (Admin only)
+app.get('/api/authors/duplicates', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    res.json(await database.findDuplicateAuthors());
+  } catch (error) {
+    console.error('Error finding duplicate authors:', error);
+    res.status(500).json({ error: 'Fehler beim Suchen doppelter Autoren' });
+  }
+});
+
+// Author page: the author with all books they contributed to and their roles on each
+app.get('/api/authors/:id', authenticateToken, async (req, res) => {
+  try {
+    const author = await database.getAuthorById(req.params.id);
+    if (!author) {
+      return res.status(404).json({ error: 'Autor nicht gefunden' });
+    }
+
+    const { books } = await database.getBooks({ author_id: author.id, sort: 'published', order: 'asc', userId: req.user.id });
+    res.json({
+      ...author,
+      books: books.map(({ filepath, ...book }) => ({
+        ...book,
+        author_roles: CONTRIBUTOR_ROLES.filter(role => book.contributors.some(item => item.id === author.id && item.role === role))
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting author:', error);
+    res.status(500).json({ error: 'Fehler beim Laden des Autors' });
+  }
+});
+
+// Create an author without books (Admin only)
+app.post('/api/authors', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const author = await database.createAuthor({
+      name: parseAuthorName(req.body.name),
+      sort_name: parseSortName(req.body.sort_name)
+    });
+    res.status(201).json(author);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Autor existiert bereits' });
+    }
+    console.error('Error creating author:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen des Autors' });
+  }
+});
+
+// Rename an author or change the sort name (Admin only); a new name without sort name gets a derived one
+app.put('/api/authors/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const existing = await database.getAuthorById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Autor nicht gefunden' });
+    }
+
+    const name = req.body.name === undefined ? undefined : parseAuthorName(req.body.name);
+    let sortName = parseSortName(req.body.sort_name);
+    if (sortName === null || (sortName === undefined && name !== undefined && name !== existing.name)) {
+      sortName = sortNameFor(name ?? existing.name);
+    }
+
+    const author = await database.transaction(() => database.updateAuthor(existing.id, { name, sort_name: sortName }));
+    res.json({ message: 'Autor erfolgreich aktualisiert', author });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Ein Autor mit diesem Namen existiert bereits' });
+    }
+    console.error('Error updating author:', error);
+    res.status(500).json({ error: 'Fehler beim Aktualisieren des Autors' });
+  }
+});
+
+// Merge duplicates into this author (Admin only); their books are credited to it in the same roles
+app.post('/api/authors/:id/merge', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const authorIds = parseIdList(req.body.author_ids, 'author_ids');
+    const target = await database.getAuthorById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Autor nicht gefunden' });
+    }
+
+    const sources = await database.getAuthorsByIds(authorIds);
+    if (sources.length !== authorIds.length) {
+      return res.status(404).json({ error: 'Autor nicht gefunden' });
+    }
+
+    const merged = await database.transaction(() => database.mergeAuthors(target.id, authorIds));
+    res.json({ message: 'Autoren erfolgreich zusammengeführt', merged, author: await database.getAuthorById(target.id) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error merging authors:', error);
+    res.status(500).json({ error: 'Fehler beim Zusammenführen der Autoren' });
   }
 });
 
-app.put('/api/settings', authenticateToken, async (req, res) => {
+// Delete an author (Admin only); the books stay and lose this contributor
+app.delete('/api/authors/:id', authenticateToken, async (req, res) => {
   if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Nur Administratoren haben Zugriff' });
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
   }
 
-  const { allow_registration } = req.body;
-
   try {
-    await database.run(
-      `INSERT OR REPLACE INTO system_settings (setting_key, setting_value, updated_at) 
-       VALUES ('allow_registration', ?, datetime('now'))`,
-      [allow_registration ? 'true' : 'false']
-    );
-    
-    res.json({ success: true });
+    const author = await database.transaction(() => database.deleteAuthor(req.params.id));
+    if (!author) {
+      return res.status(404).json({ error: 'Autor nicht gefunden' });
+    }
+    res.json({ message: 'Autor erfolgreich gelöscht' });
   } catch (error) {
-    console.error('Error updating settings:', error);
-    res.status(500).json({ error: 'Error updating settings' });
+    console.error('Error deleting author:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen des Autors' });
   }
 });
 
-// Password change endpoint
-app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
-  const userId = req.user.id;
+// Shelves: personal reading lists ("Zu lesen", "Favoriten" and own lists) in the owner's order;
+// the owner can share a shelf read-only with other users or by a public link
+const shelfResponse = (req, shelf) => {
+  const { share_token: shareToken, ...rest } = shelf;
+  const isOwner = shelf.user_id === req.user.id;
+  return {
+    ...rest,
+    is_owner: isOwner,
+    is_default: Boolean(shelf.kind),
+    share_url: isOwner && shareToken ? `${getPublicBaseUrl(req)}/shelf/${shareToken}` : null
+  };
+};
 
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({ error: 'Aktuelles und neues Passwort sind erforderlich' });
+const sendShelfError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
   }
-
-  // Enhanced password validation for password change
-  if (newPassword.length < 8) {
-    return res.status(400).json({ error: 'Das neue Passwort muss mindestens 8 Zeichen lang sein' });
+  if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) {
+    return res.status(400).json({ error: 'Ein Regal mit diesem Namen existiert bereits' });
   }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
 
-  // Check for basic complexity
-  const hasUpperCase = /[A-Z]/.test(newPassword);
-  const hasLowerCase = /[a-z]/.test(newPassword);
-  const hasNumbers = /\d/.test(newPassword);
-  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(newPassword);
-
-  if (!(hasUpperCase && hasLowerCase && hasNumbers && hasSpecialChar)) {
-    return res.status(400).json({ 
-      error: 'Neues Passwort muss mindestens einen Großbuchstaben, einen Kleinbuchstaben, eine Zahl und ein Sonderzeichen enthalten' 
-    });
+// Own and shared shelves; with book_id each shelf tells whether the book is on it (has_book)
+app.get('/api/shelves', authenticateToken, async (req, res) => {
+  try {
+    await database.ensureDefaultShelves(req.user.id);
+    const bookId = typeof req.query.book_id === 'string' ? req.query.book_id : undefined;
+    const shelves = await database.getShelvesForUser(req.user.id, { bookId });
+    res.json(shelves.map(shelf => shelfResponse(req, shelf)));
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Laden der Regale');
   }
+});
 
+app.post('/api/shelves', authenticateToken, async (req, res) => {
   try {
-    const user = await database.getUserById(userId);
-
-    if (!user) {
-      return res.status(401).json({ error: 'Benutzer nicht gefunden' });
-    }
-
-    // Use async bcrypt to prevent blocking the event loop
-    const passwordValid = await bcrypt.compare(currentPassword, user.password);
-    if (!passwordValid) {
-      return res.status(401).json({ error: 'Aktuelles Passwort ist falsch' });
+    const name = parseShelfName(req.body.name);
+    const description = parseShelfDescription(req.body.description);
+    if (await database.countShelves(req.user.id) >= MAX_SHELVES_PER_USER) {
+      return res.status(400).json({ error: `Zu viele Regale (max. ${MAX_SHELVES_PER_USER})` });
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    const now = new Date();
+    const shelf = await database.createShelf({ userId: req.user.id, name, description });
+    res.status(201).json(shelfResponse(req, shelf));
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Erstellen des Regals');
+  }
+});
 
-    await database.updateUserPassword(userId, hashedPassword, now);
-    
-    res.json({ message: 'Passwort erfolgreich geändert' });
+// Order of the own shelves (shelf_ids; shelves not listed follow in their previous order)
+app.put('/api/shelves/order', authenticateToken, async (req, res) => {
+  try {
+    const shelfIds = parseIdList(req.body.shelf_ids, 'shelf_ids', MAX_SHELVES_PER_USER);
+    await database.transaction(() => database.setShelfOrder(req.user.id, shelfIds));
+    const shelves = await database.getShelvesForUser(req.user.id);
+    res.json(shelves.map(shelf => shelfResponse(req, shelf)));
   } catch (error) {
-    console.error('Error changing password:', error);
-    res.status(500).json({ error: 'Fehler beim Ändern des Passworts' });
+    sendShelfError(res, error, 'Fehler beim Sortieren der Regale');
   }
 });
 
-// Category Management
-app.get('/api/categories', authenticateToken, async (req, res) => {
+// A shelf with its books in shelf order; the owner also gets the users it is shared with
+app.get('/api/shelves/:id', authenticateToken, async (req, res) => {
   try {
-    const categories = await database.getAllCategories();
-    res.json(categories);
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id);
+    const { books } = await database.getBooks({ shelf_id: shelf.id, sort: 'shelf', order: 'asc', userId: req.user.id });
+    res.json({
+      ...shelfResponse(req, shelf),
+      books: books.map(({ filepath, ...book }) => book),
+      shared_with: shelf.user_id === req.user.id ? await database.getShelfShares(shelf.id) : undefined
+    });
   } catch (error) {
-    console.error('Error fetching categories:', error);
-    res.status(500).json({ error: 'Fehler beim Laden der Kategorien' });
+    sendShelfError(res, error, 'Fehler beim Laden des Regals');
   }
 });
 
-app.post('/api/categories', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+// Rename a shelf or change its description (owner); default shelves keep their name
+app.put('/api/shelves/:id', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    const name = req.body.name === undefined ? undefined : parseShelfName(req.body.name);
+    const description = parseShelfDescription(req.body.description);
+    if (shelf.kind && name !== undefined && name !== shelf.name) {
+      return res.status(400).json({ error: 'Standardregale können nicht umbenannt werden' });
+    }
+
+    await database.updateShelf(shelf.id, { name, description });
+    res.json(shelfResponse(req, await database.getShelfForUser(shelf.id, req.user.id)));
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Aktualisieren des Regals');
   }
+});
 
-  const { name, description, color, icon } = req.body;
+// Delete a shelf (owner); the books stay in the library
+app.delete('/api/shelves/:id', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    if (shelf.kind) {
+      return res.status(400).json({ error: 'Standardregale können nicht gelöscht werden' });
+    }
 
-  if (!name) {
-    return res.status(400).json({ error: 'Kategoriename ist erforderlich' });
+    await database.deleteShelf(shelf.id);
+    res.json({ message: 'Regal erfolgreich gelöscht' });
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Löschen des Regals');
   }
+});
 
-  const categoryId = uuidv4();
+// Put books on a shelf (owner); they are added at the end
+app.post('/api/shelves/:id/books', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    const bookIds = parseIdList(req.body.book_ids, 'book_ids');
+    const { books } = await database.getBooks({ book_ids: bookIds });
+    if (books.length !== bookIds.length) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    const added = await database.transaction(() => database.addBooksToShelf(shelf.id, bookIds));
+    res.json({ message: 'Bücher zum Regal hinzugefügt', added });
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Hinzufügen zum Regal');
+  }
+});
 
+// New order of the books on a shelf (owner); books not listed follow in their previous order
+app.put('/api/shelves/:id/books/order', authenticateToken, async (req, res) => {
   try {
-    await database.createCategory({
-      id: categoryId,
-      name,
-      description: description || '',
-      color: color || '#1976d2',
-      icon: icon || 'folder'
-    });
-    
-    res.status(201).json({ 
-      id: categoryId, 
-      name, 
-      description, 
-      color: color || '#1976d2', 
-      icon: icon || 'folder' 
-    });
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    const bookIds = parseIdList(req.body.book_ids, 'book_ids');
+    await database.transaction(() => database.setShelfBookOrder(shelf.id, bookIds));
+    res.json({ message: 'Reihenfolge gespeichert' });
   } catch (error) {
-    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) { // SQLite unique constraint violation
-      return res.status(400).json({ error: 'Kategorie existiert bereits' });
-    }
-    console.error('Error creating category:', error);
-    res.status(500).json({ error: 'Fehler beim Erstellen der Kategorie' });
+    sendShelfError(res, error, 'Fehler beim Sortieren des Regals');
   }
 });
 
-app.put('/api/categories/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+app.delete('/api/shelves/:id/books/:bookId', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    if (!await database.removeBookFromShelf(shelf.id, req.params.bookId)) {
+      return res.status(404).json({ error: 'Buch ist nicht in diesem Regal' });
+    }
+    res.json({ message: 'Buch aus dem Regal entfernt' });
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Entfernen aus dem Regal');
   }
+});
 
-  const { id } = req.params;
-  const updates = req.body;
+// Share a shelf read-only with another user (owner), given by username
+app.post('/api/shelves/:id/shares', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    const user = username ? await database.getUserByUsername(username) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'Ein Regal kann nicht mit sich selbst geteilt werden' });
+    }
 
-  if (Object.keys(updates).length === 0) {
-    return res.status(400).json({ error: 'Keine Änderungen angegeben' });
+    await database.addShelfShare(shelf.id, user.id);
+    res.status(201).json({ message: 'Regal geteilt', shared_with: await database.getShelfShares(shelf.id) });
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Teilen des Regals');
   }
+});
 
+app.delete('/api/shelves/:id/shares/:userId', authenticateToken, async (req, res) => {
   try {
-    const success = await database.updateCategory(id, updates);
-    
-    if (!success) {
-      return res.status(404).json({ error: 'Kategorie nicht gefunden' });
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    if (!await database.removeShelfShare(shelf.id, req.params.userId)) {
+      return res.status(404).json({ error: 'Regal ist nicht mit diesem Benutzer geteilt' });
     }
-    
-    res.json({ message: 'Kategorie erfolgreich aktualisiert' });
+    res.json({ message: 'Freigabe entfernt', shared_with: await database.getShelfShares(shelf.id) });
   } catch (error) {
-    if (error.code === 'SQLITE_CONSTRAINT' || error.message.includes('UNIQUE')) { // SQLite unique constraint violation
-      return res.status(400).json({ error: 'Kategoriename existiert bereits' });
-    }
-    console.error('Error updating category:', error);
-    res.status(500).json({ error: 'Fehler beim Aktualisieren der Kategorie' });
+    sendShelfError(res, error, 'Fehler beim Entfernen der Freigabe');
   }
 });
 
-app.delete('/api/categories/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+// Public link to a shelf (owner); an existing link is kept
+app.post('/api/shelves/:id/public-link', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    if (!shelf.share_token) {
+      await database.setShelfShareToken(shelf.id, uuidv4().replace(/-/g, ''));
+    }
+    res.json(shelfResponse(req, await database.getShelfForUser(shelf.id, req.user.id)));
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Erstellen des öffentlichen Links');
   }
+});
 
-  const { id } = req.params;
+app.delete('/api/shelves/:id/public-link', authenticateToken, async (req, res) => {
+  try {
+    const shelf = checkShelfAccess(await database.getShelfForUser(req.params.id, req.user.id), req.user.id, { edit: true });
+    await database.setShelfShareToken(shelf.id, null);
+    res.json(shelfResponse(req, await database.getShelfForUser(shelf.id, req.user.id)));
+  } catch (error) {
+    sendShelfError(res, error, 'Fehler beim Entfernen des öffentlichen Links');
+  }
+});
 
+// Public shelf (no authentication required): the list only, books are not downloadable through it
+app.get('/api/shared-shelves/:token', async (req, res) => {
   try {
-    const success = await database.deleteCategory(id);
-    
-    if (!success) {
-      return res.status(404).json({ error: 'Kategorie nicht gefunden' });
+    const shelf = await database.getShelfByShareToken(req.params.token);
+    if (!shelf) {
+      return res.status(404).json({ error: 'Regal nicht gefunden oder nicht mehr öffentlich' });
     }
-    
-    res.json({ message: 'Kategorie erfolgreich gelöscht' });
+
+    const { books } = await database.getBooks({ shelf_id: shelf.id, sort: 'shelf', order: 'asc' });
+    res.json({
+      name: shelf.name,
+      kind: shelf.kind,
+      description: shelf.description,
+      owner_name: shelf.owner_name,
+      updated_at: shelf.updated_at,
+      books: books.map(book => ({
+        id: book.id,
+        title: book.title,
+        author: book.author,
+        description: book.description,
+        cover_image: book.cover_image,
+        series: book.series,
+        series_index: book.series_index,
+        published_date: book.published_date
+      }))
+    });
   } catch (error) {
-    console.error('Error deleting category:', error);
-    res.status(500).json({ error: 'Fehler beim Löschen der Kategorie' });
+    console.error('Error loading public shelf:', error);
+    res.status(500).json({ error: 'Fehler beim Laden des Regals' });
   }
 });
 
 // Metadata API for book search with cover download
+// Online metadata lookups run as background jobs; the result is the job result
 app.post('/api/metadata/isbn/:isbn', authenticateToken, async (req, res) => {
   const { isbn } = req.params;
-  
+
   try {
-    // Try Google Books API first - try both with and without hyphens
-    const isbnClean = isbn.replace(/[-\s]/g, ''); // Remove hyphens and spaces
-    
-    let googleResponse = await axios.get(
-      `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`,
-      { timeout: 5000 }
-    );
-    
-    // If no results with original ISBN, try without hyphens
-    if (!googleResponse.data.items || googleResponse.data.items.length === 0) {
-      googleResponse = await axios.get(
-        `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbnClean}`,
-        { timeout: 5000 }
-      );
-    }
-    
-    if (googleResponse.data.items && googleResponse.data.items.length > 0) {
-      // Find the best result - prefer books with covers, descriptions, and proper metadata
-      let bestBook = null;
-      let bestScore = -1;
-      
-      for (const item of googleResponse.data.items) {
-        const book = item.volumeInfo;
-        let score = 0;
-        
-        // Score based on available data quality
-        if (book.imageLinks) score += 10; // Cover image is very important
-        if (book.description && book.description.length > 50) score += 5; // Good description
-        if (book.publisher) score += 2; // Publisher info
-        if (book.authors && book.authors.length > 0) score += 3; // Author info
-        if (book.pageCount && book.pageCount > 0) score += 1; // Page count
-        if (book.categories && book.categories.length > 0) score += 1; // Categories
-        if (book.language === 'de' || book.language === 'en') score += 2; // Prefer German/English
-        
-        // Prefer exact ISBN match in industry identifiers
-        if (book.industryIdentifiers) {
-          for (const id of book.industryIdentifiers) {
-            const cleanId = id.identifier.replace(/[-\s]/g, '');
-            if (cleanId === isbnClean || id.identifier === isbn) {
-              score += 15; // Big bonus for exact ISBN match
-              break;
-            }
-          }
-        }
-        
-        if (score > bestScore) {
-          bestScore = score;
-          bestBook = book;
-        }
-      }
-      
-      // Use the best book found, or fall back to first if no clear winner
-      const book = bestBook || googleResponse.data.items[0].volumeInfo;
-      
-      // Prepare response data
-      const metadata = {
-        success: true,
-        title: book.title || '',
-        authors: book.authors ? book.authors.join(', ') : '',
-        description: book.description || '',
-        publisher: book.publisher || '',
-        publishedDate: book.publishedDate || '',
-        language: book.language || '',
-        pageCount: book.pageCount || null,
-        categories: book.categories || [],
-        coverUrl: null
-      };
-      
-      // Get the best available cover image
-      if (book.imageLinks) {
-        // Prefer larger images
-        metadata.coverUrl = book.imageLinks.extraLarge || 
-                           book.imageLinks.large || 
-                           book.imageLinks.medium || 
-                           book.imageLinks.thumbnail || 
-                           book.imageLinks.smallThumbnail;
-        
-        // Remove edge curl parameter and get larger image
-        if (metadata.coverUrl) {
-          metadata.coverUrl = metadata.coverUrl.replace('&edge=curl', '');
-          // Try to get larger version by modifying zoom parameter
-          metadata.coverUrl = metadata.coverUrl.replace('zoom=1', 'zoom=3');
-        }
-      }
-      
-      return res.json(metadata);
-    }
-    
-    // Try Open Library API as fallback - try both ISBN formats
-    let openLibResponse = await axios.get(
-      `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&jscmd=data&format=json`,
-      { timeout: 5000 }
-    );
-    
-    let openLibData = openLibResponse.data[`ISBN:${isbn}`];
-    
-    // If no results with original ISBN, try without hyphens
-    if (!openLibData) {
-      openLibResponse = await axios.get(
-        `https://openlibrary.org/api/books?bibkeys=ISBN:${isbnClean}&jscmd=data&format=json`,
-        { timeout: 5000 }
-      );
-      openLibData = openLibResponse.data[`ISBN:${isbnClean}`];
-    }
-    
-    if (openLibData) {
-      const metadata = {
-        success: true,
-        title: openLibData.title || '',
-        authors: openLibData.authors ? openLibData.authors.map(a => a.name).join(', ') : '',
-        description: openLibData.description || '',
-        publisher: openLibData.publishers ? openLibData.publishers[0].name : '',
-        publishedDate: openLibData.publish_date || '',
-        language: '',
-        pageCount: openLibData.number_of_pages || null,
-        categories: openLibData.subjects ? openLibData.subjects.map(s => s.name) : [],
-        coverUrl: null
-      };
-      
-      // Get cover from Open Library
-      if (openLibData.cover) {
-        metadata.coverUrl = openLibData.cover.large || openLibData.cover.medium || openLibData.cover.small;
-      }
-      
-      return res.json(metadata);
-    }
-    
-    res.json({ success: false, message: 'Keine Metadaten gefunden' });
+    const job = await enqueueJob(JOB_TYPES.METADATA_LOOKUP, { isbn }, { createdBy: req.user.id });
+    res.status(202).json({ message: 'Metadatensuche gestartet', job: describeJob(job) });
   } catch (error) {
-    console.error('Error fetching metadata:', error);
+    console.error('Error queueing metadata lookup:', error);
     res.status(500).json({ success: false, error: 'Fehler beim Abrufen der Metadaten' });
   }
 });
@@ -1219,68 +2747,72 @@ app.post('/api/metadata/search', authenticateToken, async (req, res) => {
   }
   
   try {
-    // Build search query
-    let query = title;
-    if (author) {
-      query += `+inauthor:${author}`;
+    const job = await enqueueJob(JOB_TYPES.METADATA_LOOKUP, { title, author: author || null }, { createdBy: req.user.id });
+    res.status(202).json({ message: 'Metadatensuche gestartet', job: describeJob(job) });
+  } catch (error) {
+    console.error('Error queueing metadata search:', error);
+    res.status(500).json({ error: 'Fehler bei der Metadatensuche' });
+  }
+});
+
+// Read the metadata of a book file before it is uploaded, so the form can be prefilled
+app.post('/api/metadata/extract', authenticateToken, upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Keine Datei hochgeladen' });
+  }
+
+  try {
+    const format = await detectUploadFormat(req.file);
+    if (!format) {
+      return res.status(400).json({ error: 'Der Dateiinhalt passt nicht zum Dateiformat' });
     }
-    
-    // Search using Google Books API
-    const googleResponse = await axios.get(
-      `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=10`,
-      { timeout: 5000 }
-    );
-    
-    const results = [];
-    
-    if (googleResponse.data.items) {
-      for (const item of googleResponse.data.items) {
-        const book = item.volumeInfo;
-        
-        // Get the best available cover image
-        let coverUrl = null;
-        if (book.imageLinks) {
-          coverUrl = book.imageLinks.extraLarge || 
-                    book.imageLinks.large || 
-                    book.imageLinks.medium || 
-                    book.imageLinks.thumbnail || 
-                    book.imageLinks.smallThumbnail;
-          
-          if (coverUrl) {
-            coverUrl = coverUrl.replace('&edge=curl', '');
-            coverUrl = coverUrl.replace('zoom=1', 'zoom=3');
-          }
-        }
-        
-        results.push({
-          title: book.title || '',
-          authors: book.authors ? book.authors.join(', ') : '',
-          description: book.description || '',
-          publisher: book.publisher || '',
-          publishedDate: book.publishedDate || '',
-          language: book.language || '',
-          pageCount: book.pageCount || null,
-          categories: book.categories || [],
-          isbn: book.industryIdentifiers ? 
-                book.industryIdentifiers.find(id => id.type === 'ISBN_13' || id.type === 'ISBN_10')?.identifier : '',
-          coverUrl: coverUrl
-        });
-      }
+
+    const metadata = await extractUploadMetadata(req.file, format);
+    if (!metadata) {
+      return res.status(422).json({ error: 'Die Datei enthält keine lesbaren Metadaten' });
     }
-    
-    res.json({ results });
+
+    res.json({
+      format: format.id,
+      detected: describeDetectedMetadata(metadata),
+      coverDataUrl: isUsableCover(metadata.cover)
+        ? `data:${metadata.cover.mediaType};base64,${metadata.cover.data.toString('base64')}`
+        : null
+    });
   } catch (error) {
-    console.error('Error searching metadata:', error);
-    res.status(500).json({ error: 'Fehler bei der Metadatensuche' });
+    console.error('Error reading file metadata:', error);
+    res.status(500).json({ error: 'Fehler beim Auslesen der Metadaten' });
+  } finally {
+    await fs.remove(req.file.path).catch(() => {});
   }
 });
 
 // Update book metadata with optional cover download
 app.put('/api/books/:id/metadata', authenticateToken, async (req, res) => {
   const bookId = req.params.id;
-  const { title, author, description, publisher, publishedDate, language, coverUrl } = req.body;
+  const { title, author, description, publishedDate, coverUrl } = req.body;
   
   try {
+    // publishedDate is the name used by the metadata lookup; fields left out keep their value
+    let metadata;
+    let seriesFields = null;
+    let seriesIndex;
+    let tags;
+    let contributors;
+    try {
+      metadata = parseMetadataFields({ published_date: publishedDate, ...req.body });
+      tags = req.body.tags === undefined ? undefined : parseTagNames(req.body.tags);
+      contributors = req.body.contributors === undefined ? undefined : parseContributors(req.body.contributors);
+      // An empty series name removes the book from its series
+      if (typeof req.body.series === 'string' && req.body.series.trim()) {
+        seriesFields = parseSeriesFields({ name: req.body.series });
+      }
+      seriesIndex = parseSeriesIndex(req.body.series_index);
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({ error: validationError.message });
+    }
+
+
     // First check if book exists and user has permission
     const book = await database.getBookById(bookId);
     if (!book) {
@@ -1296,41 +2828,43 @@ app.put('/api/books/:id/metadata', authenticateToken, async (req, res) => {
     const updateData = {
       title: title || book.title,
       author: author || book.author,
-      description: description || book.description
+      description: description || book.description,
+      ...metadata
     };
     
-    // If a cover URL is provided, download and save it
-    if (coverUrl) {
-      try {
-        const coverResponse = await axios.get(coverUrl, {
-          responseType: 'arraybuffer',
-          timeout: 10000
-        });
-        
-        // Generate filename for cover
-        const timestamp = Date.now();
-        const randomNum = Math.floor(Math.random() * 1000000000);
-        const coverExtension = coverUrl.includes('.png') ? 'png' : 'jpg';
-        const coverFilename = `${timestamp}-${randomNum}-cover.${coverExtension}`;
-        const coverPath = path.join(__dirname, './uploads', coverFilename);
-        
-        // Save cover image
-        await fs.writeFile(coverPath, Buffer.from(coverResponse.data));
-        
-        // Update book with new cover
-        updateData.cover_image = coverFilename;
-        updateData.cover_path = coverPath;
-      } catch (coverError) {
-        console.error('Error downloading cover:', coverError);
-        // Continue without cover if download fails
-      }
-    }
-    
     // Update book in database
     const success = await database.updateBook(bookId, updateData);
+
+    // The series is given by name and created on first use, as on upload
+    if (success && (req.body.series !== undefined || req.body.series_index !== undefined)) {
+      const series = req.body.series === undefined
+        ? (book.series_id ? { id: book.series_id } : null)
+        : seriesFields && await database.findOrCreateSeries(seriesFields.name, req.user.id);
+      await database.setBookSeries(bookId, {
+        seriesId: series ? series.id : null,
+        seriesIndex: req.body.series_index === undefined ? book.series_index : seriesIndex
+      });
+    }
+
+    if (success && tags !== undefined) {
+      await database.setBookTags(bookId, tags, req.user.id);
+    }
+
+    // A new author text replaces the authors; editors, translators and illustrators stay
+    if (success && (contributors !== undefined || author)) {
+      await database.setBookContributors(bookId, contributors || [
+        ...contributorsFromAuthors(author),
+        ...(book.contributors || []).filter(contributor => contributor.role !== 'author')
+      ]);
+    }
     
     if (success) {
-      res.json({ message: 'Metadaten erfolgreich aktualisiert' });
+      // A new cover is downloaded in the background and replaces the current one
+      const coverJob = coverUrl
+        ? await enqueueJob(JOB_TYPES.COVER_DOWNLOAD, { url: coverUrl }, { bookId, createdBy: req.user.id })
+        : null;
+
+      res.json({ message: 'Metadaten erfolgreich aktualisiert', cover_job: coverJob && describeJob(coverJob) });
     } else {
       res.status(500).json({ error: 'Fehler beim Aktualisieren der Metadaten' });
     }
@@ -1345,7 +2879,7 @@ app.get('/api/categories/translated', authenticateToken, async (req, res) => {
   try {
     const language = req.query.lang || 'en';
     const categories = await database.getCategoriesWithTranslations(language);
-    res.json(categories);
+    res.json(flattenCategoryTree(buildCategoryTree(categories)));
   } catch (error) {
     console.error('Error getting translated categories:', error);
     res.status(500).json({ error: 'Error loading translated categories' });
@@ -1440,51 +2974,17 @@ app.get('/api/export/books', authenticateToken, async (req, res) => {
   }
 });
 
-// Download books archive (Admin only)
-app.get('/api/download/archive', authenticateToken, async (req, res) => {
+// Books archive (Admin only): built in the background, downloaded via /api/jobs/:id/download
+app.post('/api/download/archive', authenticateToken, async (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
   }
 
   try {
-    const books = await database.getAllBooksForExport();
-    
-    // Create a write stream for the zip file
-    const zipPath = path.join(__dirname, './uploads', `books-archive-${Date.now()}.zip`);
-    const output = fs.createWriteStream(zipPath);
-    const archive = archiver('zip', {
-      zlib: { level: 9 }
-    });
-
-    output.on('close', function() {
-      res.download(zipPath, 'books-archive.zip', (err) => {
-        if (err) {
-          console.error('Error sending archive:', err);
-        }
-        // Clean up the zip file after download
-        fs.remove(zipPath).catch(console.error);
-      });
-    });
-
-    archive.on('error', function(err) {
-      throw err;
-    });
-
-    archive.pipe(output);
-
-    // Add books to archive
-    for (const book of books) {
-      if (fs.existsSync(book.filepath)) {
-        archive.file(book.filepath, { name: `books/${book.filename}` });
-      }
-    }
-
-    // Add metadata as JSON
-    archive.append(JSON.stringify(books, null, 2), { name: 'metadata.json' });
-
-    archive.finalize();
+    const job = await enqueueJob(JOB_TYPES.ARCHIVE, {}, { createdBy: req.user.id });
+    res.status(202).json({ message: 'Archiv wird erstellt', job: describeJob(job) });
   } catch (error) {
-    console.error('Error creating archive:', error);
+    console.error('Error queueing archive:', error);
     res.status(500).json({ error: 'Fehler beim Erstellen des Archivs' });
   }
 });
@@ -1526,8 +3026,43 @@ app.get('/api/export/csv', authenticateToken, async (req, res) => {
       fs.remove(csvPath).catch(console.error);
     });
   } catch (error) {
-    console.error('Error creating CSV:', error);
-    res.status(500).json({ error: 'Fehler beim Erstellen der CSV-Datei' });
+    console.error('Error creating CSV:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen der CSV-Datei' });
+  }
+});
+
+// Calibre library import (Admin only)
+app.post('/api/calibre/import', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  const { calibrePath } = req.body;
+
+  if (!calibrePath || typeof calibrePath !== 'string' || !calibrePath.trim()) {
+    return res.status(400).json({ error: 'Pfad zur Calibre-Bibliothek ist erforderlich' });
+  }
+
+  try {
+    const report = await importCalibreLibrary(calibrePath.trim(), {
+      uploadDir: path.join(__dirname, './uploads'),
+      userId: req.user.id
+    });
+
+    if (report.imported > 0) {
+      await enqueueContentReindex(req.user.id).catch(console.error);
+    }
+
+    res.json({
+      message: 'Calibre-Import abgeschlossen',
+      ...report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error importing Calibre library:', error);
+    res.status(500).json({ error: 'Fehler beim Calibre-Import' });
   }
 });
 
@@ -1539,23 +3074,32 @@ app.get('/api/backup/list', authenticateToken, async (req, res) => {
 
   try {
     const backupDir = path.join(__dirname, './backups');
-    
-    // Create backup directory if it doesn't exist
-    if (!fs.existsSync(backupDir)) {
-      fs.mkdirSync(backupDir, { recursive: true });
-    }
+    fs.ensureDirSync(backupDir);
 
-    const files = fs.readdirSync(backupDir)
+    const files = await Promise.all(fs.readdirSync(backupDir)
       .filter(file => file.endsWith('.zip'))
-      .map(file => {
-        const stats = fs.statSync(path.join(backupDir, file));
+      .map(async (file) => {
+        const backupPath = path.join(backupDir, file);
+        const stats = fs.statSync(backupPath);
+
+        let manifest = null;
+        try {
+          manifest = await readBackupInfo(backupPath);
+        } catch (error) {
+          console.error(`Error reading backup ${file}:`, error.message);
+        }
+
         return {
           filename: file,
           size: stats.size,
-          created_at: stats.birthtime
+          created_at: manifest?.created_at || stats.birthtime,
+          version: manifest?.version || null,
+          schema_version: manifest?.schema_version ?? null,
+          contents: manifest?.contents || null
         };
-      })
-      .sort((a, b) => b.created_at - a.created_at);
+      }));
+
+    files.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
     res.json({ backups: files });
   } catch (error) {
@@ -1570,50 +3114,64 @@ app.post('/api/backup/create', authenticateToken, async (req, res) => {
   }
 
   try {
-    const backupDir = path.join(__dirname, './backups');
-    fs.ensureDirSync(backupDir);
+    const job = await enqueueJob(JOB_TYPES.BACKUP, {}, { createdBy: req.user.id });
+    res.status(202).json({ message: 'Backup wird erstellt', job: describeJob(job) });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Fehler beim Erstellen des Backups' });
+  }
+});
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(backupDir, `backup-${timestamp}.zip`);
+app.get('/api/backup/status', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
 
-    // Get all books from database
-    const books = await database.getAllBooksForExport();
-    
-    // Create archive
-    const output = fs.createWriteStream(backupFile);
-    const archive = archiver('zip', { zlib: { level: 9 } });
+  try {
+    res.json(await getBackupStatus());
+  } catch (error) {
+    console.error('Error fetching backup status:', error);
+    res.status(500).json({ error: 'Fehler beim Abrufen des Backup-Status' });
+  }
+});
 
-    archive.on('error', (err) => {
-      throw err;
-    });
+// The role is checked before multer, so other users cannot upload a backup file at all
+app.post('/api/backup/restore', authenticateToken, requireAdmin, backupUpload.single('backup'), async (req, res) => {
+  // Fallback in case the route is ever mounted without requireAdmin
+  if (req.user.role !== 'admin') {
+    if (req.file) fs.remove(req.file.path).catch(console.error);
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
 
-    archive.pipe(output);
+  if (!req.file) {
+    return res.status(400).json({ error: 'Keine Backup-Datei hochgeladen' });
+  }
 
-    // Add database export as JSON
-    archive.append(JSON.stringify({
-      version: '2.0',
-      created_at: new Date().toISOString(),
-      books: books,
-      total_books: books.length
-    }, null, 2), { name: 'database.json' });
+  try {
+    const result = await restoreBackup(req.file.path, {
+      uploadDir: path.join(__dirname, './uploads'),
+      restoredBy: req.user.id,
+      replaceAll: req.body.replaceAll === 'true',
+      preserveUsers: req.body.preserveUsers !== 'false',
+      preserveCategories: req.body.preserveCategories === 'true'
+    });
 
-    // Add book files
-    for (const book of books) {
-      if (fs.existsSync(book.filepath)) {
-        archive.file(book.filepath, { name: `books/${book.filename}` });
-      }
+    if (result.restored_books > 0) {
+      await enqueueContentReindex(req.user.id).catch(console.error);
     }
 
-    await archive.finalize();
-
-    res.json({ 
-      message: 'Backup erfolgreich erstellt',
-      filename: `backup-${timestamp}.zip`,
-      books_count: books.length 
+    res.json({
+      message: 'Backup erfolgreich wiederhergestellt',
+      result
     });
   } catch (error) {
-    console.error('Error creating backup:', error);
-    res.status(500).json({ error: 'Fehler beim Erstellen des Backups' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Fehler beim Wiederherstellen des Backups' });
+  } finally {
+    fs.remove(req.file.path).catch(console.error);
   }
 });
 
@@ -1687,6 +3245,520 @@ app.get('/api/cover-proxy', async (req, res) => {
   }
 });
 
+// In-browser EPUB reader
+// Book resources are loaded by an iframe, which cannot send the Authorization header,
+// so the reader gets a short-lived token scoped to one book that is part of the resource URL.
+const READER_TOKEN_PURPOSE = 'epub-reader';
+
+app.get('/api/books/:id/reader', authenticateToken, async (req, res) => {
+  const bookId = req.params.id;
+
+  try {
+    const book = await database.getBookById(bookId);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    // Books can carry an EPUB next to other formats; the reader always uses that file
+    const epubFile = await database.getBookFormat(bookId, 'epub');
+    if (!epubFile) {
+      return res.status(400).json({ error: 'Nur EPUB-Dateien können im Browser gelesen werden' });
+    }
+
+    if (!fs.existsSync(epubFile.filepath)) {
+      return res.status(404).json({ error: 'Datei nicht gefunden' });
+    }
+
+    const info = await getEpubInfo(epubFile.filepath);
+    const readerToken = jwt.sign(
+      { bookId, uid: req.user.id, tv: req.user.tv || 0, purpose: READER_TOKEN_PURPOSE },
+      JWT_SECRET,
+      {
+        expiresIn: '12h',
+        algorithm: JWT_OPTIONS.algorithm,
+        issuer: JWT_OPTIONS.issuer,
+        audience: JWT_OPTIONS.audience
+      }
+    );
+
+    res.json({
+      id: book.id,
+      title: book.title,
+      author: book.author,
+      ...info,
+      resourceBase: `/api/reader/${readerToken}/`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error opening EPUB:', error);
+    res.status(500).json({ error: 'Fehler beim Öffnen des Buches' });
+  }
+});
+
+app.get('/api/reader/:readerToken/*', async (req, res) => {
+  let payload;
+  try {
+    payload = jwt.verify(req.params.readerToken, JWT_SECRET, {
+      algorithms: ['HS256'],
+      issuer: JWT_OPTIONS.issuer,
+      audience: JWT_OPTIONS.audience
+    });
+  } catch (error) {
+    return res.status(401).json({ error: 'Lesesitzung ist abgelaufen' });
+  }
+
+  if (payload.purpose !== READER_TOKEN_PURPOSE || !payload.bookId) {
+    return res.status(403).json({ error: 'Ungültiger Token.' });
+  }
+
+  try {
+    // Like session tokens, reader tokens end with a password reset or logout on all devices
+    const user = await database.getUserById(payload.uid);
+    if (!user || (user.token_version || 0) !== (payload.tv || 0)) {
+      return res.status(401).json({ error: 'Lesesitzung ist abgelaufen' });
+    }
+
+    const epubFile = await database.getBookFormat(payload.bookId, 'epub');
+    if (!epubFile || !fs.existsSync(epubFile.filepath)) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    await sendEpubResource(res, epubFile.filepath, req.params[0]);
+  } catch (error) {
+    console.error('Error serving EPUB resource:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Buchressource' });
+  }
+});
+
+// Reading progress (per user and book, synced across devices and external apps)
+const parseProgressUpdate = (body = {}) => {
+  const percentage = Number(body.percentage);
+  if (body.percentage === undefined || body.percentage === null || Number.isNaN(percentage) || percentage < 0 || percentage > 100) {
+    return { error: 'Fortschritt muss zwischen 0 und 100 liegen' };
+  }
+
+  const optionalPositiveInt = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 ? number : NaN;
+  };
+
+  const page = optionalPositiveInt(body.page);
+  const totalPages = optionalPositiveInt(body.total_pages);
+  if (Number.isNaN(page) || Number.isNaN(totalPages)) {
+    return { error: 'Seitenangaben müssen positive ganze Zahlen sein' };
+  }
+  if (page && totalPages && page > totalPages) {
+    return { error: 'Seite liegt außerhalb des Dokuments' };
+  }
+
+  if (body.location !== undefined && body.location !== null && (typeof body.location !== 'string' || body.location.length > 1024)) {
+    return { error: 'Ungültige Leseposition' };
+  }
+
+  if (body.device_name !== undefined && body.device_name !== null && typeof body.device_name !== 'string') {
+    return { error: 'Ungültiger Gerätename' };
+  }
+
+  // Clients syncing offline reads send when the position was reached; never accept future dates
+  let updatedAt = new Date();
+  if (body.updated_at) {
+    const clientDate = new Date(body.updated_at);
+    if (Number.isNaN(clientDate.getTime())) {
+      return { error: 'Ungültiger Zeitstempel' };
+    }
+    if (clientDate < updatedAt) updatedAt = clientDate;
+  }
+
+  return {
+    progress: {
+      location: body.location || null,
+      page,
+      total_pages: totalPages,
+      percentage: Math.round(percentage * 100) / 100,
+      device_name: body.device_name ? body.device_name.trim().substring(0, 100) : null,
+      updated_at: updatedAt.toISOString()
+    }
+  };
+};
+
+app.get('/api/reading-progress', authenticateToken, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+  try {
+    const progress = await database.getRecentReadingProgress(req.user.id, {
+      limit,
+      includeFinished: req.query.includeFinished === 'true'
+    });
+    res.json(progress);
+  } catch (error) {
+    console.error('Error fetching reading progress:', error);
+    res.status(500).json({ error: 'Fehler beim Laden des Lesefortschritts' });
+  }
+});
+
+app.get('/api/books/:id/progress', authenticateToken, async (req, res) => {
+  try {
+    const progress = await database.getReadingProgress(req.user.id, req.params.id);
+    if (!progress) {
+      return res.status(404).json({ error: 'Kein Lesefortschritt vorhanden' });
+    }
+    res.json(progress);
+  } catch (error) {
+    console.error('Error fetching reading progress:', error);
+    res.status(500).json({ error: 'Fehler beim Laden des Lesefortschritts' });
+  }
+});
+
+app.put('/api/books/:id/progress', authenticateToken, async (req, res) => {
+  const bookId = req.params.id;
+  const { progress, error } = parseProgressUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const book = await database.getBookById(bookId);
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    // A device that was offline must not overwrite a newer position from another device
+    const current = await database.getReadingProgress(req.user.id, bookId);
+    if (current && new Date(current.updated_at) > new Date(progress.updated_at)) {
+      return res.status(409).json({ error: 'Auf einem anderen Gerät wurde weitergelesen', progress: current });
+    }
+
+    const saved = await database.saveReadingProgress(req.user.id, bookId, progress);
+    res.json(saved);
+  } catch (error) {
+    console.error('Error saving reading progress:', error);
+    res.status(500).json({ error: 'Fehler beim Speichern des Lesefortschritts' });
+  }
+});
+
+app.delete('/api/books/:id/progress', authenticateToken, async (req, res) => {
+  try {
+    await database.deleteReadingProgress(req.user.id, req.params.id);
+    res.json({ message: 'Lesefortschritt zurückgesetzt' });
+  } catch (error) {
+    console.error('Error deleting reading progress:', error);
+    res.status(500).json({ error: 'Fehler beim Zurücksetzen des Lesefortschritts' });
+  }
+});
+
+// Ratings and reviews: one rating (1-5 stars) with an optional text per user and book.
+// Reviews hidden by an admin are only shown to their author and admins and do not count toward the average.
+app.get('/api/books/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const book = await database.getBookById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    res.json({
+      ...await database.getBookRatingSummary(book.id),
+      my_review: await database.getUserBookReview(book.id, req.user.id) || null,
+      reviews: await database.getBookReviews(book.id, { userId: req.user.id, includeHidden: req.user.role === 'admin' })
+    });
+  } catch (error) {
+    console.error('Error loading reviews:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Bewertungen' });
+  }
+});
+
+// Rate a book (rating, optional review text); replaces the user's earlier rating
+app.put('/api/books/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const rating = parseRating(req.body.rating);
+    const review = parseReviewText(req.body.review);
+    const book = await database.getBookById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ error: 'Buch nicht gefunden' });
+    }
+
+    res.json(await database.saveBookReview(book.id, req.user.id, { rating, review }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: 'Fehler beim Speichern der Bewertung' });
+  }
+});
+
+app.delete('/api/books/:id/review', authenticateToken, async (req, res) => {
+  try {
+    if (!await database.deleteBookReview(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Bewertung nicht gefunden' });
+    }
+    res.json({ message: 'Bewertung gelöscht' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen der Bewertung' });
+  }
+});
+
+// Review moderation (Admin only): list, hide or show again, delete
+app.get('/api/reviews', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    const status = parseReviewStatus(req.query.status);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const { reviews, total } = await database.getReviews({ status, search, limit, offset: (page - 1) * limit });
+    res.json({
+      reviews,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error loading reviews:', error);
+    res.status(500).json({ error: 'Fehler beim Laden der Bewertungen' });
+  }
+});
+
+app.put('/api/reviews/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+  if (typeof req.body.hidden !== 'boolean') {
+    return res.status(400).json({ error: 'hidden muss true oder false sein' });
+  }
+
+  try {
+    const review = await database.setReviewHidden(req.params.id, req.body.hidden, req.user.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Bewertung nicht gefunden' });
+    }
+    res.json(review);
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Fehler beim Moderieren der Bewertung' });
+  }
+});
+
+app.delete('/api/reviews/:id', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin-Berechtigung erforderlich' });
+  }
+
+  try {
+    if (!await database.deleteReview(req.params.id)) {
+      return res.status(404).json({ error: 'Bewertung nicht gefunden' });
+    }
+    res.json({ message: 'Bewertung gelöscht' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Fehler beim Löschen der Bewertung' });
+  }
+});
+
+// OPDS 1.2 catalog for e-reader apps (KOReader, Moon+ Reader, Thorium, ...)
+const OPDS_PAGE_SIZE = 50;
+
+const sendOpds = (res, type, xml) => {
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.type(type).send(xml);
+};
+
+// Acquisition feed for a filtered, paged book listing
+const sendOpdsBooks = async (req, res, { id, title, filters, baseHref }) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const result = await database.getBooks({
+    ...filters,
+    limit: OPDS_PAGE_SIZE,
+    offset: (page - 1) * OPDS_PAGE_SIZE,
+    userId: req.user.id
+  });
+  const pageHref = (target) => `${baseHref}${baseHref.includes('?') ? '&' : '?'}page=${target}`;
+
+  sendOpds(res, OPDS_ACQUISITION_TYPE, renderAcquisitionFeed({
+    id,
+    title,
+    selfHref: pageHref(page),
+    books: result.books,
+    page,
+    totalPages: Math.max(Math.ceil(result.total / OPDS_PAGE_SIZE), 1),
+    total: result.total,
+    pageSize: OPDS_PAGE_SIZE,
+    pageHref
+  }));
+};
+
+app.get('/opds', authenticateBasic, (req, res) => {
+  sendOpds(res, OPDS_NAVIGATION_TYPE, renderNavigationFeed({
+    id: 'urn:lectoria:root',
+    title: 'Lectoria',
+    selfHref: '/opds',
+    entries: [
+      { id: 'urn:lectoria:recent', title: 'Neueste', content: 'Zuletzt hinzugefügte Bücher und Magazine', href: '/opds/recent' },
+      { id: 'urn:lectoria:categories', title: 'Nach Kategorie', content: 'Bücher nach Kategorie', href: '/opds/categories', kind: OPDS_NAVIGATION_TYPE },
+      { id: 'urn:lectoria:authors', title: 'Nach Autor', content: 'Bücher nach Autor', href: '/opds/authors', kind: OPDS_NAVIGATION_TYPE },
+      { id: 'urn:lectoria:type:book', title: 'Bücher', content: 'Alle Bücher', href: '/opds/type/book' },
+      { id: 'urn:lectoria:type:magazine', title: 'Magazine', content: 'Alle Magazine', href: '/opds/type/magazine' }
+    ]
+  }));
+});
+
+app.get('/opds/opensearch.xml', authenticateBasic, (req, res) => {
+  sendOpds(res, OPENSEARCH_TYPE, renderOpenSearchDescription());
+});
+
+app.get('/opds/recent', authenticateBasic, async (req, res) => {
+  try {
+    await sendOpdsBooks(req, res, { id: 'urn:lectoria:recent', title: 'Neueste', filters: {}, baseHref: '/opds/recent' });
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+app.get('/opds/search', authenticateBasic, async (req, res) => {
+  const query = (req.query.q || '').trim().substring(0, 255);
+
+  try {
+    await sendOpdsBooks(req, res, {
+      id: `urn:lectoria:search:${query}`,
+      title: `Suche: ${query}`,
+      filters: { search: query },
+      baseHref: `/opds/search?q=${encodeURIComponent(query)}`
+    });
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+app.get('/opds/type/:type', authenticateBasic, async (req, res) => {
+  const { type } = req.params;
+  if (!['book', 'magazine'].includes(type)) {
+    return res.status(404).type('text/plain').send('Unbekannter Typ');
+  }
+
+  try {
+    await sendOpdsBooks(req, res, {
+      id: `urn:lectoria:type:${type}`,
+      title: type === 'magazine' ? 'Magazine' : 'Bücher',
+      filters: { type },
+      baseHref: `/opds/type/${type}`
+    });
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+app.get('/opds/categories', authenticateBasic, async (req, res) => {
+  try {
+    // Subcategories are listed with their full path; counts include their subcategories
+    const categories = flattenCategoryTree(buildCategoryTree(await database.getCategoriesWithBookCounts()));
+
+    sendOpds(res, OPDS_NAVIGATION_TYPE, renderNavigationFeed({
+      id: 'urn:lectoria:categories',
+      title: 'Nach Kategorie',
+      selfHref: '/opds/categories',
+      entries: categories
+        .filter(category => category.total_book_count > 0)
+        .map(category => ({
+          id: `urn:lectoria:category:${category.id}`,
+          title: category.path.join(' › '),
+          content: category.description,
+          updated: category.last_upload,
+          count: category.total_book_count,
+          href: `/opds/categories/${encodeURIComponent(category.id)}`
+        }))
+    }));
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+app.get('/opds/categories/:id', authenticateBasic, async (req, res) => {
+  try {
+    const category = (await database.getAllCategories()).find(item => item.id === req.params.id);
+    if (!category) {
+      return res.status(404).type('text/plain').send('Kategorie nicht gefunden');
+    }
+
+    await sendOpdsBooks(req, res, {
+      id: `urn:lectoria:category:${category.id}`,
+      title: category.name,
+      filters: { category_id: category.id },
+      baseHref: `/opds/categories/${encodeURIComponent(category.id)}`
+    });
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+app.get('/opds/authors', authenticateBasic, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  try {
+    const { authors, total } = await database.getAuthorsWithBookCounts({
+      limit: OPDS_PAGE_SIZE,
+      offset: (page - 1) * OPDS_PAGE_SIZE
+    });
+    const totalPages = Math.max(Math.ceil(total / OPDS_PAGE_SIZE), 1);
+    const links = [];
+    if (page > 1) links.push({ rel: 'previous', href: `/opds/authors?page=${page - 1}`, type: OPDS_NAVIGATION_TYPE });
+    if (page < totalPages) links.push({ rel: 'next', href: `/opds/authors?page=${page + 1}`, type: OPDS_NAVIGATION_TYPE });
+
+    sendOpds(res, OPDS_NAVIGATION_TYPE, renderNavigationFeed({
+      id: 'urn:lectoria:authors',
+      title: 'Nach Autor',
+      selfHref: `/opds/authors?page=${page}`,
+      links,
+      entries: authors.map(({ name, book_count, last_upload }) => ({
+        id: `urn:lectoria:author:${encodeURIComponent(name)}`,
+        title: name,
+        updated: last_upload,
+        count: book_count,
+        href: `/opds/authors/${encodeURIComponent(name)}`
+      }))
+    }));
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+// Author feeds are addressed by name; the books include those the author edited, translated or illustrated
+app.get('/opds/authors/:author', authenticateBasic, async (req, res) => {
+  try {
+    const author = await database.getAuthorByName(req.params.author);
+    if (!author) {
+      return res.status(404).type('text/plain').send('Autor nicht gefunden');
+    }
+
+    await sendOpdsBooks(req, res, {
+      id: `urn:lectoria:author:${encodeURIComponent(author.name)}`,
+      title: author.name,
+      filters: { author_id: author.id },
+      baseHref: `/opds/authors/${encodeURIComponent(author.name)}`
+    });
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).type('text/plain').send('Fehler beim Laden des Katalogs');
+  }
+});
+
+app.get('/opds/books/:id/download', authenticateBasic, downloadBook);
+app.get('/opds/books/:id/formats/:format/download', authenticateBasic, downloadBookFormat);
+
 // Generate QR Code for book
 app.get('/api/books/:id/qr', authenticateToken, async (req, res) => {
   const bookId = req.params.id;
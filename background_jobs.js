@@ -0,0 +1,159 @@
+// background_jobs.js - Job types run by the job queue: archives, backups, cover downloads, metadata lookups, conversions, content indexing
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const archiver = require('archiver');
+
+const database = require('./database');
+const { registerJobHandler } = require('./job_queue');
+const { runBackup } = require('./backup_scheduler');
+const { lookupIsbn, searchMetadata } = require('./metadata_lookup');
+const { CONVERSION_JOB, runConversion } = require('./book_conversion');
+const { CONTENT_INDEX_JOB, CONTENT_REINDEX_JOB, runContentIndex, runContentReindex } = require('./book_content');
+
+const JOB_TYPES = {
+    ARCHIVE: 'books_archive',
+    BACKUP: 'backup',
+    COVER_DOWNLOAD: 'cover_download',
+    METADATA_LOOKUP: 'metadata_lookup',
+    CONVERSION: CONVERSION_JOB,
+    CONTENT_INDEX: CONTENT_INDEX_JOB,
+    CONTENT_REINDEX: CONTENT_REINDEX_JOB
+};
+
+// Archives wait here until they are downloaded; they are removed with their job
+const ARCHIVE_DIR = path.join(os.tmpdir(), 'lectoria-archives');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const jobError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Zip of all book files (every format) with the book metadata as JSON
+const createBooksArchive = async (payload, { job, setProgress }) => {
+    const books = await database.getAllBooksForExport();
+    const files = [];
+    for (const book of books) {
+        for (const file of await database.getBookFormats(book.id)) {
+            if (await fs.pathExists(file.filepath)) files.push(file);
+        }
+    }
+
+    await fs.ensureDir(ARCHIVE_DIR);
+    const filepath = path.join(ARCHIVE_DIR, `books-archive-${job.id}.zip`);
+
+    try {
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(filepath);
+            const archive = archiver('zip', { zlib: { level: 9 } });
+
+            output.on('close', resolve);
+            output.on('error', reject);
+            archive.on('error', reject);
+            archive.on('progress', ({ entries }) => {
+                if (entries.total > 0) setProgress((entries.processed / entries.total) * 100);
+            });
+
+            archive.pipe(output);
+            for (const file of files) {
+                archive.file(file.filepath, { name: `books/${file.filename}` });
+            }
+            archive.append(JSON.stringify(books, null, 2), { name: 'metadata.json' });
+            archive.finalize();
+        });
+    } catch (error) {
+        await fs.remove(filepath).catch(() => {});
+        throw error;
+    }
+
+    const stats = await fs.stat(filepath);
+    return {
+        filename: 'books-archive.zip',
+        filepath,
+        file_size: stats.size,
+        books_count: books.length
+    };
+};
+
+const removeResultFile = async (job) => {
+    if (job.result?.filepath) {
+        await fs.remove(job.result.filepath).catch(console.error);
+    }
+};
+
+// Download a cover image for the book of the job and replace its current cover
+const downloadCover = async ({ url }, { job }, { uploadDir }) => {
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 10000
+    });
+
+    const coverExtension = url.includes('.png') ? 'png' : 'jpg';
+    const coverFilename = `${Date.now()}-${Math.floor(Math.random() * 1000000000)}-cover.${coverExtension}`;
+    const coverPath = path.join(uploadDir, coverFilename);
+    await fs.writeFile(coverPath, Buffer.from(response.data));
+
+    const book = await database.getBookById(job.book_id);
+    if (!book || !await database.updateBook(book.id, { cover_image: `/uploads/${coverFilename}` })) {
+        await fs.remove(coverPath);
+        throw jobError('Buch nicht gefunden', 404);
+    }
+
+    // The previous cover (e.g. the one embedded in the file) is no longer used
+    if (book.cover_image && book.cover_image.startsWith('/uploads/')) {
+        await fs.remove(path.join(uploadDir, path.basename(book.cover_image))).catch(console.error);
+    }
+
+    return { cover_image: `/uploads/${coverFilename}` };
+};
+
+const lookupMetadata = async ({ isbn, title, author }) => {
+    return isbn ? await lookupIsbn(isbn) : await searchMetadata({ title, author });
+};
+
+/**
+ * Register the handlers of all job types. Heavy jobs (archives, backups,
+ * conversions, indexing) run one at a time; downloads from other servers are retried.
+ */
+const registerBackgroundJobs = ({ uploadDir, backupDir }) => {
+    registerJobHandler(JOB_TYPES.ARCHIVE, createBooksArchive, {
+        concurrency: 1,
+        retention: 24 * HOUR_MS,
+        cleanup: removeResultFile
+    });
+
+    registerJobHandler(JOB_TYPES.BACKUP, async () => {
+        const { filename, manifest } = await runBackup({ backupDir, uploadDir });
+        return { filename, books_count: manifest.contents.books, manifest };
+    }, { concurrency: 1 });
+
+    registerJobHandler(JOB_TYPES.COVER_DOWNLOAD, (payload, context) => downloadCover(payload, context, { uploadDir }), {
+        maxAttempts: 3
+    });
+
+    registerJobHandler(JOB_TYPES.METADATA_LOOKUP, lookupMetadata, {
+        maxAttempts: 3,
+        retryDelay: 5 * 1000,
+        retention: HOUR_MS
+    });
+
+    registerJobHandler(JOB_TYPES.CONVERSION, (payload, context) => runConversion(payload, context, { uploadDir }), {
+        concurrency: 1
+    });
+
+    registerJobHandler(JOB_TYPES.CONTENT_INDEX, runContentIndex, {
+        concurrency: 1,
+        retention: 24 * HOUR_MS
+    });
+
+    registerJobHandler(JOB_TYPES.CONTENT_REINDEX, runContentReindex, { concurrency: 1 });
+};
+
+module.exports = {
+    JOB_TYPES,
+    registerBackgroundJobs
+};
@@ -0,0 +1,798 @@
+// backup_manager.js - Create, inspect and restore Lectoria backups
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sqlite3 = require('sqlite3');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+
+const database = require('./database');
+const { validateCategoryParent } = require('./category_tree');
+const { version: APP_VERSION } = require('./package.json');
+
+const BACKUP_FORMAT = 'lectoria-backup';
+const BACKUP_VERSION = '3.0';
+
+// database.json versions this server knows how to restore
+const SUPPORTED_BACKUP_VERSIONS = ['2.0', '3.0'];
+
+// Tables exported to database.json in addition to the books
+const EXPORTED_TABLES = ['users', 'categories', 'category_translations', 'translations', 'system_settings', 'share_links', 'reading_progress', 'book_formats', 'series', 'tags', 'book_tags', 'authors', 'book_contributors', 'shelves', 'shelf_books', 'shelf_shares', 'book_reviews'];
+
+const restoreError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const uniqueUploadName = (extension) => {
+    return `${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+};
+
+const openSnapshot = (snapshotFile) => {
+    return new Promise((resolve, reject) => {
+        const snapshotDb = new sqlite3.Database(snapshotFile, sqlite3.OPEN_READONLY, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(snapshotDb);
+            }
+        });
+    });
+};
+
+const querySnapshot = (snapshotDb, sql) => {
+    return new Promise((resolve, reject) => {
+        snapshotDb.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+};
+
+const closeSnapshot = (snapshotDb) => {
+    return new Promise((resolve) => snapshotDb.close(() => resolve()));
+};
+
+// Read all exported tables from the snapshot so the JSON matches the bundled database file
+const readSnapshotData = async (snapshotFile) => {
+    const snapshotDb = await openSnapshot(snapshotFile);
+    try {
+        const data = {
+            books: await querySnapshot(snapshotDb, `
+                SELECT b.*, u.username as uploader_name, c.name as category_name
+                FROM books b
+                LEFT JOIN users u ON b.uploaded_by = u.id
+                LEFT JOIN categories c ON b.category_id = c.id
+                ORDER BY b.upload_date DESC
+            `)
+        };
+        for (const table of EXPORTED_TABLES) {
+            data[table] = await querySnapshot(snapshotDb, `SELECT * FROM ${table}`);
+        }
+        return data;
+    } finally {
+        await closeSnapshot(snapshotDb);
+    }
+};
+
+const writeArchive = (archiveFile, fill) => {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(archiveFile);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+        archive.pipe(output);
+
+        fill(archive);
+        archive.finalize();
+    });
+};
+
+/**
+ * Create a full backup in backupDir.
+ *
+ * The archive contains a manifest.json, a consistent snapshot of the SQLite
+ * database (lectoria.db), a database.json export of all tables used for
+ * restoring, and every book file and cover under uploads/ with its stored name.
+ */
+const createBackup = async ({ backupDir, uploadDir, prefix = 'backup' }) => {
+    await fs.ensureDir(backupDir);
+
+    const createdAt = new Date().toISOString();
+    const filename = `${prefix}-${createdAt.replace(/[:.]/g, '-')}.zip`;
+    const archiveFile = path.join(backupDir, filename);
+    const snapshotFile = path.join(os.tmpdir(), `lectoria-snapshot-${Date.now()}-${Math.round(Math.random() * 1E9)}.db`);
+
+    try {
+        await database.snapshotTo(snapshotFile);
+        const data = await readSnapshotData(snapshotFile);
+
+        const files = [];
+        const missingFiles = [];
+        const addUpload = (filePath, kind) => {
+            if (fs.existsSync(filePath)) {
+                files.push({ source: filePath, name: `uploads/${path.basename(filePath)}`, kind });
+            } else {
+                missingFiles.push(path.basename(filePath));
+            }
+        };
+
+        for (const book of data.books) {
+            addUpload(book.filepath, 'book');
+            if (book.cover_image) {
+                addUpload(path.join(uploadDir, path.basename(book.cover_image)), 'cover');
+            }
+        }
+
+        for (const series of data.series) {
+            if (series.cover_image) {
+                addUpload(path.join(uploadDir, path.basename(series.cover_image)), 'cover');
+            }
+        }
+
+        // Additional formats; the primary file of each book is already included
+        const primaryFiles = new Set(data.books.map(book => book.filepath));
+        for (const file of data.book_formats) {
+            if (!primaryFiles.has(file.filepath)) {
+                addUpload(file.filepath, 'book');
+            }
+        }
+
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schema_version: await database.getSchemaVersion(),
+            app_version: APP_VERSION,
+            created_at: createdAt,
+            database_file: 'lectoria.db',
+            contents: {
+                books: data.books.length,
+                ...Object.fromEntries(EXPORTED_TABLES.map(table => [table, data[table].length])),
+                book_files: files.filter(file => file.kind === 'book').length,
+                cover_files: files.filter(file => file.kind === 'cover').length
+            },
+            missing_files: missingFiles
+        };
+
+        await writeArchive(archiveFile, (archive) => {
+            archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+            archive.append(JSON.stringify({
+                version: BACKUP_VERSION,
+                created_at: createdAt,
+                ...data,
+                total_books: data.books.length
+            }, null, 2), { name: 'database.json' });
+            archive.file(snapshotFile, { name: 'lectoria.db' });
+            for (const file of files) {
+                archive.file(file.source, { name: file.name });
+            }
+        });
+
+        return { filename, manifest };
+    } catch (error) {
+        await fs.remove(archiveFile).catch(() => {});
+        throw error;
+    } finally {
+        await fs.remove(snapshotFile).catch(() => {});
+    }
+};
+
+/**
+ * Describe the contents of a backup archive. Archives without a manifest
+ * (version 2.0) are summarised from their database.json.
+ */
+const readBackupInfo = async (archiveFile) => {
+    const directory = await unzipper.Open.file(archiveFile);
+
+    const manifestEntry = directory.files.find(file => file.path === 'manifest.json');
+    if (manifestEntry) {
+        return JSON.parse((await manifestEntry.buffer()).toString('utf8'));
+    }
+
+    const dataEntry = directory.files.find(file => file.path === 'database.json');
+    if (!dataEntry) return null;
+
+    const data = JSON.parse((await dataEntry.buffer()).toString('utf8'));
+    return {
+        format: BACKUP_FORMAT,
+        version: String(data.version),
+        created_at: data.created_at || null,
+        contents: {
+            books: Array.isArray(data.books) ? data.books.length : 0,
+            users: Array.isArray(data.users) ? data.users.length : 0,
+            categories: Array.isArray(data.categories) ? data.categories.length : 0,
+            book_files: directory.files.filter(file => file.path.startsWith('books/')).length,
+            cover_files: directory.files.filter(file => file.path.startsWith('covers/')).length
+        }
+    };
+};
+
+// Index archive entries by path; the same path can occur more than once
+// when two books shared an original filename
+const indexEntries = (directory) => {
+    const entries = new Map();
+    for (const file of directory.files) {
+        if (file.type !== 'File') continue;
+        if (!entries.has(file.path)) {
+            entries.set(file.path, []);
+        }
+        entries.get(file.path).push(file);
+    }
+    return entries;
+};
+
+const takeEntry = (entries, entryPath) => {
+    const candidates = entries.get(entryPath);
+    return candidates && candidates.length > 0 ? candidates.shift() : null;
+};
+
+// Version 2.0 archives store files by original name, later versions by stored upload name
+const bookEntryPath = (version, book) => {
+    if (version === '2.0') return `books/${book.filename}`;
+    return book.filepath ? `uploads/${path.basename(book.filepath)}` : null;
+};
+
+const coverEntryPath = (version, coverImage) => {
+    return `${version === '2.0' ? 'covers' : 'uploads'}/${path.basename(coverImage)}`;
+};
+
+const extractEntry = (entry, targetPath) => {
+    return new Promise((resolve, reject) => {
+        entry.stream()
+            .on('error', reject)
+            .pipe(fs.createWriteStream(targetPath))
+            .on('error', reject)
+            .on('finish', resolve);
+    });
+};
+
+const readBackupData = async (directory) => {
+    const dataEntry = directory.files.find(file => file.path === 'database.json');
+    if (!dataEntry) {
+        throw restoreError('Ungültiges Backup: database.json fehlt');
+    }
+
+    let data;
+    try {
+        data = JSON.parse((await dataEntry.buffer()).toString('utf8'));
+    } catch (error) {
+        throw restoreError('Ungültiges Backup: database.json ist beschädigt');
+    }
+
+    if (!SUPPORTED_BACKUP_VERSIONS.includes(String(data.version))) {
+        throw restoreError(`Nicht unterstützte Backup-Version: ${data.version || 'unbekannt'}`);
+    }
+
+    if (!Array.isArray(data.books)) {
+        throw restoreError('Ungültiges Backup: Bücherliste fehlt');
+    }
+
+    return data;
+};
+
+// Map the uploader of a backed-up book to a user that exists in this installation
+const resolveUploader = async (book, fallbackUserId, userCache) => {
+    const key = `${book.uploaded_by}|${book.uploader_name}`;
+    if (!userCache.has(key)) {
+        let user = book.uploaded_by ? await database.getUserById(book.uploaded_by) : null;
+        if (!user && book.uploader_name) {
+            user = await database.getUserByUsername(book.uploader_name);
+        }
+        userCache.set(key, user ? user.id : fallbackUserId);
+    }
+    return userCache.get(key);
+};
+
+// Nest restored categories as in the backup; existing categories are only moved when overwriting.
+// Moves that would create a cycle with the local categories are reported as conflicts.
+const restoreCategoryParents = async (categories, categoryIds, createdIds, overwrite, result) => {
+    for (const category of categories) {
+        const localId = categoryIds.get(category.id);
+        const parentId = categoryIds.get(category.parent_id) || null;
+        const created = createdIds.has(localId);
+        if (!localId || (created && !parentId) || (!created && !overwrite)) continue;
+
+        try {
+            validateCategoryParent(await database.getAllCategories(), localId, parentId);
+            await database.updateCategory(localId, { parent_id: parentId });
+        } catch (error) {
+            result.conflicts.push({ category: category.name, reason: error.message });
+        }
+    }
+};
+
+// Restore categories listed in the backup that do not exist yet (matched by name).
+// Returns a map from backup category id to local category id.
+const restoreCategories = async (categories, overwrite, result) => {
+    const categoryIds = new Map();
+    const createdIds = new Set();
+
+    for (const category of categories) {
+        if (!category.name) continue;
+
+        const existing = await database.getCategoryByName(category.name);
+        if (existing) {
+            if (overwrite) {
+                await database.updateCategory(existing.id, {
+                    description: category.description,
+                    color: category.color,
+                    icon: category.icon
+                });
+            }
+            categoryIds.set(category.id, existing.id);
+            continue;
+        }
+
+        const idTaken = category.id ? await database.get('SELECT id FROM categories WHERE id = ?', [category.id]) : null;
+        const created = await database.createCategory({
+            id: idTaken ? undefined : category.id,
+            name: category.name,
+            description: category.description || '',
+            color: category.color || undefined,
+            icon: category.icon || undefined
+        });
+        categoryIds.set(category.id, created.id);
+        createdIds.add(created.id);
+        result.restored_categories++;
+    }
+
+    await restoreCategoryParents(categories, categoryIds, createdIds, overwrite, result);
+    return categoryIds;
+};
+
+// Restore series that do not exist yet (matched by name); books are linked to them by name when they are created.
+// Returns the staged covers that are used and have to be moved into place, and the replaced
+// covers, which are only deleted once the restore has been committed.
+const restoreSeries = async (stagedSeries, overwrite, result) => {
+    const usedCovers = [];
+    const replacedCovers = [];
+
+    for (const { series, coverName } of stagedSeries) {
+        const coverImage = coverName ? `/uploads/${coverName}` : null;
+        const existing = await database.getSeriesByName(series.name);
+
+        if (existing) {
+            if (overwrite) {
+                await database.updateSeries(existing.id, {
+                    description: series.description,
+                    cover_image: coverImage || undefined
+                });
+                if (coverImage && existing.cover_image) {
+                    replacedCovers.push(existing.cover_image);
+                }
+                if (coverName) usedCovers.push(coverName);
+            }
+            continue;
+        }
+
+        const idTaken = series.id ? await database.getSeriesById(series.id) : null;
+        await database.createSeries({
+            id: idTaken ? undefined : series.id,
+            name: series.name,
+            description: series.description || null,
+            cover_image: coverImage
+        });
+        if (coverName) usedCovers.push(coverName);
+        result.restored_series++;
+    }
+
+    return { usedCovers, replacedCovers };
+};
+
+// Restore tags that do not exist yet (matched by name). Returns the tag names of each
+// backed-up book; books get their tags by name when they are created.
+const restoreTags = async (tags, bookTags, result) => {
+    const tagNames = new Map();
+    for (const tag of tags) {
+        if (!tag.name) continue;
+        tagNames.set(tag.id, tag.name);
+        if (await database.getTagByName(tag.name)) continue;
+
+        const idTaken = tag.id ? await database.getTagById(tag.id) : null;
+        await database.createTag({ id: idTaken ? undefined : tag.id, name: tag.name });
+        result.restored_tags++;
+    }
+
+    const namesByBook = new Map();
+    for (const { book_id: bookId, tag_id: tagId } of bookTags) {
+        if (!tagNames.has(tagId)) continue;
+        namesByBook.set(bookId, [...(namesByBook.get(bookId) || []), tagNames.get(tagId)]);
+    }
+    return namesByBook;
+};
+
+// Restore authors that do not exist yet (matched by name) with their sort names. Returns
+// the contributors of each backed-up book in credit order; books link them by name.
+const restoreAuthors = async (authors, bookContributors, result) => {
+    const authorsById = new Map();
+    for (const author of authors) {
+        if (!author.name) continue;
+        authorsById.set(author.id, author);
+        if (await database.getAuthorByName(author.name)) continue;
+
+        const idTaken = author.id ? await database.getAuthorById(author.id) : null;
+        await database.createAuthor({ id: idTaken ? undefined : author.id, name: author.name, sort_name: author.sort_name || null });
+        result.restored_authors++;
+    }
+
+    const contributorsByBook = new Map();
+    const sorted = [...bookContributors].sort((a, b) => (a.position || 0) - (b.position || 0));
+    for (const { book_id: bookId, author_id: authorId, role } of sorted) {
+        const author = authorsById.get(authorId);
+        if (!author) continue;
+        contributorsByBook.set(bookId, [
+            ...(contributorsByBook.get(bookId) || []),
+            { name: author.name, role, sort_name: author.sort_name || null }
+        ]);
+    }
+    return contributorsByBook;
+};
+
+// Restore the shelves of existing users. A backed-up shelf is matched by id, default shelves
+// by kind and lists by name; missing books and shares are added to the matched shelf.
+const restoreShelves = async (shelves, shelfBooks, shelfShares, result) => {
+    const shelfIds = new Map();
+    for (const shelf of shelves) {
+        if (!shelf.id || !shelf.name || !await database.getUserById(shelf.user_id)) continue;
+
+        const existing = await database.findUserShelf(shelf.user_id, shelf);
+        if (existing) {
+            shelfIds.set(shelf.id, existing.id);
+            continue;
+        }
+
+        const idTaken = await database.getShelfForUser(shelf.id, null);
+        const created = await database.createShelf({
+            id: idTaken ? undefined : shelf.id,
+            userId: shelf.user_id,
+            name: shelf.name,
+            description: shelf.description || null,
+            kind: shelf.kind || null
+        });
+        if (shelf.share_token && !await database.getShelfByShareToken(shelf.share_token)) {
+            await database.setShelfShareToken(created.id, shelf.share_token);
+        }
+        shelfIds.set(shelf.id, created.id);
+        result.restored_shelves++;
+    }
+
+    const booksByShelf = new Map();
+    for (const entry of [...shelfBooks].sort((a, b) => (a.position || 0) - (b.position || 0))) {
+        if (!shelfIds.has(entry.shelf_id)) continue;
+        booksByShelf.set(entry.shelf_id, [...(booksByShelf.get(entry.shelf_id) || []), entry.book_id]);
+    }
+    for (const [shelfId, bookIds] of booksByShelf) {
+        const { books } = await database.getBooks({ book_ids: bookIds });
+        const existingIds = new Set(books.map(book => book.id));
+        await database.addBooksToShelf(shelfIds.get(shelfId), bookIds.filter(id => existingIds.has(id)));
+    }
+
+    for (const share of shelfShares) {
+        if (!shelfIds.has(share.shelf_id) || !await database.getUserById(share.user_id)) continue;
+        await database.addShelfShare(shelfIds.get(share.shelf_id), share.user_id);
+    }
+};
+
+// Restore user accounts that do not exist yet. Existing accounts are only
+// overwritten when everything is replaced, and never the account running the restore.
+const restoreUsers = async (users, overwrite, restoredBy, result) => {
+    for (const user of users) {
+        if (!user.id || !user.username || !user.email || !user.password) continue;
+
+        const existing = await database.getUserById(user.id);
+        const nameTaken = await database.findUserByUsernameOrEmail(user.username, user.email);
+
+        if (existing && overwrite && user.id !== restoredBy && (!nameTaken || nameTaken.id === user.id)) {
+            await database.updateUserPassword(user.id, user.password, user.last_password_change || null);
+            await database.updateUser(user.id, {
+                username: user.username,
+                email: user.email,
+                role: user.role === 'admin' ? 'admin' : 'user',
+                is_active: user.is_active === 0 ? 0 : 1,
+                must_change_password: user.must_change_password ? 1 : 0
+            });
+            await database.invalidateUserSessions(user.id);
+            result.restored_users++;
+            continue;
+        }
+
+        if (existing || nameTaken) {
+            result.conflicts.push({ user: user.username, reason: 'Benutzer existiert bereits' });
+            continue;
+        }
+
+        await database.createUser({
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            password: user.password,
+            role: user.role === 'admin' ? 'admin' : 'user',
+            must_change_password: user.must_change_password ? 1 : 0,
+            is_active: user.is_active === 0 ? 0 : 1,
+            last_password_change: user.last_password_change || null
+        });
+        result.restored_users++;
+    }
+};
+
+// Map the category of a backed-up book, creating it unless existing categories are preserved
+const resolveCategory = async (book, { preserveCategories, categoryIds, categoryCache }, result) => {
+    if (categoryIds.has(book.category_id)) return categoryIds.get(book.category_id);
+    if (!book.category_name) return null;
+
+    const key = book.category_name.toLowerCase();
+    if (!categoryCache.has(key)) {
+        let category = await database.getCategoryByName(book.category_name);
+        if (!category && !preserveCategories) {
+            category = await database.createCategory({ name: book.category_name, description: '' });
+            result.restored_categories++;
+        }
+        categoryCache.set(key, category ? category.id : null);
+    }
+    return categoryCache.get(key);
+};
+
+// Extract the cover of a book if the backup contains it
+const stageCover = async (version, coverImage, entries, stagingDir) => {
+    if (!coverImage) return null;
+    const entry = takeEntry(entries, coverEntryPath(version, coverImage));
+    if (!entry) return null;
+
+    const storedName = uniqueUploadName(path.extname(coverImage).toLowerCase() || '.jpg');
+    await extractEntry(entry, path.join(stagingDir, storedName));
+    return storedName;
+};
+
+// Extract the additional formats of a book (every file besides the primary one)
+const stageBookFormats = async (book, bookFormats, entries, stagingDir, result) => {
+    const staged = [];
+    for (const file of bookFormats || []) {
+        if (file.book_id !== book.id || file.filepath === book.filepath) continue;
+
+        const entry = takeEntry(entries, `uploads/${path.basename(file.filepath)}`);
+        if (!entry) {
+            result.skipped_files.push({ title: book.title, filename: file.filename, reason: 'Datei fehlt im Backup' });
+            continue;
+        }
+
+        const storedName = uniqueUploadName(path.extname(file.filename).toLowerCase());
+        await extractEntry(entry, path.join(stagingDir, storedName));
+        staged.push({ file, storedName });
+    }
+    return staged;
+};
+
+/**
+ * Restore a backup ZIP.
+ *
+ * Options:
+ * - replaceAll: remove all existing books before restoring and overwrite
+ *   settings, translations and accounts from the backup; otherwise books
+ *   whose id already exists are reported as conflicts and left untouched
+ * - preserveUsers: keep the current user accounts and do not add users from the backup
+ * - preserveCategories: keep the existing categories and do not create new ones
+ */
+const restoreBackup = async (zipPath, options) => {
+    const { uploadDir, restoredBy, replaceAll = false, preserveUsers = true, preserveCategories = false } = options;
+
+    let directory;
+    try {
+        directory = await unzipper.Open.file(zipPath);
+    } catch (error) {
+        throw restoreError('Backup-Datei ist kein gültiges ZIP-Archiv');
+    }
+
+    const data = await readBackupData(directory);
+    const version = String(data.version);
+    const entries = indexEntries(directory);
+
+    const result = {
+        backup_version: version,
+        backup_created_at: data.created_at || null,
+        restored_books: 0,
+        restored_categories: 0,
+        restored_series: 0,
+        restored_tags: 0,
+        restored_authors: 0,
+        restored_users: 0,
+        restored_share_links: 0,
+        restored_reading_progress: 0,
+        restored_shelves: 0,
+        restored_reviews: 0,
+        conflicts: [],
+        skipped_files: []
+    };
+
+    // Extract book files to a staging folder first so a failed restore leaves uploads untouched
+    await fs.ensureDir(uploadDir);
+    const stagingDir = path.join(uploadDir, `.restore-${Date.now()}`);
+    await fs.ensureDir(stagingDir);
+
+    const stagedBooks = [];
+    try {
+        for (const book of data.books) {
+            if (!book.id || !book.title || !book.filename) {
+                result.skipped_files.push({ title: book.title || null, filename: book.filename || null, reason: 'Unvollständiger Eintrag' });
+                continue;
+            }
+
+            const entryPath = bookEntryPath(version, book);
+            const entry = entryPath ? takeEntry(entries, entryPath) : null;
+            if (!entry) {
+                result.skipped_files.push({ title: book.title, filename: book.filename, reason: 'Datei fehlt im Backup' });
+                continue;
+            }
+
+            const storedName = uniqueUploadName(path.extname(book.filename).toLowerCase());
+            await extractEntry(entry, path.join(stagingDir, storedName));
+            const coverName = await stageCover(version, book.cover_image, entries, stagingDir);
+            const formats = await stageBookFormats(book, data.book_formats, entries, stagingDir, result);
+            stagedBooks.push({ book, storedName, coverName, formats });
+        }
+
+        const stagedSeries = [];
+        for (const series of data.series || []) {
+            if (!series.name) continue;
+            stagedSeries.push({ series, coverName: await stageCover(version, series.cover_image, entries, stagingDir) });
+        }
+
+        let seriesCovers = { usedCovers: [], replacedCovers: [] };
+
+        const removedBooks = await database.transaction(async () => {
+            const removed = replaceAll ? await database.deleteAllBooks() : [];
+            const userCache = new Map();
+            const categoryCache = new Map();
+            let categoryIds = new Map();
+
+            if (!preserveUsers && Array.isArray(data.users)) {
+                await restoreUsers(data.users, replaceAll, restoredBy, result);
+            }
+
+            if (!preserveCategories && Array.isArray(data.categories)) {
+                categoryIds = await restoreCategories(data.categories, replaceAll, result);
+
+                for (const translation of data.category_translations || []) {
+                    if (categoryIds.has(translation.category_id)) {
+                        await database.restoreCategoryTranslation(categoryIds.get(translation.category_id), translation, replaceAll);
+                    }
+                }
+            }
+
+            for (const translation of data.translations || []) {
+                await database.restoreTranslation(translation, replaceAll);
+            }
+            for (const setting of data.system_settings || []) {
+                await database.restoreSystemSetting(setting, replaceAll);
+            }
+
+            seriesCovers = await restoreSeries(stagedSeries, replaceAll, result);
+            const bookTagNames = await restoreTags(data.tags || [], data.book_tags || [], result);
+            const bookContributors = await restoreAuthors(data.authors || [], data.book_contributors || [], result);
+
+            const restoredBookIds = new Set();
+            for (const { book, storedName, coverName, formats } of stagedBooks) {
+                if (!replaceAll && await database.getBookById(book.id)) {
+                    result.conflicts.push({ id: book.id, title: book.title, reason: 'Buch existiert bereits' });
+                    continue;
+                }
+
+                const stats = await fs.stat(path.join(stagingDir, storedName));
+                const uploadedBy = await resolveUploader(book, restoredBy, userCache);
+                await database.createBook({
+                    id: book.id,
+                    title: book.title,
+                    author: book.author || 'Unbekannt',
+                    contributors: bookContributors.get(book.id),
+                    description: book.description || '',
+                    type: book.type || 'book',
+                    category_id: await resolveCategory(book, { preserveCategories, categoryIds, categoryCache }, result),
+                    filename: book.filename,
+                    filepath: path.join(uploadDir, storedName),
+                    file_size: stats.size,
+                    cover_image: coverName ? `/uploads/${coverName}` : null,
+                    uploaded_by: uploadedBy,
+                    isbn: book.isbn,
+                    isbn_10: book.isbn_10,
+                    isbn_13: book.isbn_13,
+                    series: book.series,
+                    series_index: book.series_index,
+                    calibre_uuid: book.calibre_uuid,
+                    publisher: book.publisher,
+                    published_date: book.published_date,
+                    edition: book.edition,
+                    subjects: book.subjects,
+                    tags: bookTagNames.get(book.id),
+                    language: book.language,
+                    page_count: book.page_count,
+                    format: book.format,
+                    download_count: book.download_count,
+                    upload_date: book.upload_date
+                });
+                for (const { file, storedName: formatName } of formats) {
+                    const formatStats = await fs.stat(path.join(stagingDir, formatName));
+                    await database.addBookFormat(book.id, {
+                        format: file.format,
+                        filename: file.filename,
+                        filepath: path.join(uploadDir, formatName),
+                        file_size: formatStats.size,
+                        uploaded_by: uploadedBy,
+                        created_at: file.created_at
+                    });
+                }
+                restoredBookIds.add(book.id);
+                result.restored_books++;
+            }
+
+            for (const link of data.share_links || []) {
+                if (!restoredBookIds.has(link.book_id)) continue;
+
+                const creator = link.created_by ? await database.getUserById(link.created_by) : null;
+                if (await database.restoreShareLink({ ...link, created_by: creator ? creator.id : null })) {
+                    result.restored_share_links++;
+                }
+            }
+
+            for (const progress of data.reading_progress || []) {
+                if (!restoredBookIds.has(progress.book_id) || !await database.getUserById(progress.user_id)) continue;
+
+                if (await database.restoreReadingProgress(progress)) {
+                    result.restored_reading_progress++;
+                }
+            }
+
+            for (const review of data.book_reviews || []) {
+                if (!restoredBookIds.has(review.book_id) || !await database.getUserById(review.user_id)) continue;
+
+                if (await database.restoreBookReview(review)) {
+                    result.restored_reviews++;
+                }
+            }
+
+            await restoreShelves(data.shelves || [], data.shelf_books || [], data.shelf_shares || [], result);
+
+            return removed;
+        });
+
+        // Move restored files into place (conflicting books keep their existing files)
+        const conflictIds = new Set(result.conflicts.map(conflict => conflict.id));
+        for (const { book, storedName, coverName, formats } of stagedBooks) {
+            if (conflictIds.has(book.id)) continue;
+            await fs.move(path.join(stagingDir, storedName), path.join(uploadDir, storedName));
+            if (coverName) {
+                await fs.move(path.join(stagingDir, coverName), path.join(uploadDir, coverName));
+            }
+            for (const { storedName: formatName } of formats) {
+                await fs.move(path.join(stagingDir, formatName), path.join(uploadDir, formatName));
+            }
+        }
+
+        for (const coverName of seriesCovers.usedCovers) {
+            await fs.move(path.join(stagingDir, coverName), path.join(uploadDir, coverName));
+        }
+
+        // Remove the files of replaced books and series covers
+        for (const book of removedBooks) {
+            for (const file of book.files) {
+                fs.remove(file.filepath).catch(console.error);
+            }
+            if (book.cover_image) {
+                fs.remove(path.join(uploadDir, path.basename(book.cover_image))).catch(console.error);
+            }
+        }
+        for (const coverImage of seriesCovers.replacedCovers) {
+            fs.remove(path.join(uploadDir, path.basename(coverImage))).catch(console.error);
+        }
+    } finally {
+        await fs.remove(stagingDir).catch(console.error);
+    }
+
+    return result;
+};
+
+module.exports = {
+    BACKUP_VERSION,
+    SUPPORTED_BACKUP_VERSIONS,
+    createBackup,
+    readBackupInfo,
+    restoreBackup
+};
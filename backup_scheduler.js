@@ -0,0 +1,231 @@
+// backup_scheduler.js - Scheduled backups with daily/weekly/monthly retention
+const path = require('path');
+const fs = require('fs-extra');
+
+const database = require('./database');
+const { createBackup } = require('./backup_manager');
+
+// Scheduled archives use their own prefix so retention never touches manual backups
+const AUTO_BACKUP_PREFIX = 'backup-auto';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// system_settings keys and their defaults
+const SCHEDULE_SETTINGS = {
+    backup_schedule_enabled: 'false',
+    backup_schedule_frequency: 'daily',
+    backup_schedule_time: '02:00',
+    backup_schedule_weekday: '0',
+    backup_keep_daily: '7',
+    backup_keep_weekly: '4',
+    backup_keep_monthly: '6'
+};
+
+let running = false;
+
+// SQLite datetime('now') values are UTC without a zone designator
+const parseSqliteDate = (value) => {
+    if (!value) return null;
+    return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+};
+
+const getSchedule = async () => {
+    const settings = await database.getSystemSettings();
+    const value = (key) => settings[key]?.setting_value ?? SCHEDULE_SETTINGS[key];
+    const [hours, minutes] = value('backup_schedule_time').split(':').map(Number);
+
+    return {
+        enabled: value('backup_schedule_enabled') === 'true',
+        enabledSince: parseSqliteDate(settings.backup_schedule_enabled?.updated_at),
+        frequency: value('backup_schedule_frequency') === 'weekly' ? 'weekly' : 'daily',
+        hours: hours || 0,
+        minutes: minutes || 0,
+        weekday: Number(value('backup_schedule_weekday')) || 0,
+        keepDaily: Number(value('backup_keep_daily')) || 0,
+        keepWeekly: Number(value('backup_keep_weekly')) || 0,
+        keepMonthly: Number(value('backup_keep_monthly')) || 0
+    };
+};
+
+// Most recent scheduled time at or before `now` (server local time)
+const getPreviousSlot = (schedule, now = new Date()) => {
+    const slot = new Date(now);
+    slot.setHours(schedule.hours, schedule.minutes, 0, 0);
+
+    if (schedule.frequency === 'weekly') {
+        slot.setDate(slot.getDate() - ((slot.getDay() - schedule.weekday + 7) % 7));
+        if (slot > now) slot.setDate(slot.getDate() - 7);
+    } else if (slot > now) {
+        slot.setDate(slot.getDate() - 1);
+    }
+
+    return slot;
+};
+
+const getNextSlot = (schedule, now = new Date()) => {
+    const slot = getPreviousSlot(schedule, now);
+    slot.setDate(slot.getDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    return slot;
+};
+
+// Timestamp encoded in the archive name, e.g. backup-auto-2024-01-31T02-00-00-000Z.zip
+const getArchiveDate = (filename, backupDir) => {
+    const match = filename.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.zip$/);
+    if (match) {
+        return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+    }
+    return fs.statSync(path.join(backupDir, filename)).mtime;
+};
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+const monthKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}`;
+
+// ISO 8601 week, so weeks spanning new year are counted once
+const weekKey = (date) => {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+    return `${thursday.getFullYear()}-W${week}`;
+};
+
+/**
+ * Delete scheduled backups that fall outside the retention policy.
+ * The newest archive of each of the last N days, weeks and months is kept;
+ * the newest archive overall is always kept.
+ */
+const pruneAutoBackups = async (backupDir, schedule) => {
+    if (!await fs.pathExists(backupDir)) return [];
+
+    const archives = (await fs.readdir(backupDir))
+        .filter(file => file.startsWith(`${AUTO_BACKUP_PREFIX}-`) && file.endsWith('.zip'))
+        .map(file => ({ file, date: getArchiveDate(file, backupDir) }))
+        .sort((a, b) => b.date - a.date);
+
+    const keep = new Set(archives.slice(0, 1).map(archive => archive.file));
+    const policies = [
+        [dayKey, schedule.keepDaily],
+        [weekKey, schedule.keepWeekly],
+        [monthKey, schedule.keepMonthly]
+    ];
+
+    for (const [bucketKey, count] of policies) {
+        const buckets = new Set();
+        for (const archive of archives) {
+            if (buckets.size >= count) break;
+            const key = bucketKey(archive.date);
+            if (!buckets.has(key)) {
+                buckets.add(key);
+                keep.add(archive.file);
+            }
+        }
+    }
+
+    const removed = archives.filter(archive => !keep.has(archive.file)).map(archive => archive.file);
+    for (const file of removed) {
+        await fs.remove(path.join(backupDir, file));
+    }
+    return removed;
+};
+
+/**
+ * Run a backup and record it in backup_runs. Scheduled runs are pruned
+ * afterwards according to the retention settings.
+ */
+const runBackup = async ({ backupDir, uploadDir, triggerType = 'manual' }) => {
+    const runId = await database.createBackupRun(triggerType);
+
+    try {
+        const { filename, manifest } = await createBackup({
+            backupDir,
+            uploadDir,
+            prefix: triggerType === 'scheduled' ? AUTO_BACKUP_PREFIX : 'backup'
+        });
+        const stats = await fs.stat(path.join(backupDir, filename));
+
+        await database.finishBackupRun(runId, {
+            status: 'success',
+            filename,
+            file_size: stats.size,
+            books_count: manifest.contents.books
+        });
+
+        let pruned = [];
+        if (triggerType === 'scheduled') {
+            pruned = await pruneAutoBackups(backupDir, await getSchedule());
+            if (pruned.length > 0) {
+                console.log(`🗑️  ${pruned.length} alte automatische Backups entfernt`);
+            }
+        }
+
+        return { filename, manifest, pruned };
+    } catch (error) {
+        await database.finishBackupRun(runId, { status: 'failed', error: error.message }).catch(console.error);
+        throw error;
+    }
+};
+
+// Run a scheduled backup if a slot has passed since the last scheduled run
+const checkSchedule = async (options) => {
+    if (running) return;
+
+    const schedule = await getSchedule();
+    if (!schedule.enabled) return;
+
+    const slot = getPreviousSlot(schedule);
+    const lastRun = await database.getLastBackupRun({ triggerType: 'scheduled' });
+    const reference = lastRun ? new Date(lastRun.started_at) : schedule.enabledSince;
+    if (reference && reference >= slot) return;
+
+    running = true;
+    try {
+        console.log('💾 Starte automatisches Backup...');
+        const { filename } = await runBackup({ ...options, triggerType: 'scheduled' });
+        console.log(`✅ Automatisches Backup erstellt: ${filename}`);
+    } catch (error) {
+        console.error('Automatic backup failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+const getBackupStatus = async () => {
+    const schedule = await getSchedule();
+    const lastRun = await database.getLastBackupRun();
+
+    return {
+        schedule: {
+            enabled: schedule.enabled,
+            frequency: schedule.frequency,
+            time: `${String(schedule.hours).padStart(2, '0')}:${String(schedule.minutes).padStart(2, '0')}`,
+            weekday: schedule.weekday,
+            keep_daily: schedule.keepDaily,
+            keep_weekly: schedule.keepWeekly,
+            keep_monthly: schedule.keepMonthly
+        },
+        next_run: schedule.enabled ? getNextSlot(schedule).toISOString() : null,
+        last_run: lastRun || null,
+        last_success: await database.getLastBackupRun({ status: 'success' }) || null,
+        failing: lastRun?.status === 'failed',
+        recent_runs: await database.getRecentBackupRuns(10)
+    };
+};
+
+const startBackupScheduler = (options) => {
+    database.failInterruptedBackupRuns().catch(console.error);
+
+    const timer = setInterval(() => {
+        checkSchedule(options).catch(error => console.error('Backup scheduler error:', error));
+    }, CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    SCHEDULE_SETTINGS,
+    getBackupStatus,
+    pruneAutoBackups,
+    runBackup,
+    startBackupScheduler
+};
@@ -0,0 +1,198 @@
+// book_authors.js - Authors and contributors: splitting author strings, sort names, roles and duplicate detection
+
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'translator', 'illustrator'];
+// MARC relator codes used by EPUB (opf:role / EPUB 3 refinements)
+const MARC_ROLES = { aut: 'author', edt: 'editor', trl: 'translator', ill: 'illustrator' };
+const UNKNOWN_AUTHOR = 'Unbekannt';
+const MAX_NAME_LENGTH = 255;
+const MAX_CONTRIBUTORS = 50;
+
+const authorError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const cleanName = (value) => String(value).trim().replace(/\s+/g, ' ');
+
+const isPlaceholder = (name) => ['unbekannt', 'unknown'].includes(name.toLowerCase());
+
+// "J. R. R." or "J.K." - the given names of an inverted name like "Tolkien, J. R. R."
+const isInitials = (part) => /^(\p{Lu}\.\s*)+$/u.test(part);
+
+const isNameSuffix = (part) => /^(jr\.?|sr\.?|[IVX]+)$/i.test(part);
+
+// Unique names (case-insensitive), in the order given
+const uniqueNames = (names) => {
+    const seen = new Set();
+    return names.filter(name => {
+        if (!name || seen.has(name.toLowerCase())) return false;
+        seen.add(name.toLowerCase());
+        return true;
+    });
+};
+
+// A name appears once per role
+const uniqueContributors = (contributors) => {
+    const seen = new Set();
+    return contributors.filter(contributor => {
+        const key = `${contributor.role}:${contributor.name.toLowerCase()}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+// Names in one segment between ";", "&" or "and": a single comma inverts a name
+// ("Herbert, Frank", also "King, Martin Luther, Jr."); three or more parts are a
+// list ("Smith, Jones, Miller") in which initials belong to the name before them
+const namesFromSegment = (segment) => {
+    const parts = segment.split(',').map(cleanName);
+    if (parts.length === 2 && parts.every(Boolean)) {
+        return [`${parts[1]} ${parts[0]}`];
+    }
+    if (parts.length === 3 && parts.every(Boolean) && isNameSuffix(parts[2])) {
+        return [`${parts[1]} ${parts[0]} ${parts[2]}`];
+    }
+    if (parts.length <= 2) return parts;
+
+    return parts.reduce((names, part) => {
+        if (part && isInitials(part) && names.length > 0) {
+            names.push(`${part} ${names.pop()}`);
+        } else {
+            names.push(part);
+        }
+        return names;
+    }, []);
+};
+
+/**
+ * Names from an author string as stored in books.author or typed in a form:
+ * "Herbert, Frank; Doe, Jane", "Terry Pratchett & Neil Gaiman", "Preston und
+ * Child". Inverted names are turned around ("Tolkien, J. R. R." becomes
+ * "J. R. R. Tolkien"); placeholders like "Unbekannt" are dropped.
+ */
+const splitAuthorNames = (value) => {
+    const names = (Array.isArray(value) ? value : [value])
+        .filter(item => typeof item === 'string')
+        .flatMap(item => item.split(/\s*(?:;|&|\s(?:and|und)\s)\s*/i))
+        .flatMap(namesFromSegment)
+        .filter(name => name && !isPlaceholder(name) && name.length <= MAX_NAME_LENGTH);
+    return uniqueNames(names);
+};
+
+// Separator of the names in books.author; unlike a comma it never occurs within a name
+const AUTHOR_SEPARATOR = '; ';
+
+// "Frank Herbert" -> "Herbert, Frank"; suffixes stay at the end ("King, Martin Luther, Jr.").
+// Names that already contain a comma ("Herbert, Frank", e.g. typed into a contributor list) are taken as sort names.
+const sortNameFor = (name) => {
+    if (cleanName(name).includes(',')) return cleanName(name);
+    const words = cleanName(name).split(' ');
+    const suffix = words.length > 2 && isNameSuffix(words[words.length - 1]) ? words.pop() : null;
+    if (words.length < 2) return [words[0], suffix].filter(Boolean).join(', ');
+    const lastName = words.pop();
+    return [lastName, words.join(' '), suffix].filter(Boolean).join(', ');
+};
+
+// Comparison key for duplicates: "Tolkien, J.R.R.", "J. R. R. Tolkien" and "J.R.R. TOLKIEN" share one
+const authorKey = (name) => String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .sort()
+    .join(' ');
+
+// A single author name (create or rename); invalid names throw with statusCode 400
+const parseAuthorName = (value) => {
+    const name = typeof value === 'string' ? cleanName(value) : '';
+    if (!name) {
+        throw authorError('Name des Autors ist erforderlich');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        throw authorError(`Name ist zu lang (max. ${MAX_NAME_LENGTH} Zeichen)`);
+    }
+    return name;
+};
+
+// Optional sort name; empty values mean "derive it from the name"
+const parseSortName = (value) => {
+    if (value === undefined) return undefined;
+    const sortName = typeof value === 'string' ? cleanName(value) : '';
+    if (sortName.length > MAX_NAME_LENGTH) {
+        throw authorError(`Sortiername ist zu lang (max. ${MAX_NAME_LENGTH} Zeichen)`);
+    }
+    return sortName || null;
+};
+
+const parseJsonText = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+const parseRole = (value) => {
+    const role = value === undefined || value === null || value === '' ? 'author' : value;
+    if (!CONTRIBUTOR_ROLES.includes(role)) {
+        throw authorError(`Ungültige Rolle (erlaubt: ${CONTRIBUTOR_ROLES.join(', ')})`);
+    }
+    return role;
+};
+
+/**
+ * Contributors of a book from a request: a list of { name, role, sort_name }
+ * (role defaults to "author"), or its JSON text in multipart forms; plain
+ * strings are authors. A name may appear once per role. Invalid entries
+ * throw with statusCode 400.
+ */
+const parseContributors = (value) => {
+    const list = typeof value === 'string' ? parseJsonText(value) : value;
+    if (!Array.isArray(list)) {
+        throw authorError('Mitwirkende müssen eine Liste sein');
+    }
+    if (list.length > MAX_CONTRIBUTORS) {
+        throw authorError(`Zu viele Mitwirkende (max. ${MAX_CONTRIBUTORS})`);
+    }
+
+    return uniqueContributors(list
+        .map(item => (typeof item === 'string' ? { name: item } : item))
+        .filter(item => item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim())
+        .map(item => ({
+            name: parseAuthorName(item.name),
+            role: parseRole(item.role),
+            sort_name: parseSortName(item.sort_name) || null
+        })));
+};
+
+// Authors of an author string as contributors
+const contributorsFromAuthors = (value) => splitAuthorNames(value).map(name => ({ name, role: 'author', sort_name: null }));
+
+// Contributors from file metadata ({ name, role } with MARC or plain roles); unknown roles are skipped
+const contributorsFromMetadata = (contributors) => uniqueContributors((Array.isArray(contributors) ? contributors : [])
+    .map(item => ({
+        names: splitAuthorNames(item?.name),
+        role: MARC_ROLES[item?.role] || (CONTRIBUTOR_ROLES.includes(item?.role) ? item.role : null)
+    }))
+    .filter(item => item.role)
+    .flatMap(({ names, role }) => names.map(name => ({ name, role, sort_name: null }))))
+    .slice(0, MAX_CONTRIBUTORS);
+
+module.exports = {
+    CONTRIBUTOR_ROLES,
+    UNKNOWN_AUTHOR,
+    AUTHOR_SEPARATOR,
+    splitAuthorNames,
+    sortNameFor,
+    authorKey,
+    parseAuthorName,
+    parseSortName,
+    parseRole,
+    parseContributors,
+    contributorsFromAuthors,
+    contributorsFromMetadata
+};
@@ -0,0 +1,237 @@
+// book_content.js - Full-text index of book contents (EPUB chapters, PDF pages) and content search
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+
+const database = require('./database');
+const { getEpubInfo, readEpubResource } = require('./epub_reader');
+const { htmlToText } = require('./text_utils');
+const { enqueueJob } = require('./job_queue');
+
+const execFileAsync = promisify(execFile);
+
+const CONTENT_INDEX_JOB = 'content_index';
+const CONTENT_REINDEX_JOB = 'content_reindex';
+
+// Formats whose text is indexed, in order of preference (the reader prefers EPUB as well)
+const INDEXABLE_FORMATS = ['epub', 'pdf'];
+
+const EXTRACT_TIMEOUT = 2 * 60 * 1000;
+const MAX_PDF_TEXT = 64 * 1024 * 1024;
+
+// Snippet delimiters; control characters cannot occur in the indexed text
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+let pdftotextMissing = false;
+
+const contentError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const isIndexableFormat = (format) => INDEXABLE_FORMATS.includes(format);
+
+const collapseWhitespace = (text) => text.replace(/[\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Chapter documents are XHTML: drop head, scripts and styles, keep block boundaries
+const xhtmlToText = (xhtml) => {
+    const body = xhtml
+        .replace(/<head[\s\S]*?<\/head>/i, '')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<\/(div|h[1-6]|li|tr|blockquote|section)>/gi, '\n');
+
+    return collapseWhitespace(htmlToText(body)
+        .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code))));
+};
+
+// Table of contents label for each chapter; chapters without an entry belong to the one before
+const chapterLabels = (spine, toc) => {
+    const labels = new Map();
+    const collect = (items) => {
+        for (const item of items) {
+            if (item.href && item.label && !labels.has(item.href)) labels.set(item.href, item.label);
+            collect(item.children || []);
+        }
+    };
+    collect(toc);
+
+    let current = null;
+    return spine.map(item => {
+        current = labels.get(item.href) || current;
+        return current;
+    });
+};
+
+// One section per spine item; chapter is the spine index the reader uses
+const extractEpubSections = async (filepath) => {
+    const { spine, toc } = await getEpubInfo(filepath);
+    const labels = chapterLabels(spine, toc);
+
+    const sections = [];
+    for (const [index, item] of spine.entries()) {
+        const resource = await readEpubResource(filepath, item.href);
+        if (!resource || !/html/.test(resource.mediaType)) continue;
+
+        const content = xhtmlToText(resource.data.toString('utf8'));
+        if (content) {
+            sections.push({ chapter: index, page: null, label: labels[index], content });
+        }
+    }
+    return sections;
+};
+
+/**
+ * One section per page, extracted with pdftotext from poppler-utils (pages
+ * are separated by form feeds). Returns null if pdftotext is not installed.
+ */
+const extractPdfSections = async (filepath) => {
+    if (pdftotextMissing) return null;
+
+    let stdout;
+    try {
+        ({ stdout } = await execFileAsync('pdftotext', ['-enc', 'UTF-8', filepath, '-'], {
+            timeout: EXTRACT_TIMEOUT,
+            maxBuffer: MAX_PDF_TEXT
+        }));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            pdftotextMissing = true;
+            console.warn('⚠️ pdftotext nicht gefunden - PDF-Inhalte werden nicht indiziert (poppler-utils installieren)');
+            return null;
+        }
+        throw contentError('Text der PDF-Datei konnte nicht gelesen werden', 422);
+    }
+
+    return stdout.split('\f')
+        .map((text, index) => ({ chapter: null, page: index + 1, label: null, content: collapseWhitespace(text) }))
+        .filter(section => section.content);
+};
+
+const extractSections = (file) => {
+    return file.format === 'epub' ? extractEpubSections(file.filepath) : extractPdfSections(file.filepath);
+};
+
+// The file whose text is indexed: the first indexable format the book has
+const chooseIndexSource = (files) => {
+    for (const format of INDEXABLE_FORMATS) {
+        const file = files.find(item => item.format === format);
+        if (file) return file;
+    }
+    return null;
+};
+
+/**
+ * Replace the indexed text of a book. Books without an EPUB or PDF (or whose
+ * text cannot be extracted) end up without content in the index. If the
+ * extractor is not installed, the book is left unindexed so that a later
+ * reindex picks it up.
+ */
+const indexBook = async (bookId) => {
+    const source = chooseIndexSource(await database.getBookFormats(bookId));
+    if (!source || !await fs.pathExists(source.filepath)) {
+        await database.replaceBookContent(bookId, null, []);
+        return { format: null, sections: 0 };
+    }
+
+    const sections = await extractSections(source);
+    await database.replaceBookContent(bookId, source.format, sections);
+    return { format: source.format, sections: sections ? sections.length : 0 };
+};
+
+// Job handler: index the book of the job
+const runContentIndex = async (payload, { job }) => {
+    if (!await database.getBookById(job.book_id)) {
+        throw contentError('Buch nicht gefunden', 404);
+    }
+    return await indexBook(job.book_id);
+};
+
+// Job handler: index every book again (or only books never indexed); books that fail are counted and skipped
+const runContentReindex = async ({ unindexed_only: unindexedOnly = false }, { setProgress }) => {
+    const bookIds = await database.getAllBookIds({ unindexedOnly });
+    let indexed = 0;
+    let failed = 0;
+
+    for (const [index, bookId] of bookIds.entries()) {
+        try {
+            const { sections } = await indexBook(bookId);
+            if (sections > 0) indexed++;
+        } catch (error) {
+            failed++;
+            console.warn(`Inhalt von Buch ${bookId} konnte nicht indiziert werden:`, error.message);
+        }
+        setProgress(((index + 1) / bookIds.length) * 100);
+    }
+
+    return { books: bookIds.length, indexed, failed };
+};
+
+// Queue (re-)indexing of a book after its files changed
+const enqueueContentIndex = (bookId, createdBy = null) => {
+    return enqueueJob(CONTENT_INDEX_JOB, {}, { bookId, createdBy }).catch((error) => {
+        console.error('Error queueing content index:', error);
+        return null;
+    });
+};
+
+/**
+ * FTS5 query for user input: every word (or "quoted phrase") must occur,
+ * the last word may be a prefix. Operators and syntax are not passed through.
+ */
+const toFtsQuery = (search) => {
+    const terms = (search.match(/"[^"]*"|[^\s"]+/g) || [])
+        .map(term => term.replace(/"/g, '').trim())
+        .filter(Boolean);
+    if (terms.length === 0) return null;
+
+    return terms
+        .map((term, index) => {
+            const quoted = `"${term}"`;
+            const isPrefix = index === terms.length - 1 && !/\s/.test(term) && !search.trim().endsWith('"');
+            return isPrefix ? `${quoted}*` : quoted;
+        })
+        .join(' ');
+};
+
+// Split a snippet into plain and matching parts: [{ text, match }]
+const splitSnippet = (snippet) => {
+    const parts = [];
+    for (const [index, text] of snippet.split(new RegExp(`[${MATCH_START}${MATCH_END}]`)).entries()) {
+        if (text) parts.push({ text, match: index % 2 === 1 });
+    }
+    return parts;
+};
+
+/**
+ * Books whose content matches search, best matches first, each with its
+ * number of matching sections and the best hits (chapter or page, label and
+ * snippet parts).
+ */
+const searchContent = async ({ search, limit, offset }) => {
+    const query = toFtsQuery(search);
+    if (!query) {
+        throw contentError('Suchbegriff ist erforderlich', 400);
+    }
+
+    const result = await database.searchBookContent({ query, limit, offset, highlight: [MATCH_START, MATCH_END] });
+    return {
+        total: result.total,
+        books: result.books.map(book => ({
+            ...book,
+            hits: book.hits.map(({ snippet, ...hit }) => ({ ...hit, snippet: splitSnippet(snippet) }))
+        }))
+    };
+};
+
+module.exports = {
+    CONTENT_INDEX_JOB,
+    CONTENT_REINDEX_JOB,
+    isIndexableFormat,
+    runContentIndex,
+    runContentReindex,
+    enqueueContentIndex,
+    searchContent
+};
@@ -0,0 +1,118 @@
+// book_conversion.js - Convert a book into another format as a background job and store the result as a book format
+const path = require('path');
+const fs = require('fs-extra');
+
+const database = require('./database');
+const { getFormatById } = require('./book_formats');
+const { findConverter, chooseSource, convertFile } = require('./format_converter');
+const { enqueueJob } = require('./job_queue');
+const { isIndexableFormat, enqueueContentIndex } = require('./book_content');
+
+const CONVERSION_JOB = 'book_conversion';
+
+const jobError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const uniqueUploadName = (extension) => {
+    return `${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+};
+
+// Converted files are named after the source file, e.g. "Dune.epub" -> "Dune.pdf"
+const convertedFilename = (sourceFilename, targetFormat) => {
+    const baseName = path.basename(sourceFilename, path.extname(sourceFilename));
+    return `${baseName}${targetFormat.extensions[0]}`;
+};
+
+/**
+ * Job handler: convert the source file of payload into the target format and
+ * add it to the book. The converter is looked up again when the job runs.
+ */
+const runConversion = async ({ source_format, target_format }, { job, setProgress }, { uploadDir }) => {
+    const targetFormat = getFormatById(target_format);
+    const source = await database.getBookFormat(job.book_id, source_format);
+    if (!source || !await fs.pathExists(source.filepath)) {
+        throw jobError('Quelldatei nicht gefunden', 404);
+    }
+    if (await database.getBookFormat(job.book_id, target_format)) {
+        throw jobError(`Das Buch ist bereits als ${targetFormat.label} vorhanden`, 409);
+    }
+
+    const converter = await findConverter(source_format, target_format);
+    if (!converter) {
+        throw jobError('Kein Konverter für diese Konvertierung verfügbar', 422);
+    }
+
+    await fs.ensureDir(uploadDir);
+    const outputPath = path.join(uploadDir, uniqueUploadName(targetFormat.extensions[0]));
+    try {
+        const stats = await convertFile(converter, source.filepath, outputPath, { onProgress: setProgress });
+
+        await database.addBookFormat(job.book_id, {
+            format: targetFormat.id,
+            filename: convertedFilename(source.filename, targetFormat),
+            filepath: outputPath,
+            file_size: stats.size,
+            uploaded_by: job.created_by
+        });
+    } catch (error) {
+        await fs.remove(outputPath).catch(() => {});
+        throw error;
+    }
+
+    // The new file may be a better source for the content index (e.g. an EPUB of a PDF)
+    if (isIndexableFormat(targetFormat.id)) {
+        await enqueueContentIndex(job.book_id, job.created_by);
+    }
+
+    console.log(`🔄 Konvertierung abgeschlossen: ${source_format} -> ${target_format} (${job.book_id})`);
+    return { converter: converter.id, format: targetFormat.id };
+};
+
+/**
+ * Queue the conversion of a book into targetFormat. Without sourceFormat the
+ * first of the book's files (primary first) that a converter can read is used.
+ * Errors carry a statusCode for the API response.
+ */
+const enqueueConversion = async (book, { targetFormat, sourceFormat, requestedBy }) => {
+    const target = getFormatById(targetFormat);
+    if (!target) {
+        throw jobError('Unbekanntes Zielformat', 400);
+    }
+
+    const files = await database.getBookFormats(book.id);
+    if (files.some(file => file.format === target.id)) {
+        throw jobError(`Das Buch ist bereits als ${target.label} vorhanden`, 409);
+    }
+    const activeJobs = await database.getJobs({ type: CONVERSION_JOB, bookId: book.id, status: ['queued', 'running'] });
+    if (activeJobs.some(job => job.payload.target_format === target.id)) {
+        throw jobError(`Konvertierung nach ${target.label} läuft bereits`, 409);
+    }
+
+    const primaryFirst = [
+        ...files.filter(file => file.format === book.format),
+        ...files.filter(file => file.format !== book.format)
+    ].map(file => file.format);
+    const candidates = sourceFormat ? primaryFirst.filter(format => format === sourceFormat) : primaryFirst;
+    if (sourceFormat && candidates.length === 0) {
+        throw jobError('Das Buch hat keine Datei im angegebenen Quellformat', 400);
+    }
+
+    const source = await chooseSource(candidates, target.id);
+    if (!source) {
+        throw jobError(`Konvertierung nach ${target.label} wird für dieses Buch nicht unterstützt oder es ist kein Konverter installiert`, 422);
+    }
+
+    return await enqueueJob(CONVERSION_JOB, {
+        source_format: source.sourceFormat,
+        target_format: target.id
+    }, { bookId: book.id, createdBy: requestedBy });
+};
+
+module.exports = {
+    CONVERSION_JOB,
+    enqueueConversion,
+    runConversion
+};
@@ -0,0 +1,274 @@
+// book_formats.js - Supported book formats: extensions, MIME types, file signatures and metadata readers
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { getEpubMetadata } = require('./epub_reader');
+const { getPdfMetadata, renderPdfThumbnail } = require('./pdf_reader');
+const { getMobiMetadata } = require('./mobi_reader');
+const { getComicMetadata } = require('./comic_reader');
+const { getFb2Metadata } = require('./fb2_reader');
+const { extractPublishedDate } = require('./book_metadata');
+
+const SIGNATURE_LENGTH = 8192;
+
+const startsWith = (header, signature, offset = 0) =>
+    header.subarray(offset, offset + signature.length).toString('latin1') === signature;
+
+const isZip = (header) => startsWith(header, 'PK\x03\x04');
+
+// Plain text must be UTF-8 without NUL bytes (binary files almost always contain some)
+const isUtf8Text = (header) => {
+    if (header.includes(0)) return false;
+    try {
+        // stream: true tolerates a multi-byte character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(header, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Front matter (--- title: … ---) in text and Markdown files, or the first Markdown heading
+const readTextMetadata = async (filepath, { headings }) => {
+    const text = (await fs.readFile(filepath, 'utf8')).replace(/^\ufeff/, '');
+    const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    const field = (name) => {
+        const match = frontMatter && frontMatter[1].match(new RegExp(`^${name}:\\s*["']?(.+?)["']?\\s*$`, 'mi'));
+        return match ? match[1] : null;
+    };
+    const heading = headings ? text.match(/^#\s+(.+?)\s*#*\s*$/m) : null;
+    const author = field('author');
+
+    return {
+        title: field('title') || (heading && heading[1]) || null,
+        authors: author ? [author] : [],
+        description: field('description'),
+        language: field('lang') || field('language')
+    };
+};
+
+// A bundled DjVu document (FORM:DJVM) contains one FORM:DJVU chunk per page
+const readDjvuMetadata = async (filepath) => {
+    const handle = await fs.open(filepath, 'r');
+    try {
+        const { size } = await fs.fstat(handle);
+        // "AT&T" magic, then the outer FORM chunk: id, length, form type
+        const header = Buffer.alloc(16);
+        await fs.read(handle, header, 0, 16, 0);
+        if (startsWith(header, 'DJVU', 12)) {
+            return { page_count: 1 };
+        }
+
+        const chunk = Buffer.alloc(12);
+        let pages = 0;
+        let position = 16;
+        while (position + 12 <= size) {
+            await fs.read(handle, chunk, 0, 12, position);
+            const length = chunk.readUInt32BE(4);
+            if (startsWith(chunk, 'FORM') && startsWith(chunk, 'DJVU', 8)) pages++;
+            // Chunks are padded to an even length
+            position += 8 + length + (length % 2);
+        }
+        return { page_count: pages || null };
+    } finally {
+        await fs.close(handle);
+    }
+};
+
+// First PDF page as cover image, in the same shape as an embedded EPUB cover
+const renderPdfCover = async (filepath) => {
+    const thumbnailPath = path.join(os.tmpdir(), `lectoria-thumbnail-${uuidv4()}.jpg`);
+    try {
+        if (!(await renderPdfThumbnail(filepath, thumbnailPath))) return null;
+        return { data: await fs.readFile(thumbnailPath), mediaType: 'image/jpeg' };
+    } catch (error) {
+        console.warn('PDF-Vorschaubild konnte nicht erstellt werden:', error.message);
+        return null;
+    } finally {
+        await fs.remove(thumbnailPath).catch(() => {});
+    }
+};
+
+const readPdfMetadata = async (filepath, { renderCover }) => {
+    const { subject, ...metadata } = await getPdfMetadata(filepath);
+    return { ...metadata, description: subject, cover: renderCover ? await renderPdfCover(filepath) : null };
+};
+
+/**
+ * Supported formats in order of preference. `mimeTypes` are the types browsers
+ * send on upload (application/octet-stream where they usually do not know the
+ * format); the content itself is checked with `matches` on the first bytes.
+ */
+const FORMATS = [
+    {
+        id: 'epub',
+        label: 'EPUB',
+        extensions: ['.epub'],
+        mimeType: 'application/epub+zip',
+        mimeTypes: ['application/epub+zip'],
+        matches: isZip,
+        readMetadata: getEpubMetadata
+    },
+    {
+        id: 'pdf',
+        label: 'PDF',
+        extensions: ['.pdf'],
+        mimeType: 'application/pdf',
+        mimeTypes: ['application/pdf'],
+        matches: (header) => header.subarray(0, 1024).includes('%PDF-'),
+        readMetadata: readPdfMetadata
+    },
+    {
+        id: 'azw3',
+        label: 'AZW3',
+        extensions: ['.azw3', '.azw', '.kf8'],
+        mimeType: 'application/vnd.amazon.ebook',
+        mimeTypes: ['application/vnd.amazon.ebook', 'application/x-mobi8-ebook', 'application/octet-stream'],
+        matches: (header) => startsWith(header, 'BOOKMOBI', 60),
+        readMetadata: getMobiMetadata
+    },
+    {
+        id: 'mobi',
+        label: 'MOBI',
+        extensions: ['.mobi', '.prc'],
+        mimeType: 'application/x-mobipocket-ebook',
+        mimeTypes: ['application/x-mobipocket-ebook', 'application/octet-stream'],
+        matches: (header) => startsWith(header, 'BOOKMOBI', 60),
+        readMetadata: getMobiMetadata
+    },
+    {
+        id: 'fb2',
+        label: 'FB2',
+        extensions: ['.fb2'],
+        mimeType: 'application/x-fictionbook+xml',
+        mimeTypes: ['application/x-fictionbook+xml', 'application/x-fictionbook', 'text/xml', 'application/xml', 'application/octet-stream'],
+        matches: (header) => header.toString('latin1').includes('<FictionBook'),
+        readMetadata: getFb2Metadata
+    },
+    {
+        id: 'cbz',
+        label: 'CBZ',
+        extensions: ['.cbz'],
+        mimeType: 'application/vnd.comicbook+zip',
+        mimeTypes: ['application/vnd.comicbook+zip', 'application/x-cbz', 'application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+        matches: isZip,
+        readMetadata: (filepath) => getComicMetadata(filepath, 'cbz')
+    },
+    {
+        id: 'cbr',
+        label: 'CBR',
+        extensions: ['.cbr'],
+        mimeType: 'application/vnd.comicbook-rar',
+        mimeTypes: ['application/vnd.comicbook-rar', 'application/x-cbr', 'application/vnd.rar', 'application/x-rar-compressed', 'application/x-rar', 'application/octet-stream'],
+        matches: (header) => startsWith(header, 'Rar!\x1a\x07'),
+        readMetadata: (filepath) => getComicMetadata(filepath, 'cbr')
+    },
+    {
+        id: 'djvu',
+        label: 'DjVu',
+        extensions: ['.djvu', '.djv'],
+        mimeType: 'image/vnd.djvu',
+        mimeTypes: ['image/vnd.djvu', 'image/x-djvu', 'image/djvu', 'application/octet-stream'],
+        matches: (header) => startsWith(header, 'AT&TFORM'),
+        readMetadata: readDjvuMetadata
+    },
+    {
+        id: 'txt',
+        label: 'TXT',
+        extensions: ['.txt'],
+        mimeType: 'text/plain',
+        charset: 'utf-8',
+        mimeTypes: ['text/plain'],
+        matches: isUtf8Text,
+        readMetadata: (filepath) => readTextMetadata(filepath, { headings: false })
+    },
+    {
+        id: 'md',
+        label: 'Markdown',
+        extensions: ['.md', '.markdown'],
+        mimeType: 'text/markdown',
+        charset: 'utf-8',
+        mimeTypes: ['text/markdown', 'text/x-markdown', 'text/plain', 'application/octet-stream'],
+        matches: isUtf8Text,
+        readMetadata: (filepath) => readTextMetadata(filepath, { headings: true })
+    }
+];
+
+const SUPPORTED_EXTENSIONS = FORMATS.flatMap(format => format.extensions);
+
+const getFormatByFilename = (filename) => {
+    const extension = path.extname(filename || '').toLowerCase();
+    return FORMATS.find(format => format.extensions.includes(extension)) || null;
+};
+
+const getFormatById = (id) => FORMATS.find(format => format.id === id) || null;
+
+// Content-Type for downloads; unknown files are sent as binary
+const getContentType = (filename) => {
+    const format = getFormatByFilename(filename);
+    if (!format) return 'application/octet-stream';
+    return format.charset ? `${format.mimeType}; charset=${format.charset}` : format.mimeType;
+};
+
+const isAcceptedUpload = (filename, mimeType) => {
+    const format = getFormatByFilename(filename);
+    return Boolean(format && format.mimeTypes.includes((mimeType || '').toLowerCase()));
+};
+
+// Check the first bytes of a file against the signature of its format
+const hasValidSignature = async (filepath, format) => {
+    const handle = await fs.open(filepath, 'r');
+    try {
+        const header = Buffer.alloc(SIGNATURE_LENGTH);
+        const { bytesRead } = await fs.read(handle, header, 0, SIGNATURE_LENGTH, 0);
+        return bytesRead > 0 && format.matches(header.subarray(0, bytesRead));
+    } finally {
+        await fs.close(handle);
+    }
+};
+
+// Fields every metadata reader result is completed with
+const EMPTY_METADATA = {
+    title: null,
+    authors: [],
+    // Editors, translators, ... as { name, role } (MARC relator codes)
+    contributors: [],
+    description: null,
+    keywords: [],
+    language: null,
+    publisher: null,
+    published_date: null,
+    isbn: null,
+    series: null,
+    series_index: null,
+    page_count: null,
+    cover: null
+};
+
+/**
+ * Metadata embedded in a book file: title, authors, contributors, description, keywords,
+ * language, publisher, published_date (YYYY[-MM[-DD]]), isbn, series,
+ * page_count and cover ({ data, mediaType }).
+ * Fields a format does not provide are null/empty. Rendering a cover (PDF)
+ * can be skipped with renderCover: false.
+ */
+const readBookMetadata = async (filepath, format, { renderCover = true } = {}) => {
+    const metadata = { ...EMPTY_METADATA, ...(await format.readMetadata(filepath, { renderCover })) };
+    return { ...metadata, published_date: extractPublishedDate(metadata.published_date) };
+};
+
+// Public description of the formats for clients (filters, upload hints)
+const describeFormats = () => FORMATS.map(({ id, label, extensions, mimeType }) => ({ id, label, extensions, mimeType }));
+
+module.exports = {
+    FORMATS,
+    SUPPORTED_EXTENSIONS,
+    getFormatByFilename,
+    getFormatById,
+    getContentType,
+    isAcceptedUpload,
+    hasValidSignature,
+    readBookMetadata,
+    describeFormats
+};
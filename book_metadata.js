@@ -0,0 +1,200 @@
+// book_metadata.js - Validate and normalize bibliographic metadata: ISBN-10/13, publication date, page count, edition, subjects
+
+const MAX_SUBJECTS = 20;
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_EDITION_LENGTH = 100;
+const MAX_PAGE_COUNT = 100000;
+
+// Publication dates are stored as precise as they are known: YYYY, YYYY-MM or YYYY-MM-DD
+const PUBLISHED_DATE_PATTERN = /^([1-9]\d{3})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+const metadataError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const isValidIsbn10 = (isbn) => {
+    if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+    const sum = [...isbn].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+    return sum % 11 === 0;
+};
+
+const isValidIsbn13 = (isbn) => {
+    if (!/^\d{13}$/.test(isbn)) return false;
+    const sum = [...isbn].reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+};
+
+const isbn10To13 = (isbn10) => {
+    const base = `978${isbn10.slice(0, 9)}`;
+    const sum = [...base].reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return `${base}${(10 - (sum % 10)) % 10}`;
+};
+
+// Only ISBN-13 with the 978 prefix have an ISBN-10
+const isbn13To10 = (isbn13) => {
+    if (!isbn13.startsWith('978')) return null;
+    const base = isbn13.slice(3, 12);
+    const sum = [...base].reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return `${base}${check === 10 ? 'X' : check}`;
+};
+
+/**
+ * A valid ISBN-10 or ISBN-13 without hyphens, spaces or an "ISBN" prefix
+ * (e.g. "ISBN 978-3-16-148410-0" -> "9783161484100"), otherwise null.
+ */
+const normalizeIsbn = (value) => {
+    if (value === undefined || value === null) return null;
+    const isbn = String(value).replace(/^\s*(urn:)?isbn(-1[03])?[:\s]*/i, '').replace(/[-\s]/g, '').toUpperCase();
+    return isValidIsbn10(isbn) || isValidIsbn13(isbn) ? isbn : null;
+};
+
+// Both forms of an ISBN: { isbn, isbn_10, isbn_13 } (isbn is the ISBN-13 where there is one), or null if invalid
+const isbnVariants = (value) => {
+    const isbn = normalizeIsbn(value);
+    if (!isbn) return null;
+
+    const isbn13 = isbn.length === 13 ? isbn : isbn10To13(isbn);
+    const isbn10 = isbn.length === 10 ? isbn : isbn13To10(isbn);
+    return { isbn: isbn13, isbn_10: isbn10, isbn_13: isbn13 };
+};
+
+const isCalendarDate = (year, month, day) => {
+    if (month && (Number(month) < 1 || Number(month) > 12)) return false;
+    if (!day) return true;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+};
+
+// YYYY, YYYY-MM or YYYY-MM-DD of a real date, otherwise null
+const parsePublishedDate = (value) => {
+    const match = PUBLISHED_DATE_PATTERN.exec(String(value ?? '').trim());
+    if (!match || !isCalendarDate(match[1], match[2], match[3])) return null;
+    return match[0];
+};
+
+/**
+ * Publication date from free-form dates of file metadata and online lookups
+ * ("2005-05-01T00:00:00+00:00", "2005-05", "May 5, 2005"); falls back to the year.
+ */
+const extractPublishedDate = (value) => {
+    const text = String(value ?? '').trim();
+    const leading = /^[1-9]\d{3}(-\d{2}(-\d{2})?)?/.exec(text);
+    if (leading && parsePublishedDate(leading[0])) return parsePublishedDate(leading[0]);
+
+    const year = /\b([1-9]\d{3})\b/.exec(text);
+    return year ? year[1] : null;
+};
+
+/**
+ * Subjects as a list of unique (case-insensitive) trimmed strings, from an
+ * array or a comma/semicolon separated string. Long lists are cut to MAX_SUBJECTS.
+ */
+const normalizeSubjects = (value) => {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+    const subjects = [];
+    const seen = new Set();
+
+    for (const item of items) {
+        if (typeof item !== 'string') continue;
+        const subject = item.trim().replace(/\s+/g, ' ').substring(0, MAX_SUBJECT_LENGTH);
+        if (subject && !seen.has(subject.toLowerCase())) {
+            seen.add(subject.toLowerCase());
+            subjects.push(subject);
+        }
+    }
+    return subjects.slice(0, MAX_SUBJECTS);
+};
+
+const isEmpty = (value) => value === null || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+
+const optionalText = (value, maxLength, message) => {
+    if (isEmpty(value)) return null;
+    if (typeof value !== 'string' && typeof value !== 'number') throw metadataError(message);
+    const text = String(value).trim();
+    if (text.length > maxLength) throw metadataError(message);
+    return text;
+};
+
+/**
+ * Metadata fields of a request body (upload form or metadata update):
+ * isbn / isbn_10 / isbn_13, publisher, published_date, language, page_count,
+ * edition and subjects. Only fields present in the body are returned; empty
+ * values become null (clears the field). Invalid values throw with statusCode 400.
+ */
+const parseMetadataFields = (body) => {
+    const fields = {};
+
+    const isbnKeys = ['isbn', 'isbn_10', 'isbn_13'].filter(key => body[key] !== undefined);
+    if (isbnKeys.length > 0) {
+        let variants = null;
+        for (const key of isbnKeys) {
+            if (isEmpty(body[key])) continue;
+
+            const isbn = normalizeIsbn(body[key]);
+            const expectedLength = key === 'isbn_10' ? 10 : key === 'isbn_13' ? 13 : isbn?.length;
+            if (!isbn || isbn.length !== expectedLength) {
+                throw metadataError(`Ungültige ISBN (${key})`);
+            }
+            // ISBN-10 and ISBN-13 of the same request must describe the same book
+            const next = isbnVariants(isbn);
+            if (variants && variants.isbn_13 !== next.isbn_13) {
+                throw metadataError('ISBN-10 und ISBN-13 gehören nicht zum selben Buch');
+            }
+            variants = next;
+        }
+        Object.assign(fields, variants || { isbn: null, isbn_10: null, isbn_13: null });
+    }
+
+    if (body.publisher !== undefined) {
+        fields.publisher = optionalText(body.publisher, 255, 'Verlag ist zu lang (max. 255 Zeichen)');
+    }
+
+    if (body.language !== undefined) {
+        fields.language = optionalText(body.language, 35, 'Ungültige Sprache (max. 35 Zeichen)');
+    }
+
+    if (body.published_date !== undefined) {
+        if (isEmpty(body.published_date)) {
+            fields.published_date = null;
+        } else {
+            fields.published_date = parsePublishedDate(body.published_date);
+            if (!fields.published_date) {
+                throw metadataError('Ungültiges Erscheinungsdatum (erwartet: JJJJ, JJJJ-MM oder JJJJ-MM-TT)');
+            }
+        }
+    }
+
+    if (body.page_count !== undefined) {
+        const pageCount = isEmpty(body.page_count) ? null : Number(body.page_count);
+        if (pageCount !== null && (!Number.isInteger(pageCount) || pageCount < 1 || pageCount > MAX_PAGE_COUNT)) {
+            throw metadataError(`Ungültige Seitenzahl (1 bis ${MAX_PAGE_COUNT})`);
+        }
+        fields.page_count = pageCount;
+    }
+
+    if (body.edition !== undefined) {
+        fields.edition = optionalText(body.edition, MAX_EDITION_LENGTH, `Auflage ist zu lang (max. ${MAX_EDITION_LENGTH} Zeichen)`);
+    }
+
+    if (body.subjects !== undefined) {
+        if (body.subjects !== null && typeof body.subjects !== 'string' && !Array.isArray(body.subjects)) {
+            throw metadataError('Schlagwörter müssen eine Liste oder ein Text sein');
+        }
+        fields.subjects = normalizeSubjects(body.subjects);
+    }
+
+    return fields;
+};
+
+module.exports = {
+    normalizeIsbn,
+    isbnVariants,
+    parsePublishedDate,
+    extractPublishedDate,
+    normalizeSubjects,
+    parseMetadataFields
+};
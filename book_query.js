@@ -0,0 +1,173 @@
+// book_query.js - Parse book list queries: field-qualified search, filters and sorting
+
+const { CONTRIBUTOR_ROLES } = require('./book_authors');
+
+// Fields that can be searched with "field:value" (e.g. author:"Frank Herbert" isbn:9783453317178 published:1965 tag:klassiker)
+// contributor: also matches editors, translators and illustrators
+const SEARCH_FIELDS = ['title', 'author', 'contributor', 'publisher', 'isbn', 'language', 'series', 'subject', 'edition', 'published', 'tag'];
+
+// Sort keys and the order used when none is given
+const SORT_ORDERS = {
+    date: 'desc',
+    title: 'asc',
+    author: 'asc',
+    downloads: 'desc',
+    size: 'desc',
+    published: 'desc',
+    series: 'asc',
+    // Best rated first; unrated books come last
+    rating: 'desc',
+    // The order of the books on a shelf (only with shelf_id)
+    shelf: 'asc'
+};
+
+const MAX_SEARCH_LENGTH = 255;
+
+const queryError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Split a search string into free text terms and field values. Values may be
+ * quoted ("Der Herr der Ringe", author:"Tolkien, J. R. R."); unknown prefixes
+ * like "re:zero" stay part of the text.
+ */
+const parseSearchQuery = (search) => {
+    const parsed = { terms: [], fields: {} };
+    const tokenPattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+    let match;
+    while ((match = tokenPattern.exec(search || '')) !== null) {
+        const [token, prefix, quoted, bare] = match;
+        const field = prefix && prefix.toLowerCase();
+        const value = (quoted ?? bare ?? '').trim();
+
+        if (field && SEARCH_FIELDS.includes(field)) {
+            if (value) (parsed.fields[field] = parsed.fields[field] || []).push(value);
+        } else if (prefix) {
+            parsed.terms.push(token.replace(/"/g, '').trim());
+        } else if (value) {
+            parsed.terms.push(value);
+        }
+    }
+
+    parsed.terms = parsed.terms.filter(Boolean);
+    return parsed;
+};
+
+const optionalString = (value) => {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    return trimmed && trimmed !== 'all' ? trimmed : null;
+};
+
+// YYYY-MM-DD of a real calendar day
+const parseDate = (value, name) => {
+    const date = optionalString(value);
+    if (!date) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)) || new Date(date).toISOString().slice(0, 10) !== date) {
+        throw queryError(`Ungültiges Datum für ${name} (erwartet: JJJJ-MM-TT)`);
+    }
+    return date;
+};
+
+const parseYear = (value, name) => {
+    const year = optionalString(value);
+    if (!year) return null;
+    if (!/^\d{4}$/.test(year)) {
+        throw queryError(`Ungültiges Jahr für ${name} (erwartet: JJJJ)`);
+    }
+    return year;
+};
+
+// Comma-separated tag names, e.g. "lieblingsbuch,gelesen"
+const parseTagFilter = (value) => {
+    const tags = optionalString(value);
+    return tags ? [...new Set(tags.split(',').map(tag => tag.trim()).filter(Boolean))] : [];
+};
+
+const parseSize = (value, name) => {
+    const size = optionalString(value);
+    if (!size) return null;
+    if (!/^\d+$/.test(size)) {
+        throw queryError(`Ungültige Dateigröße für ${name} (Bytes als ganze Zahl)`);
+    }
+    return Number(size);
+};
+
+/**
+ * Filters for database.getBooks from the query of GET /api/books:
+ * search (with field queries), type, format, category_id (including its
+ * subcategories unless include_subcategories is false), series_id, tags (the
+ * book needs every tag of the comma-separated list), author_id (optionally
+ * only in one role, e.g. role=translator), shelf_id, uploaded_by
+ * (user id or "me"), uploaded_from / uploaded_to (dates, inclusive),
+ * published_from / published_to (years, inclusive), min_size / max_size
+ * (bytes), sort and order. Invalid values throw with statusCode 400.
+ */
+const parseBookListQuery = (query, { userId }) => {
+    const search = typeof query.search === 'string' ? query.search.trim() : '';
+    if (search.length > MAX_SEARCH_LENGTH) {
+        throw queryError(`Suchbegriff zu lang (max. ${MAX_SEARCH_LENGTH} Zeichen)`);
+    }
+
+    const sort = optionalString(query.sort) || 'date';
+    if (!SORT_ORDERS[sort]) {
+        throw queryError(`Ungültige Sortierung (erlaubt: ${Object.keys(SORT_ORDERS).join(', ')})`);
+    }
+    const order = optionalString(query.order)?.toLowerCase() || SORT_ORDERS[sort];
+    if (!['asc', 'desc'].includes(order)) {
+        throw queryError('Ungültige Sortierreihenfolge (erlaubt: asc, desc)');
+    }
+
+    const role = optionalString(query.role);
+    if (role && !CONTRIBUTOR_ROLES.includes(role)) {
+        throw queryError(`Ungültige Rolle (erlaubt: ${CONTRIBUTOR_ROLES.join(', ')})`);
+    }
+
+    const uploadedBy = optionalString(query.uploaded_by);
+    const filters = {
+        search,
+        type: optionalString(query.type),
+        format: optionalString(query.format),
+        category_id: optionalString(query.category_id),
+        includeSubcategories: !['false', '0'].includes(optionalString(query.include_subcategories)?.toLowerCase()),
+        series_id: optionalString(query.series_id),
+        tags: parseTagFilter(query.tags),
+        author_id: optionalString(query.author_id),
+        role,
+        shelf_id: optionalString(query.shelf_id),
+        uploadedBy: uploadedBy === 'me' ? userId : uploadedBy,
+        uploadedFrom: parseDate(query.uploaded_from, 'uploaded_from'),
+        uploadedTo: parseDate(query.uploaded_to, 'uploaded_to'),
+        publishedFrom: parseYear(query.published_from, 'published_from'),
+        publishedTo: parseYear(query.published_to, 'published_to'),
+        minSize: parseSize(query.min_size, 'min_size'),
+        maxSize: parseSize(query.max_size, 'max_size'),
+        sort,
+        order
+    };
+
+    if (sort === 'shelf' && !filters.shelf_id) {
+        throw queryError('Sortierung nach Regal nur zusammen mit shelf_id');
+    }
+    if (filters.uploadedFrom && filters.uploadedTo && filters.uploadedFrom > filters.uploadedTo) {
+        throw queryError('uploaded_from liegt nach uploaded_to');
+    }
+    if (filters.publishedFrom && filters.publishedTo && filters.publishedFrom > filters.publishedTo) {
+        throw queryError('published_from liegt nach published_to');
+    }
+    if (filters.minSize !== null && filters.maxSize !== null && filters.minSize > filters.maxSize) {
+        throw queryError('min_size ist größer als max_size');
+    }
+    return filters;
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    SORT_ORDERS,
+    parseSearchQuery,
+    parseBookListQuery
+};
@@ -0,0 +1,50 @@
+// book_reviews.js - Ratings and reviews: validation of stars, review texts and moderation filters
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_REVIEW_LENGTH = 5000;
+// Moderation list filters: hidden reviews are only visible to their author and admins
+const REVIEW_STATUSES = ['all', 'visible', 'hidden'];
+
+const reviewError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Whole stars from 1 to 5
+const parseRating = (value) => {
+    const rating = Number(value);
+    if (value === null || value === '' || !Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+        throw reviewError(`Bewertung muss eine ganze Zahl von ${MIN_RATING} bis ${MAX_RATING} sein`);
+    }
+    return rating;
+};
+
+// Optional review text; empty values mean a rating without text
+const parseReviewText = (value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') {
+        throw reviewError('Rezension muss ein Text sein');
+    }
+    const review = value.trim();
+    if (review.length > MAX_REVIEW_LENGTH) {
+        throw reviewError(`Rezension ist zu lang (max. ${MAX_REVIEW_LENGTH} Zeichen)`);
+    }
+    return review || null;
+};
+
+const parseReviewStatus = (value) => {
+    const status = value === undefined || value === '' ? 'all' : value;
+    if (!REVIEW_STATUSES.includes(status)) {
+        throw reviewError(`Ungültiger Status (erlaubt: ${REVIEW_STATUSES.join(', ')})`);
+    }
+    return status;
+};
+
+module.exports = {
+    MAX_RATING,
+    parseRating,
+    parseReviewText,
+    parseReviewStatus
+};
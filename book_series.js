@@ -0,0 +1,94 @@
+// book_series.js - Series: validation of series input, reading order and missing volumes
+
+const MAX_NAME_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Magazines numbered by year (e.g. 202403) would produce endless gap lists
+const MAX_VOLUME_NUMBER = 10000;
+const MAX_LISTED_GAPS = 50;
+
+const seriesError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Name and description of a series from a request body. The name is
+ * required when creating (required: true); on updates only fields present
+ * in the body are returned. Invalid values throw with statusCode 400.
+ */
+const parseSeriesFields = (body, { required = false } = {}) => {
+    const fields = {};
+
+    if (body.name !== undefined || required) {
+        const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+        if (!name) {
+            throw seriesError('Name der Reihe ist erforderlich');
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            throw seriesError(`Name der Reihe ist zu lang (max. ${MAX_NAME_LENGTH} Zeichen)`);
+        }
+        fields.name = name;
+    }
+
+    if (body.description !== undefined) {
+        const description = typeof body.description === 'string' ? body.description.trim() : '';
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            throw seriesError(`Beschreibung ist zu lang (max. ${MAX_DESCRIPTION_LENGTH} Zeichen)`);
+        }
+        fields.description = description || null;
+    }
+
+    return fields;
+};
+
+// Number of a book in its series: empty means unnumbered, otherwise a number >= 0 (1.5 for a novella between volumes)
+const parseSeriesIndex = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const index = Number(value);
+    if (!Number.isFinite(index) || index < 0) {
+        throw seriesError('Ungültige Nummer in der Reihe');
+    }
+    return index;
+};
+
+/**
+ * Whole volume numbers between 1 and the highest number in the series that
+ * no book has: { missing_volumes (at most MAX_LISTED_GAPS), missing_count }.
+ */
+const findMissingVolumes = (indexes) => {
+    const present = new Set(indexes.filter(index => Number.isFinite(index)).map(index => Math.floor(index)));
+    const highest = Math.max(0, ...present);
+    if (highest > MAX_VOLUME_NUMBER) {
+        return { missing_volumes: [], missing_count: 0 };
+    }
+
+    const missing = [];
+    for (let volume = 1; volume <= highest; volume++) {
+        if (!present.has(volume)) missing.push(volume);
+    }
+    return { missing_volumes: missing.slice(0, MAX_LISTED_GAPS), missing_count: missing.length };
+};
+
+// Series as returned by the API, with the cover of the first volume (for series without a cover of their own) and the missing volumes
+const describeSeries = (series, books = null) => {
+    const { volume_indexes: volumeIndexes, first_cover: firstCover, ...fields } = series;
+    const indexes = books
+        ? books.map(book => book.series_index)
+        : String(volumeIndexes || '').split(',').filter(Boolean).map(Number);
+
+    return {
+        ...fields,
+        book_count: books ? books.length : fields.book_count,
+        volume_cover: firstCover || books?.find(book => book.cover_image)?.cover_image || null,
+        ...findMissingVolumes(indexes)
+    };
+};
+
+module.exports = {
+    parseSeriesFields,
+    parseSeriesIndex,
+    findMissingVolumes,
+    describeSeries
+};
@@ -0,0 +1,64 @@
+// book_shelves.js - Personal shelves: default shelves, validation of names and access to shared shelves
+
+// Every user has these shelves; they cannot be renamed or deleted (the frontend shows translated names)
+const DEFAULT_SHELVES = [
+    { kind: 'to_read', name: 'Zu lesen' },
+    { kind: 'favorites', name: 'Favoriten' }
+];
+const MAX_SHELF_NAME_LENGTH = 100;
+const MAX_SHELF_DESCRIPTION_LENGTH = 1000;
+const MAX_SHELVES_PER_USER = 200;
+
+const shelfError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const parseShelfName = (value) => {
+    const name = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+    if (!name) {
+        throw shelfError('Name des Regals ist erforderlich');
+    }
+    if (name.length > MAX_SHELF_NAME_LENGTH) {
+        throw shelfError(`Name ist zu lang (max. ${MAX_SHELF_NAME_LENGTH} Zeichen)`);
+    }
+    return name;
+};
+
+// Optional description; undefined leaves it unchanged, empty values clear it
+const parseShelfDescription = (value) => {
+    if (value === undefined) return undefined;
+    if (value !== null && typeof value !== 'string') {
+        throw shelfError('Beschreibung muss ein Text sein');
+    }
+    const description = (value || '').trim();
+    if (description.length > MAX_SHELF_DESCRIPTION_LENGTH) {
+        throw shelfError(`Beschreibung ist zu lang (max. ${MAX_SHELF_DESCRIPTION_LENGTH} Zeichen)`);
+    }
+    return description || null;
+};
+
+/**
+ * Access of a user to a shelf (a row with user_id and shared_with_me):
+ * owners may change everything, users it is shared with may only view it.
+ * Throws 404 for shelves the user may not see, so private shelves stay
+ * hidden, and 403 when a shared shelf should be changed.
+ */
+const checkShelfAccess = (shelf, userId, { edit = false } = {}) => {
+    if (!shelf || (shelf.user_id !== userId && !shelf.shared_with_me)) {
+        throw shelfError('Regal nicht gefunden', 404);
+    }
+    if (edit && shelf.user_id !== userId) {
+        throw shelfError('Nur der Besitzer kann dieses Regal ändern', 403);
+    }
+    return shelf;
+};
+
+module.exports = {
+    DEFAULT_SHELVES,
+    MAX_SHELVES_PER_USER,
+    parseShelfName,
+    parseShelfDescription,
+    checkShelfAccess
+};
@@ -0,0 +1,105 @@
+// book_tags.js - Tags: validation of tag names, tag lists of books and bulk tagging requests
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_BOOK = 50;
+const MAX_BULK_BOOKS = 500;
+
+const tagError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Commas separate tags in forms and filters, so a name never contains one
+const cleanTagName = (value) => String(value).replace(/,/g, ' ').trim().replace(/\s+/g, ' ');
+
+const splitTagList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','));
+
+// Unique names (case-insensitive), in the order given
+const uniqueNames = (names) => {
+    const seen = new Set();
+    return names.filter(name => {
+        if (!name || seen.has(name.toLowerCase())) return false;
+        seen.add(name.toLowerCase());
+        return true;
+    });
+};
+
+// A single tag name (create or rename); invalid names throw with statusCode 400
+const parseTagName = (value) => {
+    const name = typeof value === 'string' ? cleanTagName(value) : '';
+    if (!name) {
+        throw tagError('Name des Tags ist erforderlich');
+    }
+    if (name.length > MAX_TAG_LENGTH) {
+        throw tagError(`Tag ist zu lang (max. ${MAX_TAG_LENGTH} Zeichen)`);
+    }
+    return name;
+};
+
+/**
+ * Tag names from a request: an array or a comma-separated string. Empty
+ * entries are dropped and duplicates removed; too long names or too many
+ * tags throw with statusCode 400.
+ */
+const parseTagNames = (value) => {
+    if (value === undefined || value === null) return [];
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+        throw tagError('Tags müssen eine Liste oder ein Text sein');
+    }
+
+    const names = uniqueNames(splitTagList(value)
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(parseTagName));
+    if (names.length > MAX_TAGS_PER_BOOK) {
+        throw tagError(`Zu viele Tags (max. ${MAX_TAGS_PER_BOOK})`);
+    }
+    return names;
+};
+
+// Tags from file metadata and imports (EPUB subjects, Calibre tags): subjects like "Abenteuer, Reise"
+// become one tag per part, unusable names are skipped instead of rejected
+const tagsFromSubjects = (subjects) => {
+    const names = (Array.isArray(subjects) ? subjects : [])
+        .filter(item => typeof item === 'string')
+        .flatMap(item => item.split(/[,;]/))
+        .map(cleanTagName)
+        .filter(name => name && name.length <= MAX_TAG_LENGTH);
+    return uniqueNames(names).slice(0, MAX_TAGS_PER_BOOK);
+};
+
+// Ids of a request (book_ids, tag_ids): a non-empty list of unique strings
+const parseIdList = (value, name, maxLength = MAX_BULK_BOOKS) => {
+    if (!Array.isArray(value) || value.length === 0 || value.some(id => typeof id !== 'string' || !id.trim())) {
+        throw tagError(`${name} muss eine Liste von IDs sein`);
+    }
+    const ids = [...new Set(value.map(id => id.trim()))];
+    if (ids.length > maxLength) {
+        throw tagError(`Zu viele Einträge in ${name} (max. ${maxLength})`);
+    }
+    return ids;
+};
+
+/**
+ * Bulk tagging request: book_ids and the tag names to add and/or remove.
+ * At least one tag has to be added or removed.
+ */
+const parseBulkTagging = (body) => {
+    const request = {
+        bookIds: parseIdList(body.book_ids, 'book_ids'),
+        add: parseTagNames(body.add),
+        remove: parseTagNames(body.remove)
+    };
+    if (request.add.length === 0 && request.remove.length === 0) {
+        throw tagError('Keine Tags zum Hinzufügen oder Entfernen angegeben');
+    }
+    return request;
+};
+
+module.exports = {
+    parseTagName,
+    parseTagNames,
+    tagsFromSubjects,
+    parseIdList,
+    parseBulkTagging
+};
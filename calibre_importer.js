@@ -0,0 +1,315 @@
+// calibre_importer.js - Import books from a Calibre library (metadata.db + book folders)
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const fs = require('fs-extra');
+
+const database = require('./database');
+const { htmlToText } = require('./text_utils');
+const { extractPublishedDate, normalizeSubjects } = require('./book_metadata');
+const { tagsFromSubjects } = require('./book_tags');
+const { FORMATS, getFormatByFilename } = require('./book_formats');
+const { AUTHOR_SEPARATOR } = require('./book_authors');
+
+// Calibre format names (upper-case extensions) we can store, in order of preference when a book has several
+const SUPPORTED_FORMATS = FORMATS.flatMap(format => format.extensions.map(extension => extension.slice(1).toUpperCase()));
+
+// Open Calibre's metadata.db read-only so we never touch the user's library
+const openCalibreDatabase = (dbFile) => {
+    return new Promise((resolve, reject) => {
+        const calibreDb = new sqlite3.Database(dbFile, sqlite3.OPEN_READONLY, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(calibreDb);
+            }
+        });
+    });
+};
+
+const queryAll = (calibreDb, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        calibreDb.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+};
+
+const closeCalibreDatabase = (calibreDb) => {
+    return new Promise((resolve) => calibreDb.close(() => resolve()));
+};
+
+// Group rows of a link table by book id
+const groupByBook = (rows, valueKey) => {
+    const grouped = new Map();
+    for (const row of rows) {
+        if (!grouped.has(row.book)) {
+            grouped.set(row.book, []);
+        }
+        grouped.get(row.book).push(valueKey ? row[valueKey] : row);
+    }
+    return grouped;
+};
+
+// Resolve a path inside the library and make sure it does not escape it
+const resolveInsideLibrary = (libraryPath, ...segments) => {
+    const resolved = path.resolve(libraryPath, ...segments);
+    if (resolved !== libraryPath && !resolved.startsWith(libraryPath + path.sep)) {
+        throw new Error('Pfad außerhalb der Calibre-Bibliothek');
+    }
+    return resolved;
+};
+
+const uniqueUploadName = (suffix) => {
+    return `${Date.now()}-${Math.round(Math.random() * 1E9)}${suffix}`;
+};
+
+// Read all books with their linked metadata from metadata.db
+const readCalibreBooks = async (calibreDb) => {
+    const books = await queryAll(calibreDb, `
+        SELECT id, title, author_sort, path, uuid, has_cover, series_index, isbn, pubdate
+        FROM books
+        ORDER BY id
+    `);
+
+    const authors = groupByBook(await queryAll(calibreDb, `
+        SELECT bal.book, a.name, a.sort
+        FROM books_authors_link bal
+        JOIN authors a ON a.id = bal.author
+        ORDER BY bal.id
+    `));
+
+    const series = groupByBook(await queryAll(calibreDb, `
+        SELECT bsl.book, s.name
+        FROM books_series_link bsl
+        JOIN series s ON s.id = bsl.series
+    `), 'name');
+
+    const tags = groupByBook(await queryAll(calibreDb, `
+        SELECT btl.book, t.name
+        FROM books_tags_link btl
+        JOIN tags t ON t.id = btl.tag
+        ORDER BY btl.id
+    `), 'name');
+
+    const publishers = groupByBook(await queryAll(calibreDb, `
+        SELECT bpl.book, p.name
+        FROM books_publishers_link bpl
+        JOIN publishers p ON p.id = bpl.publisher
+    `), 'name');
+
+    const comments = groupByBook(await queryAll(calibreDb, 'SELECT book, text FROM comments'), 'text');
+
+    const identifiers = groupByBook(await queryAll(calibreDb, 'SELECT book, type, val FROM identifiers'));
+
+    const formats = groupByBook(await queryAll(calibreDb, 'SELECT book, format, name FROM data'));
+
+    return books.map(book => {
+        const bookIdentifiers = identifiers.get(book.id) || [];
+        const isbnIdentifier = bookIdentifiers.find(identifier => identifier.type.toLowerCase() === 'isbn');
+
+        return {
+            calibreId: book.id,
+            uuid: book.uuid,
+            title: book.title,
+            // Calibre keeps the sort name of each author ("Herbert, Frank")
+            authors: (authors.get(book.id) || []).map(author => ({ name: author.name, sortName: author.sort || null })),
+            series: (series.get(book.id) || [])[0] || null,
+            seriesIndex: book.series_index,
+            tags: tags.get(book.id) || [],
+            comments: (comments.get(book.id) || [])[0] || '',
+            isbn: isbnIdentifier ? isbnIdentifier.val : (book.isbn || null),
+            publisher: (publishers.get(book.id) || [])[0] || null,
+            // Calibre stores unknown publication dates as year 101
+            pubdate: extractPublishedDate(book.pubdate),
+            path: book.path,
+            hasCover: !!book.has_cover,
+            formats: formats.get(book.id) || []
+        };
+    });
+};
+
+// Find an existing category for one of the tags, or create one from the first tag
+const resolveCategory = async (tags, categoryCache) => {
+    if (tags.length === 0) return null;
+
+    for (const tag of tags) {
+        const key = tag.toLowerCase();
+        if (!categoryCache.has(key)) {
+            const category = await database.getCategoryByName(tag);
+            categoryCache.set(key, category ? category.id : null);
+        }
+        if (categoryCache.get(key)) {
+            return categoryCache.get(key);
+        }
+    }
+
+    const category = await database.createCategory({
+        name: tags[0],
+        description: 'Aus Calibre importiert'
+    });
+    categoryCache.set(tags[0].toLowerCase(), category.id);
+    return category.id;
+};
+
+const importCalibreBook = async (calibreBook, { libraryPath, uploadDir, userId, categoryCache }) => {
+    const author = calibreBook.authors.length > 0 ? calibreBook.authors.map(item => item.name).join(AUTHOR_SEPARATOR) : 'Unbekannt';
+
+    if (calibreBook.uuid && await database.getBookByCalibreUuid(calibreBook.uuid)) {
+        return { status: 'skipped', reason: 'Bereits importiert' };
+    }
+
+    if (await database.findBookByTitleAndAuthor(calibreBook.title, author)) {
+        return { status: 'skipped', reason: 'Buch mit gleichem Titel und Autor existiert bereits' };
+    }
+
+    // One file per format (Calibre's AZW and AZW3 are both stored as AZW3), the preferred one becomes the primary file
+    const files = [];
+    for (const name of SUPPORTED_FORMATS) {
+        const entry = calibreBook.formats.find(item => item.format.toUpperCase() === name);
+        if (!entry) continue;
+
+        const extension = `.${name.toLowerCase()}`;
+        const format = getFormatByFilename(entry.name + extension);
+        if (!files.some(file => file.format === format)) {
+            files.push({ format, extension, filename: entry.name + extension });
+        }
+    }
+
+    if (files.length === 0) {
+        return { status: 'skipped', reason: 'Kein unterstütztes Format' };
+    }
+
+    const bookDir = resolveInsideLibrary(libraryPath, calibreBook.path);
+    for (const file of files) {
+        file.sourceFile = resolveInsideLibrary(bookDir, file.filename);
+        if (!await fs.pathExists(file.sourceFile)) {
+            throw new Error(`Datei nicht gefunden: ${path.join(calibreBook.path, file.filename)}`);
+        }
+    }
+
+    const copiedFiles = [];
+    try {
+        for (const file of files) {
+            file.targetFile = path.join(uploadDir, uniqueUploadName(file.extension));
+            await fs.copy(file.sourceFile, file.targetFile);
+            copiedFiles.push(file.targetFile);
+            file.size = (await fs.stat(file.targetFile)).size;
+        }
+
+        let coverImage = null;
+        const sourceCover = resolveInsideLibrary(bookDir, 'cover.jpg');
+        if (calibreBook.hasCover && await fs.pathExists(sourceCover)) {
+            const coverFilename = uniqueUploadName('-cover.jpg');
+            await fs.copy(sourceCover, path.join(uploadDir, coverFilename));
+            copiedFiles.push(path.join(uploadDir, coverFilename));
+            coverImage = `/uploads/${coverFilename}`;
+        }
+
+        const [primary, ...additional] = files;
+        const book = await database.createBook({
+            title: calibreBook.title,
+            author,
+            contributors: calibreBook.authors.map(item => ({ name: item.name, role: 'author', sort_name: item.sortName })),
+            // Calibre stores comments as HTML
+            description: htmlToText(calibreBook.comments),
+            type: 'book',
+            category_id: await resolveCategory(calibreBook.tags, categoryCache),
+            filename: primary.filename,
+            filepath: primary.targetFile,
+            file_size: primary.size,
+            format: primary.format.id,
+            cover_image: coverImage,
+            uploaded_by: userId,
+            isbn: calibreBook.isbn,
+            publisher: calibreBook.publisher,
+            published_date: calibreBook.pubdate,
+            subjects: normalizeSubjects(calibreBook.tags),
+            tags: tagsFromSubjects(calibreBook.tags),
+            series: calibreBook.series,
+            series_index: calibreBook.series ? calibreBook.seriesIndex : null,
+            calibre_uuid: calibreBook.uuid
+        });
+
+        for (const file of additional) {
+            await database.addBookFormat(book.id, {
+                format: file.format.id,
+                filename: file.filename,
+                filepath: file.targetFile,
+                file_size: file.size,
+                uploaded_by: userId
+            });
+        }
+
+        return {
+            status: 'imported',
+            book_id: book.id,
+            format: primary.format.label,
+            formats: files.map(file => file.format.label)
+        };
+    } catch (error) {
+        await Promise.all(copiedFiles.map(file => fs.remove(file).catch(() => {})));
+        throw error;
+    }
+};
+
+/**
+ * Import all books of a Calibre library.
+ * Books that were imported before (same Calibre UUID) or that already exist
+ * with the same title and author are skipped, so the import can be re-run.
+ */
+const importCalibreLibrary = async (calibrePath, { uploadDir, userId }) => {
+    const libraryPath = path.resolve(calibrePath);
+    const metadataFile = path.join(libraryPath, 'metadata.db');
+
+    if (!await fs.pathExists(metadataFile)) {
+        const error = new Error('metadata.db wurde im angegebenen Verzeichnis nicht gefunden');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    await fs.ensureDir(uploadDir);
+
+    const calibreDb = await openCalibreDatabase(metadataFile);
+    let calibreBooks;
+    try {
+        calibreBooks = await readCalibreBooks(calibreDb);
+    } finally {
+        await closeCalibreDatabase(calibreDb);
+    }
+
+    const report = {
+        total: calibreBooks.length,
+        imported: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+        books: []
+    };
+    const categoryCache = new Map();
+
+    for (const calibreBook of calibreBooks) {
+        const entry = {
+            calibre_id: calibreBook.calibreId,
+            title: calibreBook.title,
+            authors: calibreBook.authors.map(item => item.name)
+        };
+
+        try {
+            const result = await importCalibreBook(calibreBook, { libraryPath, uploadDir, userId, categoryCache });
+            Object.assign(entry, result);
+            report[result.status]++;
+        } catch (error) {
+            console.error(`Calibre import failed for "${calibreBook.title}":`, error);
+            entry.status = 'failed';
+            entry.reason = error.message;
+            report.failed++;
+            report.errors.push(`${calibreBook.title}: ${error.message}`);
+        }
+
+        report.books.push(entry);
+    }
+
+    return report;
+};
+
+module.exports = {
+    importCalibreLibrary
+};
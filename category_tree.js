@@ -0,0 +1,124 @@
+// category_tree.js - Category hierarchy: tree building, book counts including subcategories and move checks
+
+const MAX_CATEGORY_DEPTH = 8;
+
+const categoryError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const byName = (a, b) => String(a.name).localeCompare(String(b.name), undefined, { sensitivity: 'base' });
+
+/**
+ * Nested tree from a flat category list (rows with id, parent_id, name and
+ * optionally book_count). Categories whose parent does not exist become roots.
+ * Every node gets children, depth (0 for roots), path (names from the root)
+ * and total_book_count (its own books plus those of all subcategories).
+ */
+const buildCategoryTree = (categories) => {
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const isRoot = node => !node.parent_id || !nodes.has(node.parent_id);
+
+    for (const node of nodes.values()) {
+        if (!isRoot(node)) nodes.get(node.parent_id).children.push(node);
+    }
+
+    const visited = new Set();
+    const visit = (node, parent) => {
+        visited.add(node.id);
+        node.depth = parent ? parent.depth + 1 : 0;
+        node.path = parent ? [...parent.path, node.name] : [node.name];
+        node.children = node.children.filter(child => !visited.has(child.id)).sort(byName);
+        node.children.forEach(child => visit(child, node));
+        node.total_book_count = (node.book_count || 0)
+            + node.children.reduce((sum, child) => sum + child.total_book_count, 0);
+        return node;
+    };
+
+    const roots = [...nodes.values()].filter(isRoot).sort(byName).map(node => visit(node, null));
+    // A parent cycle (only possible through manual edits) would hide its categories; list them as roots
+    for (const node of nodes.values()) {
+        if (!visited.has(node.id)) {
+            node.parent_id = null;
+            roots.push(visit(node, null));
+        }
+    }
+    return roots;
+};
+
+// Depth-first list of a tree (parents before their children) without the nested children
+const flattenCategoryTree = (roots) => roots.flatMap(({ children, ...node }) => [
+    { ...node, child_count: children.length },
+    ...flattenCategoryTree(children)
+]);
+
+// Ids of a category and all of its subcategories
+const descendantIds = (categories, categoryId) => {
+    const ids = new Set([categoryId]);
+    let added = true;
+    while (added) {
+        added = false;
+        for (const category of categories) {
+            if (category.parent_id && ids.has(category.parent_id) && !ids.has(category.id)) {
+                ids.add(category.id);
+                added = true;
+            }
+        }
+    }
+    return ids;
+};
+
+// parent_id of a request: undefined leaves it unchanged, null or '' makes a root category
+const parseParentId = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string') {
+        throw categoryError('parent_id muss eine Kategorie-ID sein');
+    }
+    return value;
+};
+
+/**
+ * Check that categoryId (null for a new category) can be placed below
+ * parentId: the parent exists, is not the category itself or one of its
+ * subcategories, and the moved subtree stays within MAX_CATEGORY_DEPTH levels.
+ */
+const validateCategoryParent = (categories, categoryId, parentId) => {
+    if (!parentId) return;
+
+    const byId = new Map(categories.map(category => [category.id, category]));
+    if (!byId.has(parentId)) {
+        throw categoryError('Übergeordnete Kategorie nicht gefunden', 404);
+    }
+
+    const subtree = categoryId ? descendantIds(categories, categoryId) : new Set();
+    if (subtree.has(parentId)) {
+        throw categoryError('Eine Kategorie kann nicht in sich selbst oder eine ihrer Unterkategorien verschoben werden');
+    }
+
+    let parentDepth = 0;
+    for (let current = byId.get(parentId); current.parent_id && byId.has(current.parent_id); current = byId.get(current.parent_id)) {
+        parentDepth++;
+    }
+    const subtreeHeight = categoryId ? treeHeight(categories, categoryId) : 1;
+    if (parentDepth + 1 + subtreeHeight > MAX_CATEGORY_DEPTH) {
+        throw categoryError(`Kategorien können höchstens ${MAX_CATEGORY_DEPTH} Ebenen tief verschachtelt werden`);
+    }
+};
+
+// Number of levels of a subtree (1 for a category without subcategories)
+const treeHeight = (categories, categoryId, seen = new Set()) => {
+    seen.add(categoryId);
+    const children = categories.filter(category => category.parent_id === categoryId && !seen.has(category.id));
+    return 1 + Math.max(0, ...children.map(child => treeHeight(categories, child.id, seen)));
+};
+
+module.exports = {
+    MAX_CATEGORY_DEPTH,
+    buildCategoryTree,
+    flattenCategoryTree,
+    descendantIds,
+    parseParentId,
+    validateCategoryParent
+};
@@ -0,0 +1,126 @@
+// comic_reader.js - Read metadata and cover of comic archives (CBZ = ZIP, CBR = RAR)
+const path = require('path');
+const fs = require('fs-extra');
+const unzipper = require('unzipper');
+const { createExtractorFromData } = require('node-unrar-js');
+const { XMLParser } = require('fast-xml-parser');
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false
+});
+
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+const comicError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+};
+
+const isPageImage = (name) => {
+    const segments = name.split('/');
+    // Skip macOS resource forks and hidden files
+    if (segments.includes('__MACOSX') || segments.some(segment => segment.startsWith('.'))) return false;
+    return Boolean(IMAGE_TYPES[path.posix.extname(name).toLowerCase()]);
+};
+
+// Pages are ordered by name; numeric collation puts page2 before page10
+const comparePages = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const splitList = (value) => String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// ZIP and RAR archives behind the same interface: list of file names and a reader for single files
+const openCbz = async (filepath) => {
+    let directory;
+    try {
+        directory = await unzipper.Open.file(filepath);
+    } catch (error) {
+        throw comicError('Ungültige CBZ-Datei: Archiv kann nicht geöffnet werden');
+    }
+    const files = new Map(directory.files.filter(file => file.type === 'File').map(file => [file.path, file]));
+    return {
+        names: [...files.keys()],
+        read: async (name) => files.get(name).buffer()
+    };
+};
+
+const openCbr = async (filepath) => {
+    const data = await fs.readFile(filepath);
+    try {
+        const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+        const listing = (await createExtractorFromData({ data: buffer })).getFileList();
+        const names = [...listing.fileHeaders].filter(header => !header.flags.directory).map(header => header.name);
+        return {
+            names,
+            read: async (name) => {
+                const extractor = await createExtractorFromData({ data: buffer });
+                const [file] = [...extractor.extract({ files: [name] }).files];
+                return Buffer.from(file.extraction);
+            }
+        };
+    } catch (error) {
+        throw comicError('Ungültige CBR-Datei: Archiv kann nicht geöffnet werden');
+    }
+};
+
+// ComicInfo.xml (ComicRack schema) is the de facto standard for comic metadata
+const readComicInfo = async (archive) => {
+    const name = archive.names.find(entry => path.posix.basename(entry).toLowerCase() === 'comicinfo.xml');
+    if (!name) return {};
+    try {
+        return xmlParser.parse((await archive.read(name)).toString('utf8')).ComicInfo || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Metadata of a CBZ or CBR comic: ComicInfo.xml if present, the number of
+ * page images and the cover (page marked FrontCover, otherwise the first page).
+ */
+const getComicMetadata = async (filepath, archiveType) => {
+    const archive = archiveType === 'cbr' ? await openCbr(filepath) : await openCbz(filepath);
+    const pages = archive.names.filter(isPageImage).sort(comparePages);
+    if (pages.length === 0) {
+        throw comicError('Das Comic-Archiv enthält keine Bilder');
+    }
+
+    const info = await readComicInfo(archive);
+    const pageInfo = [].concat(info.Pages?.Page || []);
+    const frontCover = pageInfo.find(page => page['@_Type'] === 'FrontCover');
+    const coverName = pages[Number(frontCover?.['@_Image'])] || pages[0];
+
+    const seriesIndex = Number.parseFloat(info.Number);
+    const title = info.Title || (info.Series && info.Number ? `${info.Series} #${info.Number}` : null);
+
+    return {
+        title: title || null,
+        authors: splitList(info.Writer),
+        description: info.Summary || null,
+        keywords: [...splitList(info.Genre), ...splitList(info.Tags)],
+        language: info.LanguageISO || null,
+        publisher: info.Publisher || null,
+        series: info.Series || null,
+        series_index: info.Series && Number.isFinite(seriesIndex) ? seriesIndex : null,
+        page_count: Number.parseInt(info.PageCount, 10) || pages.length,
+        cover: {
+            data: await archive.read(coverName),
+            mediaType: IMAGE_TYPES[path.posix.extname(coverName).toLowerCase()]
+        }
+    };
+};
+
+module.exports = {
+    getComicMetadata
+};
@@ -1,9 +1,112 @@
 // database.js - SQLite Database Connection and Management
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 const fs = require('fs-extra');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { getFormatByFilename } = require('./book_formats');
+const { parseSearchQuery } = require('./book_query');
+const { isbnVariants } = require('./book_metadata');
+const { UNKNOWN_AUTHOR, AUTHOR_SEPARATOR, sortNameFor, authorKey, contributorsFromAuthors } = require('./book_authors');
+const { DEFAULT_SHELVES } = require('./book_shelves');
+
+// Bump whenever tables or columns are added; stored in PRAGMA user_version and in backup manifests
+const SCHEMA_VERSION = 19;
+
+// Book list sort keys (book_query.js) and their columns; text is sorted case-insensitively.
+// The direction is appended to the last column; keys sorting by several values get it as a parameter.
+const BOOK_SORT_COLUMNS = {
+    date: 'b.upload_date',
+    title: 'b.title COLLATE NOCASE',
+    // Sort name of the first author ("Herbert, Frank"), the author text for books without linked authors
+    author: `COALESCE((SELECT a.sort_name FROM book_contributors bc JOIN authors a ON a.id = bc.author_id
+                       WHERE bc.book_id = b.id AND bc.role = 'author' ORDER BY bc.position LIMIT 1), b.author) COLLATE NOCASE`,
+    downloads: 'b.download_count',
+    size: 'b.file_size',
+    // Books without a known date come last in both directions
+    published: 'b.published_date IS NULL, b.published_date',
+    // Reading order: grouped by series, then by the number in the series; both follow the direction
+    series: (order) => `b.series IS NULL, b.series COLLATE NOCASE ${order}, b.series_index IS NULL, b.series_index`,
+    // Average of the visible ratings; unrated books come last in both directions
+    rating: 'br.average_rating IS NULL, br.average_rating',
+    // Order on a shelf; the only sort column with a parameter (the shelf id, see getBooks)
+    shelf: '(SELECT sb.position FROM shelf_books sb WHERE sb.shelf_id = ? AND sb.book_id = b.id)'
+};
+
+// Literal text for LIKE patterns (used with ESCAPE '\')
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Subjects are stored as a JSON array of strings
+const serializeSubjects = (subjects) => {
+    if (typeof subjects === 'string') return subjects || null;
+    return Array.isArray(subjects) && subjects.length > 0 ? JSON.stringify(subjects) : null;
+};
+
+const parseJsonList = (value) => {
+    try {
+        const list = value ? JSON.parse(value) : [];
+        return Array.isArray(list) ? list : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+// Tag names of a book (alias b) as a JSON array, sorted by name
+const BOOK_TAGS_COLUMN = `(SELECT json_group_array(name) FROM (
+    SELECT t.name FROM book_tags bt JOIN tags t ON t.id = bt.tag_id WHERE bt.book_id = b.id ORDER BY t.name
+)) as tags`;
+
+// Authors, editors, translators and illustrators of a book in their order on the book
+const BOOK_CONTRIBUTORS_COLUMN = `(SELECT json_group_array(json_object('id', a.id, 'name', a.name, 'sort_name', a.sort_name, 'role', bc.role))
+    FROM (SELECT * FROM book_contributors WHERE book_id = b.id ORDER BY position) bc
+    JOIN authors a ON a.id = bc.author_id
+) as contributors`;
+
+// Books with a contributor whose name or sort name matches a LIKE pattern (given twice)
+const CONTRIBUTOR_MATCH = `SELECT 1 FROM book_contributors bc JOIN authors a ON a.id = bc.author_id
+    WHERE bc.book_id = b.id AND (a.name LIKE ? ESCAPE '\\' OR a.sort_name LIKE ? ESCAPE '\\')`;
+
+// Subjects and (where selected) tags and contributors come from the database as JSON arrays
+const parseBookRow = (book) => {
+    if (!book) return book;
+    const parsed = { ...book, subjects: parseJsonList(book.subjects) };
+    if (typeof book.tags === 'string') parsed.tags = parseJsonList(book.tags);
+    if (typeof book.contributors === 'string') parsed.contributors = parseJsonList(book.contributors);
+    return parsed;
+};
+
+// Average stars and number of ratings per book; hidden reviews do not count
+const BOOK_RATINGS_JOIN = `LEFT JOIN (
+    SELECT book_id, ROUND(AVG(rating), 2) as average_rating, COUNT(*) as rating_count
+    FROM book_reviews WHERE hidden = 0 GROUP BY book_id
+) br ON br.book_id = b.id`;
+
+// Reviews with the names of their author and book
+const REVIEW_SELECT = `
+    SELECT r.*, u.username, b.title as book_title
+    FROM book_reviews r
+    JOIN users u ON u.id = r.user_id
+    JOIN books b ON b.id = r.book_id`;
+
+const parseReviewRow = (review) => review && { ...review, hidden: Boolean(review.hidden) };
+
+// Shelves with the number of books and whether the current user sees them through a share
+const SHELF_SELECT = `
+    SELECT s.*, u.username as owner_name,
+           (SELECT COUNT(*) FROM shelf_books WHERE shelf_id = s.id) as book_count,
+           EXISTS (SELECT 1 FROM shelf_shares WHERE shelf_id = s.id AND user_id = ?) as shared_with_me
+    FROM shelves s
+    JOIN users u ON u.id = s.user_id`;
+
+const parseShelfRow = (shelf) => shelf && {
+    ...shelf,
+    shared_with_me: Boolean(shelf.shared_with_me),
+    ...(shelf.has_book !== undefined && { has_book: Boolean(shelf.has_book) })
+};
+
+// Roles an author has on their books, as a list
+const parseAuthorRow = (author) => author && { ...author, roles: author.roles ? author.roles.split(',') : [] };
 
 // Database configuration
 const dbPath = process.env.DB_PATH || path.join(__dirname, 'lectoria.db');
@@ -26,16 +129,28 @@ const db = new sqlite3.Database(dbPath, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
+// The transaction the current async call chain belongs to, if any
+const transactionContext = new AsyncLocalStorage();
+
 // Database utility class
 class Database {
     constructor() {
         this.db = db;
         this.initPromise = null;
+        this.activeTransaction = null;
+    }
+
+    // All statements share one connection: while a transaction runs, statements from
+    // outside of it wait, so they are neither part of it nor undone by its rollback
+    afterTransaction(statement) {
+        const active = this.activeTransaction;
+        if (!active || transactionContext.getStore() === active) return statement();
+        return active.done.then(() => this.afterTransaction(statement));
     }
 
     // Promisify database methods
     run(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.afterTransaction(() => new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) {
                     console.error('Database error:', err);
@@ -44,11 +159,11 @@ class Database {
                     resolve({ id: this.lastID, changes: this.changes });
                 }
             });
-        });
+        }));
     }
 
     get(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.afterTransaction(() => new Promise((resolve, reject) => {
             this.db.get(sql, params, (err, row) => {
                 if (err) {
                     console.error('Database error:', err);
@@ -57,11 +172,11 @@ class Database {
                     resolve(row);
                 }
             });
-        });
+        }));
     }
 
     all(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.afterTransaction(() => new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     console.error('Database error:', err);
@@ -70,6 +185,62 @@ class Database {
                     resolve(rows);
                 }
             });
+        }));
+    }
+
+    // Run several statements atomically; rolls back if the callback throws.
+    // Transactions run one after another; a nested call joins the outer transaction.
+    async transaction(callback) {
+        if (this.activeTransaction && transactionContext.getStore() === this.activeTransaction) {
+            return await callback();
+        }
+        while (this.activeTransaction) {
+            await this.activeTransaction.done;
+        }
+
+        let release;
+        const active = { done: new Promise(resolve => { release = resolve; }) };
+        this.activeTransaction = active;
+
+        try {
+            return await transactionContext.run(active, async () => {
+                await this.run('BEGIN IMMEDIATE TRANSACTION');
+                try {
+                    const result = await callback();
+                    await this.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.run('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            this.activeTransaction = null;
+            release();
+        }
+    }
+
+    async getSchemaVersion() {
+        const row = await this.get('PRAGMA user_version');
+        return row.user_version;
+    }
+
+    // Write a consistent copy of the live database using SQLite's online backup API
+    snapshotTo(targetFile) {
+        return new Promise((resolve, reject) => {
+            const backup = this.db.backup(targetFile, (err) => {
+                if (err) return reject(err);
+
+                backup.step(-1, (stepErr) => {
+                    backup.finish((finishErr) => {
+                        if (stepErr || finishErr) {
+                            reject(stepErr || finishErr);
+                        } else {
+                            resolve(targetFile);
+                        }
+                    });
+                });
+            });
         });
     }
 
@@ -133,11 +304,12 @@ class Database {
                 )
             `);
 
-            // Create categories table
+            // Create categories table (parent_id nests categories; NULL for top-level ones)
             await this.run(`
                 CREATE TABLE IF NOT EXISTS categories (
                     id TEXT PRIMARY KEY,
                     name TEXT UNIQUE NOT NULL,
+                    parent_id TEXT,
                     description TEXT,
                     color TEXT DEFAULT '#1976d2',
                     icon TEXT DEFAULT 'folder',
@@ -146,6 +318,32 @@ class Database {
                 )
             `);
 
+            // Create series table (books link to it with series_id)
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS series (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    description TEXT,
+                    cover_image TEXT,
+                    created_by TEXT,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now')),
+                    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+
+            // Create tags table (free-form labels; books link to them through book_tags)
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS tags (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    created_by TEXT,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now')),
+                    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+
             // Create books table
             await this.run(`
                 CREATE TABLE IF NOT EXISTS books (
@@ -223,11 +421,239 @@ class Database {
                 )
             `);
 
+            // Create backup_runs table (manual and scheduled backup history)
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS backup_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    trigger_type TEXT NOT NULL DEFAULT 'manual',
+                    status TEXT NOT NULL DEFAULT 'running',
+                    filename TEXT,
+                    file_size INTEGER,
+                    books_count INTEGER,
+                    error TEXT,
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT
+                )
+            `);
+
+            // Create reading_progress table (last position per user and book, synced across devices)
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS reading_progress (
+                    user_id TEXT NOT NULL,
+                    book_id TEXT NOT NULL,
+                    location TEXT,
+                    page INTEGER,
+                    total_pages INTEGER,
+                    percentage REAL NOT NULL DEFAULT 0,
+                    device_name TEXT,
+                    updated_at TEXT NOT NULL,
+                    PRIMARY KEY (user_id, book_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Files of a book, one per format; the books row mirrors the primary file
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS book_formats (
+                    id TEXT PRIMARY KEY,
+                    book_id TEXT NOT NULL,
+                    format TEXT NOT NULL,
+                    filename TEXT NOT NULL,
+                    filepath TEXT NOT NULL,
+                    file_size INTEGER,
+                    uploaded_by TEXT,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    UNIQUE (book_id, format),
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+
+            // Tags of each book
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS book_tags (
+                    book_id TEXT NOT NULL,
+                    tag_id TEXT NOT NULL,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (book_id, tag_id),
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Create authors table (people credited on books; sort_name like "Herbert, Frank")
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS authors (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    sort_name TEXT NOT NULL,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now'))
+                )
+            `);
+
+            // Contributors of each book with their role; books.author keeps the author names for search and exports
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS book_contributors (
+                    book_id TEXT NOT NULL,
+                    author_id TEXT NOT NULL,
+                    role TEXT NOT NULL DEFAULT 'author' CHECK (role IN ('author', 'editor', 'translator', 'illustrator')),
+                    position INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (book_id, author_id, role),
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                    FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Personal shelves (reading lists); kind marks the default shelves, share_token the public link
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS shelves (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    name TEXT NOT NULL COLLATE NOCASE,
+                    description TEXT,
+                    kind TEXT,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    share_token TEXT UNIQUE,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now')),
+                    UNIQUE (user_id, name),
+                    UNIQUE (user_id, kind),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Books on each shelf in the owner's order
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS shelf_books (
+                    shelf_id TEXT NOT NULL,
+                    book_id TEXT NOT NULL,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    added_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (shelf_id, book_id),
+                    FOREIGN KEY (shelf_id) REFERENCES shelves(id) ON DELETE CASCADE,
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Users a shelf is shared with (read-only)
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS shelf_shares (
+                    shelf_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (shelf_id, user_id),
+                    FOREIGN KEY (shelf_id) REFERENCES shelves(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Star ratings (1-5) and optional review texts, one per user and book; admins can hide reviews
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS book_reviews (
+                    id TEXT PRIMARY KEY,
+                    book_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+                    review TEXT,
+                    hidden INTEGER NOT NULL DEFAULT 0,
+                    moderated_by TEXT,
+                    moderated_at TEXT,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now')),
+                    UNIQUE (book_id, user_id),
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+
+            // Create jobs table (persistent background job queue: archives, backups, conversions, lookups)
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS jobs (
+                    id TEXT PRIMARY KEY,
+                    type TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'queued',
+                    payload TEXT,
+                    result TEXT,
+                    progress INTEGER NOT NULL DEFAULT 0,
+                    error TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    max_attempts INTEGER NOT NULL DEFAULT 1,
+                    book_id TEXT,
+                    created_by TEXT,
+                    run_after TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    started_at TEXT,
+                    finished_at TEXT,
+                    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+
+            // Full-text index of book contents: one row per EPUB chapter (spine index) or PDF page
+            await this.run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS book_content USING fts5(
+                    book_id UNINDEXED,
+                    format UNINDEXED,
+                    chapter UNINDEXED,
+                    page UNINDEXED,
+                    label UNINDEXED,
+                    content,
+                    tokenize = 'unicode61 remove_diacritics 2'
+                )
+            `);
+
             // Create indexes for better performance
             await this.run('CREATE INDEX IF NOT EXISTS idx_books_title ON books(title)');
             await this.run('CREATE INDEX IF NOT EXISTS idx_books_author ON books(author)');
             await this.run('CREATE INDEX IF NOT EXISTS idx_books_uploaded_by ON books(uploaded_by)');
             await this.run('CREATE INDEX IF NOT EXISTS idx_share_links_token ON share_links(share_token)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_backup_runs_started_at ON backup_runs(started_at)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_reading_progress_user ON reading_progress(user_id, updated_at)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_after)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_jobs_book ON jobs(book_id)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_jobs_created_by ON jobs(created_by, created_at)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_book_tags_tag ON book_tags(tag_id)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_book_contributors_author ON book_contributors(author_id, role)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_shelf_books_book ON shelf_books(book_id)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_shelf_shares_user ON shelf_shares(user_id)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_book_reviews_user ON book_reviews(user_id)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_book_reviews_updated ON book_reviews(hidden, updated_at)');
+
+            // Add columns introduced after the initial schema (existing databases)
+            await this.ensureColumn('books', 'isbn', 'TEXT');
+            await this.ensureColumn('books', 'series', 'TEXT');
+            await this.ensureColumn('books', 'series_index', 'REAL');
+            await this.ensureColumn('books', 'calibre_uuid', 'TEXT');
+            await this.ensureColumn('books', 'publisher', 'TEXT');
+            await this.ensureColumn('books', 'language', 'TEXT');
+            await this.ensureColumn('books', 'page_count', 'INTEGER');
+            await this.ensureColumn('books', 'format', 'TEXT');
+            await this.ensureColumn('books', 'content_indexed_at', 'TEXT');
+            await this.ensureColumn('books', 'isbn_10', 'TEXT');
+            await this.ensureColumn('books', 'isbn_13', 'TEXT');
+            await this.ensureColumn('books', 'published_date', 'TEXT');
+            await this.ensureColumn('books', 'edition', 'TEXT');
+            await this.ensureColumn('books', 'subjects', 'TEXT');
+            await this.ensureColumn('books', 'series_id', 'TEXT');
+            await this.ensureColumn('users', 'token_version', 'INTEGER DEFAULT 0');
+            await this.ensureColumn('categories', 'parent_id', 'TEXT');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_books_calibre_uuid ON books(calibre_uuid)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_books_format ON books(format)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_book_formats_format ON book_formats(format)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_books_isbn_13 ON books(isbn_13)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_books_series_id ON books(series_id, series_index)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id)');
+            await this.run('CREATE INDEX IF NOT EXISTS idx_books_category ON books(category_id)');
+            await this.backfillBookFormats();
+            await this.backfillIsbnVariants();
+            await this.migrateSeries();
+            await this.migrateAuthors();
+            await this.migrateConversionJobs();
+
+            await this.run(`PRAGMA user_version = ${SCHEMA_VERSION}`);
 
             console.log('✅ Database tables created/verified');
 
@@ -286,6 +712,106 @@ class Database {
         }
     }
 
+    // Books stored before the format column existed get it from their file extension.
+    // Every book file is listed in book_formats; older books only have their primary file.
+    async backfillBookFormats() {
+        const books = await this.all('SELECT id, filename FROM books WHERE format IS NULL');
+        for (const book of books) {
+            const format = getFormatByFilename(book.filename);
+            if (format) {
+                await this.run('UPDATE books SET format = ? WHERE id = ?', [format.id, book.id]);
+            }
+        }
+
+        await this.run(`
+            INSERT INTO book_formats (id, book_id, format, filename, filepath, file_size, uploaded_by, created_at)
+            SELECT lower(hex(randomblob(16))), b.id, b.format, b.filename, b.filepath, b.file_size, b.uploaded_by, b.upload_date
+            FROM books b
+            WHERE b.format IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM book_formats bf WHERE bf.book_id = b.id)
+        `);
+    }
+
+    // Books from before schema 13 only have the ISBN as entered; add its ISBN-10 and ISBN-13 form
+    async backfillIsbnVariants() {
+        const books = await this.all('SELECT id, isbn FROM books WHERE isbn IS NOT NULL AND isbn_10 IS NULL AND isbn_13 IS NULL');
+        for (const book of books) {
+            const variants = isbnVariants(book.isbn);
+            if (variants) {
+                await this.run('UPDATE books SET isbn_10 = ?, isbn_13 = ? WHERE id = ?', [variants.isbn_10, variants.isbn_13, book.id]);
+            }
+        }
+    }
+
+    // Before schema 14 the series was only a name on the book; create a series for each name and link its books
+    async migrateSeries() {
+        await this.run(`
+            INSERT OR IGNORE INTO series (id, name, created_by, created_at)
+            SELECT lower(hex(randomblob(16))), TRIM(series), MIN(uploaded_by), MIN(upload_date)
+            FROM books
+            WHERE series_id IS NULL AND TRIM(COALESCE(series, '')) != ''
+            GROUP BY TRIM(series) COLLATE NOCASE
+        `);
+        await this.run(`
+            UPDATE books
+            SET series_id = (SELECT id FROM series WHERE name = TRIM(books.series)),
+                series = (SELECT name FROM series WHERE name = TRIM(books.series))
+            WHERE series_id IS NULL AND TRIM(COALESCE(series, '')) != ''
+        `);
+    }
+
+    // Before schema 17 the authors were only a text on the book; link each book to its authors
+    async migrateAuthors() {
+        const books = await this.all(`
+            SELECT id, author FROM books
+            WHERE TRIM(COALESCE(author, '')) != ''
+              AND NOT EXISTS (SELECT 1 FROM book_contributors WHERE book_id = books.id)
+        `);
+        const unlinked = books.filter(book => contributorsFromAuthors(book.author).length > 0);
+        if (unlinked.length === 0) return;
+
+        await this.transaction(async () => {
+            for (const book of unlinked) {
+                await this.setBookContributors(book.id, contributorsFromAuthors(book.author));
+            }
+        });
+        console.log(`🔧 Linked authors of ${unlinked.length} books`);
+    }
+
+    // Conversion jobs had their own table before the generic job queue (schema 10)
+    async migrateConversionJobs() {
+        const table = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'conversion_jobs'");
+        if (!table) return;
+
+        await this.transaction(async () => {
+            await this.run(`
+                INSERT OR IGNORE INTO jobs (id, type, status, payload, result, progress, error, attempts, max_attempts,
+                                            book_id, created_by, run_after, created_at, started_at, finished_at)
+                SELECT id, 'book_conversion',
+                       CASE WHEN status = 'running' THEN 'failed' ELSE status END,
+                       json_object('source_format', source_format, 'target_format', target_format),
+                       CASE WHEN converter IS NULL THEN NULL ELSE json_object('converter', converter) END,
+                       progress,
+                       CASE WHEN status = 'running' THEN 'Unterbrochen (Server-Neustart)' ELSE error END,
+                       CASE WHEN status = 'queued' THEN 0 ELSE 1 END, 1,
+                       book_id, requested_by, created_at, created_at, started_at,
+                       CASE WHEN status = 'running' THEN started_at ELSE finished_at END
+                FROM conversion_jobs
+            `);
+            await this.run('DROP TABLE conversion_jobs');
+        });
+        console.log('🔧 Migrated conversion_jobs into jobs');
+    }
+
+    // Add a column to an existing table if it is not there yet
+    async ensureColumn(table, column, definition) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        if (!columns.some(col => col.name === column)) {
+            await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`🔧 Added column ${table}.${column}`);
+        }
+    }
+
     async initializeDefaultCategories() {
         const defaultCategories = [
             { 
@@ -469,11 +995,11 @@ class Database {
 
     // User management functions
     async createUser(userData) {
-        const { id = uuidv4(), username, email, password, role = 'user', must_change_password = 0 } = userData;
+        const { id = uuidv4(), username, email, password, role = 'user', must_change_password = 0, is_active = 1, last_password_change = null } = userData;
         await this.run(`
-            INSERT INTO users (id, username, email, password, role, must_change_password) 
-            VALUES (?, ?, ?, ?, ?, ?)
-        `, [id, username, email, password, role, must_change_password]);
+            INSERT INTO users (id, username, email, password, role, must_change_password, is_active, last_password_change) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, username, email, password, role, must_change_password, is_active, last_password_change]);
         
         return await this.getUserById(id);
     }
@@ -486,6 +1012,10 @@ class Database {
         return await this.get('SELECT * FROM users WHERE id = ?', [id]);
     }
 
+    async findUserByUsernameOrEmail(username, email) {
+        return await this.get('SELECT * FROM users WHERE LOWER(username) = LOWER(?) OR LOWER(email) = LOWER(?)', [username, email]);
+    }
+
     async getAllUsers() {
         return await this.all(`
             SELECT id, username, email, role, is_active, must_change_password, 
@@ -526,33 +1056,78 @@ class Database {
         return user;
     }
 
-    async updateUserPassword(id, hashedPassword, passwordChangeDate) {
+    async updateUserPassword(id, hashedPassword, passwordChangeDate, mustChangePassword = false) {
         await this.run(`
             UPDATE users 
-            SET password = ?, must_change_password = 0, last_password_change = ?, updated_at = datetime('now')
+            SET password = ?, must_change_password = ?, last_password_change = ?, updated_at = datetime('now')
             WHERE id = ?
-        `, [hashedPassword, passwordChangeDate, id]);
+        `, [hashedPassword, mustChangePassword ? 1 : 0, passwordChangeDate, id]);
         
         return await this.getUserById(id);
     }
 
+    // Tokens carry the version they were issued with; bumping it logs the user out everywhere
+    async invalidateUserSessions(id) {
+        await this.run('UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE id = ?', [id]);
+    }
+
     // Category management functions
     async getAllCategories() {
-        return await this.all('SELECT * FROM categories ORDER BY name');
+        return await this.all(`
+            SELECT c.*, (SELECT COUNT(*) FROM books b WHERE b.category_id = c.id) as book_count
+            FROM categories c
+            ORDER BY c.name
+        `);
+    }
+
+    async getCategoriesWithBookCounts() {
+        return await this.all(`
+            SELECT c.id, c.name, c.parent_id, c.description, COUNT(b.id) as book_count, MAX(b.upload_date) as last_upload
+            FROM categories c
+            LEFT JOIN books b ON b.category_id = c.id
+            GROUP BY c.id
+            ORDER BY c.name COLLATE NOCASE
+        `);
+    }
+
+    // Authors with at least one book, by sort name
+    async getAuthorsWithBookCounts({ limit, offset = 0 } = {}) {
+        const authors = await this.all(`
+            SELECT a.id, a.name, a.sort_name, COUNT(DISTINCT b.id) as book_count, MAX(b.upload_date) as last_upload
+            FROM authors a
+            JOIN book_contributors bc ON bc.author_id = a.id
+            JOIN books b ON b.id = bc.book_id
+            GROUP BY a.id
+            ORDER BY a.sort_name COLLATE NOCASE
+            LIMIT ? OFFSET ?
+        `, [limit || -1, offset]);
+        const { total } = await this.get(
+            'SELECT COUNT(DISTINCT author_id) as total FROM book_contributors'
+        );
+        return { authors, total };
+    }
+
+    async getCategoryByName(name) {
+        return await this.get(`
+            SELECT c.* FROM categories c
+            WHERE LOWER(c.name) = LOWER(?)
+               OR c.id IN (SELECT category_id FROM category_translations WHERE LOWER(name) = LOWER(?))
+            LIMIT 1
+        `, [name, name]);
     }
 
     async createCategory(categoryData) {
-        const { id = uuidv4(), name, description, color = '#1976d2', icon = 'folder' } = categoryData;
+        const { id = uuidv4(), name, parent_id = null, description, color = '#1976d2', icon = 'folder' } = categoryData;
         await this.run(`
-            INSERT INTO categories (id, name, description, color, icon) 
-            VALUES (?, ?, ?, ?, ?)
-        `, [id, name, description, color, icon]);
+            INSERT INTO categories (id, name, parent_id, description, color, icon) 
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [id, name, parent_id, description, color, icon]);
         
         return await this.get('SELECT * FROM categories WHERE id = ?', [id]);
     }
 
     async updateCategory(id, updates) {
-        const allowedFields = ['name', 'description', 'color', 'icon'];
+        const allowedFields = ['name', 'parent_id', 'description', 'color', 'icon'];
         const fields = [];
         const values = [];
 
@@ -574,51 +1149,59 @@ class Database {
         return await this.get('SELECT * FROM categories WHERE id = ?', [id]);
     }
 
+    // Subcategories move up to the parent of the deleted category; its books keep no category
     async deleteCategory(id) {
         const category = await this.get('SELECT * FROM categories WHERE id = ?', [id]);
         if (category) {
+            await this.run("UPDATE categories SET parent_id = ?, updated_at = datetime('now') WHERE parent_id = ?", [category.parent_id, id]);
             await this.run('DELETE FROM categories WHERE id = ?', [id]);
         }
         return category;
     }
 
-    // Book management functions
-    async createBook(bookData) {
-        const id = uuidv4();
-        await this.run(`
-            INSERT INTO books (id, title, author, description, type, category_id, filename, filepath, file_size, cover_image, uploaded_by) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            id,
-            bookData.title,
-            bookData.author,
-            bookData.description,
-            bookData.type,
-            bookData.category_id || null,
-            bookData.filename,
-            bookData.filepath,
-            bookData.file_size,
-            bookData.cover_image || null,
-            bookData.uploaded_by
-        ]);
-        
-        return await this.getBookById(id);
+    // Series management; books.series keeps the name of the linked series for search and exports
+    async getAllSeries({ search } = {}) {
+        return await this.all(`
+            SELECT s.*, COUNT(b.id) as book_count, GROUP_CONCAT(b.series_index) as volume_indexes,
+                   (SELECT cover_image FROM books
+                    WHERE series_id = s.id AND cover_image IS NOT NULL
+                    ORDER BY series_index IS NULL, series_index, title LIMIT 1) as first_cover
+            FROM series s
+            LEFT JOIN books b ON b.series_id = s.id
+            ${search ? "WHERE s.name LIKE ? ESCAPE '\\'" : ''}
+            GROUP BY s.id
+            ORDER BY s.name
+        `, search ? [`%${escapeLike(search)}%`] : []);
     }
 
-    async getBookById(id) {
-        return await this.get('SELECT * FROM books WHERE id = ?', [id]);
+    async getSeriesById(id) {
+        return await this.get('SELECT * FROM series WHERE id = ?', [id]);
     }
 
-    async deleteBook(id) {
-        const book = await this.getBookById(id);
-        if (book) {
-            await this.run('DELETE FROM books WHERE id = ?', [id]);
-        }
-        return book;
+    async getSeriesByName(name) {
+        return await this.get('SELECT * FROM series WHERE name = ?', [name.trim()]);
     }
 
-    async updateBook(id, updates) {
-        const allowedFields = ['title', 'author', 'description', 'cover_image'];
+    async createSeries(seriesData) {
+        const { id = uuidv4(), name, description = null, cover_image = null, created_by = null } = seriesData;
+        await this.run(`
+            INSERT INTO series (id, name, description, cover_image, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `, [id, name.trim(), description, cover_image, created_by]);
+
+        return await this.getSeriesById(id);
+    }
+
+    // Names are compared case-insensitively, so "Dune" and "DUNE" are the same series
+    async findOrCreateSeries(name, createdBy = null) {
+        await this.run(`
+            INSERT OR IGNORE INTO series (id, name, created_by) VALUES (?, ?, ?)
+        `, [uuidv4(), name.trim(), createdBy]);
+        return await this.getSeriesByName(name);
+    }
+
+    async updateSeries(id, updates) {
+        const allowedFields = ['name', 'description', 'cover_image'];
         const fields = [];
         const values = [];
 
@@ -629,95 +1212,872 @@ class Database {
             }
         });
 
-        if (fields.length === 0) return false;
+        if (fields.length === 0) return await this.getSeriesById(id);
 
         values.push(id);
         const result = await this.run(`
-            UPDATE books SET ${fields.join(', ')}
+            UPDATE series SET ${fields.join(', ')}, updated_at = datetime('now')
             WHERE id = ?
         `, values);
-        
+        if (result.changes === 0) return null;
+
+        if (updates.name !== undefined) {
+            await this.run('UPDATE books SET series = ? WHERE series_id = ?', [updates.name, id]);
+        }
+        return await this.getSeriesById(id);
+    }
+
+    // The books of a deleted series stay, without series and number
+    async deleteSeries(id) {
+        const series = await this.getSeriesById(id);
+        if (series) {
+            await this.run('UPDATE books SET series_id = NULL, series = NULL, series_index = NULL WHERE series_id = ?', [id]);
+            await this.run('DELETE FROM series WHERE id = ?', [id]);
+        }
+        return series;
+    }
+
+    // Link a book to a series (or remove it from its series with seriesId null)
+    async setBookSeries(bookId, { seriesId, seriesIndex = null }) {
+        const series = seriesId ? await this.getSeriesById(seriesId) : null;
+        const result = await this.run(
+            'UPDATE books SET series_id = ?, series = ?, series_index = ? WHERE id = ?',
+            [series ? series.id : null, series ? series.name : null, series ? seriesIndex : null, bookId]
+        );
         return result.changes > 0;
     }
 
-    async incrementDownloadCount(bookId) {
-        await this.run('UPDATE books SET download_count = download_count + 1 WHERE id = ?', [bookId]);
-        return await this.getBookById(bookId);
+    // Tags: free-form labels, any number per book; names are unique regardless of case
+    async getAllTags({ search, limit } = {}) {
+        // Autocompletion lists tags starting with the input first, then the most used ones
+        const order = search ? "t.name LIKE ? ESCAPE '\\' DESC, book_count DESC, t.name" : 't.name';
+        const values = search ? [`%${escapeLike(search)}%`, `${escapeLike(search)}%`] : [];
+        return await this.all(`
+            SELECT t.*, COUNT(bt.book_id) as book_count
+            FROM tags t
+            LEFT JOIN book_tags bt ON bt.tag_id = t.id
+            ${search ? "WHERE t.name LIKE ? ESCAPE '\\'" : ''}
+            GROUP BY t.id
+            ORDER BY ${order}
+            LIMIT ?
+        `, [...values, limit || -1]);
     }
 
-    async getBooks(filters = {}) {
-        let query = `
-            SELECT b.*, u.username as uploader_name, 
-                   c.name as category_name, c.color as category_color, c.icon as category_icon
-            FROM books b 
-            LEFT JOIN users u ON b.uploaded_by = u.id 
-            LEFT JOIN categories c ON b.category_id = c.id
-        `;
-        
-        const conditions = [];
-        const values = [];
+    async getTagById(id) {
+        return await this.get(`
+            SELECT t.*, (SELECT COUNT(*) FROM book_tags WHERE tag_id = t.id) as book_count
+            FROM tags t WHERE t.id = ?
+        `, [id]);
+    }
 
-        if (filters.search) {
-            conditions.push(`(b.title LIKE ? OR b.author LIKE ?)`);
-            values.push(`%${filters.search}%`, `%${filters.search}%`);
-        }
+    async getTagByName(name) {
+        return await this.get('SELECT * FROM tags WHERE name = ?', [name.trim()]);
+    }
 
-        if (filters.type && filters.type !== 'all') {
-            conditions.push(`b.type = ?`);
-            values.push(filters.type);
-        }
+    async getTagsByIds(ids) {
+        return await this.all('SELECT * FROM tags WHERE id IN (SELECT value FROM json_each(?))', [JSON.stringify(ids)]);
+    }
 
-        if (filters.category_id) {
-            conditions.push(`b.category_id = ?`);
-            values.push(filters.category_id);
-        }
+    async createTag({ id = uuidv4(), name, created_by = null }) {
+        await this.run('INSERT INTO tags (id, name, created_by) VALUES (?, ?, ?)', [id, name, created_by]);
+        return await this.getTagById(id);
+    }
 
-        if (conditions.length > 0) {
-            query += ' WHERE ' + conditions.join(' AND ');
+    // The tags with these names, created if they do not exist yet
+    async findOrCreateTags(names, createdBy = null) {
+        const tags = [];
+        for (const name of names) {
+            await this.run('INSERT OR IGNORE INTO tags (id, name, created_by) VALUES (?, ?, ?)', [uuidv4(), name, createdBy]);
+            tags.push(await this.getTagByName(name));
         }
+        return tags;
+    }
 
-        query += ' ORDER BY b.upload_date DESC';
+    async renameTag(id, name) {
+        const result = await this.run(`UPDATE tags SET name = ?, updated_at = datetime('now') WHERE id = ?`, [name, id]);
+        return result.changes > 0 ? await this.getTagById(id) : null;
+    }
+
+    async deleteTag(id) {
+        const tag = await this.getTagById(id);
+        if (tag) {
+            await this.run('DELETE FROM tags WHERE id = ?', [id]);
+        }
+        return tag;
+    }
+
+    // Move the books of the source tags to the target tag and delete the source tags
+    async mergeTags(targetId, sourceIds) {
+        const sources = JSON.stringify(sourceIds.filter(id => id !== targetId));
+        await this.run(`
+            INSERT OR IGNORE INTO book_tags (book_id, tag_id, created_at)
+            SELECT book_id, ?, created_at FROM book_tags WHERE tag_id IN (SELECT value FROM json_each(?))
+        `, [targetId, sources]);
+        const result = await this.run('DELETE FROM tags WHERE id IN (SELECT value FROM json_each(?))', [sources]);
+        return result.changes;
+    }
+
+    // Add tags (by name) to each of the books; tags a book already has are kept once
+    async addBookTags(bookIds, names, createdBy = null) {
+        const tags = await this.findOrCreateTags(names, createdBy);
+        for (const tag of tags) {
+            await this.run(`
+                INSERT OR IGNORE INTO book_tags (book_id, tag_id)
+                SELECT value, ? FROM json_each(?) WHERE value IN (SELECT id FROM books)
+            `, [tag.id, JSON.stringify(bookIds)]);
+        }
+        return tags;
+    }
+
+    // Remove tags (by name) from each of the books; the tags themselves stay
+    async removeBookTags(bookIds, names) {
+        const result = await this.run(`
+            DELETE FROM book_tags
+            WHERE book_id IN (SELECT value FROM json_each(?))
+              AND tag_id IN (SELECT id FROM tags WHERE name IN (SELECT value FROM json_each(?)))
+        `, [JSON.stringify(bookIds), JSON.stringify(names)]);
+        return result.changes;
+    }
+
+    // Replace all tags of a book
+    async setBookTags(bookId, names, createdBy = null) {
+        await this.run('DELETE FROM book_tags WHERE book_id = ?', [bookId]);
+        if (names.length > 0) {
+            await this.addBookTags([bookId], names, createdBy);
+        }
+    }
+
+    // Authors: people credited on books as author, editor, translator or illustrator; names are unique regardless of case
+    async getAllAuthors({ search, role, limit, offset = 0 } = {}) {
+        const conditions = [];
+        const values = [];
+        if (search) {
+            conditions.push("(a.name LIKE ? ESCAPE '\\' OR a.sort_name LIKE ? ESCAPE '\\')");
+            values.push(`%${escapeLike(search)}%`, `%${escapeLike(search)}%`);
+        }
+        if (role) {
+            conditions.push('EXISTS (SELECT 1 FROM book_contributors WHERE author_id = a.id AND role = ?)');
+            values.push(role);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const authors = await this.all(`
+            SELECT a.*, COUNT(DISTINCT bc.book_id) as book_count, GROUP_CONCAT(DISTINCT bc.role) as roles
+            FROM authors a
+            LEFT JOIN book_contributors bc ON bc.author_id = a.id
+            ${where}
+            GROUP BY a.id
+            ORDER BY a.sort_name COLLATE NOCASE, a.name COLLATE NOCASE
+            LIMIT ? OFFSET ?
+        `, [...values, limit || -1, offset]);
+        const { total } = await this.get(`SELECT COUNT(*) as total FROM authors a ${where}`, values);
+        return { authors: authors.map(parseAuthorRow), total };
+    }
+
+    async getAuthorById(id) {
+        return parseAuthorRow(await this.get(`
+            SELECT a.*, COUNT(DISTINCT bc.book_id) as book_count, GROUP_CONCAT(DISTINCT bc.role) as roles
+            FROM authors a
+            LEFT JOIN book_contributors bc ON bc.author_id = a.id
+            WHERE a.id = ?
+            GROUP BY a.id
+        `, [id]));
+    }
+
+    async getAuthorByName(name) {
+        return await this.get('SELECT * FROM authors WHERE name = ?', [name.trim()]);
+    }
+
+    async getAuthorsByIds(ids) {
+        return await this.all('SELECT * FROM authors WHERE id IN (SELECT value FROM json_each(?))', [JSON.stringify(ids)]);
+    }
+
+    async createAuthor({ id = uuidv4(), name, sort_name = null }) {
+        await this.run('INSERT INTO authors (id, name, sort_name) VALUES (?, ?, ?)', [id, name, sort_name || sortNameFor(name)]);
+        return await this.getAuthorById(id);
+    }
+
+    // The author with this name, created (with a derived sort name unless given) if it does not exist yet
+    async findOrCreateAuthor(name, sortName = null) {
+        await this.run('INSERT OR IGNORE INTO authors (id, name, sort_name) VALUES (?, ?, ?)', [uuidv4(), name, sortName || sortNameFor(name)]);
+        return await this.getAuthorByName(name);
+    }
+
+    // Renaming keeps books.author of the author's books up to date
+    async updateAuthor(id, { name, sort_name }) {
+        const fields = [];
+        const values = [];
+        if (name !== undefined) {
+            fields.push('name = ?');
+            values.push(name);
+        }
+        if (sort_name !== undefined) {
+            fields.push('sort_name = ?');
+            values.push(sort_name);
+        }
+        if (fields.length === 0) return await this.getAuthorById(id);
+
+        const result = await this.run(`UPDATE authors SET ${fields.join(', ')}, updated_at = datetime('now') WHERE id = ?`, [...values, id]);
+        if (result.changes === 0) return null;
+
+        if (name !== undefined) {
+            await this.refreshBookAuthors(await this.getAuthorBookIds([id]));
+        }
+        return await this.getAuthorById(id);
+    }
+
+    // The author is removed from all books; books without authors show "Unbekannt"
+    async deleteAuthor(id) {
+        const author = await this.getAuthorById(id);
+        if (author) {
+            const bookIds = await this.getAuthorBookIds([id]);
+            await this.run('DELETE FROM authors WHERE id = ?', [id]);
+            await this.refreshBookAuthors(bookIds);
+        }
+        return author;
+    }
+
+    // Credit the books of the source authors to the target author (same roles) and delete the source authors
+    async mergeAuthors(targetId, sourceIds) {
+        const sources = sourceIds.filter(id => id !== targetId);
+        const bookIds = await this.getAuthorBookIds(sources);
+        await this.run(`
+            INSERT OR IGNORE INTO book_contributors (book_id, author_id, role, position)
+            SELECT book_id, ?, role, position FROM book_contributors WHERE author_id IN (SELECT value FROM json_each(?))
+        `, [targetId, JSON.stringify(sources)]);
+        const result = await this.run('DELETE FROM authors WHERE id IN (SELECT value FROM json_each(?))', [JSON.stringify(sources)]);
+        await this.refreshBookAuthors(bookIds);
+        return result.changes;
+    }
+
+    // Groups of authors whose names only differ in case, accents, punctuation or word order
+    async findDuplicateAuthors() {
+        const { authors } = await this.getAllAuthors();
+        const groups = new Map();
+        for (const author of authors) {
+            const key = authorKey(author.name);
+            groups.set(key, [...(groups.get(key) || []), author]);
+        }
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => group.sort((a, b) => b.book_count - a.book_count));
+    }
+
+    async getAuthorBookIds(authorIds) {
+        const rows = await this.all(
+            'SELECT DISTINCT book_id FROM book_contributors WHERE author_id IN (SELECT value FROM json_each(?))',
+            [JSON.stringify(authorIds)]
+        );
+        return rows.map(row => row.book_id);
+    }
+
+    // Replace the contributors of a book ({ name, role, sort_name }); authors are created by name on first use
+    async setBookContributors(bookId, contributors) {
+        await this.run('DELETE FROM book_contributors WHERE book_id = ?', [bookId]);
+        for (const [position, contributor] of contributors.entries()) {
+            const author = await this.findOrCreateAuthor(contributor.name, contributor.sort_name);
+            await this.run(`
+                INSERT OR IGNORE INTO book_contributors (book_id, author_id, role, position) VALUES (?, ?, ?, ?)
+            `, [bookId, author.id, contributor.role || 'author', position]);
+        }
+        await this.refreshBookAuthors([bookId]);
+    }
+
+    // books.author holds the names of the linked authors (role author) in their order
+    async refreshBookAuthors(bookIds) {
+        await this.run(`
+            UPDATE books
+            SET author = COALESCE((
+                SELECT GROUP_CONCAT(name, ?) FROM (
+                    SELECT a.name FROM book_contributors bc JOIN authors a ON a.id = bc.author_id
+                    WHERE bc.book_id = books.id AND bc.role = 'author'
+                    ORDER BY bc.position
+                )
+            ), ?)
+            WHERE id IN (SELECT value FROM json_each(?))
+        `, [AUTHOR_SEPARATOR, UNKNOWN_AUTHOR, JSON.stringify(bookIds)]);
+    }
+
+    // Shelves: personal reading lists, optionally shared with other users or by a public link
+
+    // Create the default shelves ("Zu lesen", "Favoriten") the user does not have yet
+    async ensureDefaultShelves(userId) {
+        for (const [position, shelf] of DEFAULT_SHELVES.entries()) {
+            await this.run(`
+                INSERT OR IGNORE INTO shelves (id, user_id, name, kind, position) VALUES (?, ?, ?, ?, ?)
+            `, [uuidv4(), userId, shelf.name, shelf.kind, position]);
+        }
+    }
+
+    // Own shelves in the user's order, then the shelves shared with the user; with bookId
+    // each shelf tells whether the book is on it
+    async getShelvesForUser(userId, { bookId } = {}) {
+        const hasBook = bookId ? ', EXISTS (SELECT 1 FROM shelf_books WHERE shelf_id = s.id AND book_id = ?) as has_book' : '';
+        const shelves = await this.all(`
+            SELECT s.*${hasBook} FROM (${SHELF_SELECT}) s
+            WHERE s.user_id = ? OR s.shared_with_me
+            ORDER BY s.user_id != ?, s.owner_name COLLATE NOCASE, s.position, s.name COLLATE NOCASE
+        `, [...(bookId ? [bookId] : []), userId, userId, userId]);
+        return shelves.map(parseShelfRow);
+    }
+
+    // A shelf with shared_with_me for this user (access is checked by the caller)
+    async getShelfForUser(id, userId) {
+        return parseShelfRow(await this.get(`${SHELF_SELECT} WHERE s.id = ?`, [userId, id]));
+    }
+
+    async getShelfByShareToken(token) {
+        return parseShelfRow(await this.get(`${SHELF_SELECT} WHERE s.share_token = ?`, [null, token]));
+    }
+
+    // A shelf of the user matching a backed-up one: the same id, the same default shelf or the same name
+    async findUserShelf(userId, { id, kind, name }) {
+        return await this.get(`
+            SELECT * FROM shelves
+            WHERE user_id = ? AND (id = ? OR kind = ? OR name = ?)
+            ORDER BY id = ? DESC, kind = ? DESC
+            LIMIT 1
+        `, [userId, id, kind, name, id, kind]);
+    }
+
+    async countShelves(userId) {
+        const row = await this.get('SELECT COUNT(*) as count FROM shelves WHERE user_id = ?', [userId]);
+        return row.count;
+    }
+
+    async createShelf({ id = uuidv4(), userId, name, description = null, kind = null }) {
+        await this.run(`
+            INSERT INTO shelves (id, user_id, name, description, kind, position)
+            VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM shelves WHERE user_id = ?))
+        `, [id, userId, name, description, kind, userId]);
+        return await this.getShelfForUser(id, userId);
+    }
+
+    async updateShelf(id, { name, description }) {
+        const fields = [];
+        const values = [];
+        if (name !== undefined) {
+            fields.push('name = ?');
+            values.push(name);
+        }
+        if (description !== undefined) {
+            fields.push('description = ?');
+            values.push(description);
+        }
+        if (fields.length > 0) {
+            await this.run(`UPDATE shelves SET ${fields.join(', ')}, updated_at = datetime('now') WHERE id = ?`, [...values, id]);
+        }
+    }
+
+    async deleteShelf(id) {
+        await this.run('DELETE FROM shelves WHERE id = ?', [id]);
+    }
+
+    // Positions for the given ids in this order; entries not listed keep their order behind them
+    async reorderRows(table, scopeColumn, scopeId, idColumn, ids) {
+        await this.run(`
+            UPDATE ${table} SET position = position + ?
+            WHERE ${scopeColumn} = ? AND ${idColumn} NOT IN (SELECT value FROM json_each(?))
+        `, [ids.length, scopeId, JSON.stringify(ids)]);
+        await this.run(`
+            UPDATE ${table} SET position = (SELECT key FROM json_each(?) WHERE value = ${table}.${idColumn})
+            WHERE ${scopeColumn} = ? AND ${idColumn} IN (SELECT value FROM json_each(?))
+        `, [JSON.stringify(ids), scopeId, JSON.stringify(ids)]);
+    }
+
+    async setShelfOrder(userId, shelfIds) {
+        await this.reorderRows('shelves', 'user_id', userId, 'id', shelfIds);
+    }
+
+    async setShelfBookOrder(shelfId, bookIds) {
+        await this.reorderRows('shelf_books', 'shelf_id', shelfId, 'book_id', bookIds);
+        await this.touchShelf(shelfId);
+    }
+
+    // Books are added at the end in the given order; books already on the shelf keep their place
+    async addBooksToShelf(shelfId, bookIds) {
+        const { next } = await this.get('SELECT COALESCE(MAX(position), -1) + 1 as next FROM shelf_books WHERE shelf_id = ?', [shelfId]);
+        const result = await this.run(`
+            INSERT OR IGNORE INTO shelf_books (shelf_id, book_id, position)
+            SELECT ?, value, ? + key FROM json_each(?)
+        `, [shelfId, next, JSON.stringify(bookIds)]);
+        await this.touchShelf(shelfId);
+        return result.changes;
+    }
+
+    async removeBookFromShelf(shelfId, bookId) {
+        const result = await this.run('DELETE FROM shelf_books WHERE shelf_id = ? AND book_id = ?', [shelfId, bookId]);
+        await this.touchShelf(shelfId);
+        return result.changes > 0;
+    }
+
+    async touchShelf(shelfId) {
+        await this.run(`UPDATE shelves SET updated_at = datetime('now') WHERE id = ?`, [shelfId]);
+    }
+
+    async getShelfShares(shelfId) {
+        return await this.all(`
+            SELECT u.id, u.username, ss.created_at
+            FROM shelf_shares ss
+            JOIN users u ON u.id = ss.user_id
+            WHERE ss.shelf_id = ?
+            ORDER BY u.username COLLATE NOCASE
+        `, [shelfId]);
+    }
+
+    async addShelfShare(shelfId, userId) {
+        await this.run('INSERT OR IGNORE INTO shelf_shares (shelf_id, user_id) VALUES (?, ?)', [shelfId, userId]);
+    }
+
+    async removeShelfShare(shelfId, userId) {
+        const result = await this.run('DELETE FROM shelf_shares WHERE shelf_id = ? AND user_id = ?', [shelfId, userId]);
+        return result.changes > 0;
+    }
+
+    // null removes the public link
+    async setShelfShareToken(shelfId, token) {
+        await this.run('UPDATE shelves SET share_token = ? WHERE id = ?', [token, shelfId]);
+    }
+
+    // Book management functions
+    async createBook(bookData) {
+        const id = bookData.id || uuidv4();
+        const format = bookData.format || getFormatByFilename(bookData.filename)?.id || null;
+        // Importers only know the ISBN as written in their source
+        const isbn = isbnVariants(bookData.isbn);
+        // A series given by name (upload form, file metadata, Calibre, backups) is created on first use
+        const series = bookData.series_id
+            ? await this.getSeriesById(bookData.series_id)
+            : bookData.series ? await this.findOrCreateSeries(bookData.series, bookData.uploaded_by) : null;
+        await this.run(`
+            INSERT INTO books (id, title, author, description, type, category_id, filename, filepath, file_size, cover_image, uploaded_by,
+                               isbn, isbn_10, isbn_13, series_id, series, series_index, calibre_uuid, publisher, published_date, edition, subjects,
+                               language, page_count, format, download_count, upload_date) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, 0), COALESCE(?, datetime('now')))
+        `, [
+            id,
+            bookData.title,
+            bookData.author,
+            bookData.description,
+            bookData.type,
+            bookData.category_id || null,
+            bookData.filename,
+            bookData.filepath,
+            bookData.file_size,
+            bookData.cover_image || null,
+            bookData.uploaded_by,
+            bookData.isbn || null,
+            bookData.isbn_10 || isbn?.isbn_10 || null,
+            bookData.isbn_13 || isbn?.isbn_13 || null,
+            series ? series.id : null,
+            series ? series.name : null,
+            series ? bookData.series_index ?? null : null,
+            bookData.calibre_uuid || null,
+            bookData.publisher || null,
+            bookData.published_date || null,
+            bookData.edition || null,
+            serializeSubjects(bookData.subjects),
+            bookData.language || null,
+            bookData.page_count ?? null,
+            format,
+            bookData.download_count ?? null,
+            bookData.upload_date || null
+        ]);
+
+        if (format) {
+            await this.run(`
+                INSERT INTO book_formats (id, book_id, format, filename, filepath, file_size, uploaded_by, created_at)
+                SELECT ?, id, format, filename, filepath, file_size, uploaded_by, upload_date FROM books WHERE id = ?
+            `, [uuidv4(), id]);
+        }
+
+        // Tags are given by name and created on first use, like series
+        if (bookData.tags?.length) {
+            await this.addBookTags([id], bookData.tags, bookData.uploaded_by);
+        }
+
+        // Without a contributor list the names in the author text become the book's authors
+        const contributors = bookData.contributors?.length ? bookData.contributors : contributorsFromAuthors(bookData.author);
+        if (contributors.length > 0) {
+            await this.setBookContributors(id, contributors);
+        }
+        
+        return await this.getBookById(id);
+    }
+
+    // Files of a book in the order they were added
+    async getBookFormats(bookId) {
+        return await this.all('SELECT * FROM book_formats WHERE book_id = ? ORDER BY created_at, rowid', [bookId]);
+    }
+
+    async getBookFormat(bookId, format) {
+        return await this.get('SELECT * FROM book_formats WHERE book_id = ? AND format = ?', [bookId, format]);
+    }
+
+    async addBookFormat(bookId, fileData) {
+        const id = uuidv4();
+        await this.run(`
+            INSERT INTO book_formats (id, book_id, format, filename, filepath, file_size, uploaded_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+        `, [
+            id,
+            bookId,
+            fileData.format,
+            fileData.filename,
+            fileData.filepath,
+            fileData.file_size,
+            fileData.uploaded_by || null,
+            fileData.created_at || null
+        ]);
+        return await this.get('SELECT * FROM book_formats WHERE id = ?', [id]);
+    }
+
+    // Remove one file of a book; if it was the primary file, the oldest remaining file takes its place
+    async deleteBookFormat(bookId, format) {
+        return await this.transaction(async () => {
+            const file = await this.getBookFormat(bookId, format);
+            if (!file) return null;
+
+            await this.run('DELETE FROM book_formats WHERE id = ?', [file.id]);
+
+            const book = await this.getBookById(bookId);
+            const [next] = await this.getBookFormats(bookId);
+            if (book.format === format && next) {
+                await this.run(
+                    'UPDATE books SET format = ?, filename = ?, filepath = ?, file_size = ? WHERE id = ?',
+                    [next.format, next.filename, next.filepath, next.file_size, bookId]
+                );
+            }
+            return file;
+        });
+    }
+
+    async getBookById(id) {
+        return parseBookRow(await this.get(`SELECT b.*, ${BOOK_TAGS_COLUMN}, ${BOOK_CONTRIBUTORS_COLUMN} FROM books b WHERE b.id = ?`, [id]));
+    }
+
+    async getBookByCalibreUuid(calibreUuid) {
+        return await this.get('SELECT * FROM books WHERE calibre_uuid = ?', [calibreUuid]);
+    }
+
+    async findBookByTitleAndAuthor(title, author) {
+        return await this.get(
+            'SELECT * FROM books WHERE LOWER(title) = LOWER(?) AND LOWER(author) = LOWER(?)',
+            [title, author]
+        );
+    }
+
+    // Deleted books are returned with their files (book.files) so the caller can remove them
+    async deleteBook(id) {
+        const book = await this.getBookById(id);
+        if (book) {
+            book.files = await this.getBookFormats(id);
+            await this.run('DELETE FROM books WHERE id = ?', [id]);
+            await this.run('DELETE FROM book_content WHERE book_id = ?', [id]);
+        }
+        return book;
+    }
+
+    async deleteAllBooks() {
+        const books = await this.all('SELECT * FROM books');
+        const files = await this.all('SELECT * FROM book_formats');
+        await this.run('DELETE FROM books');
+        await this.run('DELETE FROM book_content');
+        return books.map(book => ({ ...book, files: files.filter(file => file.book_id === book.id) }));
+    }
+
+    async updateBook(id, updates) {
+        const allowedFields = [
+            'title', 'author', 'description', 'cover_image', 'publisher', 'language',
+            'isbn', 'isbn_10', 'isbn_13', 'published_date', 'edition', 'subjects', 'page_count'
+        ];
+        const fields = [];
+        const values = [];
+
+        Object.entries(updates).forEach(([key, value]) => {
+            if (value !== undefined && allowedFields.includes(key)) {
+                fields.push(`${key} = ?`);
+                values.push(key === 'subjects' ? serializeSubjects(value) : value);
+            }
+        });
+
+        if (fields.length === 0) return false;
+
+        values.push(id);
+        const result = await this.run(`
+            UPDATE books SET ${fields.join(', ')}
+            WHERE id = ?
+        `, values);
+        
+        return result.changes > 0;
+    }
+
+    async incrementDownloadCount(bookId) {
+        await this.run('UPDATE books SET download_count = download_count + 1 WHERE id = ?', [bookId]);
+        return await this.getBookById(bookId);
+    }
+
+    // WHERE conditions shared by the book list and its count (see book_query.js for the filters)
+    buildBookConditions(filters) {
+        const conditions = [];
+        const values = [];
+        const like = (value) => `%${escapeLike(value)}%`;
+
+        const { terms, fields } = parseSearchQuery(filters.search);
+        for (const term of terms) {
+            conditions.push(`(b.title LIKE ? ESCAPE '\\' OR b.author LIKE ? ESCAPE '\\')`);
+            values.push(like(term), like(term));
+        }
+        for (const field of ['title', 'publisher', 'series', 'edition']) {
+            for (const value of fields[field] || []) {
+                conditions.push(`b.${field} LIKE ? ESCAPE '\\'`);
+                values.push(like(value));
+            }
+        }
+        // author: also matches the name or sort name of a linked author ("Herbert, Frank")
+        for (const value of fields.author || []) {
+            conditions.push(`(b.author LIKE ? ESCAPE '\\' OR EXISTS (${CONTRIBUTOR_MATCH} AND bc.role = 'author'))`);
+            values.push(like(value), like(value), like(value));
+        }
+        // contributor: authors, editors, translators and illustrators
+        for (const value of fields.contributor || []) {
+            conditions.push(`EXISTS (${CONTRIBUTOR_MATCH})`);
+            values.push(like(value), like(value));
+        }
+        // Any form of the ISBN matches, with or without hyphens
+        for (const isbn of fields.isbn || []) {
+            const normalized = isbn.replace(/[-\s]/g, '').toUpperCase();
+            conditions.push(`(REPLACE(REPLACE(UPPER(b.isbn), '-', ''), ' ', '') = ? OR b.isbn_10 = ? OR b.isbn_13 = ?)`);
+            values.push(normalized, normalized, normalized);
+        }
+        // Every tag has to be on the book; tag names match regardless of case
+        for (const tag of [...(fields.tag || []), ...(filters.tags || [])]) {
+            conditions.push(`EXISTS (SELECT 1 FROM book_tags bt JOIN tags t ON t.id = bt.tag_id WHERE bt.book_id = b.id AND t.name = ?)`);
+            values.push(tag);
+        }
+        for (const subject of fields.subject || []) {
+            conditions.push(`EXISTS (SELECT 1 FROM json_each(b.subjects) WHERE value LIKE ? ESCAPE '\\')`);
+            values.push(like(subject));
+        }
+        // "2005" matches every date in 2005, "2005-05" every date in May 2005
+        for (const published of fields.published || []) {
+            conditions.push(`b.published_date LIKE ? ESCAPE '\\'`);
+            values.push(`${escapeLike(published)}%`);
+        }
+        // "de" also matches regional variants such as "de-DE"
+        for (const language of fields.language || []) {
+            conditions.push(`(LOWER(b.language) = ? OR LOWER(b.language) LIKE ? ESCAPE '\\')`);
+            values.push(language.toLowerCase(), `${escapeLike(language.toLowerCase())}-%`);
+        }
+
+        if (filters.type && filters.type !== 'all') {
+            conditions.push(`b.type = ?`);
+            values.push(filters.type);
+        }
+
+        if (filters.format) {
+            conditions.push(`EXISTS (SELECT 1 FROM book_formats bf WHERE bf.book_id = b.id AND bf.format = ?)`);
+            values.push(filters.format);
+        }
+
+        // A category includes the books of all its subcategories unless includeSubcategories is false
+        if (filters.category_id && filters.includeSubcategories === false) {
+            conditions.push(`b.category_id = ?`);
+            values.push(filters.category_id);
+        } else if (filters.category_id) {
+            conditions.push(`b.category_id IN (
+                WITH RECURSIVE subtree(id) AS (
+                    SELECT ?
+                    UNION
+                    SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id
+                )
+                SELECT id FROM subtree
+            )`);
+            values.push(filters.category_id);
+        }
+
+        if (filters.book_ids) {
+            conditions.push(`b.id IN (SELECT value FROM json_each(?))`);
+            values.push(JSON.stringify(filters.book_ids));
+        }
+
+        if (filters.series_id) {
+            conditions.push(`b.series_id = ?`);
+            values.push(filters.series_id);
+        }
+
+        if (filters.shelf_id) {
+            conditions.push('EXISTS (SELECT 1 FROM shelf_books sb WHERE sb.shelf_id = ? AND sb.book_id = b.id)');
+            values.push(filters.shelf_id);
+        }
+
+        // Books the author contributed to, optionally only in one role
+        if (filters.author_id) {
+            conditions.push(`EXISTS (SELECT 1 FROM book_contributors bc WHERE bc.book_id = b.id AND bc.author_id = ?${filters.role ? ' AND bc.role = ?' : ''})`);
+            values.push(filters.author_id, ...(filters.role ? [filters.role] : []));
+        }
+
+        if (filters.uploadedBy) {
+            conditions.push(`b.uploaded_by = ?`);
+            values.push(filters.uploadedBy);
+        }
+
+        if (filters.uploadedFrom) {
+            conditions.push(`date(b.upload_date) >= ?`);
+            values.push(filters.uploadedFrom);
+        }
+
+        if (filters.uploadedTo) {
+            conditions.push(`date(b.upload_date) <= ?`);
+            values.push(filters.uploadedTo);
+        }
+
+        if (filters.publishedFrom) {
+            conditions.push(`substr(b.published_date, 1, 4) >= ?`);
+            values.push(filters.publishedFrom);
+        }
+
+        if (filters.publishedTo) {
+            conditions.push(`substr(b.published_date, 1, 4) <= ?`);
+            values.push(filters.publishedTo);
+        }
+
+        if (filters.minSize != null) {
+            conditions.push(`b.file_size >= ?`);
+            values.push(filters.minSize);
+        }
+
+        if (filters.maxSize != null) {
+            conditions.push(`b.file_size <= ?`);
+            values.push(filters.maxSize);
+        }
+
+        return {
+            where: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+            values
+        };
+    }
+
+    async getBooks(filters = {}) {
+        const { where, values } = this.buildBookConditions(filters);
+        const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+        const sortKey = BOOK_SORT_COLUMNS[filters.sort] || BOOK_SORT_COLUMNS.date;
+        const sortColumn = typeof sortKey === 'function' ? sortKey(order) : sortKey;
+        const sortValues = filters.sort === 'shelf' ? [filters.shelf_id || null] : [];
+
+        let query = `
+            SELECT b.*, u.username as uploader_name, 
+                   c.name as category_name, c.color as category_color, c.icon as category_icon,
+                   rp.percentage as progress_percentage, rp.updated_at as last_read_at, ${BOOK_TAGS_COLUMN}, ${BOOK_CONTRIBUTORS_COLUMN},
+                   br.average_rating, COALESCE(br.rating_count, 0) as rating_count,
+                   (SELECT GROUP_CONCAT(format) FROM (
+                       SELECT format FROM book_formats WHERE book_id = b.id ORDER BY created_at, rowid
+                   )) as file_formats
+            FROM books b 
+            LEFT JOIN users u ON b.uploaded_by = u.id 
+            LEFT JOIN categories c ON b.category_id = c.id
+            LEFT JOIN reading_progress rp ON rp.book_id = b.id AND rp.user_id = ?
+            ${BOOK_RATINGS_JOIN}
+            ${where}
+            ORDER BY ${sortColumn} ${order}, b.upload_date DESC, b.id
+        `;
+        // Without a user the progress join matches nothing
+        const queryValues = [filters.userId || null, ...values, ...sortValues];
 
         if (filters.limit) {
             query += ' LIMIT ?';
-            values.push(filters.limit);
+            queryValues.push(filters.limit);
             
             if (filters.offset) {
                 query += ' OFFSET ?';
-                values.push(filters.offset);
+                queryValues.push(filters.offset);
             }
         }
 
-        const books = await this.all(query, values);
+        const books = await this.all(query, queryValues);
+        const countResult = await this.get(`SELECT COUNT(*) as total FROM books b${where}`, values);
         
-        // Get total count
-        let countQuery = 'SELECT COUNT(*) as total FROM books b';
-        const countConditions = [];
-        const countValues = [];
+        return {
+            books: books.map(({ file_formats, ...book }) => ({
+                ...parseBookRow(book),
+                formats: file_formats ? file_formats.split(',') : []
+            })),
+            total: countResult.total
+        };
+    }
 
-        if (filters.search) {
-            countConditions.push(`(b.title LIKE ? OR b.author LIKE ?)`);
-            countValues.push(`%${filters.search}%`, `%${filters.search}%`);
-        }
+    async getAllBookIds({ unindexedOnly = false } = {}) {
+        const rows = await this.all(`
+            SELECT id FROM books ${unindexedOnly ? 'WHERE content_indexed_at IS NULL' : ''} ORDER BY upload_date
+        `);
+        return rows.map(row => row.id);
+    }
 
-        if (filters.type && filters.type !== 'all') {
-            countConditions.push(`b.type = ?`);
-            countValues.push(filters.type);
+    // Replace the indexed text of a book with sections ({ chapter, page, label, content }).
+    // A single INSERT from JSON, so indexing never needs a transaction of its own.
+    // sections null means the text could not be extracted yet: the book stays unindexed and is retried later.
+    async replaceBookContent(bookId, format, sections) {
+        await this.run('DELETE FROM book_content WHERE book_id = ?', [bookId]);
+        if (sections === null) {
+            await this.run('UPDATE books SET content_indexed_at = NULL WHERE id = ?', [bookId]);
+            return;
         }
-
-        if (filters.category_id) {
-            countConditions.push(`b.category_id = ?`);
-            countValues.push(filters.category_id);
+        if (sections.length > 0) {
+            await this.run(`
+                INSERT INTO book_content (book_id, format, chapter, page, label, content)
+                SELECT ?, ?, json_extract(value, '$.chapter'), json_extract(value, '$.page'),
+                       json_extract(value, '$.label'), json_extract(value, '$.content')
+                FROM json_each(?)
+            `, [bookId, format, JSON.stringify(sections)]);
         }
+        await this.run("UPDATE books SET content_indexed_at = datetime('now') WHERE id = ?", [bookId]);
+    }
 
-        if (countConditions.length > 0) {
-            countQuery += ' WHERE ' + countConditions.join(' AND ');
+    /**
+     * Full-text search in book contents (query in FTS5 syntax). Books are
+     * ranked by their best matching section; each book comes with its number
+     * of matching sections and up to hitsPerBook hits with a snippet in which
+     * matches are enclosed in the highlight delimiters.
+     */
+    async searchBookContent({ query, limit = 20, offset = 0, hitsPerBook = 3, highlight = ['<mark>', '</mark>'] }) {
+        const books = await this.all(`
+            SELECT b.id, b.title, b.author, b.type, b.format, b.cover_image, b.category_id, b.page_count,
+                   m.matches,
+                   (SELECT GROUP_CONCAT(format) FROM (
+                       SELECT format FROM book_formats WHERE book_id = b.id ORDER BY created_at, rowid
+                   )) as file_formats
+            FROM (
+                SELECT book_id, MIN(score) as score, COUNT(*) as matches
+                FROM (SELECT book_id, rank as score FROM book_content WHERE book_content MATCH ?)
+                GROUP BY book_id
+            ) m
+            JOIN books b ON b.id = m.book_id
+            ORDER BY m.score, b.title
+            LIMIT ? OFFSET ?
+        `, [query, limit, offset]);
+
+        for (const book of books) {
+            book.hits = await this.all(`
+                SELECT format, chapter, page, label,
+                       snippet(book_content, 5, ?, ?, '…', 24) as snippet
+                FROM book_content
+                WHERE book_content MATCH ? AND book_id = ?
+                ORDER BY rank
+                LIMIT ?
+            `, [highlight[0], highlight[1], query, book.id, hitsPerBook]);
         }
 
-        const countResult = await this.get(countQuery, countValues);
-        
+        const countResult = await this.get(`
+            SELECT COUNT(DISTINCT book_id) as total
+            FROM book_content
+            WHERE book_content MATCH ? AND book_id IN (SELECT id FROM books)
+        `, [query]);
+
         return {
-            books: books,
+            books: books.map(({ file_formats, ...book }) => ({
+                ...parseBookRow(book),
+                formats: file_formats ? file_formats.split(',') : []
+            })),
             total: countResult.total
         };
     }
@@ -787,7 +2147,8 @@ class Database {
         return await this.all(`
             SELECT 
                 c.id, c.name as original_name, c.description as original_description, 
-                c.color, c.icon, c.created_at,
+                c.parent_id, c.color, c.icon, c.created_at,
+                (SELECT COUNT(*) FROM books b WHERE b.category_id = c.id) as book_count,
                 COALESCE(ct.name, c.name) as name,
                 COALESCE(ct.description, c.description) as description
             FROM categories c
@@ -821,6 +2182,408 @@ class Database {
         }
     }
 
+    // Backup run history
+    async createBackupRun(triggerType) {
+        const result = await this.run(`
+            INSERT INTO backup_runs (trigger_type, status, started_at) VALUES (?, 'running', ?)
+        `, [triggerType, new Date().toISOString()]);
+        return result.id;
+    }
+
+    async finishBackupRun(id, { status, filename = null, file_size = null, books_count = null, error = null }) {
+        await this.run(`
+            UPDATE backup_runs
+            SET status = ?, filename = ?, file_size = ?, books_count = ?, error = ?, finished_at = ?
+            WHERE id = ?
+        `, [status, filename, file_size, books_count, error, new Date().toISOString(), id]);
+    }
+
+    async getLastBackupRun({ triggerType, status } = {}) {
+        const conditions = [];
+        const params = [];
+        if (triggerType) {
+            conditions.push('trigger_type = ?');
+            params.push(triggerType);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return await this.get(`SELECT * FROM backup_runs ${where} ORDER BY started_at DESC, id DESC LIMIT 1`, params);
+    }
+
+    async getRecentBackupRuns(limit = 10) {
+        return await this.all('SELECT * FROM backup_runs ORDER BY started_at DESC, id DESC LIMIT ?', [limit]);
+    }
+
+    // Mark runs that were interrupted by a restart as failed
+    async failInterruptedBackupRuns() {
+        await this.run(`
+            UPDATE backup_runs SET status = 'failed', error = 'Unterbrochen (Server-Neustart)', finished_at = ?
+            WHERE status = 'running'
+        `, [new Date().toISOString()]);
+    }
+
+    // Background jobs; payload and result are stored as JSON
+    parseJob(row) {
+        if (!row) return row;
+        return {
+            ...row,
+            payload: row.payload ? JSON.parse(row.payload) : {},
+            result: row.result ? JSON.parse(row.result) : null
+        };
+    }
+
+    async createJob({ type, payload = {}, bookId = null, createdBy = null, maxAttempts = 1 }) {
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        await this.run(`
+            INSERT INTO jobs (id, type, status, payload, max_attempts, book_id, created_by, run_after, created_at)
+            VALUES (?, ?, 'queued', ?, ?, ?, ?, ?, ?)
+        `, [id, type, JSON.stringify(payload), maxAttempts, bookId, createdBy, now, now]);
+        return await this.getJob(id);
+    }
+
+    async getJob(id) {
+        return this.parseJob(await this.get(`
+            SELECT j.*, b.title as book_title, u.username as created_by_name
+            FROM jobs j
+            LEFT JOIN books b ON j.book_id = b.id
+            LEFT JOIN users u ON j.created_by = u.id
+            WHERE j.id = ?
+        `, [id]));
+    }
+
+    async getJobs({ type, status, bookId, createdBy, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (type) {
+            conditions.push('j.type = ?');
+            params.push(type);
+        }
+        if (status) {
+            const statuses = Array.isArray(status) ? status : [status];
+            conditions.push(`j.status IN (${statuses.map(() => '?').join(', ')})`);
+            params.push(...statuses);
+        }
+        if (bookId) {
+            conditions.push('j.book_id = ?');
+            params.push(bookId);
+        }
+        if (createdBy) {
+            conditions.push('j.created_by = ?');
+            params.push(createdBy);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await this.all(`
+            SELECT j.*, b.title as book_title, u.username as created_by_name
+            FROM jobs j
+            LEFT JOIN books b ON j.book_id = b.id
+            LEFT JOIN users u ON j.created_by = u.id
+            ${where}
+            ORDER BY j.created_at DESC, j.rowid DESC
+            LIMIT ?
+        `, [...params, limit]);
+        return rows.map(row => this.parseJob(row));
+    }
+
+    // Take the oldest due job of one of the given types; a single statement, so two workers never get the same job
+    async claimNextJob(types) {
+        if (types.length === 0) return null;
+
+        const now = new Date().toISOString();
+        return this.parseJob(await this.get(`
+            UPDATE jobs
+            SET status = 'running', attempts = attempts + 1, progress = 0, started_at = ?, finished_at = NULL
+            WHERE id = (
+                SELECT id FROM jobs
+                WHERE status = 'queued' AND run_after <= ? AND type IN (${types.map(() => '?').join(', ')})
+                ORDER BY created_at, rowid
+                LIMIT 1
+            )
+            RETURNING *
+        `, [now, now, ...types]));
+    }
+
+    async updateJobProgress(id, progress) {
+        await this.run("UPDATE jobs SET progress = ? WHERE id = ? AND status = 'running'", [progress, id]);
+    }
+
+    async completeJob(id, result) {
+        await this.run(`
+            UPDATE jobs SET status = 'completed', result = ?, progress = 100, error = NULL, finished_at = ? WHERE id = ?
+        `, [result === undefined ? null : JSON.stringify(result), new Date().toISOString(), id]);
+    }
+
+    async failJob(id, error) {
+        await this.run(`
+            UPDATE jobs SET status = 'failed', error = ?, finished_at = ? WHERE id = ?
+        `, [error, new Date().toISOString(), id]);
+    }
+
+    // Put a failed attempt back into the queue; it is picked up again after runAfter
+    async retryJobLater(id, error, runAfter) {
+        await this.run(`
+            UPDATE jobs SET status = 'queued', error = ?, run_after = ? WHERE id = ?
+        `, [error, runAfter.toISOString(), id]);
+    }
+
+    // Run a failed job again with a fresh set of attempts
+    async requeueJob(id) {
+        const result = await this.run(`
+            UPDATE jobs
+            SET status = 'queued', attempts = 0, progress = 0, error = NULL, result = NULL,
+                run_after = ?, started_at = NULL, finished_at = NULL
+            WHERE id = ? AND status = 'failed'
+        `, [new Date().toISOString(), id]);
+        return result.changes > 0;
+    }
+
+    async deleteJob(id) {
+        const result = await this.run("DELETE FROM jobs WHERE id = ? AND status != 'running'", [id]);
+        return result.changes > 0;
+    }
+
+    // Jobs that were running when the server stopped get another attempt if they have one left
+    async recoverInterruptedJobs() {
+        const now = new Date().toISOString();
+        await this.run(`
+            UPDATE jobs SET status = 'queued', error = 'Unterbrochen (Server-Neustart)', run_after = ?
+            WHERE status = 'running' AND attempts < max_attempts
+        `, [now]);
+        await this.run(`
+            UPDATE jobs SET status = 'failed', error = 'Unterbrochen (Server-Neustart)', finished_at = ?
+            WHERE status = 'running'
+        `, [now]);
+    }
+
+    async getFinishedJobs({ type, finishedBefore }) {
+        const rows = await this.all(`
+            SELECT * FROM jobs
+            WHERE type = ? AND status IN ('completed', 'failed') AND finished_at < ?
+        `, [type, finishedBefore.toISOString()]);
+        return rows.map(row => this.parseJob(row));
+    }
+
+    async getSystemSettings() {
+        const rows = await this.all('SELECT setting_key, setting_value, updated_at FROM system_settings');
+        return Object.fromEntries(rows.map(row => [row.setting_key, row]));
+    }
+
+    // Backup restore helpers; overwrite replaces existing rows, otherwise only missing rows are added
+    async restoreTranslation(row, overwrite) {
+        await this.run(`
+            INSERT INTO translations (translation_key, language, value, context, created_at, updated_at)
+            VALUES (?, ?, ?, ?, COALESCE(?, datetime('now')), datetime('now'))
+            ON CONFLICT (translation_key, language, context)
+            DO ${overwrite ? "UPDATE SET value = excluded.value, updated_at = datetime('now')" : 'NOTHING'}
+        `, [row.translation_key, row.language, row.value, row.context || 'ui', row.created_at || null]);
+    }
+
+    async restoreCategoryTranslation(categoryId, row, overwrite) {
+        await this.run(`
+            INSERT INTO category_translations (category_id, language, name, description)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (category_id, language)
+            DO ${overwrite ? "UPDATE SET name = excluded.name, description = excluded.description, updated_at = datetime('now')" : 'NOTHING'}
+        `, [categoryId, row.language, row.name, row.description || null]);
+    }
+
+    async restoreSystemSetting(row, overwrite) {
+        await this.run(`
+            INSERT INTO system_settings (setting_key, setting_value)
+            VALUES (?, ?)
+            ON CONFLICT (setting_key)
+            DO ${overwrite ? "UPDATE SET setting_value = excluded.setting_value, updated_at = datetime('now')" : 'NOTHING'}
+        `, [row.setting_key, row.setting_value]);
+    }
+
+    // Reading progress methods
+    async getReadingProgress(userId, bookId) {
+        return await this.get('SELECT * FROM reading_progress WHERE user_id = ? AND book_id = ?', [userId, bookId]);
+    }
+
+    async saveReadingProgress(userId, bookId, progress) {
+        await this.run(`
+            INSERT INTO reading_progress (user_id, book_id, location, page, total_pages, percentage, device_name, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(user_id, book_id) DO UPDATE SET
+                location = excluded.location,
+                page = excluded.page,
+                total_pages = excluded.total_pages,
+                percentage = excluded.percentage,
+                device_name = excluded.device_name,
+                updated_at = excluded.updated_at
+        `, [
+            userId,
+            bookId,
+            progress.location ?? null,
+            progress.page ?? null,
+            progress.total_pages ?? null,
+            progress.percentage,
+            progress.device_name ?? null,
+            progress.updated_at
+        ]);
+        return await this.getReadingProgress(userId, bookId);
+    }
+
+    async deleteReadingProgress(userId, bookId) {
+        const result = await this.run('DELETE FROM reading_progress WHERE user_id = ? AND book_id = ?', [userId, bookId]);
+        return result.changes > 0;
+    }
+
+    // Most recently read books of a user, optionally without the finished ones
+    async getRecentReadingProgress(userId, { limit = 10, includeFinished = false } = {}) {
+        const rows = await this.all(`
+            SELECT rp.*, b.title, b.author, b.type, b.filename, b.cover_image,
+                   (SELECT GROUP_CONCAT(bf.format) FROM book_formats bf WHERE bf.book_id = b.id) as file_formats
+            FROM reading_progress rp
+            JOIN books b ON rp.book_id = b.id
+            WHERE rp.user_id = ? ${includeFinished ? '' : 'AND rp.percentage < 100'}
+            ORDER BY rp.updated_at DESC
+            LIMIT ?
+        `, [userId, limit]);
+        return rows.map(({ file_formats, ...row }) => ({ ...row, formats: file_formats ? file_formats.split(',') : [] }));
+    }
+
+    async restoreReadingProgress(progress) {
+        const result = await this.run(`
+            INSERT OR IGNORE INTO reading_progress (user_id, book_id, location, page, total_pages, percentage, device_name, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            progress.user_id,
+            progress.book_id,
+            progress.location ?? null,
+            progress.page ?? null,
+            progress.total_pages ?? null,
+            progress.percentage || 0,
+            progress.device_name ?? null,
+            progress.updated_at || new Date().toISOString()
+        ]);
+        return result.changes > 0;
+    }
+
+    // Ratings and reviews
+    async getBookRatingSummary(bookId) {
+        const rows = await this.all(`
+            SELECT rating, COUNT(*) as count FROM book_reviews
+            WHERE book_id = ? AND hidden = 0
+            GROUP BY rating
+        `, [bookId]);
+        const count = rows.reduce((sum, row) => sum + row.count, 0);
+        const total = rows.reduce((sum, row) => sum + row.rating * row.count, 0);
+        return {
+            average_rating: count ? Math.round(total / count * 100) / 100 : null,
+            rating_count: count,
+            // Number of ratings per star
+            distribution: Object.fromEntries([1, 2, 3, 4, 5].map(stars => [stars, rows.find(row => row.rating === stars)?.count || 0]))
+        };
+    }
+
+    // Reviews of a book, newest first; hidden ones only with includeHidden or for their own author (userId)
+    async getBookReviews(bookId, { userId = null, includeHidden = false } = {}) {
+        const reviews = await this.all(`
+            ${REVIEW_SELECT}
+            WHERE r.book_id = ? AND (r.hidden = 0 OR ? OR r.user_id = ?)
+            ORDER BY r.updated_at DESC, r.id
+        `, [bookId, includeHidden ? 1 : 0, userId]);
+        return reviews.map(parseReviewRow);
+    }
+
+    async getUserBookReview(bookId, userId) {
+        return parseReviewRow(await this.get(`${REVIEW_SELECT} WHERE r.book_id = ? AND r.user_id = ?`, [bookId, userId]));
+    }
+
+    async getReviewById(id) {
+        return parseReviewRow(await this.get(`${REVIEW_SELECT} WHERE r.id = ?`, [id]));
+    }
+
+    // A user's rating of a book, replacing an earlier one; a hidden review stays hidden
+    async saveBookReview(bookId, userId, { rating, review }) {
+        await this.run(`
+            INSERT INTO book_reviews (id, book_id, user_id, rating, review)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(book_id, user_id) DO UPDATE SET
+                rating = excluded.rating,
+                review = excluded.review,
+                updated_at = datetime('now')
+        `, [uuidv4(), bookId, userId, rating, review]);
+        return await this.getUserBookReview(bookId, userId);
+    }
+
+    async deleteBookReview(bookId, userId) {
+        const result = await this.run('DELETE FROM book_reviews WHERE book_id = ? AND user_id = ?', [bookId, userId]);
+        return result.changes > 0;
+    }
+
+    // Moderation list: status is all, visible or hidden; search matches text, book title and user name
+    async getReviews({ status = 'all', search = '', limit, offset = 0 } = {}) {
+        const conditions = [];
+        const values = [];
+        if (status !== 'all') {
+            conditions.push('r.hidden = ?');
+            values.push(status === 'hidden' ? 1 : 0);
+        }
+        if (search) {
+            const pattern = `%${escapeLike(search)}%`;
+            conditions.push("(r.review LIKE ? ESCAPE '\\' OR b.title LIKE ? ESCAPE '\\' OR u.username LIKE ? ESCAPE '\\')");
+            values.push(pattern, pattern, pattern);
+        }
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+        const reviews = await this.all(`
+            ${REVIEW_SELECT}${where}
+            ORDER BY r.updated_at DESC, r.id
+            LIMIT ? OFFSET ?
+        `, [...values, limit || -1, offset]);
+        const { total } = await this.get(`
+            SELECT COUNT(*) as total FROM book_reviews r
+            JOIN users u ON u.id = r.user_id
+            JOIN books b ON b.id = r.book_id${where}
+        `, values);
+        return { reviews: reviews.map(parseReviewRow), total };
+    }
+
+    async setReviewHidden(id, hidden, moderatorId) {
+        const result = await this.run(`
+            UPDATE book_reviews SET hidden = ?, moderated_by = ?, moderated_at = datetime('now') WHERE id = ?
+        `, [hidden ? 1 : 0, moderatorId, id]);
+        return result.changes > 0 ? await this.getReviewById(id) : null;
+    }
+
+    async deleteReview(id) {
+        const result = await this.run('DELETE FROM book_reviews WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    // Reviews from a backup; an existing review of the same user and book is kept
+    async restoreBookReview(review) {
+        const result = await this.run(`
+            INSERT OR IGNORE INTO book_reviews (id, book_id, user_id, rating, review, hidden, moderated_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), COALESCE(?, datetime('now')))
+        `, [
+            review.id || uuidv4(),
+            review.book_id,
+            review.user_id,
+            review.rating,
+            review.review ?? null,
+            review.hidden ? 1 : 0,
+            review.moderated_at || null,
+            review.created_at || null,
+            review.updated_at || null
+        ]);
+        return result.changes > 0;
+    }
+
+    async restoreShareLink(link) {
+        const result = await this.run(`
+            INSERT OR IGNORE INTO share_links (book_id, share_token, created_by, is_active, access_count, expires_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+        `, [link.book_id, link.share_token, link.created_by, link.is_active ?? 1, link.access_count || 0, link.expires_at || null, link.created_at || null]);
+        return result.changes > 0;
+    }
+
     // Helper method for compatibility
     async getClient() {
         // SQLite doesn't use connection pooling in the same way
@@ -0,0 +1,363 @@
+// epub_reader.js - Read EPUB structure (package, spine, table of contents), metadata and individual resources
+const path = require('path');
+const fs = require('fs-extra');
+const unzipper = require('unzipper');
+const { XMLParser } = require('fast-xml-parser');
+const { htmlToText } = require('./text_utils');
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false
+});
+
+// Parsed archives are kept open for a while since a reader requests many resources in a row
+const CACHE_SIZE = 20;
+const epubCache = new Map();
+
+const MEDIA_TYPES = {
+    '.xhtml': 'application/xhtml+xml',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.css': 'text/css',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ncx': 'application/x-dtbncx+xml',
+    '.opf': 'application/oebps-package+xml',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4'
+};
+
+const epubError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+};
+
+const asArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+// Concatenate all text inside a parsed node (ignores attributes)
+const textOf = (node) => {
+    if (node === undefined || node === null) return '';
+    if (typeof node !== 'object') return String(node);
+    if (Array.isArray(node)) return node.map(textOf).join(' ');
+
+    return Object.entries(node)
+        .filter(([key]) => !key.startsWith('@_'))
+        .map(([, value]) => textOf(value))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Resolve an href relative to a file inside the archive; returns null if it leaves the archive
+const resolveArchivePath = (fromDir, href) => {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(href.split('#')[0]);
+    } catch (error) {
+        return null;
+    }
+
+    const resolved = path.posix.normalize(path.posix.join(fromDir, decoded));
+    if (resolved.startsWith('../') || resolved === '..' || path.posix.isAbsolute(resolved)) {
+        return null;
+    }
+    return resolved;
+};
+
+const fragmentOf = (href) => {
+    const index = href.indexOf('#');
+    return index === -1 ? null : href.substring(index + 1);
+};
+
+const readEntry = async (files, entryPath) => {
+    const entry = files.get(entryPath);
+    return entry ? entry.buffer() : null;
+};
+
+const parseXmlEntry = async (files, entryPath) => {
+    const buffer = await readEntry(files, entryPath);
+    if (!buffer) return null;
+    return xmlParser.parse(buffer.toString('utf8'));
+};
+
+// Collect all elements with the given name anywhere in a parsed tree
+const findElements = (node, name, matches = []) => {
+    if (!node || typeof node !== 'object') return matches;
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('@_')) continue;
+        for (const child of asArray(value)) {
+            if (key === name) matches.push(child);
+            findElements(child, name, matches);
+        }
+    }
+    return matches;
+};
+
+// EPUB 3 navigation document: <nav epub:type="toc"><ol><li><a href>...</a><ol>...</ol></li></ol></nav>
+const parseNavList = (list, baseDir) => {
+    return asArray(list?.li).map(item => {
+        const link = asArray(item.a)[0];
+        const href = link?.['@_href'];
+        return {
+            label: textOf(link || item.span) || '',
+            href: href ? resolveArchivePath(baseDir, href) : null,
+            fragment: href ? fragmentOf(href) : null,
+            children: item.ol ? parseNavList(asArray(item.ol)[0], baseDir) : []
+        };
+    });
+};
+
+const parseNavDocument = (document, baseDir) => {
+    const navs = findElements(document, 'nav');
+    const tocNav = navs.find(nav => String(nav['@_type'] || '').split(/\s+/).includes('toc')) || navs[0];
+    if (!tocNav) return [];
+    return parseNavList(asArray(tocNav.ol)[0], baseDir);
+};
+
+// EPUB 2 NCX: <navMap><navPoint><navLabel><text/></navLabel><content src/><navPoint>...</navPoint></navPoint></navMap>
+const parseNavPoints = (points, baseDir) => {
+    return asArray(points)
+        .sort((a, b) => Number(a['@_playOrder'] || 0) - Number(b['@_playOrder'] || 0))
+        .map(point => {
+            const src = point.content?.['@_src'];
+            return {
+                label: textOf(point.navLabel?.text),
+                href: src ? resolveArchivePath(baseDir, src) : null,
+                fragment: src ? fragmentOf(src) : null,
+                children: parseNavPoints(point.navPoint, baseDir)
+            };
+        });
+};
+
+const loadPackage = async (files) => {
+    const container = await parseXmlEntry(files, 'META-INF/container.xml');
+    const rootfile = asArray(container?.container?.rootfiles?.rootfile)[0];
+    const opfPath = rootfile?.['@_full-path'];
+    if (!opfPath) {
+        throw epubError('Ungültige EPUB-Datei: container.xml fehlt oder ist unvollständig');
+    }
+
+    const opf = await parseXmlEntry(files, opfPath);
+    const pkg = opf?.package;
+    if (!pkg) {
+        throw epubError('Ungültige EPUB-Datei: Paketdokument nicht gefunden');
+    }
+
+    const opfDir = path.posix.dirname(opfPath) === '.' ? '' : path.posix.dirname(opfPath);
+    const manifest = new Map();
+    for (const item of asArray(pkg.manifest?.item)) {
+        const href = resolveArchivePath(opfDir, item['@_href'] || '');
+        if (!item['@_id'] || !href) continue;
+        manifest.set(item['@_id'], {
+            id: item['@_id'],
+            href,
+            mediaType: item['@_media-type'] || null,
+            properties: String(item['@_properties'] || '').split(/\s+/).filter(Boolean)
+        });
+    }
+
+    const spine = asArray(pkg.spine?.itemref)
+        .map(itemref => {
+            const item = manifest.get(itemref['@_idref']);
+            return item ? { id: item.id, href: item.href, linear: itemref['@_linear'] !== 'no' } : null;
+        })
+        .filter(Boolean);
+
+    if (spine.length === 0) {
+        throw epubError('Ungültige EPUB-Datei: keine lesbaren Kapitel gefunden');
+    }
+
+    let toc = [];
+    const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+    const ncxItem = manifest.get(pkg.spine?.['@_toc'])
+        || [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+    if (navItem) {
+        toc = parseNavDocument(await parseXmlEntry(files, navItem.href), path.posix.dirname(navItem.href));
+    }
+    if (toc.length === 0 && ncxItem) {
+        const ncx = await parseXmlEntry(files, ncxItem.href);
+        toc = parseNavPoints(ncx?.ncx?.navMap?.navPoint, path.posix.dirname(ncxItem.href));
+    }
+
+    const metadata = pkg.metadata || {};
+    return {
+        title: textOf(asArray(metadata.title)[0]) || null,
+        language: textOf(asArray(metadata.language)[0]) || null,
+        spine,
+        toc,
+        manifest,
+        metadata
+    };
+};
+
+const openEpub = async (filepath) => {
+    const stats = await fs.stat(filepath);
+    const cached = epubCache.get(filepath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+        // Refresh position so frequently read books stay cached
+        epubCache.delete(filepath);
+        epubCache.set(filepath, cached);
+        return cached;
+    }
+
+    let directory;
+    try {
+        directory = await unzipper.Open.file(filepath);
+    } catch (error) {
+        throw epubError('Ungültige EPUB-Datei: Archiv kann nicht geöffnet werden');
+    }
+
+    const files = new Map(directory.files.filter(file => file.type === 'File').map(file => [file.path, file]));
+    const epub = { mtimeMs: stats.mtimeMs, files, ...(await loadPackage(files)) };
+
+    epubCache.set(filepath, epub);
+    if (epubCache.size > CACHE_SIZE) {
+        epubCache.delete(epubCache.keys().next().value);
+    }
+    return epub;
+};
+
+/**
+ * Structure of an EPUB for the reader: title, reading order (spine) and
+ * table of contents. All hrefs are paths inside the archive.
+ */
+const getEpubInfo = async (filepath) => {
+    const epub = await openEpub(filepath);
+    return {
+        title: epub.title,
+        language: epub.language,
+        spine: epub.spine,
+        toc: epub.toc
+    };
+};
+
+/**
+ * Read a single file from an EPUB. Returns null if it does not exist.
+ */
+const readEpubResource = async (filepath, resourcePath) => {
+    const epub = await openEpub(filepath);
+    const normalized = resolveArchivePath('', resourcePath);
+    if (!normalized || normalized === 'META-INF/encryption.xml') return null;
+
+    const data = await readEntry(epub.files, normalized);
+    if (!data) return null;
+
+    const manifestItem = [...epub.manifest.values()].find(item => item.href === normalized);
+    const mediaType = manifestItem?.mediaType
+        || MEDIA_TYPES[path.posix.extname(normalized).toLowerCase()]
+        || 'application/octet-stream';
+
+    return { data, mediaType };
+};
+
+// ISBN from an identifier like "urn:isbn:978-3-16-148410-0", "ISBN 3161484100" or a bare number
+const parseIsbn = (value, scheme) => {
+    const isIsbn = /^isbn$/i.test(scheme || '') || /^(urn:)?isbn[:\s]/i.test(value);
+    const normalized = value.replace(/^(urn:)?isbn[:\s]*/i, '').replace(/[-\s]/g, '').toUpperCase();
+
+    if (/^97[89]\d{10}$/.test(normalized)) return normalized;
+    if (isIsbn && /^(\d{13}|\d{9}[\dX])$/.test(normalized)) return normalized;
+    return null;
+};
+
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// EPUB 3 marks the cover with properties="cover-image", EPUB 2 with <meta name="cover" content="item-id">
+const findCoverItem = (manifest, metaElements) => {
+    const items = [...manifest.values()].filter(item => IMAGE_MEDIA_TYPES.includes(item.mediaType));
+    const coverMeta = metaElements.find(meta => meta['@_name'] === 'cover');
+
+    return items.find(item => item.properties.includes('cover-image'))
+        || (coverMeta && items.find(item => item.id === coverMeta['@_content']))
+        || items.find(item => /cover/i.test(item.id) || /cover/i.test(path.posix.basename(item.href)))
+        || null;
+};
+
+/**
+ * Bibliographic metadata from the OPF package: title, authors, contributors
+ * ({ name, role } with MARC relator codes such as "trl"), language,
+ * publisher, publication date, description, subjects (keywords), identifiers (incl. ISBN), series
+ * (Calibre or EPUB 3 collection metadata) and the cover image ({ data, mediaType } or null).
+ */
+const getEpubMetadata = async (filepath) => {
+    const epub = await openEpub(filepath);
+    const metadata = epub.metadata;
+    const metaElements = asArray(metadata.meta);
+
+    // EPUB 3 refinements: <meta refines="#id" property="role">aut</meta>
+    const refinement = (id, property) => {
+        if (!id) return null;
+        const meta = metaElements.find(item => item['@_refines'] === `#${id}` && item['@_property'] === property);
+        return meta ? textOf(meta) : null;
+    };
+
+    const creators = asArray(metadata.creator).map(creator => ({
+        name: textOf(creator),
+        role: creator?.['@_role'] || refinement(creator?.['@_id'], 'role')
+    })).filter(creator => creator.name);
+    const authors = creators.filter(creator => !creator.role || creator.role === 'aut');
+    const contributors = asArray(metadata.contributor).map(contributor => ({
+        name: textOf(contributor),
+        role: contributor?.['@_role'] || refinement(contributor?.['@_id'], 'role')
+    })).filter(contributor => contributor.name && contributor.role);
+
+    const identifiers = asArray(metadata.identifier).map(identifier => ({
+        scheme: identifier?.['@_scheme'] || refinement(identifier?.['@_id'], 'identifier-type'),
+        value: textOf(identifier)
+    })).filter(identifier => identifier.value);
+    const isbn = identifiers.map(identifier => parseIsbn(identifier.value, identifier.scheme)).find(Boolean) || null;
+
+    let series = null;
+    let seriesIndex = null;
+    const calibreSeries = metaElements.find(meta => meta['@_name'] === 'calibre:series');
+    const collection = metaElements.find(meta => meta['@_property'] === 'belongs-to-collection');
+    if (calibreSeries?.['@_content']) {
+        series = calibreSeries['@_content'];
+        const calibreIndex = metaElements.find(meta => meta['@_name'] === 'calibre:series_index');
+        seriesIndex = calibreIndex ? Number.parseFloat(calibreIndex['@_content']) : null;
+    } else if (collection) {
+        series = textOf(collection) || null;
+        seriesIndex = Number.parseFloat(refinement(collection['@_id'], 'group-position'));
+    }
+
+    const coverItem = findCoverItem(epub.manifest, metaElements);
+    const coverData = coverItem ? await readEntry(epub.files, coverItem.href) : null;
+
+    return {
+        title: epub.title,
+        authors: authors.map(author => author.name),
+        contributors: [...creators.filter(creator => creator.role && creator.role !== 'aut'), ...contributors],
+        language: epub.language,
+        publisher: textOf(asArray(metadata.publisher)[0]) || null,
+        // EPUB 2 may list several dates (creation, modification); the publication date has no event or comes first
+        published_date: textOf(asArray(metadata.date).find(date => !date?.['@_event'] || date['@_event'] === 'publication')) || null,
+        description: htmlToText(textOf(asArray(metadata.description)[0])) || null,
+        keywords: asArray(metadata.subject).map(textOf).filter(Boolean),
+        identifiers,
+        isbn,
+        series,
+        series_index: series && Number.isFinite(seriesIndex) ? seriesIndex : null,
+        cover: coverData ? { data: coverData, mediaType: coverItem.mediaType } : null
+    };
+};
+
+module.exports = {
+    getEpubInfo,
+    getEpubMetadata,
+    readEpubResource
+};
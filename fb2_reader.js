@@ -0,0 +1,111 @@
+// fb2_reader.js - Read metadata and cover of FictionBook 2 (FB2) files
+const fs = require('fs-extra');
+const { XMLParser } = require('fast-xml-parser');
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false
+});
+
+const fb2Error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+};
+
+const asArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+const textOf = (node) => {
+    if (node === undefined || node === null) return '';
+    if (typeof node !== 'object') return String(node);
+    if (Array.isArray(node)) return node.map(textOf).join(' ');
+
+    return Object.entries(node)
+        .filter(([key]) => !key.startsWith('@_'))
+        .map(([, value]) => textOf(value))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// FB2 files are frequently windows-1251 encoded; the XML declaration says which
+const decodeXml = (buffer) => {
+    const declaration = buffer.subarray(0, 200).toString('latin1').match(/encoding=["']([\w-]+)["']/i);
+    try {
+        return new TextDecoder(declaration ? declaration[1] : 'utf-8').decode(buffer);
+    } catch (error) {
+        return buffer.toString('utf8');
+    }
+};
+
+const formatAuthor = (author) => {
+    const name = ['first-name', 'middle-name', 'last-name']
+        .map(part => textOf(author[part]))
+        .filter(Boolean)
+        .join(' ');
+    return name || textOf(author.nickname);
+};
+
+/**
+ * Metadata of a FictionBook 2 file from <description> (title-info and
+ * publish-info) and the cover image from the referenced <binary>.
+ */
+const getFb2Metadata = async (filepath) => {
+    // The book text is not needed and can be large, so it is removed before parsing
+    const xml = decodeXml(await fs.readFile(filepath)).replace(/<body[\s>][\s\S]*?<\/body>/g, '');
+
+    let book;
+    try {
+        book = xmlParser.parse(xml).FictionBook;
+    } catch (error) {
+        book = null;
+    }
+    const titleInfo = book?.description?.['title-info'];
+    if (!titleInfo) {
+        throw fb2Error('Ungültige FB2-Datei: Beschreibung fehlt');
+    }
+    const publishInfo = book.description['publish-info'] || {};
+
+    const sequence = asArray(titleInfo.sequence)[0];
+    const seriesIndex = Number.parseFloat(sequence?.['@_number']);
+
+    let cover = null;
+    const coverHref = asArray(titleInfo.coverpage?.image)[0]?.['@_href'];
+    const binary = coverHref && asArray(book.binary).find(item => `#${item['@_id']}` === coverHref);
+    if (binary && textOf(binary)) {
+        cover = {
+            data: Buffer.from(textOf(binary).replace(/\s+/g, ''), 'base64'),
+            mediaType: binary['@_content-type'] || 'image/jpeg'
+        };
+    }
+
+    const annotation = asArray(titleInfo.annotation?.p).map(textOf).filter(Boolean).join('\n\n')
+        || textOf(titleInfo.annotation);
+    const isbn = textOf(publishInfo.isbn).replace(/[-\s]/g, '');
+
+    return {
+        title: textOf(titleInfo['book-title']) || null,
+        authors: asArray(titleInfo.author).map(formatAuthor).filter(Boolean),
+        description: annotation || null,
+        keywords: [
+            ...asArray(titleInfo.genre).map(textOf),
+            ...textOf(titleInfo.keywords).split(',').map(keyword => keyword.trim())
+        ].filter(Boolean),
+        language: textOf(titleInfo.lang) || null,
+        publisher: textOf(publishInfo.publisher) || null,
+        published_date: textOf(publishInfo.year) || null,
+        isbn: /^(\d{13}|\d{9}[\dX])$/i.test(isbn) ? isbn.toUpperCase() : null,
+        series: sequence?.['@_name'] || null,
+        series_index: sequence?.['@_name'] && Number.isFinite(seriesIndex) ? seriesIndex : null,
+        cover
+    };
+};
+
+module.exports = {
+    getFb2Metadata
+};
@@ -0,0 +1,164 @@
+// format_converter.js - Convert book files between formats with local converter tools
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+
+const CONVERSION_TIMEOUT = 10 * 60 * 1000;
+
+const conversionError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+};
+
+// Calibre's command line converter; EBOOK_CONVERT_PATH points to a binary outside PATH
+const EBOOK_CONVERT = process.env.EBOOK_CONVERT_PATH || 'ebook-convert';
+
+let ebookConvertAvailable = null;
+
+const checkEbookConvert = () => {
+    if (ebookConvertAvailable !== null) return Promise.resolve(ebookConvertAvailable);
+
+    return new Promise((resolve) => {
+        const child = spawn(EBOOK_CONVERT, ['--version'], { stdio: 'ignore' });
+        child.on('error', () => resolve(false));
+        child.on('close', (code) => resolve(code === 0));
+    }).then((available) => {
+        ebookConvertAvailable = available;
+        if (!available) {
+            console.warn('⚠️ ebook-convert nicht gefunden - Formatkonvertierung ist deaktiviert (Calibre installieren)');
+        }
+        return available;
+    });
+};
+
+/**
+ * Run ebook-convert. It writes progress lines such as "34% Running transforms
+ * on e-book..." to stdout; the percentage is passed to onProgress. The output
+ * format follows from the extension of outputPath.
+ */
+const runEbookConvert = (inputPath, outputPath, { onProgress }) => {
+    return new Promise((resolve, reject) => {
+        const child = spawn(EBOOK_CONVERT, [inputPath, outputPath], {
+            // Calibre renders PDFs with Qt, which needs no display in offscreen mode
+            env: { ...process.env, QT_QPA_PLATFORM: 'offscreen' },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let output = '';
+        let lastProgress = -1;
+        const collect = (chunk) => {
+            const text = chunk.toString();
+            // Keep the tail for the error message
+            output = (output + text).slice(-4000);
+
+            for (const match of text.matchAll(/^(\d{1,3})% /gm)) {
+                const progress = Math.min(Number(match[1]), 100);
+                if (progress > lastProgress) {
+                    lastProgress = progress;
+                    onProgress(progress);
+                }
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        const timer = setTimeout(() => child.kill('SIGKILL'), CONVERSION_TIMEOUT);
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve();
+            } else if (signal) {
+                reject(conversionError('Konvertierung wurde wegen Zeitüberschreitung abgebrochen'));
+            } else {
+                const lastLine = output.trim().split('\n').pop();
+                reject(conversionError(`Konvertierung fehlgeschlagen: ${lastLine || `Exit-Code ${code}`}`));
+            }
+        });
+    });
+};
+
+/**
+ * Converters in order of preference. A converter declares the format ids it
+ * reads and writes, whether it can run on this machine, and converts one file.
+ */
+const CONVERTERS = [
+    {
+        id: 'ebook-convert',
+        label: 'Calibre ebook-convert',
+        sourceFormats: ['epub', 'azw3', 'mobi', 'fb2', 'pdf', 'cbz', 'cbr', 'djvu', 'txt', 'md'],
+        targetFormats: ['epub', 'pdf', 'azw3', 'mobi', 'fb2', 'txt'],
+        isAvailable: checkEbookConvert,
+        convert: runEbookConvert
+    }
+];
+
+// Add a converter (e.g. wrapping another local tool); it is preferred over the built-in ones
+const registerConverter = (converter) => {
+    CONVERTERS.unshift(converter);
+};
+
+const supports = (converter, sourceFormat, targetFormat) =>
+    sourceFormat !== targetFormat &&
+    converter.sourceFormats.includes(sourceFormat) &&
+    converter.targetFormats.includes(targetFormat);
+
+// First available converter for the conversion, or null
+const findConverter = async (sourceFormat, targetFormat) => {
+    for (const converter of CONVERTERS) {
+        if (supports(converter, sourceFormat, targetFormat) && await converter.isAvailable()) {
+            return converter;
+        }
+    }
+    return null;
+};
+
+/**
+ * Pick the source file for a conversion: the first of the book's formats
+ * (in the order given) that an available converter can turn into targetFormat.
+ */
+const chooseSource = async (formatIds, targetFormat) => {
+    for (const sourceFormat of formatIds) {
+        const converter = await findConverter(sourceFormat, targetFormat);
+        if (converter) return { sourceFormat, converter };
+    }
+    return null;
+};
+
+const convertFile = async (converter, inputPath, outputPath, { onProgress = () => {} } = {}) => {
+    await converter.convert(inputPath, outputPath, { onProgress });
+
+    const stats = await fs.stat(outputPath).catch(() => null);
+    if (!stats || stats.size === 0) {
+        await fs.remove(outputPath).catch(() => {});
+        throw conversionError('Konvertierung hat keine Datei erzeugt');
+    }
+    return stats;
+};
+
+// Available converters and their formats, for clients offering conversions
+const describeConverters = async () => {
+    const converters = [];
+    for (const converter of CONVERTERS) {
+        converters.push({
+            id: converter.id,
+            label: converter.label,
+            available: await converter.isAvailable(),
+            source_formats: converter.sourceFormats,
+            target_formats: converter.targetFormats
+        });
+    }
+    return converters;
+};
+
+module.exports = {
+    registerConverter,
+    findConverter,
+    chooseSource,
+    convertFile,
+    describeConverters
+};
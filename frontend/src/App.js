@@ -10,8 +10,14 @@ import Dashboard from './components/EnhancedDashboard';
 import BookUpload from './components/EnhancedBookUpload';
 import UserManagement from './components/UserManagement';
 import SharedBook from './components/SharedBook';
+import EpubReader from './components/EpubReader';
+import PdfViewer from './components/PdfViewer';
 import ErrorBoundary from './components/ErrorBoundary';
 import AdminInterface from './components/AdminInterface';
+import SeriesView from './components/SeriesView';
+import AuthorsView from './components/AuthorsView';
+import PublicShelf from './components/PublicShelf';
+import BookDetail from './components/BookDetail';
 import PasswordChangeDialog from './components/PasswordChangeDialog';
 import AccessibilityHelper from './components/AccessibilityHelper';
 import api from './services/api';
@@ -104,6 +110,9 @@ function App() {
         <Router>
           <Routes>
             <Route path="/share/:token" element={<SharedBook />} />
+            <Route path="/share/:token/read" element={<EpubReader shared />} />
+            <Route path="/share/:token/pdf" element={<PdfViewer shared />} />
+            <Route path="/shelf/:token" element={<PublicShelf />} />
             <Route path="*" element={<Login onLogin={handleLogin} />} />
           </Routes>
         </Router>
@@ -119,8 +128,13 @@ function App() {
         <Routes>
           {/* Public routes */}
           <Route path="/share/:token" element={<SharedBook />} />
+          <Route path="/share/:token/read" element={<EpubReader shared />} />
+          <Route path="/share/:token/pdf" element={<PdfViewer shared />} />
+          <Route path="/shelf/:token" element={<PublicShelf />} />
           
           {/* Protected routes */}
+          <Route path="/read/:id" element={<EpubReader />} />
+          <Route path="/pdf/:id" element={<PdfViewer />} />
           <Route path="*" element={
             <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
               {/* Password Change Dialog - Required */}
@@ -136,6 +150,11 @@ function App() {
                   <Route path="/" element={<Dashboard />} />
                   <Route path="/app" element={<Dashboard />} />
                   <Route path="/upload" element={<BookUpload />} />
+                  <Route path="/books/:id" element={<BookDetail />} />
+                  <Route path="/series" element={<SeriesView />} />
+                  <Route path="/series/:id" element={<SeriesView />} />
+                  <Route path="/authors" element={<AuthorsView />} />
+                  <Route path="/authors/:id" element={<AuthorsView />} />
                   {user.role === 'admin' && (
                     <>
                       <Route path="/users" element={<UserManagement />} />
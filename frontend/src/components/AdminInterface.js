@@ -34,8 +34,8 @@ import {
   Grid,
   Card,
   CardContent,
-  CardActions,
   Snackbar,
+  LinearProgress,
 } from '@mui/material';
 import {
   People,
@@ -56,8 +56,27 @@ import {
   GetApp,
   RestorePage,
   Settings,
+  PendingActions,
+  Replay,
+  Refresh,
+  ManageSearch,
+  LocalOffer,
+  RecentActors,
+  RateReview,
 } from '@mui/icons-material';
 import api from '../services/api';
+import { waitForJob, downloadJobFile } from '../services/jobs';
+import TagManagement from './TagManagement';
+import AuthorManagement from './AuthorManagement';
+import ReviewModeration from './ReviewModeration';
+import CategoryTree from './CategoryTree';
+
+const JOB_STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error'
+};
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -105,6 +124,7 @@ function AdminInterface() {
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [categoryFormData, setCategoryFormData] = useState({
     name: '',
+    parent_id: '',
     description: '',
     color: '#1976d2',
     icon: 'folder',
@@ -127,6 +147,11 @@ function AdminInterface() {
     preserveCategories: false
   });
   const [restoreUploading, setRestoreUploading] = useState(false);
+  const [backupStatus, setBackupStatus] = useState(null);
+
+  // Background Job States
+  const [jobs, setJobs] = useState([]);
+  const [jobStatusFilter, setJobStatusFilter] = useState('');
 
   // System Settings States
   const [systemSettings, setSystemSettings] = useState({ allow_registration: true });
@@ -143,10 +168,21 @@ function AdminInterface() {
     loadUsers();
     loadCategories();
     loadBackups();
+    loadBackupStatus();
     loadSystemSettings();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Keep the job list current while the jobs tab is open
+  useEffect(() => {
+    if (tabValue !== 8) return undefined;
+
+    loadJobs();
+    const timer = setInterval(loadJobs, 5000);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tabValue, jobStatusFilter]);
+
   const loadUsers = async () => {
     try {
       setLoading(true);
@@ -189,10 +225,11 @@ function AdminInterface() {
         must_change_password: userFormData.must_change_password,
       });
 
-      // Update password if provided
-      if (userFormData.newPassword && userFormData.newPassword.length >= 6) {
+      // Update password if provided (the server enforces the complexity rules)
+      if (userFormData.newPassword) {
         await api.put(`/api/users/${selectedUser.id}/password`, {
           newPassword: userFormData.newPassword,
+          mustChangePassword: userFormData.must_change_password,
         });
       }
 
@@ -221,7 +258,8 @@ function AdminInterface() {
   const handleEditCategory = (category) => {
     setSelectedCategory(category);
     setCategoryFormData({
-      name: category.name,
+      name: category.original_name || category.name,
+      parent_id: category.parent_id || '',
       description: category.description || '',
       color: category.color,
       icon: category.icon,
@@ -231,17 +269,19 @@ function AdminInterface() {
 
   const handleSaveCategory = async () => {
     try {
+      const data = { ...categoryFormData, parent_id: categoryFormData.parent_id || null };
       if (selectedCategory) {
-        await api.put(`/api/categories/${selectedCategory.id}`, categoryFormData);
+        await api.put(`/api/categories/${selectedCategory.id}`, data);
         setSuccess(t('admin.categoryUpdated') || 'Category updated successfully');
       } else {
-        await api.post('/api/categories', categoryFormData);
+        await api.post('/api/categories', data);
         setSuccess(t('admin.categoryCreated') || 'Category created successfully');
       }
       setCategoryDialog(false);
       setSelectedCategory(null);
       setCategoryFormData({
         name: '',
+        parent_id: '',
         description: '',
         color: '#1976d2',
         icon: 'folder',
@@ -266,6 +306,31 @@ function AdminInterface() {
     }
   };
 
+  const handleNewCategory = (parentId = '') => {
+    setSelectedCategory(null);
+    setCategoryFormData({
+      name: '',
+      parent_id: parentId,
+      description: '',
+      color: '#1976d2',
+      icon: 'folder',
+    });
+    setCategoryDialog(true);
+  };
+
+  // A category cannot be moved below itself or one of its subcategories
+  const isInSubtree = (category, rootId) => {
+    const byId = new Map(categories.map((item) => [item.id, item]));
+    for (let current = category; current; current = byId.get(current.parent_id)) {
+      if (current.id === rootId) return true;
+    }
+    return false;
+  };
+
+  const parentOptions = selectedCategory
+    ? categories.filter((category) => !isInSubtree(category, selectedCategory.id))
+    : categories;
+
   const handlePasswordChange = async () => {
     if (passwordFormData.newPassword !== passwordFormData.confirmPassword) {
       setError('Neue Passwörter stimmen nicht überein');
@@ -347,19 +412,35 @@ function AdminInterface() {
     }
   };
 
+  const loadBackupStatus = async () => {
+    try {
+      const response = await api.get('/api/backup/status');
+      setBackupStatus(response.data);
+    } catch (err) {
+      console.error('Failed to load backup status:', err);
+    }
+  };
+
+  const handleBackupScheduleChange = async (settingKey, value) => {
+    await handleSystemSettingsChange(settingKey, value);
+    await loadBackupStatus();
+  };
+
   const handleCreateBackup = async () => {
     try {
       setBackupCreating(true);
       setError('');
       
       const response = await api.post('/api/backup/create');
+      const job = await waitForJob(response.data.job.id, { interval: 2000 });
       
-      setSuccess(`Backup erfolgreich erstellt: ${response.data.filename}`);
+      setSuccess(`Backup erfolgreich erstellt: ${job.result.filename}`);
       await loadBackups(); // Reload backup list
+      await loadBackupStatus();
       
     } catch (error) {
       console.error('Backup creation failed:', error);
-      setError(error.response?.data?.error || t('admin.errorCreatingBackup'));
+      setError(error.response?.data?.error || error.message || t('admin.errorCreatingBackup'));
     } finally {
       setBackupCreating(false);
     }
@@ -367,29 +448,15 @@ function AdminInterface() {
 
   const handleDownloadBackup = async (filename) => {
     try {
-      // Use axios with proper authentication headers instead of window.open
-      const response = await api.get('/api/download/archive', {
-        responseType: 'blob',
-        headers: {
-          'Accept': 'application/zip'
-        }
-      });
-      
-      // Create blob URL and trigger download
-      const blob = new Blob([response.data], { type: 'application/zip' });
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      // The archive is built in the background and downloaded once it is ready
+      const response = await api.post('/api/download/archive');
+      const job = await waitForJob(response.data.job.id, { interval: 2000 });
+      await downloadJobFile(job, filename);
       
       setSuccess(t('admin.backupDownloaded') || 'Backup downloaded successfully');
     } catch (error) {
       console.error('Backup download failed:', error);
-      setError(error.response?.data?.error || t('admin.errorDownloadingBackup'));
+      setError(error.response?.data?.error || error.message || t('admin.errorDownloadingBackup'));
     }
   };
 
@@ -428,7 +495,8 @@ function AdminInterface() {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
 
-      setSuccess(`Backup erfolgreich wiederhergestellt: ${response.data.result.restored_books} Bücher`);
+      const { restored_books, conflicts, skipped_files } = response.data.result;
+      setSuccess(`Backup erfolgreich wiederhergestellt: ${restored_books} Bücher, ${conflicts.length} Konflikte, ${skipped_files.length} übersprungene Dateien`);
       setRestoreDialog(false);
       setRestoreFile(null);
       
@@ -475,6 +543,55 @@ function AdminInterface() {
     }
   };
 
+  // Background Job Functions
+  const loadJobs = async () => {
+    try {
+      const response = await api.get('/api/jobs', {
+        params: { status: jobStatusFilter || undefined, limit: 100 }
+      });
+      setJobs(response.data);
+    } catch (err) {
+      console.error('Failed to load jobs:', err);
+    }
+  };
+
+  const handleRetryJob = async (jobId) => {
+    try {
+      await api.post(`/api/jobs/${jobId}/retry`);
+      await loadJobs();
+    } catch (err) {
+      setError(err.response?.data?.error || t('admin.jobActionError'));
+    }
+  };
+
+  const handleDeleteJob = async (jobId) => {
+    try {
+      await api.delete(`/api/jobs/${jobId}`);
+      await loadJobs();
+    } catch (err) {
+      setError(err.response?.data?.error || t('admin.jobActionError'));
+    }
+  };
+
+  // Rebuild the full-text index of all book contents in the background
+  const handleReindexContent = async () => {
+    try {
+      await api.post('/api/search/reindex');
+      setSuccess(t('admin.reindexStarted'));
+      await loadJobs();
+    } catch (err) {
+      setError(err.response?.data?.error || t('admin.jobActionError'));
+    }
+  };
+
+  const handleDownloadJobFile = async (job) => {
+    try {
+      await downloadJobFile(job);
+    } catch (err) {
+      setError(t('admin.jobActionError'));
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return '-';
     
@@ -539,9 +656,13 @@ function AdminInterface() {
         >
           <Tab icon={<People />} label={t('admin.tabUsers')} />
           <Tab icon={<Category />} label={t('admin.tabCategories')} />
+          <Tab icon={<LocalOffer />} label={t('admin.tabTags')} />
+          <Tab icon={<RecentActors />} label={t('admin.tabAuthors')} />
+          <Tab icon={<RateReview />} label={t('admin.tabReviews')} />
           <Tab icon={<CloudDownload />} label={t('admin.tabCalibreImport')} />
           <Tab icon={<Backup />} label={t('admin.tabBackupRestore')} />
           <Tab icon={<Settings />} label={t('admin.tabSettings')} />
+          <Tab icon={<PendingActions />} label={t('admin.tabJobs')} />
         </Tabs>
 
         <TabPanel value={tabValue} index={0}>
@@ -676,73 +797,40 @@ function AdminInterface() {
             <Button
               variant="contained"
               startIcon={<Add />}
-              onClick={() => {
-                setSelectedCategory(null);
-                setCategoryFormData({
-                  name: '',
-                  description: '',
-                  color: '#1976d2',
-                  icon: 'folder',
-                });
-                setCategoryDialog(true);
-              }}
+              onClick={() => handleNewCategory()}
             >
               {t('admin.newCategory')}
             </Button>
           </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {t('admin.categoryTreeHelp')}
+          </Typography>
 
-          <Grid container spacing={2}>
-            {(categories || []).map((category) => (
-              <Grid item xs={12} sm={6} md={4} key={category.id}>
-                <Card>
-                  <CardContent>
-                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
-                      <Avatar
-                        sx={{
-                          bgcolor: category.color,
-                          mr: 2,
-                        }}
-                      >
-                        <Box
-                          component="span"
-                          className="material-icons"
-                        >
-                          {category.icon}
-                        </Box>
-                      </Avatar>
-                      <Box>
-                        <Typography variant="h6">
-                          {language === 'en' && t('admin.categoryNames.' + category.name) 
-                            ? t('admin.categoryNames.' + category.name) 
-                            : category.name}
-                        </Typography>
-                        <Typography variant="body2" color="text.secondary">
-                          {language === 'en' && t('admin.categoryNames.' + category.description)
-                            ? t('admin.categoryNames.' + category.description)
-                            : (category.description || t('admin.noDescription'))}
-                        </Typography>
-                      </Box>
-                    </Box>
-                  </CardContent>
-                  <CardActions>
-                    <IconButton
-                      size="small"
-                      onClick={() => handleEditCategory(category)}
-                    >
+          <Paper variant="outlined">
+            <CategoryTree
+              categories={categories || []}
+              expandAll
+              renderActions={(category) => (
+                <>
+                  <Tooltip title={t('admin.newSubcategory')}>
+                    <IconButton size="small" onClick={() => handleNewCategory(category.id)}>
+                      <Add />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('admin.editCategory')}>
+                    <IconButton size="small" onClick={() => handleEditCategory(category)}>
                       <Edit />
                     </IconButton>
-                    <IconButton
-                      size="small"
-                      color="error"
-                      onClick={() => handleDeleteCategory(category.id)}
-                    >
+                  </Tooltip>
+                  <Tooltip title={t('admin.deleteCategory')}>
+                    <IconButton size="small" color="error" onClick={() => handleDeleteCategory(category.id)}>
                       <Delete />
                     </IconButton>
-                  </CardActions>
-                </Card>
-              </Grid>
-            ))}
-          </Grid>
+                  </Tooltip>
+                </>
+              )}
+            />
+          </Paper>
 
           {categories?.length === 0 && (
             <Box sx={{ p: 4, textAlign: 'center' }}>
@@ -758,6 +846,18 @@ function AdminInterface() {
         </TabPanel>
 
         <TabPanel value={tabValue} index={2}>
+          <TagManagement />
+        </TabPanel>
+
+        <TabPanel value={tabValue} index={3}>
+          <AuthorManagement />
+        </TabPanel>
+
+        <TabPanel value={tabValue} index={4}>
+          <ReviewModeration />
+        </TabPanel>
+
+        <TabPanel value={tabValue} index={5}>
           {/* Calibre Import */}
           <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             <Typography variant="h6">{t('admin.tabCalibreImport')}</Typography>
@@ -807,7 +907,7 @@ function AdminInterface() {
           )}
         </TabPanel>
 
-        <TabPanel value={tabValue} index={3}>
+        <TabPanel value={tabValue} index={6}>
           {/* Backup/Restore */}
           <Box sx={{ mb: 3 }}>
             <Typography variant="h6" gutterBottom>
@@ -838,6 +938,113 @@ function AdminInterface() {
             </CardContent>
           </Card>
 
+          {/* Automatic Backups */}
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                {t('admin.automaticBackups')}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {t('admin.automaticBackupsDescription')}
+              </Typography>
+
+              {backupStatus?.failing && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {t('admin.backupFailed')}: {backupStatus.last_run.error} ({formatDate(backupStatus.last_run.started_at)})
+                </Alert>
+              )}
+
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={systemSettings.backup_schedule_enabled === 'true'}
+                    onChange={(e) => handleBackupScheduleChange('backup_schedule_enabled', e.target.checked ? 'true' : 'false')}
+                    disabled={settingsLoading}
+                  />
+                }
+                label={t('admin.enableAutomaticBackups')}
+              />
+
+              <Grid container spacing={2} sx={{ mt: 1 }}>
+                <Grid item xs={12} sm={4}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>{t('admin.backupFrequency')}</InputLabel>
+                    <Select
+                      value={systemSettings.backup_schedule_frequency || 'daily'}
+                      label={t('admin.backupFrequency')}
+                      onChange={(e) => handleBackupScheduleChange('backup_schedule_frequency', e.target.value)}
+                      disabled={settingsLoading}
+                    >
+                      <MenuItem value="daily">{t('admin.backupDaily')}</MenuItem>
+                      <MenuItem value="weekly">{t('admin.backupWeekly')}</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                {systemSettings.backup_schedule_frequency === 'weekly' && (
+                  <Grid item xs={12} sm={4}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>{t('admin.backupWeekday')}</InputLabel>
+                      <Select
+                        value={systemSettings.backup_schedule_weekday || '0'}
+                        label={t('admin.backupWeekday')}
+                        onChange={(e) => handleBackupScheduleChange('backup_schedule_weekday', e.target.value)}
+                        disabled={settingsLoading}
+                      >
+                        {[1, 2, 3, 4, 5, 6, 0].map((day) => (
+                          <MenuItem key={day} value={String(day)}>
+                            {new Date(2024, 0, 7 + day).toLocaleDateString(language, { weekday: 'long' })}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                )}
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="time"
+                    label={t('admin.backupTime')}
+                    value={systemSettings.backup_schedule_time || '02:00'}
+                    onChange={(e) => setSystemSettings({ ...systemSettings, backup_schedule_time: e.target.value })}
+                    onBlur={(e) => handleBackupScheduleChange('backup_schedule_time', e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                    disabled={settingsLoading}
+                  />
+                </Grid>
+                {['backup_keep_daily', 'backup_keep_weekly', 'backup_keep_monthly'].map((settingKey) => (
+                  <Grid item xs={12} sm={4} key={settingKey}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      type="number"
+                      label={t(`admin.${settingKey.replace('backup_keep_', 'keep')}`)}
+                      value={systemSettings[settingKey] ?? ''}
+                      onChange={(e) => setSystemSettings({ ...systemSettings, [settingKey]: e.target.value })}
+                      onBlur={(e) => handleBackupScheduleChange(settingKey, e.target.value)}
+                      inputProps={{ min: 0 }}
+                      disabled={settingsLoading}
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="body2">
+                  {t('admin.lastSuccessfulBackup')}:{' '}
+                  {backupStatus?.last_success
+                    ? `${formatDate(backupStatus.last_success.finished_at)} (${backupStatus.last_success.filename})`
+                    : t('admin.noSuccessfulBackup')}
+                </Typography>
+                {backupStatus?.next_run && (
+                  <Typography variant="body2" color="text.secondary">
+                    {t('admin.nextScheduledBackup')}: {formatDate(backupStatus.next_run)}
+                  </Typography>
+                )}
+              </Box>
+            </CardContent>
+          </Card>
+
           {/* Restore Section */}
           <Card sx={{ mb: 3 }}>
             <CardContent>
@@ -876,6 +1083,7 @@ function AdminInterface() {
                         <TableCell>{t('admin.filename')}</TableCell>
                         <TableCell>{t('admin.createdAt')}</TableCell>
                         <TableCell>{t('admin.size')}</TableCell>
+                        <TableCell>{t('admin.backupContents')}</TableCell>
                         <TableCell>{t('admin.actions')}</TableCell>
                       </TableRow>
                     </TableHead>
@@ -887,6 +1095,23 @@ function AdminInterface() {
                           <TableCell>
                             {(backup.size / 1024 / 1024).toFixed(1)} MB
                           </TableCell>
+                          <TableCell>
+                            {backup.contents ? (
+                              <Box>
+                                <Typography variant="body2">
+                                  {backup.contents.books} {t('admin.backupBooks')} · {backup.contents.users} {t('admin.backupUsers')} · {backup.contents.categories} {t('admin.backupCategories')}
+                                </Typography>
+                                <Typography variant="caption" color="text.secondary">
+                                  v{backup.version} · {backup.contents.book_files + backup.contents.cover_files} {t('admin.backupFiles')}
+                                  {backup.contents.share_links !== undefined && ` · ${backup.contents.share_links} ${t('admin.backupShareLinks')}`}
+                                </Typography>
+                              </Box>
+                            ) : (
+                              <Typography variant="body2" color="text.secondary">
+                                {t('admin.backupContentsUnknown')}
+                              </Typography>
+                            )}
+                          </TableCell>
                           <TableCell>
                             <Tooltip title={t('dashboard.download')}>
                               <IconButton 
@@ -916,7 +1141,7 @@ function AdminInterface() {
           </Card>
         </TabPanel>
 
-        <TabPanel value={tabValue} index={4}>
+        <TabPanel value={tabValue} index={7}>
           {/* System Settings */}
           <Box sx={{ mb: 3 }}>
             <Typography variant="h6" gutterBottom>
@@ -948,6 +1173,118 @@ function AdminInterface() {
             </CardContent>
           </Card>
         </TabPanel>
+
+        <TabPanel value={tabValue} index={8}>
+          {/* Background Jobs */}
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 3, gap: 2 }}>
+            <Box>
+              <Typography variant="h6" gutterBottom>
+                {t('admin.jobs')}
+              </Typography>
+              <Typography variant="body1">
+                {t('admin.jobsDescription')}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <FormControl size="small" sx={{ minWidth: 160 }}>
+                <InputLabel>{t('admin.jobStatus')}</InputLabel>
+                <Select
+                  value={jobStatusFilter}
+                  label={t('admin.jobStatus')}
+                  onChange={(e) => setJobStatusFilter(e.target.value)}
+                >
+                  <MenuItem value="">{t('admin.allJobs')}</MenuItem>
+                  <MenuItem value="queued,running">{t('admin.activeJobs')}</MenuItem>
+                  <MenuItem value="failed">{t('admin.failedJobs')}</MenuItem>
+                </Select>
+              </FormControl>
+              <Button
+                variant="outlined"
+                startIcon={<ManageSearch />}
+                onClick={handleReindexContent}
+              >
+                {t('admin.reindexContent')}
+              </Button>
+              <Tooltip title={t('admin.refresh')}>
+                <IconButton onClick={loadJobs} aria-label={t('admin.refresh')}>
+                  <Refresh />
+                </IconButton>
+              </Tooltip>
+            </Box>
+          </Box>
+
+          {jobs.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+              {t('admin.noJobs')}
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>{t('admin.jobType')}</TableCell>
+                    <TableCell>{t('admin.jobStatus')}</TableCell>
+                    <TableCell>{t('admin.createdAt')}</TableCell>
+                    <TableCell>{t('admin.jobAttempts')}</TableCell>
+                    <TableCell>{t('admin.actions')}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {jobs.map((job) => (
+                    <TableRow key={job.id}>
+                      <TableCell>
+                        <Typography variant="body2">{t(`admin.jobTypes.${job.type}`)}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {[job.book_title, job.created_by_name].filter(Boolean).join(' · ')}
+                        </Typography>
+                      </TableCell>
+                      <TableCell sx={{ minWidth: 160 }}>
+                        <Chip
+                          label={t(`admin.jobStatuses.${job.status}`)}
+                          color={JOB_STATUS_COLORS[job.status]}
+                          size="small"
+                        />
+                        {job.status === 'running' && (
+                          <LinearProgress variant="determinate" value={job.progress} sx={{ mt: 1 }} />
+                        )}
+                        {job.error && (
+                          <Typography variant="caption" color="error" display="block" sx={{ mt: 0.5 }}>
+                            {job.error}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{formatDate(job.created_at)}</TableCell>
+                      <TableCell>{job.attempts} / {job.max_attempts}</TableCell>
+                      <TableCell>
+                        {job.download_url && (
+                          <Tooltip title={t('dashboard.download')}>
+                            <IconButton onClick={() => handleDownloadJobFile(job)} size="small">
+                              <GetApp />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {job.status === 'failed' && (
+                          <Tooltip title={t('admin.retryJob')}>
+                            <IconButton onClick={() => handleRetryJob(job.id)} size="small">
+                              <Replay />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {job.status !== 'running' && (
+                          <Tooltip title={t('admin.delete')}>
+                            <IconButton onClick={() => handleDeleteJob(job.id)} size="small" color="error">
+                              <Delete />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </TabPanel>
       </Paper>
 
       {/* Edit User Dialog */}
@@ -1000,7 +1337,7 @@ function AdminInterface() {
               label="Neues Passwort (optional)"
               value={userFormData.newPassword}
               onChange={(e) => setUserFormData({ ...userFormData, newPassword: e.target.value })}
-              helperText="Leer lassen, um das Passwort nicht zu ändern. Mindestens 6 Zeichen für neues Passwort."
+              helperText={t('admin.newPasswordHelperText')}
             />
           </Box>
         </DialogContent>
@@ -1030,6 +1367,23 @@ function AdminInterface() {
               required
             />
 
+            <FormControl fullWidth>
+              <InputLabel id="category-parent-label">{t('admin.parentCategory')}</InputLabel>
+              <Select
+                labelId="category-parent-label"
+                value={categoryFormData.parent_id}
+                label={t('admin.parentCategory')}
+                onChange={(e) => setCategoryFormData({ ...categoryFormData, parent_id: e.target.value })}
+              >
+                <MenuItem value="">{t('admin.noParentCategory')}</MenuItem>
+                {parentOptions.map((category) => (
+                  <MenuItem key={category.id} value={category.id} sx={{ pl: 2 + category.depth * 2 }}>
+                    {category.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
             <TextField
               label={t('admin.categoryDescription') || 'Description'}
               value={categoryFormData.description}
@@ -0,0 +1,340 @@
+// frontend/src/components/AuthorManagement.js
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Checkbox,
+  Chip,
+  IconButton,
+  Tooltip,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  InputAdornment,
+} from '@mui/material';
+import { Edit, Delete, MergeType, Search, Person, FindReplace } from '@mui/icons-material';
+import api from '../services/api';
+
+const LIST_LIMIT = 500;
+
+// Admin tab: correct names and sort names, merge duplicates and delete authors
+function AuthorManagement() {
+  const { t } = useLanguage();
+  const [authors, setAuthors] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [duplicates, setDuplicates] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [editAuthor, setEditAuthor] = useState(null);
+  const [formData, setFormData] = useState({ name: '', sort_name: '' });
+  const [mergeAuthors, setMergeAuthors] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(loadAuthors, 250);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [search]);
+
+  const loadAuthors = async () => {
+    try {
+      const params = new URLSearchParams({ limit: LIST_LIMIT });
+      if (search.trim()) params.append('search', search.trim());
+      const response = await api.get(`/api/authors?${params}`);
+      setAuthors(response.data.authors);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.loadError'));
+    }
+  };
+
+  const loadDuplicates = async () => {
+    try {
+      const response = await api.get('/api/authors/duplicates');
+      setDuplicates(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.loadError'));
+    }
+  };
+
+  const reload = () => {
+    loadAuthors();
+    if (duplicates) loadDuplicates();
+  };
+
+  const toggleSelected = (author) => {
+    setSelected((current) => (current.some((item) => item.id === author.id)
+      ? current.filter((item) => item.id !== author.id)
+      : [...current, author]));
+  };
+
+  // The author credited on the most books is the suggested target
+  const openMergeDialog = (group) => {
+    const target = [...group].sort((a, b) => b.book_count - a.book_count)[0];
+    setMergeAuthors(group);
+    setMergeTarget(target.id);
+  };
+
+  const handleSave = async () => {
+    try {
+      await api.put(`/api/authors/${editAuthor.id}`, formData);
+      setSuccess(t('authors.updated'));
+      setEditAuthor(null);
+      reload();
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.saveError'));
+    }
+  };
+
+  const handleMerge = async () => {
+    try {
+      await api.post(`/api/authors/${mergeTarget}/merge`, {
+        author_ids: mergeAuthors.map((author) => author.id).filter((id) => id !== mergeTarget),
+      });
+      setSuccess(t('authors.merged'));
+      setMergeAuthors([]);
+      setSelected([]);
+      reload();
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.saveError'));
+    }
+  };
+
+  const handleDelete = async (author) => {
+    if (!window.confirm(`${t('authors.deleteConfirm')} "${author.name}"`)) return;
+
+    try {
+      await api.delete(`/api/authors/${author.id}`);
+      setSuccess(t('authors.deleted'));
+      setSelected((current) => current.filter((item) => item.id !== author.id));
+      reload();
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.deleteError'));
+    }
+  };
+
+  const roleChips = (roles) => roles.map((role) => (
+    <Chip key={role} size="small" variant="outlined" label={t(`authors.roles.${role}`)} sx={{ mr: 0.5 }} />
+  ));
+
+  return (
+    <>
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <Box>
+          <Typography variant="h6">{t('authors.management')}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t('authors.managementDescription')}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            size="small"
+            placeholder={t('authors.searchPlaceholder')}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Button variant="outlined" startIcon={<FindReplace />} onClick={loadDuplicates}>
+            {t('authors.findDuplicates')}
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<MergeType />}
+            disabled={selected.length < 2}
+            onClick={() => openMergeDialog(selected)}
+          >
+            {t('authors.merge')}
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {duplicates && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="subtitle1">{t('authors.duplicates')}</Typography>
+            <Button size="small" onClick={() => setDuplicates(null)}>{t('common.close')}</Button>
+          </Box>
+          {duplicates.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">{t('authors.noDuplicates')}</Typography>
+          ) : duplicates.map((group) => (
+            <Box
+              key={group.map((author) => author.id).join()}
+              sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 1, borderTop: 1, borderColor: 'divider', flexWrap: 'wrap' }}
+            >
+              <Box sx={{ flexGrow: 1 }}>
+                {group.map((author) => (
+                  <Chip key={author.id} label={`${author.name} (${author.book_count})`} sx={{ mr: 0.5, mb: 0.5 }} />
+                ))}
+              </Box>
+              <Button size="small" startIcon={<MergeType />} onClick={() => openMergeDialog(group)}>
+                {t('authors.merge')}
+              </Button>
+            </Box>
+          ))}
+        </Paper>
+      )}
+
+      {authors.length === 0 ? (
+        <Box sx={{ p: 4, textAlign: 'center' }}>
+          <Person sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            {t('authors.noAuthors')}
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>{t('authors.name')}</TableCell>
+                <TableCell>{t('authors.sortName')}</TableCell>
+                <TableCell>{t('authors.rolesLabel')}</TableCell>
+                <TableCell align="right">{t('authors.books')}</TableCell>
+                <TableCell align="right">{t('admin.actions')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {authors.map((author) => {
+                const isSelected = selected.some((item) => item.id === author.id);
+                return (
+                  <TableRow key={author.id} hover selected={isSelected}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={isSelected}
+                        onChange={() => toggleSelected(author)}
+                        inputProps={{ 'aria-label': author.name }}
+                      />
+                    </TableCell>
+                    <TableCell>{author.name}</TableCell>
+                    <TableCell>{author.sort_name}</TableCell>
+                    <TableCell>{roleChips(author.roles)}</TableCell>
+                    <TableCell align="right">{author.book_count}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={t('authors.edit')}>
+                        <IconButton
+                          size="small"
+                          onClick={() => {
+                            setEditAuthor(author);
+                            setFormData({ name: author.name, sort_name: author.sort_name || '' });
+                          }}
+                        >
+                          <Edit />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title={t('authors.delete')}>
+                        <IconButton size="small" color="error" onClick={() => handleDelete(author)}>
+                          <Delete />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+          {total > authors.length && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {t('authors.moreResults')}
+            </Typography>
+          )}
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(editAuthor)} onClose={() => setEditAuthor(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{t('authors.edit')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            label={t('authors.name')}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label={t('authors.sortName')}
+            value={formData.sort_name}
+            onChange={(e) => setFormData({ ...formData, sort_name: e.target.value })}
+            helperText={t('authors.sortNameHelp')}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditAuthor(null)}>{t('common.cancel')}</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!formData.name.trim()}>
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={mergeAuthors.length > 0} onClose={() => setMergeAuthors([])} maxWidth="xs" fullWidth>
+        <DialogTitle>{t('authors.merge')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {t('authors.mergeDescription')}
+          </DialogContentText>
+          <FormControl fullWidth>
+            <InputLabel>{t('authors.mergeTarget')}</InputLabel>
+            <Select
+              value={mergeTarget}
+              label={t('authors.mergeTarget')}
+              onChange={(e) => setMergeTarget(e.target.value)}
+            >
+              {mergeAuthors.map((author) => (
+                <MenuItem key={author.id} value={author.id}>
+                  {author.name} ({author.book_count})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeAuthors([])}>{t('common.cancel')}</Button>
+          <Button variant="contained" onClick={handleMerge} disabled={!mergeTarget}>
+            {t('authors.merge')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default AuthorManagement;
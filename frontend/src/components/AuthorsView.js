@@ -0,0 +1,348 @@
+// frontend/src/components/AuthorsView.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Container,
+  Typography,
+  Button,
+  TextField,
+  Box,
+  CircularProgress,
+  Alert,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Tooltip,
+  InputAdornment,
+  ToggleButton,
+  ToggleButtonGroup,
+  Pagination,
+} from '@mui/material';
+import { Search, Edit, ArrowBack, Person, Book } from '@mui/icons-material';
+import api from '../services/api';
+
+const ROLES = ['author', 'editor', 'translator', 'illustrator'];
+const PAGE_SIZE = 50;
+
+// In-browser reader for a book, if it has a readable format (EPUB preferred)
+const getReaderPath = (book) => {
+  const formats = book.formats?.length ? book.formats : [book.format].filter(Boolean);
+  if (formats.includes('epub')) return `/read/${book.id}`;
+  if (formats.includes('pdf')) return `/pdf/${book.id}`;
+  return null;
+};
+
+const initials = (name) => name.split(' ').filter(Boolean).slice(0, 2).map((word) => word[0]).join('').toUpperCase();
+
+function AuthorsView() {
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const user = JSON.parse(localStorage.getItem('user'));
+  const isAdmin = user?.role === 'admin';
+
+  const [authors, setAuthors] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [author, setAuthor] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [bookRole, setBookRole] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [formData, setFormData] = useState({ name: '', sort_name: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (id) {
+      setBookRole('');
+      loadAuthor();
+    } else {
+      loadAuthors();
+    }
+  }, [id, searchTerm, roleFilter, page]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadAuthors = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (searchTerm.trim()) params.append('search', searchTerm.trim());
+      if (roleFilter) params.append('role', roleFilter);
+      const response = await api.get(`/api/authors?${params}`);
+      setAuthors(response.data.authors);
+      setPagination(response.data.pagination);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAuthor = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/authors/${id}`);
+      setAuthor(response.data);
+      setError('');
+    } catch (err) {
+      setAuthor(null);
+      setError(err.response?.data?.error || t('authors.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditDialog = () => {
+    setFormData({ name: author.name, sort_name: author.sort_name || '' });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await api.put(`/api/authors/${author.id}`, formData);
+      setSuccess(t('authors.updated'));
+      setDialogOpen(false);
+      loadAuthor();
+    } catch (err) {
+      setError(err.response?.data?.error || t('authors.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const roleChips = (roles) => roles.map((role) => (
+    <Chip key={role} size="small" variant="outlined" label={t(`authors.roles.${role}`)} />
+  ));
+
+  const renderList = () => (
+    <>
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          placeholder={t('authors.searchPlaceholder')}
+          value={searchTerm}
+          onChange={(e) => {
+            setSearchTerm(e.target.value);
+            setPage(1);
+          }}
+          size="small"
+          sx={{ flexGrow: 1, minWidth: 240 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={roleFilter}
+          onChange={(e, value) => {
+            setRoleFilter(value || '');
+            setPage(1);
+          }}
+          aria-label={t('authors.roleFilter')}
+        >
+          <ToggleButton value="">{t('authors.allRoles')}</ToggleButton>
+          {ROLES.map((role) => (
+            <ToggleButton key={role} value={role}>{t(`authors.roles.${role}`)}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      {authors.length === 0 ? (
+        <Box sx={{ textAlign: 'center', py: 8 }}>
+          <Person sx={{ fontSize: 80, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            {t('authors.noAuthors')}
+          </Typography>
+        </Box>
+      ) : (
+        <>
+          <List aria-label={t('authors.title')}>
+            {authors.map((item) => (
+              <ListItem key={item.id} disablePadding>
+                <ListItemButton onClick={() => navigate(`/authors/${item.id}`)}>
+                  <ListItemAvatar>
+                    <Avatar>{initials(item.name)}</Avatar>
+                  </ListItemAvatar>
+                  <ListItemText primary={item.name} secondary={item.sort_name} />
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                    {roleChips(item.roles.filter((role) => role !== 'author'))}
+                    <Chip size="small" label={`${t('authors.books')}: ${item.book_count}`} />
+                  </Box>
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+          {pagination.pages > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+              <Pagination count={pagination.pages} page={page} onChange={(e, value) => setPage(value)} />
+            </Box>
+          )}
+        </>
+      )}
+    </>
+  );
+
+  const renderDetail = () => {
+    const books = bookRole ? author.books.filter((book) => book.author_roles.includes(bookRole)) : author.books;
+    const roles = ROLES.filter((role) => author.books.some((book) => book.author_roles.includes(role)));
+
+    return (
+      <>
+        <Button startIcon={<ArrowBack />} onClick={() => navigate('/authors')} sx={{ mb: 2 }}>
+          {t('authors.backToList')}
+        </Button>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Avatar sx={{ width: 64, height: 64, fontSize: 28 }}>{initials(author.name)}</Avatar>
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="h4" component="h1">
+              {author.name}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {t('authors.sortName')}: {author.sort_name}
+            </Typography>
+          </Box>
+          {isAdmin && (
+            <Tooltip title={t('authors.edit')}>
+              <IconButton onClick={openEditDialog} aria-label={t('authors.edit')}>
+                <Edit />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 4, mb: 1, flexWrap: 'wrap' }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            {t('authors.booksOf')} ({books.length})
+          </Typography>
+          {roles.length > 1 && (
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={bookRole}
+              onChange={(e, value) => setBookRole(value || '')}
+              aria-label={t('authors.roleFilter')}
+            >
+              <ToggleButton value="">{t('authors.allRoles')}</ToggleButton>
+              {roles.map((role) => (
+                <ToggleButton key={role} value={role}>{t(`authors.roles.${role}`)}</ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          )}
+        </Box>
+        {books.length === 0 ? (
+          <Typography color="text.secondary">{t('authors.noBooks')}</Typography>
+        ) : (
+          <List aria-label={t('authors.booksOf')}>
+            {books.map((book) => (
+              <ListItem key={book.id} disablePadding sx={{ mb: 1 }}>
+                <ListItemButton
+                  disabled={!getReaderPath(book)}
+                  onClick={() => navigate(getReaderPath(book))}
+                >
+                  <ListItemAvatar>
+                    <Avatar variant="rounded" src={book.cover_image || undefined}>
+                      <Book />
+                    </Avatar>
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={book.title}
+                    secondary={[book.author, book.published_date, book.series && `${book.series}${book.series_index != null ? ` #${book.series_index}` : ''}`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                    {roleChips(book.author_roles.filter((role) => role !== 'author'))}
+                  </Box>
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Container maxWidth="xl">
+      {!id && (
+        <Typography variant="h4" component="h1" gutterBottom>
+          {t('authors.title')}
+        </Typography>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : id ? (author && renderDetail()) : renderList()}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('authors.edit')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            label={t('authors.name')}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label={t('authors.sortName')}
+            value={formData.sort_name}
+            onChange={(e) => setFormData({ ...formData, sort_name: e.target.value })}
+            helperText={t('authors.sortNameHelp')}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)} disabled={saving}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !formData.name.trim()}
+            startIcon={saving ? <CircularProgress size={20} /> : null}
+          >
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default AuthorsView;
@@ -0,0 +1,187 @@
+// frontend/src/components/BookConversionDialog.js
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  LinearProgress,
+} from '@mui/material';
+import { Transform } from '@mui/icons-material';
+import api from '../services/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const POLL_INTERVAL_MS = 2000;
+
+const isActive = (job) => job && (job.status === 'queued' || job.status === 'running');
+
+function BookConversionDialog({ open, book, formats, onClose, onConverted }) {
+  const { t } = useLanguage();
+  const [converters, setConverters] = useState([]);
+  const [targetFormat, setTargetFormat] = useState('');
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the available converters and a conversion of this book that may still be running
+  useEffect(() => {
+    if (!open || !book) return;
+
+    setTargetFormat('');
+    setJob(null);
+    setError('');
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [convertersResponse, jobsResponse] = await Promise.all([
+          api.get('/api/conversions/converters'),
+          api.get(`/api/books/${book.id}/conversions`),
+        ]);
+        setConverters(convertersResponse.data);
+        setJob(jobsResponse.data.find(isActive) || null);
+      } catch (err) {
+        setError(err.response?.data?.error || t('conversion.loadError'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, book]);
+
+  // Poll the job until it has finished
+  useEffect(() => {
+    if (!open || !isActive(job)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/api/jobs/${job.id}`);
+        setJob(response.data);
+        if (response.data.status === 'completed') {
+          onConverted();
+        }
+      } catch (err) {
+        setError(err.response?.data?.error || t('conversion.loadError'));
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, job]);
+
+  const bookFormats = book?.formats?.length ? book.formats : [book?.format].filter(Boolean);
+
+  // Formats an installed converter can produce from one of the book's files
+  const targetFormats = formats.filter((format) => !bookFormats.includes(format.id) && converters.some((converter) =>
+    converter.available &&
+    converter.target_formats.includes(format.id) &&
+    converter.source_formats.some((source) => bookFormats.includes(source))
+  ));
+
+  const getLabel = (formatId) => formats.find((format) => format.id === formatId)?.label || formatId.toUpperCase();
+
+  const handleConvert = async () => {
+    try {
+      setError('');
+      const response = await api.post(`/api/books/${book.id}/conversions`, { target_format: targetFormat });
+      setJob(response.data.job);
+    } catch (err) {
+      setError(err.response?.data?.error || t('conversion.startError'));
+    }
+  };
+
+  const renderJob = () => {
+    if (job.status === 'failed') {
+      return <Alert severity="error">{t('conversion.failed')}: {job.error}</Alert>;
+    }
+    if (job.status === 'completed') {
+      return <Alert severity="success">{t('conversion.completed')}</Alert>;
+    }
+    return (
+      <Box>
+        <Typography variant="body2" gutterBottom>
+          {getLabel(job.payload.source_format)} → {getLabel(job.payload.target_format)}:{' '}
+          {job.status === 'queued' ? t('conversion.queued') : `${job.progress}%`}
+        </Typography>
+        <LinearProgress
+          variant={job.status === 'queued' ? 'indeterminate' : 'determinate'}
+          value={job.progress}
+          aria-label={t('conversion.progress')}
+        />
+      </Box>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Transform aria-hidden="true" />
+        {t('conversion.title')}
+      </DialogTitle>
+      <DialogContent>
+        {book && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {book.title}
+          </Typography>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {job && <Box sx={{ mb: 2 }}>{renderJob()}</Box>}
+
+        {!loading && !isActive(job) && (
+          targetFormats.length > 0 ? (
+            <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+              <InputLabel id="conversion-target-label">{t('conversion.targetFormat')}</InputLabel>
+              <Select
+                labelId="conversion-target-label"
+                value={targetFormat}
+                label={t('conversion.targetFormat')}
+                onChange={(e) => setTargetFormat(e.target.value)}
+              >
+                {targetFormats.map((format) => (
+                  <MenuItem key={format.id} value={format.id}>
+                    {format.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <Alert severity="info">
+              {converters.some((converter) => converter.available)
+                ? t('conversion.noTargets')
+                : t('conversion.noConverter')}
+            </Alert>
+          )
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+        <Button
+          variant="contained"
+          onClick={handleConvert}
+          disabled={!targetFormat || isActive(job)}
+        >
+          {t('conversion.start')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default BookConversionDialog;
@@ -0,0 +1,250 @@
+// frontend/src/components/BookDetail.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Container,
+  Typography,
+  Button,
+  Box,
+  CircularProgress,
+  Alert,
+  Chip,
+  Link,
+  Paper,
+  Grid,
+} from '@mui/material';
+import {
+  ArrowBack,
+  AutoStories,
+  Download,
+  Book,
+  Article,
+  CollectionsBookmark,
+  LocalOffer,
+} from '@mui/icons-material';
+import api from '../services/api';
+import BookReviews, { RatingSummary } from './BookReviews';
+import ShelfMenu from './ShelfMenu';
+
+// In-browser reader for a book, if it has a readable format (EPUB preferred)
+const getReaderPath = (book) => {
+  const formats = book.formats.map((file) => file.format);
+  if (formats.includes('epub')) return `/read/${book.id}`;
+  if (formats.includes('pdf')) return `/pdf/${book.id}`;
+  return null;
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Book page: metadata, files, contributors and the ratings and reviews of all users
+function BookDetail() {
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const [book, setBook] = useState(null);
+  const [ratings, setRatings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadBook();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const loadBook = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/books/${id}`);
+      setBook(response.data);
+      setError('');
+    } catch (err) {
+      setBook(null);
+      setError(err.response?.data?.error || t('bookDetail.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadFormat = async (file) => {
+    try {
+      const response = await api.get(`/api/books/${book.id}/formats/${file.format}/download`, {
+        responseType: 'blob',
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', file.filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(t('bookDetail.downloadError'));
+    }
+  };
+
+  const renderContributors = () => {
+    const contributors = book.contributors || [];
+    if (contributors.length === 0) return book.author;
+    return contributors.map((contributor, index) => (
+      <React.Fragment key={`${contributor.id}-${contributor.role}`}>
+        {index > 0 && ', '}
+        <Link
+          component="button"
+          variant="subtitle1"
+          color="inherit"
+          underline="hover"
+          onClick={() => navigate(`/authors/${contributor.id}`)}
+          sx={{ verticalAlign: 'baseline' }}
+        >
+          {contributor.name}
+        </Link>
+        {contributor.role !== 'author' && ` (${t(`authors.roles.${contributor.role}`)})`}
+      </React.Fragment>
+    ));
+  };
+
+  const renderDetails = () => {
+    const details = [
+      [t('bookDetail.publisher'), book.publisher],
+      [t('bookDetail.published'), book.published_date],
+      [t('bookDetail.edition'), book.edition],
+      [t('bookDetail.language'), book.language],
+      [t('bookDetail.pages'), book.page_count],
+      ['ISBN-13', book.isbn_13],
+      ['ISBN-10', book.isbn_10],
+      [t('bookDetail.uploaded'), book.upload_date && new Date(book.upload_date).toLocaleDateString()],
+      [t('bookDetail.downloads'), book.download_count],
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    return (
+      <Grid container spacing={2}>
+        {details.map(([label, value]) => (
+          <Grid item xs={6} sm={4} key={label}>
+            <Typography variant="body2" color="text.secondary">{label}</Typography>
+            <Typography variant="body1">{value}</Typography>
+          </Grid>
+        ))}
+      </Grid>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg">
+      <Button startIcon={<ArrowBack />} onClick={() => navigate(-1)} sx={{ mb: 2 }}>
+        {t('bookDetail.back')}
+      </Button>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {book && (
+        <>
+          <Box sx={{ display: 'flex', gap: 3, flexDirection: { xs: 'column', sm: 'row' }, mb: 4 }}>
+            {book.cover_image ? (
+              <Box
+                component="img"
+                src={book.cover_image}
+                alt={`Cover von ${book.title}`}
+                sx={{ width: 200, maxWidth: '100%', alignSelf: 'flex-start', borderRadius: 1, boxShadow: 2 }}
+              />
+            ) : (
+              <Box
+                sx={{ width: 200, height: 280, display: 'flex', alignItems: 'center', justifyContent: 'center', bgcolor: '#1a1a1a', borderRadius: 1 }}
+                role="img"
+                aria-label={`Kein Cover verfügbar für ${book.title}`}
+              >
+                {book.type === 'magazine' ? (
+                  <Article sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
+                ) : (
+                  <Book sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
+                )}
+              </Box>
+            )}
+
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Typography variant="h4" component="h1">
+                {book.title}
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+                {renderContributors()}
+              </Typography>
+              {ratings && (
+                <RatingSummary averageRating={ratings.average_rating} ratingCount={ratings.rating_count} size="medium" />
+              )}
+
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', my: 2 }}>
+                {book.series_id && (
+                  <Chip
+                    icon={<CollectionsBookmark />}
+                    label={book.series_index != null ? `${book.series} #${book.series_index}` : book.series}
+                    onClick={() => navigate(`/series/${book.series_id}`)}
+                  />
+                )}
+                {book.tags?.map((tag) => (
+                  <Chip key={tag} color="info" variant="outlined" icon={<LocalOffer />} label={tag} />
+                ))}
+                {book.subjects?.map((subject) => (
+                  <Chip key={subject} variant="outlined" label={subject} />
+                ))}
+              </Box>
+
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+                {getReaderPath(book) && (
+                  <Button variant="contained" startIcon={<AutoStories />} onClick={() => navigate(getReaderPath(book))}>
+                    {t('dashboard.read')}
+                  </Button>
+                )}
+                {book.formats.map((file) => (
+                  <Button key={file.format} variant="outlined" startIcon={<Download />} onClick={() => downloadFormat(file)}>
+                    {file.format.toUpperCase()} ({formatFileSize(file.file_size)})
+                  </Button>
+                ))}
+                <ShelfMenu book={book} onError={setError} />
+              </Box>
+            </Box>
+          </Box>
+
+          {book.description && (
+            <Box sx={{ mb: 4 }}>
+              <Typography variant="h6" gutterBottom>
+                {t('bookDetail.description')}
+              </Typography>
+              <Typography variant="body1" sx={{ whiteSpace: 'pre-line' }}>
+                {book.description}
+              </Typography>
+            </Box>
+          )}
+
+          <Paper variant="outlined" sx={{ p: 2, mb: 4 }}>
+            {renderDetails()}
+          </Paper>
+
+          {/* BookReviews loads the ratings; the average is also shown next to the title */}
+          <BookReviews bookId={book.id} onLoad={setRatings} />
+        </>
+      )}
+    </Container>
+  );
+}
+
+export default BookDetail;
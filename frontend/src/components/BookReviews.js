@@ -0,0 +1,236 @@
+// frontend/src/components/BookReviews.js
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Rating,
+  LinearProgress,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import { Star, VisibilityOff } from '@mui/icons-material';
+import api from '../services/api';
+
+const MAX_REVIEW_LENGTH = 5000;
+
+const formatReviewDate = (date) => new Date(`${date.replace(' ', 'T')}Z`).toLocaleDateString();
+
+// Average stars with the number of ratings, e.g. for book cards
+export function RatingSummary({ averageRating, ratingCount, size = 'small' }) {
+  const { t } = useLanguage();
+  if (!ratingCount) return null;
+
+  return (
+    <Box
+      sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}
+      aria-label={`${t('reviews.averageRating')}: ${averageRating} / 5 (${ratingCount} ${t('reviews.ratings')})`}
+    >
+      <Rating value={averageRating} precision={0.1} size={size} readOnly />
+      <Typography variant="caption" color="text.secondary">
+        {averageRating.toFixed(1)} ({ratingCount})
+      </Typography>
+    </Box>
+  );
+}
+
+// Reviews as a list, newest first; used on the book page and the public share page
+export function ReviewList({ reviews, currentUserId }) {
+  const { t } = useLanguage();
+
+  if (reviews.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {t('reviews.noReviews')}
+      </Typography>
+    );
+  }
+
+  return reviews.map((review) => (
+    <Box key={review.id} sx={{ py: 1.5, borderTop: 1, borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Rating value={review.rating} size="small" readOnly />
+        <Typography variant="subtitle2">{review.username}</Typography>
+        <Typography variant="caption" color="text.secondary">
+          {formatReviewDate(review.updated_at || review.created_at)}
+        </Typography>
+        {review.user_id && review.user_id === currentUserId && (
+          <Chip size="small" label={t('reviews.yourReview')} />
+        )}
+        {review.hidden && (
+          <Chip size="small" color="warning" icon={<VisibilityOff />} label={t('reviews.hidden')} />
+        )}
+      </Box>
+      {review.review && (
+        <Typography variant="body2" sx={{ mt: 0.5, whiteSpace: 'pre-line' }}>
+          {review.review}
+        </Typography>
+      )}
+    </Box>
+  ));
+}
+
+/**
+ * Ratings of a book: average and distribution of stars, the form for the
+ * user's own rating and review, and the reviews of all users.
+ * onLoad receives the ratings each time they were (re)loaded.
+ */
+function BookReviews({ bookId, onLoad }) {
+  const { t } = useLanguage();
+  const user = JSON.parse(localStorage.getItem('user'));
+  const [data, setData] = useState(null);
+  const [rating, setRating] = useState(null);
+  const [reviewText, setReviewText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadReviews();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bookId]);
+
+  const loadReviews = async () => {
+    try {
+      const response = await api.get(`/api/books/${bookId}/reviews`);
+      setData(response.data);
+      setRating(response.data.my_review?.rating || null);
+      setReviewText(response.data.my_review?.review || '');
+      if (onLoad) onLoad(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || t('reviews.loadError'));
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await api.put(`/api/books/${bookId}/review`, { rating, review: reviewText });
+      setSuccess(t('reviews.saved'));
+      setError('');
+      await loadReviews();
+    } catch (err) {
+      setError(err.response?.data?.error || t('reviews.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('reviews.deleteConfirm'))) return;
+
+    try {
+      await api.delete(`/api/books/${bookId}/review`);
+      setSuccess(t('reviews.deleted'));
+      setError('');
+      await loadReviews();
+    } catch (err) {
+      setError(err.response?.data?.error || t('reviews.deleteError'));
+    }
+  };
+
+  if (!data) {
+    return error ? <Alert severity="error">{error}</Alert> : <CircularProgress />;
+  }
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        {t('reviews.title')}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 4, flexWrap: 'wrap', mb: 3 }}>
+        <Box sx={{ textAlign: 'center', minWidth: 140 }}>
+          <Typography variant="h3" component="p">
+            {data.average_rating != null ? data.average_rating.toFixed(1) : '–'}
+          </Typography>
+          <Rating value={data.average_rating} precision={0.1} readOnly />
+          <Typography variant="body2" color="text.secondary">
+            {data.rating_count} {t('reviews.ratings')}
+          </Typography>
+        </Box>
+        <Box sx={{ flexGrow: 1, minWidth: 200, maxWidth: 400 }}>
+          {[5, 4, 3, 2, 1].map((stars) => (
+            <Box key={stars} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="body2" sx={{ width: 24, display: 'flex', alignItems: 'center' }}>
+                {stars}
+                <Star sx={{ fontSize: 14 }} aria-hidden="true" />
+              </Typography>
+              <LinearProgress
+                variant="determinate"
+                value={data.rating_count ? (data.distribution[stars] / data.rating_count) * 100 : 0}
+                sx={{ flexGrow: 1, height: 8, borderRadius: 1 }}
+                aria-label={`${stars}: ${data.distribution[stars]}`}
+              />
+              <Typography variant="caption" color="text.secondary" sx={{ width: 24, textAlign: 'right' }}>
+                {data.distribution[stars]}
+              </Typography>
+            </Box>
+          ))}
+        </Box>
+      </Box>
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          {data.my_review ? t('reviews.editYourReview') : t('reviews.writeReview')}
+        </Typography>
+        {data.my_review?.hidden && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {t('reviews.hiddenNotice')}
+          </Alert>
+        )}
+        <Rating
+          value={rating}
+          onChange={(e, value) => setRating(value)}
+          size="large"
+          aria-label={t('reviews.yourRating')}
+        />
+        <TextField
+          fullWidth
+          multiline
+          minRows={3}
+          margin="normal"
+          label={t('reviews.reviewText')}
+          value={reviewText}
+          onChange={(e) => setReviewText(e.target.value)}
+          inputProps={{ maxLength: MAX_REVIEW_LENGTH }}
+          helperText={t('reviews.reviewTextHelp')}
+        />
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !rating}
+            startIcon={saving ? <CircularProgress size={20} /> : null}
+          >
+            {t('common.save')}
+          </Button>
+          {data.my_review && (
+            <Button color="error" onClick={handleDelete} disabled={saving}>
+              {t('reviews.delete')}
+            </Button>
+          )}
+        </Box>
+      </Paper>
+
+      <ReviewList reviews={data.reviews} currentUserId={user?.id} />
+    </Box>
+  );
+}
+
+export default BookReviews;
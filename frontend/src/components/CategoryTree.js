@@ -0,0 +1,130 @@
+// frontend/src/components/CategoryTree.js
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Collapse,
+  Typography,
+} from '@mui/material';
+import { ExpandMore, ChevronRight } from '@mui/icons-material';
+
+// Ids of a category and all categories above it
+const ancestorIds = (categories, id) => {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+  const ids = [];
+  for (let current = byId.get(id); current && !ids.includes(current.id); current = byId.get(current.parent_id)) {
+    ids.push(current.id);
+  }
+  return ids;
+};
+
+/**
+ * Collapsible category tree. categories is the flat list of the API
+ * (parents first, with parent_id and total_book_count). onSelect makes the
+ * entries clickable; renderActions adds buttons to the right of an entry.
+ */
+function CategoryTree({ categories, selectedId, onSelect, renderActions, expandAll = false, dense = false }) {
+  const [expanded, setExpanded] = useState(() => new Set(expandAll ? categories.map((category) => category.id) : []));
+
+  // Keep the selected category visible
+  useEffect(() => {
+    if (!selectedId) return;
+    setExpanded((current) => new Set([...current, ...ancestorIds(categories, selectedId).slice(1)]));
+  }, [selectedId, categories]);
+
+  useEffect(() => {
+    if (expandAll) setExpanded(new Set(categories.map((category) => category.id)));
+  }, [expandAll, categories]);
+
+  const ids = new Set(categories.map((category) => category.id));
+  const childrenOf = (parentId) => categories.filter((category) => (
+    parentId ? category.parent_id === parentId : !category.parent_id || !ids.has(category.parent_id)
+  ));
+
+  const toggle = (id) => {
+    setExpanded((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const renderLevel = (parentId, depth) => childrenOf(parentId).map((category) => {
+    const children = childrenOf(category.id);
+    const isOpen = expanded.has(category.id);
+    const content = (
+      <>
+        <ListItemIcon sx={{ minWidth: 36 }}>
+          <Box component="span" className="material-icons" sx={{ color: category.color, fontSize: 22 }} aria-hidden="true">
+            {category.icon || 'folder'}
+          </Box>
+        </ListItemIcon>
+        <ListItemText
+          primary={category.name}
+          secondary={!dense && category.description ? category.description : null}
+          primaryTypographyProps={{ noWrap: true, variant: dense ? 'body2' : 'body1' }}
+          secondaryTypographyProps={{ noWrap: true }}
+        />
+        <Typography variant="caption" color="text.secondary" sx={{ ml: 1, mr: renderActions ? 1 : 0 }}>
+          {category.total_book_count ?? 0}
+        </Typography>
+      </>
+    );
+
+    return (
+      <React.Fragment key={category.id}>
+        <ListItem
+          disablePadding={Boolean(onSelect)}
+          dense={dense}
+          secondaryAction={renderActions ? renderActions(category) : null}
+          sx={{ pl: depth * 2, pr: renderActions ? 16 : 0 }}
+        >
+          <IconButton
+            size="small"
+            onClick={() => toggle(category.id)}
+            sx={{ visibility: children.length > 0 ? 'visible' : 'hidden' }}
+            aria-label={category.name}
+            aria-expanded={isOpen}
+          >
+            {isOpen ? <ExpandMore fontSize="small" /> : <ChevronRight fontSize="small" />}
+          </IconButton>
+          {onSelect ? (
+            <ListItemButton
+              dense={dense}
+              selected={selectedId === category.id}
+              onClick={() => onSelect(category.id)}
+              sx={{ borderRadius: 1, pl: 1 }}
+            >
+              {content}
+            </ListItemButton>
+          ) : (
+            <Box sx={{ display: 'flex', alignItems: 'center', flexGrow: 1, minWidth: 0, pl: 1 }}>
+              {content}
+            </Box>
+          )}
+        </ListItem>
+        {children.length > 0 && (
+          <Collapse in={isOpen} timeout="auto" unmountOnExit>
+            <List disablePadding dense={dense}>
+              {renderLevel(category.id, depth + 1)}
+            </List>
+          </Collapse>
+        )}
+      </React.Fragment>
+    );
+  });
+
+  return (
+    <List dense={dense} disablePadding>
+      {renderLevel(null, 0)}
+    </List>
+  );
+}
+
+export default CategoryTree;
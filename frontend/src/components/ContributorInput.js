@@ -0,0 +1,135 @@
+// frontend/src/components/ContributorInput.js
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Autocomplete,
+  TextField,
+  Select,
+  MenuItem,
+  IconButton,
+  Button,
+  Typography,
+  Tooltip,
+} from '@mui/material';
+import { Add, Delete, ArrowUpward } from '@mui/icons-material';
+import { useLanguage } from '../contexts/LanguageContext';
+import api from '../services/api';
+
+const ROLES = ['author', 'editor', 'translator', 'illustrator'];
+const SUGGESTION_LIMIT = 20;
+
+// Contributor rows from an author text of an online lookup ("Terry Pratchett; Neil Gaiman")
+export const contributorsFromAuthorText = (text) => String(text || '')
+  .split(';')
+  .map((name) => name.trim())
+  .filter(Boolean)
+  .map((name) => ({ name, role: 'author' }));
+
+// Name field with suggestions from the known authors
+function ContributorName({ value, onChange, label, disabled }) {
+  const [options, setOptions] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    const timer = setTimeout(async () => {
+      if (!value.trim()) return;
+      try {
+        const params = new URLSearchParams({ search: value.trim(), limit: SUGGESTION_LIMIT });
+        const response = await api.get(`/api/authors?${params}`);
+        if (active) setOptions(response.data.authors.map((author) => author.name));
+      } catch (err) {
+        console.error('Error loading authors:', err);
+      }
+    }, 250);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  return (
+    <Autocomplete
+      freeSolo
+      size="small"
+      disabled={disabled}
+      options={options}
+      inputValue={value}
+      onInputChange={(e, newValue) => onChange(newValue)}
+      sx={{ flexGrow: 1 }}
+      renderInput={(params) => <TextField {...params} label={label} />}
+    />
+  );
+}
+
+/**
+ * Editor for the contributors of a book: one row per person with a role,
+ * in credit order. value is a list of { name, role }.
+ */
+function ContributorInput({ value, onChange, disabled }) {
+  const { t } = useLanguage();
+
+  const updateRow = (index, changes) => {
+    onChange(value.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const moveUp = (index) => {
+    const rows = [...value];
+    [rows[index - 1], rows[index]] = [rows[index], rows[index - 1]];
+    onChange(rows);
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        {t('authors.contributors')}
+      </Typography>
+      {value.map((row, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+          <ContributorName
+            value={row.name}
+            label={t('authors.name')}
+            disabled={disabled}
+            onChange={(name) => updateRow(index, { name })}
+          />
+          <Select
+            size="small"
+            value={row.role}
+            disabled={disabled}
+            onChange={(e) => updateRow(index, { role: e.target.value })}
+            sx={{ minWidth: 150 }}
+            inputProps={{ 'aria-label': t('authors.rolesLabel') }}
+          >
+            {ROLES.map((role) => (
+              <MenuItem key={role} value={role}>{t(`authors.roles.${role}`)}</MenuItem>
+            ))}
+          </Select>
+          <Tooltip title={t('authors.moveUp')}>
+            <span>
+              <IconButton size="small" disabled={disabled || index === 0} onClick={() => moveUp(index)}>
+                <ArrowUpward fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('authors.removeContributor')}>
+            <span>
+              <IconButton size="small" disabled={disabled} onClick={() => onChange(value.filter((_, i) => i !== index))}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      ))}
+      <Button
+        size="small"
+        startIcon={<Add />}
+        disabled={disabled}
+        onClick={() => onChange([...value, { name: '', role: 'author' }])}
+      >
+        {t('authors.addContributor')}
+      </Button>
+    </Box>
+  );
+}
+
+export default ContributorInput;
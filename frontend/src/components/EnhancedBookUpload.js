@@ -1,5 +1,5 @@
 // frontend/src/components/EnhancedBookUpload.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Container,
   Paper,
@@ -24,7 +24,38 @@ import {
   Search,
 } from '@mui/icons-material';
 import api from '../services/api';
+import { waitForJob } from '../services/jobs';
 import { useLanguage } from '../contexts/LanguageContext';
+import TagInput from './TagInput';
+
+const initialFormData = {
+  title: '',
+  author: '',
+  description: '',
+  type: 'book',
+  category_id: '',
+  isbn: '',
+  publisher: '',
+  published_date: '',
+  language: '',
+  page_count: '',
+  edition: '',
+  subjects: '',
+  tags: [],
+  series: '',
+  series_index: '',
+};
+
+// Sent only when filled in (manually or from the file metadata)
+const OPTIONAL_FIELDS = [
+  'isbn', 'publisher', 'published_date', 'language', 'page_count', 'edition', 'subjects', 'series', 'series_index',
+];
+
+// File extensions the server accepts (see book_formats.js)
+const BOOK_FILE_EXTENSIONS = [
+  '.epub', '.pdf', '.azw3', '.azw', '.kf8', '.mobi', '.prc', '.fb2',
+  '.cbz', '.cbr', '.djvu', '.djv', '.txt', '.md', '.markdown',
+];
 
 function EnhancedBookUpload() {
   const { t, language } = useLanguage();
@@ -32,13 +63,7 @@ function EnhancedBookUpload() {
   const [coverImage, setCoverImage] = useState(null);
   const [coverPreview, setCoverPreview] = useState(null);
   const [coverUrlFromISBN, setCoverUrlFromISBN] = useState(null);
-  const [formData, setFormData] = useState({
-    title: '',
-    author: '',
-    description: '',
-    type: 'book',
-    category_id: '',
-  });
+  const [formData, setFormData] = useState(initialFormData);
   const [categories, setCategories] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -47,6 +72,10 @@ function EnhancedBookUpload() {
   const [dragActive, setDragActive] = useState(false);
   const [isbnQuery, setIsbnQuery] = useState('');
   const [loadingMetadata, setLoadingMetadata] = useState(false);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [detectedMetadata, setDetectedMetadata] = useState(null);
+  const [embeddedCover, setEmbeddedCover] = useState(false);
+  const selectedFileRef = useRef(null);
 
   useEffect(() => {
     loadCategories();
@@ -78,28 +107,35 @@ function EnhancedBookUpload() {
       setLoadingMetadata(true);
       setError('');
       const response = await api.post(`/api/metadata/isbn/${isbnQuery.trim()}`);
+      const { result: metadata } = await waitForJob(response.data.job.id);
       
-      if (response.data.success) {
+      if (metadata.success) {
         // Format date for display (reserved for future formatting)
-        // let formattedDate = response.data.publishedDate || '';
+        // let formattedDate = metadata.publishedDate || '';
         
         setFormData({
-          title: response.data.title || '',
-          author: response.data.authors || '',
-          description: response.data.description || '',
-          type: formData.type, // Keep the selected type
-          category_id: formData.category_id, // Keep the selected category
+          ...formData, // Keep the selected type, category and series
+          title: metadata.title || '',
+          author: metadata.authors || '',
+          description: metadata.description || '',
+          isbn: metadata.isbn13 || metadata.isbn10 || isbnQuery.trim(),
+          publisher: metadata.publisher || formData.publisher,
+          published_date: metadata.publishedDate || formData.published_date,
+          language: metadata.language || formData.language,
+          page_count: metadata.pageCount ? String(metadata.pageCount) : formData.page_count,
+          subjects: metadata.categories?.length ? metadata.categories.join(', ') : formData.subjects,
         });
         
         // If cover URL is found, save it for later download and create proxy URL for preview
-        if (response.data.coverUrl) {
-          setCoverUrlFromISBN(response.data.coverUrl);
-          setCoverPreview(`/api/cover-proxy?url=${encodeURIComponent(response.data.coverUrl)}`);
+        if (metadata.coverUrl) {
+          setCoverUrlFromISBN(metadata.coverUrl);
+          setCoverPreview(`/api/cover-proxy?url=${encodeURIComponent(metadata.coverUrl)}`);
+          setEmbeddedCover(false);
         }
         
         setSuccess('Metadaten via ISBN gefunden!');
       } else {
-        setError(response.data.message || 'No metadata found for this ISBN');
+        setError(metadata.message || 'No metadata found for this ISBN');
       }
     } catch (err) {
       console.error('Error searching ISBN:', err);
@@ -130,11 +166,9 @@ function EnhancedBookUpload() {
   };
 
   const handleFileSelect = (selectedFile) => {
-    const validTypes = ['application/pdf', 'application/epub+zip'];
-    const validExtensions = ['.pdf', '.epub'];
     const fileExtension = selectedFile.name.toLowerCase().substr(selectedFile.name.lastIndexOf('.'));
     
-    if (!validTypes.includes(selectedFile.type) && !validExtensions.includes(fileExtension)) {
+    if (!BOOK_FILE_EXTENSIONS.includes(fileExtension)) {
       setError(t('upload.supportedFormats'));
       return;
     }
@@ -145,13 +179,79 @@ function EnhancedBookUpload() {
     }
 
     setFile(selectedFile);
+    selectedFileRef.current = selectedFile;
     setError('');
-    
+    setDetectedMetadata(null);
+    if (embeddedCover) {
+      setCoverPreview(null);
+      setEmbeddedCover(false);
+    }
+
     // Auto-fill title from filename if empty
+    const nameWithoutExt = selectedFile.name.replace(/\.[^/.]+$/, "");
     if (!formData.title) {
-      const nameWithoutExt = selectedFile.name.replace(/\.[^/.]+$/, "");
       setFormData({ ...formData, title: nameWithoutExt });
     }
+
+    readFileMetadata(selectedFile, nameWithoutExt);
+  };
+
+  // Prefill empty fields (and a title taken from the filename) from the EPUB/PDF metadata
+  const readFileMetadata = async (selectedFile, filenameTitle) => {
+    const analyzeData = new FormData();
+    analyzeData.append('file', selectedFile);
+
+    try {
+      setAnalyzing(true);
+      const response = await api.post('/api/metadata/extract', analyzeData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      // Another file was selected in the meantime
+      if (selectedFileRef.current !== selectedFile) return;
+
+      const { detected, coverDataUrl } = response.data;
+      const detectedValues = {
+        title: detected.title,
+        author: detected.authors.join('; '),
+        description: detected.description,
+        isbn: detected.isbn,
+        publisher: detected.publisher,
+        published_date: detected.published_date,
+        language: detected.language,
+        page_count: detected.page_count,
+        subjects: detected.keywords.join(', '),
+        series: detected.series,
+        series_index: detected.series_index,
+      };
+
+      setFormData(prev => {
+        const next = { ...prev };
+        Object.entries(detectedValues).forEach(([key, value]) => {
+          const keepCurrent = prev[key] && !(key === 'title' && prev.title === filenameTitle);
+          if ((value || value === 0) && !keepCurrent) {
+            next[key] = String(value);
+          }
+        });
+        // The file's subjects are suggested as tags
+        if (prev.tags.length === 0) {
+          next.tags = detected.keywords.flatMap((keyword) => keyword.split(',')).map((tag) => tag.trim()).filter(Boolean);
+        }
+        return next;
+      });
+
+      if (coverDataUrl && !coverImage && !coverUrlFromISBN) {
+        setCoverPreview(coverDataUrl);
+        setEmbeddedCover(true);
+      }
+      setDetectedMetadata(detected);
+    } catch (err) {
+      // The file can still be uploaded, metadata is then entered manually
+      console.error('Error reading file metadata:', err);
+    } finally {
+      if (selectedFileRef.current === selectedFile) {
+        setAnalyzing(false);
+      }
+    }
   };
 
   const handleCoverImageSelect = (e) => {
@@ -170,6 +270,7 @@ function EnhancedBookUpload() {
       }
 
       setCoverImage(selectedFile);
+      setEmbeddedCover(false);
       
       // Create preview
       const reader = new FileReader();
@@ -209,6 +310,14 @@ function EnhancedBookUpload() {
     if (formData.category_id) {
       uploadData.append('category_id', formData.category_id);
     }
+    OPTIONAL_FIELDS.forEach((field) => {
+      if (String(formData[field]).trim()) {
+        uploadData.append(field, formData[field]);
+      }
+    });
+    if (formData.tags.length > 0) {
+      uploadData.append('tags', formData.tags.join(','));
+    }
 
     try {
       setUploading(true);
@@ -225,17 +334,14 @@ function EnhancedBookUpload() {
       setSuccess(t('upload.success'));
       // Reset form
       setFile(null);
+      selectedFileRef.current = null;
       setCoverImage(null);
       setCoverPreview(null);
       setCoverUrlFromISBN(null);
+      setEmbeddedCover(false);
+      setDetectedMetadata(null);
       setIsbnQuery('');
-      setFormData({
-        title: '',
-        author: '',
-        description: '',
-        type: 'book',
-        category_id: '',
-      });
+      setFormData(initialFormData);
       setUploadProgress(0);
     } catch (err) {
       setError(err.response?.data?.error || t('upload.error'));
@@ -286,7 +392,7 @@ function EnhancedBookUpload() {
               <input
                 id="file-input"
                 type="file"
-                accept=".pdf,.epub"
+                accept={BOOK_FILE_EXTENSIONS.join(',')}
                 onChange={(e) => handleFileSelect(e.target.files[0])}
                 style={{ display: 'none' }}
               />
@@ -321,6 +427,21 @@ function EnhancedBookUpload() {
             </Box>
           </Box>
 
+          {analyzing && (
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                {t('upload.analyzingFile')}
+              </Typography>
+              <LinearProgress />
+            </Box>
+          )}
+          {detectedMetadata && !analyzing && (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              {t('upload.metadataDetected')}
+              {detectedMetadata.page_count && ` (${detectedMetadata.page_count} ${t('upload.pages')})`}
+            </Alert>
+          )}
+
           {/* ISBN Search Section */}
           <Box sx={{ mb: 3 }}>
             <Typography variant="subtitle1" gutterBottom>
@@ -380,6 +501,11 @@ function EnhancedBookUpload() {
                   }}
                 />
               )}
+              {coverPreview && embeddedCover && (
+                <Typography variant="caption" color="text.secondary">
+                  {t('upload.embeddedCover')}
+                </Typography>
+              )}
             </Box>
           </Box>
 
@@ -409,6 +535,84 @@ function EnhancedBookUpload() {
               fullWidth
             />
 
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={t('upload.publisherLabel')}
+                value={formData.publisher}
+                onChange={(e) => setFormData({ ...formData, publisher: e.target.value })}
+                fullWidth
+              />
+              <TextField
+                label={t('upload.languageLabel')}
+                value={formData.language}
+                onChange={(e) => setFormData({ ...formData, language: e.target.value })}
+                sx={{ width: 160, flexShrink: 0 }}
+              />
+              <TextField
+                label={t('upload.isbnLabel')}
+                value={formData.isbn}
+                onChange={(e) => setFormData({ ...formData, isbn: e.target.value })}
+                fullWidth
+              />
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={t('upload.publishedDateLabel')}
+                value={formData.published_date}
+                onChange={(e) => setFormData({ ...formData, published_date: e.target.value })}
+                placeholder={t('upload.publishedDateHelp')}
+                fullWidth
+              />
+              <TextField
+                label={t('upload.editionLabel')}
+                value={formData.edition}
+                onChange={(e) => setFormData({ ...formData, edition: e.target.value })}
+                fullWidth
+              />
+              <TextField
+                label={t('upload.pageCountLabel')}
+                type="number"
+                value={formData.page_count}
+                onChange={(e) => setFormData({ ...formData, page_count: e.target.value })}
+                inputProps={{ min: 1, step: 1 }}
+                sx={{ width: 160, flexShrink: 0 }}
+              />
+            </Box>
+
+            <TextField
+              label={t('upload.subjectsLabel')}
+              value={formData.subjects}
+              onChange={(e) => setFormData({ ...formData, subjects: e.target.value })}
+              helperText={t('upload.subjectsHelp')}
+              fullWidth
+            />
+
+            <TagInput
+              label={t('tags.label')}
+              placeholder={t('tags.placeholder')}
+              helperText={t('tags.help')}
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+            />
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={t('upload.seriesLabel')}
+                value={formData.series}
+                onChange={(e) => setFormData({ ...formData, series: e.target.value })}
+                fullWidth
+              />
+              <TextField
+                label={t('upload.seriesIndexLabel')}
+                type="number"
+                value={formData.series_index}
+                onChange={(e) => setFormData({ ...formData, series_index: e.target.value })}
+                inputProps={{ min: 0, step: 'any' }}
+                sx={{ width: 160, flexShrink: 0 }}
+              />
+            </Box>
+
             <Box sx={{ display: 'flex', gap: 2 }}>
               <FormControl fullWidth>
                 <InputLabel>{t('upload.typeLabel')}</InputLabel>
@@ -443,7 +647,7 @@ function EnhancedBookUpload() {
                     <em>{t('dashboard.allCategories')}</em>
                   </MenuItem>
                   {categories.map((category) => (
-                    <MenuItem key={category.id} value={category.id}>
+                    <MenuItem key={category.id} value={category.id} sx={{ pl: 2 + category.depth * 2 }}>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Avatar
                           sx={{
@@ -483,15 +687,13 @@ function EnhancedBookUpload() {
               type="button"
               onClick={() => {
                 setFile(null);
+                selectedFileRef.current = null;
                 setCoverImage(null);
                 setCoverPreview(null);
-                setFormData({
-                  title: '',
-                  author: '',
-                  description: '',
-                  type: 'book',
-                  category_id: '',
-                });
+                setEmbeddedCover(false);
+                setDetectedMetadata(null);
+                setAnalyzing(false);
+                setFormData(initialFormData);
                 setError('');
                 setSuccess('');
               }}
@@ -1,5 +1,6 @@
 // frontend/src/components/EnhancedDashboard.js
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import {
   Container,
@@ -8,6 +9,8 @@ import {
   CardContent,
   CardMedia,
   CardActions,
+  CardActionArea,
+  LinearProgress,
   Typography,
   Button,
   TextField,
@@ -15,6 +18,7 @@ import {
   CircularProgress,
   Alert,
   Chip,
+  Link,
   IconButton,
   Dialog,
   DialogTitle,
@@ -35,6 +39,12 @@ import {
   Paper,
   Tooltip,
   InputAdornment,
+  Collapse,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
 } from '@mui/material';
 import {
   Search,
@@ -49,19 +59,100 @@ import {
   Edit,
   TableChart,
   QrCode,
+  AutoStories,
+  NoteAdd,
+  Transform,
+  FilterList,
+  ArrowUpward,
+  ArrowDownward,
+  CollectionsBookmark,
+  LocalOffer,
+  Bookmarks,
 } from '@mui/icons-material';
 import api from '../services/api';
+import BookConversionDialog from './BookConversionDialog';
+import TagInput from './TagInput';
+import ContributorInput, { contributorsFromAuthorText } from './ContributorInput';
+import CategoryTree from './CategoryTree';
+import ShelfManager, { shelfLabel } from './ShelfManager';
+import ShelfMenu from './ShelfMenu';
+import { RatingSummary } from './BookReviews';
+import { waitForJob } from '../services/jobs';
+
+const emptyMetadataForm = {
+  title: '',
+  contributors: [],
+  description: '',
+  publisher: '',
+  publishedDate: '',
+  language: '',
+  isbn: '',
+  page_count: '',
+  edition: '',
+  subjects: '',
+  tags: [],
+  series: '',
+  series_index: '',
+  coverUrl: null,
+};
+
+// Form values from an online lookup (ISBN or title search); subjects come from the categories.
+// The found authors replace the authors; editors, translators and illustrators stay.
+const lookupToMetadataForm = (metadata, current) => ({
+  ...current,
+  title: metadata.title || '',
+  contributors: [
+    ...contributorsFromAuthorText(metadata.authors),
+    ...current.contributors.filter((contributor) => contributor.role !== 'author'),
+  ],
+  description: metadata.description || '',
+  publisher: metadata.publisher || '',
+  publishedDate: metadata.publishedDate || '',
+  language: metadata.language || current.language,
+  isbn: metadata.isbn13 || metadata.isbn10 || metadata.isbn || current.isbn,
+  page_count: metadata.pageCount ? String(metadata.pageCount) : current.page_count,
+  subjects: metadata.categories?.length ? metadata.categories.join(', ') : current.subjects,
+  coverUrl: metadata.coverUrl,
+});
 
 function EnhancedDashboard() {
   const { t, language } = useLanguage();
+  const navigate = useNavigate();
   const [books, setBooks] = useState([]);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchMode, setSearchMode] = useState('metadata'); // 'metadata' (title/author) or 'content'
+  const [contentResults, setContentResults] = useState([]);
+  const [contentLoading, setContentLoading] = useState(false);
   const [filterType, setFilterType] = useState('all');
   const [filterCategory, setFilterCategory] = useState('all');
+  const [filterShelf, setFilterShelf] = useState('all');
+  const [shelves, setShelves] = useState([]);
+  const [shelfManagerOpen, setShelfManagerOpen] = useState(false);
+  const [filterFormat, setFilterFormat] = useState('all');
+  const [filterUploader, setFilterUploader] = useState('all');
+  const [uploadedFrom, setUploadedFrom] = useState('');
+  const [uploadedTo, setUploadedTo] = useState('');
+  const [publishedFrom, setPublishedFrom] = useState('');
+  const [publishedTo, setPublishedTo] = useState('');
+  const [filterTags, setFilterTags] = useState([]);
+  const [minSizeMb, setMinSizeMb] = useState('');
+  const [maxSizeMb, setMaxSizeMb] = useState('');
+  const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
+  const [sortBy, setSortBy] = useState('date');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [uploaders, setUploaders] = useState([]);
+  const [formats, setFormats] = useState([]);
+  const [formatUploadBook, setFormatUploadBook] = useState(null);
+  const [conversionBook, setConversionBook] = useState(null);
+  const [selectedBookIds, setSelectedBookIds] = useState([]);
+  const [bulkTagDialog, setBulkTagDialog] = useState(false);
+  const [bulkAddTags, setBulkAddTags] = useState([]);
+  const [bulkRemoveTags, setBulkRemoveTags] = useState([]);
+  const [bulkTagging, setBulkTagging] = useState(false);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
   const [page, setPage] = useState(1);
   const [pagination, setPagination] = useState(null);
@@ -78,26 +169,44 @@ function EnhancedDashboard() {
   const [authorQuery, setAuthorQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [loadingMetadata, setLoadingMetadata] = useState(false);
-  const [metadataFormData, setMetadataFormData] = useState({
-    title: '',
-    author: '',
-    description: '',
-    publisher: '',
-    publishedDate: '',
-    language: '',
-    coverUrl: null,
-  });
+  const [metadataFormData, setMetadataFormData] = useState(emptyMetadataForm);
 
   // CSV Export States
   const [csvExporting, setCsvExporting] = useState(false);
 
+  // Books the user has started reading, most recent first
+  const [continueReading, setContinueReading] = useState([]);
+
   const user = JSON.parse(localStorage.getItem('user'));
 
+  const isContentSearch = searchMode === 'content' && searchTerm.trim() !== '';
+
   useEffect(() => {
-    loadBooks();
+    if (!isContentSearch) {
+      loadBooks();
+    }
     loadCategories();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [page, searchTerm, filterType, filterCategory]);
+  }, [page, searchTerm, isContentSearch, filterType, filterCategory, filterShelf, filterFormat, filterUploader,
+      uploadedFrom, uploadedTo, publishedFrom, publishedTo, filterTags, minSizeMb, maxSizeMb, sortBy, sortOrder]);
+
+  // Content search runs once typing pauses
+  useEffect(() => {
+    if (!isContentSearch) return undefined;
+    const timer = setTimeout(loadContentResults, 300);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, searchTerm, isContentSearch]);
+
+  useEffect(() => {
+    loadContinueReading();
+    loadFormats();
+    loadShelves();
+    if (user?.role === 'admin') {
+      loadUploaders();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   // Reload categories when language changes
   useEffect(() => {
@@ -114,6 +223,45 @@ function EnhancedDashboard() {
     }
   };
 
+  const loadFormats = async () => {
+    try {
+      const response = await api.get('/api/formats');
+      setFormats(response.data);
+    } catch (err) {
+      console.error('Fehler beim Laden der Formate:', err);
+    }
+  };
+
+  const loadShelves = async () => {
+    try {
+      const response = await api.get('/api/shelves');
+      setShelves(response.data);
+      return response.data;
+    } catch (err) {
+      console.error('Fehler beim Laden der Regale:', err);
+      return null;
+    }
+  };
+
+  // Only admins can list users; everyone else can filter by their own uploads
+  const loadUploaders = async () => {
+    try {
+      const response = await api.get('/api/users');
+      setUploaders(response.data);
+    } catch (err) {
+      console.error('Fehler beim Laden der Benutzer:', err);
+    }
+  };
+
+  const loadContinueReading = async () => {
+    try {
+      const response = await api.get('/api/reading-progress?limit=10');
+      setContinueReading(response.data);
+    } catch (err) {
+      console.error('Fehler beim Laden des Lesefortschritts:', err);
+    }
+  };
+
   const loadBooks = async () => {
     try {
       setLoading(true);
@@ -122,21 +270,128 @@ function EnhancedDashboard() {
         limit: 20,
         search: searchTerm,
         type: filterType,
+        format: filterFormat,
+        category_id: filterCategory,
+        uploaded_by: filterUploader,
+        sort: sortBy,
+        order: sortOrder,
       });
+      if (filterShelf !== 'all') params.set('shelf_id', filterShelf);
+      if (uploadedFrom) params.set('uploaded_from', uploadedFrom);
+      if (uploadedTo) params.set('uploaded_to', uploadedTo);
+      // Years are only sent once complete
+      if (/^\d{4}$/.test(publishedFrom)) params.set('published_from', publishedFrom);
+      if (/^\d{4}$/.test(publishedTo)) params.set('published_to', publishedTo);
+      if (filterTags.length > 0) params.set('tags', filterTags.join(','));
+      if (minSizeMb !== '') params.set('min_size', Math.round(Number(minSizeMb) * 1024 * 1024));
+      if (maxSizeMb !== '') params.set('max_size', Math.round(Number(maxSizeMb) * 1024 * 1024));
 
       const response = await api.get(`/api/books?${params}`);
       setBooks(response.data.books);
       setPagination(response.data.pagination);
+      // Only books still listed stay selected
+      setSelectedBookIds((current) => current.filter((id) => response.data.books.some((book) => book.id === id)));
     } catch (err) {
-      setError('Fehler beim Laden der Bücher');
+      setError(err.response?.data?.error || 'Fehler beim Laden der Bücher');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownload = async (bookId, filename) => {
+  // Filters change the result set, so the list starts again at the first page
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  // Sidebar: a category lists its books and those of its subcategories
+  const selectCategory = (categoryId) => {
+    setFilterCategory(categoryId);
+    setPage(1);
+  };
+
+  // A shelf lists its books in shelf order; that order is only available for a shelf
+  const showShelf = (shelfId) => {
+    setFilterShelf(shelfId);
+    if (shelfId !== 'all') {
+      setSortBy('shelf');
+      setSortOrder('asc');
+    } else if (sortBy === 'shelf') {
+      setSortBy('date');
+      setSortOrder('desc');
+    }
+    setPage(1);
+  };
+
+  // Shelf counts change, and so does the current list if a shelf is shown;
+  // a shown shelf that was deleted falls back to the whole library
+  const handleShelvesChanged = async () => {
+    const currentShelves = await loadShelves();
+    if (filterShelf === 'all' || !currentShelves) return;
+    if (currentShelves.some((shelf) => shelf.id === filterShelf)) {
+      loadBooks();
+    } else {
+      showShelf('all');
+    }
+  };
+
+  // Text is sorted A-Z, numbers and dates largest/newest first unless reversed
+  const handleSortChange = (e) => {
+    const sort = e.target.value;
+    setSortBy(sort);
+    setSortOrder(['title', 'author', 'series', 'shelf'].includes(sort) ? 'asc' : 'desc');
+    setPage(1);
+  };
+
+  const resetAdvancedFilters = () => {
+    setFilterUploader('all');
+    setUploadedFrom('');
+    setUploadedTo('');
+    setPublishedFrom('');
+    setPublishedTo('');
+    setFilterTags([]);
+    setMinSizeMb('');
+    setMaxSizeMb('');
+    setPage(1);
+  };
+
+  const loadContentResults = async () => {
+    try {
+      setContentLoading(true);
+      const params = new URLSearchParams({
+        page,
+        limit: 20,
+        search: searchTerm.trim(),
+      });
+
+      const response = await api.get(`/api/search/content?${params}`);
+      setContentResults(response.data.books);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.error || t('dashboard.contentSearchError'));
+    } finally {
+      setContentLoading(false);
+    }
+  };
+
+  const handleSearchModeChange = (e, mode) => {
+    if (!mode) return;
+    setSearchMode(mode);
+    setPage(1);
+  };
+
+  // Open the reader at the chapter (EPUB) or page (PDF) of a content search hit
+  const getHitPath = (book, hit) => (hit.format === 'epub'
+    ? `/read/${book.id}?chapter=${hit.chapter}`
+    : `/pdf/${book.id}?page=${hit.page}`);
+
+  const getHitLocation = (hit) => (hit.page
+    ? `${t('dashboard.page')} ${hit.page}`
+    : hit.label || `${t('dashboard.chapter')} ${hit.chapter + 1}`);
+
+  const downloadFile = async (path, filename) => {
     try {
-      const response = await api.get(`/api/books/${bookId}/download`, {
+      const response = await api.get(path, {
         responseType: 'blob',
       });
       
@@ -153,6 +408,44 @@ function EnhancedDashboard() {
     }
   };
 
+  const handleDownload = (bookId, filename) => downloadFile(`/api/books/${bookId}/download`, filename);
+
+  const handleFormatDownload = (book, formatId) => {
+    const format = formats.find((item) => item.id === formatId);
+    const extension = format ? format.extensions[0] : `.${formatId}`;
+    downloadFile(
+      `/api/books/${book.id}/formats/${formatId}/download`,
+      book.filename.replace(/\.[^.]+$/, '') + extension
+    );
+  };
+
+  // Attach another format (e.g. the PDF edition of an EPUB) to an existing book
+  const handleAddFormat = (book) => {
+    setFormatUploadBook(book);
+    document.getElementById('format-file-input').click();
+  };
+
+  const handleFormatFileSelect = async (e) => {
+    const selectedFile = e.target.files[0];
+    e.target.value = '';
+    if (!selectedFile || !formatUploadBook) return;
+
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+
+    try {
+      const response = await api.post(`/api/books/${formatUploadBook.id}/formats`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      setSuccess(response.data.message);
+      loadBooks();
+    } catch (err) {
+      setError(err.response?.data?.error || t('dashboard.addFormatError'));
+    } finally {
+      setFormatUploadBook(null);
+    }
+  };
+
   const handleDelete = async (bookId) => {
     if (!window.confirm('Möchten Sie dieses Buch wirklich löschen?')) {
       return;
@@ -206,12 +499,20 @@ function EnhancedDashboard() {
   const handleEditMetadata = (book) => {
     setSelectedMetadataBook(book);
     setMetadataFormData({
+      ...emptyMetadataForm,
       title: book.title || '',
-      author: book.author || '',
+      contributors: (book.contributors || []).map(({ name, role }) => ({ name, role })),
       description: book.description || '',
       publisher: book.publisher || '',
       publishedDate: book.published_date || '',
       language: book.language || '',
+      isbn: book.isbn_13 || book.isbn_10 || book.isbn || '',
+      page_count: book.page_count ? String(book.page_count) : '',
+      edition: book.edition || '',
+      subjects: (book.subjects || []).join(', '),
+      tags: book.tags || [],
+      series: book.series || '',
+      series_index: book.series_index != null ? String(book.series_index) : '',
     });
     setTitleQuery(book.title || '');
     setAuthorQuery(book.author || '');
@@ -229,30 +530,13 @@ function EnhancedDashboard() {
     try {
       setLoadingMetadata(true);
       const response = await api.post(`/api/metadata/isbn/${isbnQuery.trim()}`);
+      const { result: metadata } = await waitForJob(response.data.job.id);
       
-      if (response.data.success) {
-        // Format date for HTML date input (needs YYYY-MM-DD format)
-        let formattedDate = response.data.publishedDate || '';
-        if (formattedDate && formattedDate.length === 4) {
-          // Just a year, convert to full date
-          formattedDate = `${formattedDate}-01-01`;
-        } else if (formattedDate && formattedDate.length === 7) {
-          // Year-month, add day
-          formattedDate = `${formattedDate}-01`;
-        }
-        
-        setMetadataFormData({
-          title: response.data.title,
-          author: response.data.authors,
-          description: response.data.description,
-          publisher: response.data.publisher || '',
-          publishedDate: formattedDate,
-          language: response.data.language || 'de',
-          coverUrl: response.data.coverUrl,
-        });
+      if (metadata.success) {
+        setMetadataFormData((current) => lookupToMetadataForm(metadata, current));
         setSuccess('Metadaten via ISBN gefunden!');
       } else {
-        setError(response.data.error || 'Keine Metadaten für diese ISBN gefunden');
+        setError(metadata.error || 'Keine Metadaten für diese ISBN gefunden');
       }
     } catch (err) {
       setError('Fehler beim ISBN-Lookup');
@@ -273,9 +557,10 @@ function EnhancedDashboard() {
         title: titleQuery.trim(),
         author: authorQuery.trim()
       });
+      const { result } = await waitForJob(response.data.job.id);
       
-      setSearchResults(response.data.results || []);
-      if (response.data.results.length === 0) {
+      setSearchResults(result.results || []);
+      if (result.results.length === 0) {
         setError('Keine Suchergebnisse gefunden');
       }
     } catch (err) {
@@ -286,26 +571,28 @@ function EnhancedDashboard() {
   };
 
   const handleSelectSearchResult = (result) => {
-    setMetadataFormData({
-      title: result.title,
-      author: result.authors,
-      description: result.description,
-      publisher: result.publisher,
-      publishedDate: result.publishedDate,
-      language: result.language,
-      coverUrl: result.coverUrl,
-    });
+    setMetadataFormData((current) => lookupToMetadataForm(result, current));
     setSearchResults([]);
   };
 
   const handleSaveMetadata = async () => {
     try {
       setLoadingMetadata(true);
-      await api.put(`/api/books/${selectedMetadataBook.id}/metadata`, metadataFormData);
+      const response = await api.put(`/api/books/${selectedMetadataBook.id}/metadata`, {
+        ...metadataFormData,
+        contributors: metadataFormData.contributors.filter((contributor) => contributor.name.trim()),
+      });
       
       setSuccess('Metadaten erfolgreich aktualisiert');
       setMetadataDialog(false);
       loadBooks(); // Refresh book list
+
+      // The new cover is downloaded in the background; show it once it is there
+      if (response.data.cover_job) {
+        waitForJob(response.data.cover_job.id)
+          .then(() => loadBooks())
+          .catch((coverError) => console.error('Cover download failed:', coverError));
+      }
       
     } catch (err) {
       setError(err.response?.data?.error || 'Fehler beim Speichern der Metadaten');
@@ -321,14 +608,7 @@ function EnhancedDashboard() {
     setIsbnQuery('');
     setTitleQuery('');
     setAuthorQuery('');
-    setMetadataFormData({
-      title: '',
-      author: '',
-      description: '',
-      publisher: '',
-      publishedDate: '',
-      language: '',
-    });
+    setMetadataFormData(emptyMetadataForm);
   };
 
   // CSV Export Function
@@ -381,6 +661,113 @@ function EnhancedDashboard() {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   };
 
+  const getFormatLabel = (formatId) => {
+    const format = formats.find((item) => item.id === formatId);
+    return format ? format.label : formatId.toUpperCase();
+  };
+
+  // Formats the book is available in, primary file first
+  const getBookFormats = (book) => (book.formats?.length ? book.formats : [book.format].filter(Boolean));
+
+  // In-browser reader for one of the book's formats, if there is one (EPUB preferred)
+  const getReaderPath = (book) => {
+    const bookFormats = getBookFormats(book);
+    if (bookFormats.includes('epub')) return `/read/${book.id}`;
+    if (bookFormats.includes('pdf')) return `/pdf/${book.id}`;
+    return null;
+  };
+
+  const renderFormatChips = (book) => getBookFormats(book).map((formatId) => (
+    <Tooltip key={formatId} title={`${t('dashboard.download')}: ${getFormatLabel(formatId)}`}>
+      <Chip
+        size="small"
+        variant="outlined"
+        label={getFormatLabel(formatId)}
+        onClick={() => handleFormatDownload(book, formatId)}
+        aria-label={`${book.title} als ${getFormatLabel(formatId)} herunterladen`}
+      />
+    </Tooltip>
+  ));
+
+  // Publisher, year of publication, edition and page count as one line
+  const getPublicationInfo = (book) => [
+    book.publisher,
+    book.published_date && book.published_date.substring(0, 4),
+    book.edition,
+    book.page_count && `${book.page_count} ${t('upload.pages')}`,
+  ].filter(Boolean).join(' • ');
+
+  // Series name with the number of the book in it, e.g. "Dune #2"
+  const getSeriesLabel = (book) => (
+    book.series_index != null ? `${book.series} #${book.series_index}` : book.series
+  );
+
+  // Clicking a tag narrows the list to books that also have it
+  const handleTagClick = (tag) => {
+    if (!filterTags.some((current) => current.toLowerCase() === tag.toLowerCase())) {
+      setFilterTags([...filterTags, tag]);
+    }
+    setShowAdvancedFilters(true);
+    setPage(1);
+  };
+
+  // Authors of a book as links to their author pages; books without linked authors show the text
+  const renderAuthors = (book) => {
+    const authors = (book.contributors || []).filter((contributor) => contributor.role === 'author');
+    if (authors.length === 0) return book.author;
+    return authors.map((author, index) => (
+      <React.Fragment key={author.id}>
+        {index > 0 && ', '}
+        <Link
+          component="button"
+          variant="body2"
+          color="inherit"
+          underline="hover"
+          onClick={() => navigate(`/authors/${author.id}`)}
+          sx={{ verticalAlign: 'baseline' }}
+        >
+          {author.name}
+        </Link>
+      </React.Fragment>
+    ));
+  };
+
+  const canEditBook = (book) => user.role === 'admin' || book.uploaded_by === user.id;
+
+  const toggleBookSelection = (bookId) => {
+    setSelectedBookIds((current) => (
+      current.includes(bookId) ? current.filter((id) => id !== bookId) : [...current, bookId]
+    ));
+  };
+
+  const handleBulkTagging = async () => {
+    try {
+      setBulkTagging(true);
+      await api.post('/api/tags/bulk', {
+        book_ids: selectedBookIds,
+        add: bulkAddTags,
+        remove: bulkRemoveTags,
+      });
+      setSuccess(t('tags.bulkSuccess'));
+      setBulkTagDialog(false);
+      setBulkAddTags([]);
+      setBulkRemoveTags([]);
+      setSelectedBookIds([]);
+      loadBooks();
+    } catch (err) {
+      setError(err.response?.data?.error || t('tags.saveError'));
+    } finally {
+      setBulkTagging(false);
+    }
+  };
+
+  // Clicking a subject lists all books with it
+  const handleSubjectClick = (subject) => {
+    setSearchMode('metadata');
+    setSearchTerm(`subject:"${subject}"`);
+    setPage(1);
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('de-DE', {
       year: 'numeric',
@@ -389,13 +776,6 @@ function EnhancedDashboard() {
     });
   };
 
-  const filteredBooks = books.filter(book => {
-    if (filterCategory !== 'all' && book.category_id !== filterCategory) {
-      return false;
-    }
-    return true;
-  });
-
   if (loading) {
     return (
       <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
@@ -419,11 +799,11 @@ function EnhancedDashboard() {
           id="search"
         >
           <TextField
-            placeholder={t('dashboard.searchPlaceholder')}
+            placeholder={searchMode === 'content' ? t('dashboard.contentSearchPlaceholder') : t('dashboard.searchPlaceholder')}
             variant="outlined"
             size="small"
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            onChange={changeFilter(setSearchTerm)}
             sx={{ flexGrow: 1, minWidth: 250 }}
             inputProps={{
               'aria-label': 'Suche nach Büchern und Magazinen',
@@ -441,12 +821,27 @@ function EnhancedDashboard() {
             Geben Sie Titel oder Autor ein um Ihre Bibliothek zu durchsuchen
           </div>
 
+          <ToggleButtonGroup
+            value={searchMode}
+            exclusive
+            onChange={handleSearchModeChange}
+            size="small"
+            aria-label={t('dashboard.searchMode')}
+          >
+            <ToggleButton value="metadata" aria-pressed={searchMode === 'metadata'}>
+              {t('dashboard.searchModeMetadata')}
+            </ToggleButton>
+            <ToggleButton value="content" aria-pressed={searchMode === 'content'}>
+              {t('dashboard.searchModeContent')}
+            </ToggleButton>
+          </ToggleButtonGroup>
+
           <FormControl size="small" sx={{ minWidth: 150 }}>
             <InputLabel id="type-filter-label">Typ</InputLabel>
             <Select
               value={filterType}
               label="Typ"
-              onChange={(e) => setFilterType(e.target.value)}
+              onChange={changeFilter(setFilterType)}
               labelId="type-filter-label"
               inputProps={{
                 'aria-label': 'Filter nach Medientyp'
@@ -458,12 +853,32 @@ function EnhancedDashboard() {
             </Select>
           </FormControl>
 
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel id="format-filter-label">{t('dashboard.format')}</InputLabel>
+            <Select
+              value={filterFormat}
+              label={t('dashboard.format')}
+              onChange={changeFilter(setFilterFormat)}
+              labelId="format-filter-label"
+              inputProps={{
+                'aria-label': 'Filter nach Dateiformat'
+              }}
+            >
+              <MenuItem value="all">{t('dashboard.allFormats')}</MenuItem>
+              {formats.map((format) => (
+                <MenuItem key={format.id} value={format.id}>
+                  {format.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
           <FormControl size="small" sx={{ minWidth: 180 }}>
             <InputLabel id="category-filter-label">{t('dashboard.category')}</InputLabel>
             <Select
               value={filterCategory}
               label={t('dashboard.category')}
-              onChange={(e) => setFilterCategory(e.target.value)}
+              onChange={changeFilter(setFilterCategory)}
               labelId="category-filter-label"
               inputProps={{
                 'aria-label': 'Filter nach Kategorie'
@@ -471,13 +886,86 @@ function EnhancedDashboard() {
             >
               <MenuItem value="all">{t('dashboard.allCategories')}</MenuItem>
               {categories.map((category) => (
-                <MenuItem key={category.id} value={category.id}>
-                  {t(`categories.${category.name}`) || category.name}
+                <MenuItem key={category.id} value={category.id} sx={{ pl: 2 + category.depth * 2 }}>
+                  {category.name}
                 </MenuItem>
               ))}
             </Select>
           </FormControl>
 
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel id="shelf-filter-label">{t('shelves.shelf')}</InputLabel>
+              <Select
+                value={filterShelf}
+                label={t('shelves.shelf')}
+                onChange={(e) => showShelf(e.target.value)}
+                labelId="shelf-filter-label"
+                inputProps={{
+                  'aria-label': t('shelves.shelf')
+                }}
+              >
+                <MenuItem value="all">{t('shelves.wholeLibrary')}</MenuItem>
+                {shelves.map((shelf) => (
+                  <MenuItem key={shelf.id} value={shelf.id}>
+                    {shelf.is_owner
+                      ? `${shelfLabel(shelf, t)} (${shelf.book_count})`
+                      : `${shelfLabel(shelf, t)} · ${shelf.owner_name} (${shelf.book_count})`}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Tooltip title={t('shelves.manage')}>
+              <IconButton onClick={() => setShelfManagerOpen(true)} aria-label={t('shelves.manage')}>
+                <Bookmarks />
+              </IconButton>
+            </Tooltip>
+          </Box>
+
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 150 }}>
+              <InputLabel id="sort-label">{t('dashboard.sortBy')}</InputLabel>
+              <Select
+                value={sortBy}
+                label={t('dashboard.sortBy')}
+                onChange={handleSortChange}
+                labelId="sort-label"
+              >
+                <MenuItem value="date">{t('dashboard.sortDate')}</MenuItem>
+                <MenuItem value="title">{t('dashboard.sortTitle')}</MenuItem>
+                <MenuItem value="author">{t('dashboard.sortAuthor')}</MenuItem>
+                <MenuItem value="downloads">{t('dashboard.sortDownloads')}</MenuItem>
+                <MenuItem value="size">{t('dashboard.sortSize')}</MenuItem>
+                <MenuItem value="published">{t('dashboard.sortPublished')}</MenuItem>
+                <MenuItem value="series">{t('dashboard.sortSeries')}</MenuItem>
+                <MenuItem value="rating">{t('dashboard.sortRating')}</MenuItem>
+                {filterShelf !== 'all' && <MenuItem value="shelf">{t('shelves.sortShelf')}</MenuItem>}
+              </Select>
+            </FormControl>
+            <Tooltip title={sortOrder === 'asc' ? t('dashboard.sortAscending') : t('dashboard.sortDescending')}>
+              <IconButton
+                onClick={() => {
+                  setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+                  setPage(1);
+                }}
+                aria-label={sortOrder === 'asc' ? t('dashboard.sortAscending') : t('dashboard.sortDescending')}
+              >
+                {sortOrder === 'asc' ? <ArrowUpward /> : <ArrowDownward />}
+              </IconButton>
+            </Tooltip>
+          </Box>
+
+          <Button
+            variant={showAdvancedFilters ? 'contained' : 'outlined'}
+            size="small"
+            startIcon={<FilterList aria-hidden="true" />}
+            onClick={() => setShowAdvancedFilters(!showAdvancedFilters)}
+            aria-expanded={showAdvancedFilters}
+            aria-controls="advanced-filters"
+          >
+            {t('dashboard.advancedFilters')}
+          </Button>
+
           <ToggleButtonGroup
             value={viewMode}
             exclusive
@@ -521,11 +1009,117 @@ function EnhancedDashboard() {
           </div>
         </Box>
 
+        {/* Advanced Filters */}
+        <Collapse in={showAdvancedFilters}>
+          <Paper variant="outlined" sx={{ p: 2, mb: 3 }} id="advanced-filters">
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel id="uploader-filter-label">{t('dashboard.uploadedBy')}</InputLabel>
+                <Select
+                  value={filterUploader}
+                  label={t('dashboard.uploadedBy')}
+                  onChange={changeFilter(setFilterUploader)}
+                  labelId="uploader-filter-label"
+                >
+                  <MenuItem value="all">{t('dashboard.allUploaders')}</MenuItem>
+                  <MenuItem value="me">{t('dashboard.myUploads')}</MenuItem>
+                  {uploaders.filter((uploader) => uploader.id !== user?.id).map((uploader) => (
+                    <MenuItem key={uploader.id} value={uploader.id}>
+                      {uploader.username}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                type="date"
+                size="small"
+                label={t('dashboard.uploadedFrom')}
+                value={uploadedFrom}
+                onChange={changeFilter(setUploadedFrom)}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                type="date"
+                size="small"
+                label={t('dashboard.uploadedTo')}
+                value={uploadedTo}
+                onChange={changeFilter(setUploadedTo)}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                size="small"
+                label={t('dashboard.publishedFrom')}
+                value={publishedFrom}
+                onChange={changeFilter(setPublishedFrom)}
+                inputProps={{ inputMode: 'numeric', maxLength: 4 }}
+                placeholder="JJJJ"
+                sx={{ width: 150 }}
+              />
+              <TextField
+                size="small"
+                label={t('dashboard.publishedTo')}
+                value={publishedTo}
+                onChange={changeFilter(setPublishedTo)}
+                inputProps={{ inputMode: 'numeric', maxLength: 4 }}
+                placeholder="JJJJ"
+                sx={{ width: 150 }}
+              />
+              <TextField
+                type="number"
+                size="small"
+                label={t('dashboard.minSizeMb')}
+                value={minSizeMb}
+                onChange={changeFilter(setMinSizeMb)}
+                inputProps={{ min: 0, step: 0.1 }}
+                sx={{ width: 140 }}
+              />
+              <TextField
+                type="number"
+                size="small"
+                label={t('dashboard.maxSizeMb')}
+                value={maxSizeMb}
+                onChange={changeFilter(setMaxSizeMb)}
+                inputProps={{ min: 0, step: 0.1 }}
+                sx={{ width: 140 }}
+              />
+              <Box sx={{ minWidth: 240, flexGrow: 1 }}>
+                <TagInput
+                  size="small"
+                  label={t('tags.filterLabel')}
+                  value={filterTags}
+                  onChange={(tags) => {
+                    setFilterTags(tags);
+                    setPage(1);
+                  }}
+                />
+              </Box>
+              <Button size="small" onClick={resetAdvancedFilters}>
+                {t('dashboard.resetFilters')}
+              </Button>
+            </Box>
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1.5 }}>
+              {t('dashboard.searchFieldsHelp')}
+            </Typography>
+          </Paper>
+        </Collapse>
+
         {/* Results Info */}
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
-          <Typography variant="body2" color="text.secondary" aria-live="polite">
-            {pagination && `${pagination.total} Ergebnisse gefunden`}
-          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary" aria-live="polite">
+              {pagination && `${pagination.total} Ergebnisse gefunden`}
+            </Typography>
+            {selectedBookIds.length > 0 && (
+              <Button
+                size="small"
+                variant="outlined"
+                startIcon={<LocalOffer />}
+                onClick={() => setBulkTagDialog(true)}
+              >
+                {t('tags.bulkEdit')} ({selectedBookIds.length})
+              </Button>
+            )}
+          </Box>
           {pagination && pagination.totalPages > 1 && (
             <Box sx={{ display: 'flex', gap: 1 }} role="navigation" aria-label="Seitennavigation">
               <Button
@@ -560,196 +1154,288 @@ function EnhancedDashboard() {
       {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
       {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
 
-      {/* Grid View */}
-      {viewMode === 'grid' && (
-        <Grid 
-          container 
-          spacing={3}
-          role="grid"
-          aria-label="Bibliothekssammlung in Kartenansicht"
-        >
-          {filteredBooks.map((book, index) => (
-            <Grid item xs={12} sm={6} md={4} lg={3} key={book.id} role="gridcell">
-              <Card 
-                sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}
-                role="article"
-                tabIndex={0}
-                aria-label={`${book.type === 'magazine' ? t('dashboard.magazine') : t('dashboard.book')}: ${book.title} von ${book.author || t('dashboard.unknownAuthor')}`}
-              >
-                {book.cover_image ? (
-                  <Box sx={{ position: 'relative' }}>
+      {/* Continue Reading */}
+      {continueReading.length > 0 && page === 1 && !searchTerm && (
+        <Box component="section" sx={{ mb: 4 }} aria-labelledby="continue-reading-heading">
+          <Typography variant="h6" component="h2" id="continue-reading-heading" gutterBottom>
+            {t('dashboard.continueReading')}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }}>
+            {continueReading.map(item => (
+              <Card key={item.book_id} sx={{ width: 200, flexShrink: 0 }}>
+                <CardActionArea
+                  onClick={() => navigate(getReaderPath({ id: item.book_id, formats: item.formats }))}
+                  disabled={!getReaderPath({ id: item.book_id, formats: item.formats })}
+                  aria-label={`${item.title} ${t('dashboard.continueReading')}`}
+                >
+                  {item.cover_image ? (
                     <CardMedia
                       component="img"
-                      height="200"
-                      image={book.cover_image}
-                      alt={`Cover von ${book.title}`}
+                      height="120"
+                      image={item.cover_image}
+                      alt={`Cover von ${item.title}`}
                       sx={{ objectFit: 'cover' }}
                     />
+                  ) : (
+                    <Box sx={{ height: 120, display: 'flex', alignItems: 'center', justifyContent: 'center', bgcolor: '#1a1a1a' }}>
+                      {item.type === 'magazine' ? (
+                        <Article sx={{ fontSize: 40, color: 'grey.500' }} aria-hidden="true" />
+                      ) : (
+                        <Book sx={{ fontSize: 40, color: 'grey.500' }} aria-hidden="true" />
+                      )}
+                    </Box>
+                  )}
+                  <CardContent sx={{ p: 1.5 }}>
+                    <Typography variant="subtitle2" noWrap>
+                      {item.title}
+                    </Typography>
+                    <LinearProgress
+                      variant="determinate"
+                      value={item.percentage}
+                      sx={{ my: 1 }}
+                      aria-label={`${Math.round(item.percentage)}% ${t('dashboard.progressRead')}`}
+                    />
+                    <Typography variant="caption" color="text.secondary" component="div" noWrap>
+                      {Math.round(item.percentage)}% • {formatDate(item.updated_at)}
+                      {item.device_name && ` • ${item.device_name}`}
+                    </Typography>
+                  </CardContent>
+                </CardActionArea>
+              </Card>
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      {/* Content Search Results */}
+      {isContentSearch && (
+        <Box component="section" aria-label={t('dashboard.searchModeContent')} aria-busy={contentLoading}>
+          {contentLoading && <LinearProgress sx={{ mb: 2 }} />}
+          {!contentLoading && contentResults.length === 0 && (
+            <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 8 }}>
+              {t('dashboard.noContentResults')}
+            </Typography>
+          )}
+          {contentResults.map((book) => (
+            <Card key={book.id} sx={{ mb: 2 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, mb: 1 }}>
+                  <Box sx={{ minWidth: 0 }}>
+                    <Typography variant="h6" component="h2" noWrap>
+                      {book.title}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" noWrap>
+                      {book.author}
+                    </Typography>
                   </Box>
-                ) : (
-                  <Box
-                    sx={{
-                      height: 200,
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      bgcolor: '#1a1a1a',
-                      position: 'relative',
-                    }}
-                    role="img"
-                    aria-label={`Kein Cover verfügbar für ${book.title}`}
+                  <Chip size="small" label={`${book.matches} ${t('dashboard.contentMatches')}`} />
+                </Box>
+                {book.hits.map((hit) => (
+                  <CardActionArea
+                    key={`${hit.chapter}-${hit.page}`}
+                    onClick={() => navigate(getHitPath(book, hit))}
+                    sx={{ p: 1, borderRadius: 1 }}
+                  >
+                    <Typography variant="caption" color="primary" component="div">
+                      {getHitLocation(hit)}
+                    </Typography>
+                    <Typography variant="body2">
+                      {hit.snippet.map((part, index) => (part.match ? (
+                        <Box component="mark" key={index} sx={{ bgcolor: 'warning.light', color: 'inherit', px: 0.25 }}>
+                          {part.text}
+                        </Box>
+                      ) : (
+                        <span key={index}>{part.text}</span>
+                      )))}
+                    </Typography>
+                  </CardActionArea>
+                ))}
+              </CardContent>
+            </Card>
+          ))}
+        </Box>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 3, alignItems: 'flex-start' }}>
+        {/* Category Sidebar */}
+        {!isContentSearch && categories.length > 0 && (
+          <Paper
+            component="nav"
+            variant="outlined"
+            aria-label={t('dashboard.category')}
+            sx={{ display: { xs: 'none', md: 'block' }, width: 260, flexShrink: 0, py: 1, position: 'sticky', top: 16 }}
+          >
+            <Typography variant="subtitle2" color="text.secondary" sx={{ px: 2, py: 1 }}>
+              {t('dashboard.category')}
+            </Typography>
+            <List dense disablePadding>
+              <ListItem disablePadding>
+                <ListItemButton
+                  selected={filterCategory === 'all'}
+                  onClick={() => selectCategory('all')}
+                  sx={{ pl: 6 }}
+                >
+                  <ListItemText primary={t('dashboard.allCategories')} />
+                </ListItemButton>
+              </ListItem>
+            </List>
+            <CategoryTree
+              dense
+              categories={categories}
+              selectedId={filterCategory}
+              onSelect={selectCategory}
+            />
+          </Paper>
+        )}
+
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          {/* Grid View */}
+          {!isContentSearch && viewMode === 'grid' && (
+            <Grid 
+              container 
+              spacing={3}
+              role="grid"
+              aria-label="Bibliothekssammlung in Kartenansicht"
+            >
+              {books.map((book, index) => (
+                <Grid item xs={12} sm={6} md={4} lg={3} key={book.id} role="gridcell">
+                  <Card 
+                    sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}
+                    role="article"
+                    tabIndex={0}
+                    aria-label={`${book.type === 'magazine' ? t('dashboard.magazine') : t('dashboard.book')}: ${book.title} von ${book.author || t('dashboard.unknownAuthor')}`}
                   >
-                    {book.type === 'magazine' ? (
-                      <Article sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
+                    {book.cover_image ? (
+                      <Box sx={{ position: 'relative' }}>
+                        <CardMedia
+                          component="img"
+                          height="200"
+                          image={book.cover_image}
+                          alt={`Cover von ${book.title}`}
+                          sx={{ objectFit: 'cover' }}
+                        />
+                      </Box>
                     ) : (
-                      <Book sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
-                    )}
-                  </Box>
-                )}
-                <CardContent sx={{ flexGrow: 1 }}>
-                  <Typography variant="h6" noWrap gutterBottom>
-                    {book.title}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary" noWrap>
-                    {book.author}
-                  </Typography>
-                  
-                  <Box sx={{ mt: 1, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-                    <Chip
-                      size="small"
-                      label={book.type === 'magazine' ? 'Magazin' : 'Buch'}
-                      color={book.type === 'magazine' ? 'secondary' : 'primary'}
-                    />
-                    {book.category_name && (
-                      <Chip
-                        size="small"
-                        label={book.category_name}
+                      <Box
                         sx={{
-                          bgcolor: book.category_color + '20',
-                          color: book.category_color,
+                          height: 200,
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'center',
+                          bgcolor: '#1a1a1a',
+                          position: 'relative',
                         }}
-                      />
+                        role="img"
+                        aria-label={`Kein Cover verfügbar für ${book.title}`}
+                      >
+                        {book.type === 'magazine' ? (
+                          <Article sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
+                        ) : (
+                          <Book sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
+                        )}
+                      </Box>
                     )}
-                  </Box>
+                    <CardContent sx={{ flexGrow: 1 }}>
+                      <Typography variant="h6" noWrap gutterBottom>
+                        <Link
+                          component="button"
+                          variant="h6"
+                          color="inherit"
+                          underline="hover"
+                          onClick={() => navigate(`/books/${book.id}`)}
+                          sx={{ maxWidth: '100%', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', verticalAlign: 'bottom' }}
+                        >
+                          {book.title}
+                        </Link>
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" noWrap>
+                        {renderAuthors(book)}
+                      </Typography>
+                      <RatingSummary averageRating={book.average_rating} ratingCount={book.rating_count} />
+                  
+                      <Box sx={{ mt: 1, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                        <Chip
+                          size="small"
+                          label={book.type === 'magazine' ? 'Magazin' : 'Buch'}
+                          color={book.type === 'magazine' ? 'secondary' : 'primary'}
+                        />
+                        {renderFormatChips(book)}
+                        {book.category_name && (
+                          <Chip
+                            size="small"
+                            label={book.category_name}
+                            sx={{
+                              bgcolor: book.category_color + '20',
+                              color: book.category_color,
+                            }}
+                          />
+                        )}
+                      </Box>
 
-                  <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                    {formatFileSize(book.file_size)} • {formatDate(book.upload_date)}
-                  </Typography>
-                </CardContent>
-                <CardActions role="toolbar" aria-label={`Aktionen für ${book.title}`}>
-                  <Tooltip title={t('dashboard.download')}>
-                    <IconButton
-                      size="small"
-                      onClick={() => handleDownload(book.id, book.filename)}
-                      aria-label={`${book.title} herunterladen`}
-                    >
-                      <Download aria-hidden="true" />
-                    </IconButton>
-                  </Tooltip>
-                  <Tooltip title={t('dashboard.editMetadata')}>
-                    <IconButton
-                      size="small"
-                      onClick={() => handleEditMetadata(book)}
-                      aria-label={`Metadaten für ${book.title} bearbeiten`}
-                    >
-                      <Edit aria-hidden="true" />
-                    </IconButton>
-                  </Tooltip>
-                  <Tooltip title={t('dashboard.share')}>
-                    <IconButton
-                      size="small"
-                      onClick={() => handleShare(book)}
-                      aria-label={`${book.title} teilen`}
-                    >
-                      <Share aria-hidden="true" />
-                    </IconButton>
-                  </Tooltip>
-                  {(user.role === 'admin' || book.uploaded_by === user.id) && (
-                    <Tooltip title={t('dashboard.delete')}>
-                      <IconButton
-                        size="small"
-                        color="error"
-                        onClick={() => handleDelete(book.id)}
-                        aria-label={`${book.title} löschen`}
-                      >
-                        <Delete aria-hidden="true" />
-                      </IconButton>
-                    </Tooltip>
-                  )}
-                </CardActions>
-              </Card>
-            </Grid>
-          ))}
-        </Grid>
-      )}
+                      {book.series_id && (
+                        <Chip
+                          size="small"
+                          icon={<CollectionsBookmark />}
+                          label={getSeriesLabel(book)}
+                          onClick={() => navigate(`/series/${book.series_id}`)}
+                          sx={{ mt: 1, maxWidth: '100%' }}
+                        />
+                      )}
 
-      {/* List View */}
-      {viewMode === 'list' && (
-        <TableContainer component={Paper}>
-          <Table aria-label="Bibliothekstabelle">
-            <TableHead>
-              <TableRow>
-                <TableCell>{t('dashboard.tableTitle')}</TableCell>
-                <TableCell>{t('dashboard.tableAuthor')}</TableCell>
-                <TableCell>{t('dashboard.tableCategory')}</TableCell>
-                <TableCell>{t('dashboard.tableType')}</TableCell>
-                <TableCell>Größe</TableCell>
-                <TableCell>Hochgeladen</TableCell>
-                <TableCell>Von</TableCell>
-                <TableCell align="right">Aktionen</TableCell>
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {filteredBooks.map((book, index) => (
-                <TableRow 
-                  key={book.id} 
-                  hover 
-                  tabIndex={0}
-                  role="row"
-                  aria-rowindex={index + 2}
-                  aria-label={`${book.type === 'magazine' ? t('dashboard.magazine') : t('dashboard.book')}: ${book.title} von ${book.author || t('dashboard.unknownAuthor')}`}
-                >
-                  <TableCell>
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                      {book.type === 'magazine' ? (
-                        <Article color="action" aria-hidden="true" />
-                      ) : (
-                        <Book color="action" aria-hidden="true" />
+                      {getPublicationInfo(book) && (
+                        <Typography variant="caption" color="text.secondary" noWrap sx={{ mt: 1, display: 'block' }}>
+                          {getPublicationInfo(book)}
+                        </Typography>
                       )}
-                      <Typography variant="body2" fontWeight="medium">
-                        {book.title}
+
+                      {book.subjects?.length > 0 && (
+                        <Box sx={{ mt: 1, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                          {book.subjects.slice(0, 3).map((subject) => (
+                            <Chip
+                              key={subject}
+                              size="small"
+                              variant="outlined"
+                              label={subject}
+                              onClick={() => handleSubjectClick(subject)}
+                            />
+                          ))}
+                        </Box>
+                      )}
+
+                      {book.tags?.length > 0 && (
+                        <Box sx={{ mt: 1, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                          {book.tags.map((tag) => (
+                            <Chip
+                              key={tag}
+                              size="small"
+                              color="info"
+                              variant="outlined"
+                              icon={<LocalOffer />}
+                              label={tag}
+                              onClick={() => handleTagClick(tag)}
+                            />
+                          ))}
+                        </Box>
+                      )}
+
+                      <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                        {formatFileSize(book.file_size)} • {formatDate(book.upload_date)}
                       </Typography>
-                    </Box>
-                  </TableCell>
-                  <TableCell>{book.author}</TableCell>
-                  <TableCell>
-                    {book.category_name && (
-                      <Chip
-                        size="small"
-                        label={book.category_name}
-                        sx={{
-                          bgcolor: book.category_color + '20',
-                          color: book.category_color,
-                        }}
-                      />
-                    )}
-                  </TableCell>
-                  <TableCell>
-                    <Chip
-                      size="small"
-                      label={book.type === 'magazine' ? 'Magazin' : 'Buch'}
-                      color={book.type === 'magazine' ? 'secondary' : 'primary'}
-                    />
-                  </TableCell>
-                  <TableCell>{formatFileSize(book.file_size)}</TableCell>
-                  <TableCell>{formatDate(book.upload_date)}</TableCell>
-                  <TableCell>{book.uploader_name}</TableCell>
-                  <TableCell align="right">
-                    <Box 
-                      sx={{ display: 'flex', gap: 0.5, justifyContent: 'flex-end' }}
-                      role="toolbar"
-                      aria-label={`Aktionen für ${book.title}`}
-                    >
+
+                      {book.progress_percentage != null && (
+                        <Box sx={{ mt: 1 }}>
+                          <LinearProgress
+                            variant="determinate"
+                            value={book.progress_percentage}
+                            aria-label={`${Math.round(book.progress_percentage)}% ${t('dashboard.progressRead')}`}
+                          />
+                          <Typography variant="caption" color="text.secondary">
+                            {Math.round(book.progress_percentage)}% {t('dashboard.progressRead')}
+                          </Typography>
+                        </Box>
+                      )}
+                    </CardContent>
+                    <CardActions role="toolbar" aria-label={`Aktionen für ${book.title}`}>
                       <Tooltip title={t('dashboard.download')}>
                         <IconButton
                           size="small"
@@ -759,6 +1445,18 @@ function EnhancedDashboard() {
                           <Download aria-hidden="true" />
                         </IconButton>
                       </Tooltip>
+                      {getReaderPath(book) && (
+                        <Tooltip title={t('dashboard.read')}>
+                          <IconButton
+                            size="small"
+                            onClick={() => navigate(getReaderPath(book))}
+                            aria-label={`${book.title} lesen`}
+                          >
+                            <AutoStories aria-hidden="true" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      <ShelfMenu book={book} onChange={handleShelvesChanged} onError={setError} />
                       <Tooltip title={t('dashboard.editMetadata')}>
                         <IconButton
                           size="small"
@@ -777,6 +1475,28 @@ function EnhancedDashboard() {
                           <Share aria-hidden="true" />
                         </IconButton>
                       </Tooltip>
+                      {(user.role === 'admin' || book.uploaded_by === user.id) && (
+                        <Tooltip title={t('dashboard.convert')}>
+                          <IconButton
+                            size="small"
+                            onClick={() => setConversionBook(book)}
+                            aria-label={`${book.title} konvertieren`}
+                          >
+                            <Transform aria-hidden="true" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {(user.role === 'admin' || book.uploaded_by === user.id) && (
+                        <Tooltip title={t('dashboard.addFormat')}>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleAddFormat(book)}
+                            aria-label={`Weiteres Format für ${book.title} hinzufügen`}
+                          >
+                            <NoteAdd aria-hidden="true" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
                       {(user.role === 'admin' || book.uploaded_by === user.id) && (
                         <Tooltip title={t('dashboard.delete')}>
                           <IconButton
@@ -789,26 +1509,267 @@ function EnhancedDashboard() {
                           </IconButton>
                         </Tooltip>
                       )}
-                    </Box>
-                  </TableCell>
-                </TableRow>
+                    </CardActions>
+                  </Card>
+                </Grid>
               ))}
-            </TableBody>
-          </Table>
-        </TableContainer>
-      )}
+            </Grid>
+          )}
 
-      {filteredBooks.length === 0 && (
-        <Box sx={{ textAlign: 'center', py: 8 }}>
-          <Description sx={{ fontSize: 80, color: 'text.secondary', mb: 2 }} />
-          <Typography variant="h5" color="text.secondary" gutterBottom>
-            {t('dashboard.noBooks')}
-          </Typography>
-          <Typography variant="body1" color="text.secondary">
-            Versuchen Sie eine andere Suche oder fügen Sie neue Bücher hinzu
-          </Typography>
+          {/* List View */}
+          {!isContentSearch && viewMode === 'list' && (
+            <TableContainer component={Paper}>
+              <Table aria-label="Bibliothekstabelle">
+                <TableHead>
+                  <TableRow>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        indeterminate={selectedBookIds.length > 0 && selectedBookIds.length < books.filter(canEditBook).length}
+                        checked={books.some(canEditBook) && selectedBookIds.length === books.filter(canEditBook).length}
+                        onChange={(e) => setSelectedBookIds(e.target.checked ? books.filter(canEditBook).map((book) => book.id) : [])}
+                        inputProps={{ 'aria-label': t('tags.selectAll') }}
+                      />
+                    </TableCell>
+                    <TableCell>{t('dashboard.tableTitle')}</TableCell>
+                    <TableCell>{t('dashboard.tableAuthor')}</TableCell>
+                    <TableCell>{t('dashboard.tableCategory')}</TableCell>
+                    <TableCell>{t('dashboard.tableType')}</TableCell>
+                    <TableCell>Größe</TableCell>
+                    <TableCell>Hochgeladen</TableCell>
+                    <TableCell>Von</TableCell>
+                    <TableCell align="right">Aktionen</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {books.map((book, index) => (
+                    <TableRow 
+                      key={book.id} 
+                      hover 
+                      tabIndex={0}
+                      role="row"
+                      aria-rowindex={index + 2}
+                      aria-label={`${book.type === 'magazine' ? t('dashboard.magazine') : t('dashboard.book')}: ${book.title} von ${book.author || t('dashboard.unknownAuthor')}`}
+                      selected={selectedBookIds.includes(book.id)}
+                    >
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          checked={selectedBookIds.includes(book.id)}
+                          onChange={() => toggleBookSelection(book.id)}
+                          disabled={!canEditBook(book)}
+                          inputProps={{ 'aria-label': `${book.title} auswählen` }}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          {book.type === 'magazine' ? (
+                            <Article color="action" aria-hidden="true" />
+                          ) : (
+                            <Book color="action" aria-hidden="true" />
+                          )}
+                          <Box sx={{ minWidth: 0 }}>
+                            <Link
+                              component="button"
+                              variant="body2"
+                              fontWeight="medium"
+                              color="inherit"
+                              underline="hover"
+                              onClick={() => navigate(`/books/${book.id}`)}
+                              sx={{ display: 'block', textAlign: 'left' }}
+                            >
+                              {book.title}
+                            </Link>
+                            <RatingSummary averageRating={book.average_rating} ratingCount={book.rating_count} />
+                            {book.series_id && (
+                              <Typography
+                                variant="caption"
+                                color="primary"
+                                display="block"
+                                sx={{ cursor: 'pointer' }}
+                                onClick={() => navigate(`/series/${book.series_id}`)}
+                              >
+                                {getSeriesLabel(book)}
+                              </Typography>
+                            )}
+                            {getPublicationInfo(book) && (
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {getPublicationInfo(book)}
+                              </Typography>
+                            )}
+                            {book.tags?.length > 0 && (
+                              <Box sx={{ mt: 0.5, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                                {book.tags.map((tag) => (
+                                  <Chip
+                                    key={tag}
+                                    size="small"
+                                    color="info"
+                                    variant="outlined"
+                                    label={tag}
+                                    onClick={() => handleTagClick(tag)}
+                                  />
+                                ))}
+                              </Box>
+                            )}
+                            {book.progress_percentage != null && (
+                              <LinearProgress
+                                variant="determinate"
+                                value={book.progress_percentage}
+                                sx={{ mt: 0.5, maxWidth: 160 }}
+                                aria-label={`${Math.round(book.progress_percentage)}% ${t('dashboard.progressRead')}`}
+                              />
+                            )}
+                          </Box>
+                        </Box>
+                      </TableCell>
+                      <TableCell>{renderAuthors(book)}</TableCell>
+                      <TableCell>
+                        {book.category_name && (
+                          <Chip
+                            size="small"
+                            label={book.category_name}
+                            sx={{
+                              bgcolor: book.category_color + '20',
+                              color: book.category_color,
+                            }}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                          <Chip
+                            size="small"
+                            label={book.type === 'magazine' ? 'Magazin' : 'Buch'}
+                            color={book.type === 'magazine' ? 'secondary' : 'primary'}
+                          />
+                          {renderFormatChips(book)}
+                        </Box>
+                      </TableCell>
+                      <TableCell>{formatFileSize(book.file_size)}</TableCell>
+                      <TableCell>{formatDate(book.upload_date)}</TableCell>
+                      <TableCell>{book.uploader_name}</TableCell>
+                      <TableCell align="right">
+                        <Box 
+                          sx={{ display: 'flex', gap: 0.5, justifyContent: 'flex-end' }}
+                          role="toolbar"
+                          aria-label={`Aktionen für ${book.title}`}
+                        >
+                          <Tooltip title={t('dashboard.download')}>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleDownload(book.id, book.filename)}
+                              aria-label={`${book.title} herunterladen`}
+                            >
+                              <Download aria-hidden="true" />
+                            </IconButton>
+                          </Tooltip>
+                          {getReaderPath(book) && (
+                            <Tooltip title={t('dashboard.read')}>
+                              <IconButton
+                                size="small"
+                                onClick={() => navigate(getReaderPath(book))}
+                                aria-label={`${book.title} lesen`}
+                              >
+                                <AutoStories aria-hidden="true" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          <ShelfMenu book={book} onChange={handleShelvesChanged} onError={setError} />
+                          <Tooltip title={t('dashboard.editMetadata')}>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleEditMetadata(book)}
+                              aria-label={`Metadaten für ${book.title} bearbeiten`}
+                            >
+                              <Edit aria-hidden="true" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title={t('dashboard.share')}>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleShare(book)}
+                              aria-label={`${book.title} teilen`}
+                            >
+                              <Share aria-hidden="true" />
+                            </IconButton>
+                          </Tooltip>
+                          {(user.role === 'admin' || book.uploaded_by === user.id) && (
+                            <Tooltip title={t('dashboard.convert')}>
+                              <IconButton
+                                size="small"
+                                onClick={() => setConversionBook(book)}
+                                aria-label={`${book.title} konvertieren`}
+                              >
+                                <Transform aria-hidden="true" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {(user.role === 'admin' || book.uploaded_by === user.id) && (
+                            <Tooltip title={t('dashboard.addFormat')}>
+                              <IconButton
+                                size="small"
+                                onClick={() => handleAddFormat(book)}
+                                aria-label={`Weiteres Format für ${book.title} hinzufügen`}
+                              >
+                                <NoteAdd aria-hidden="true" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {(user.role === 'admin' || book.uploaded_by === user.id) && (
+                            <Tooltip title={t('dashboard.delete')}>
+                              <IconButton
+                                size="small"
+                                color="error"
+                                onClick={() => handleDelete(book.id)}
+                                aria-label={`${book.title} löschen`}
+                              >
+                                <Delete aria-hidden="true" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <input
+            id="format-file-input"
+            type="file"
+            accept={formats.flatMap((format) => format.extensions).join(',')}
+            onChange={handleFormatFileSelect}
+            style={{ display: 'none' }}
+          />
+
+          <ShelfManager
+            open={shelfManagerOpen}
+            initialShelfId={filterShelf}
+            onClose={() => setShelfManagerOpen(false)}
+            onChange={handleShelvesChanged}
+          />
+
+          <BookConversionDialog
+            open={Boolean(conversionBook)}
+            book={conversionBook}
+            formats={formats}
+            onClose={() => setConversionBook(null)}
+            onConverted={loadBooks}
+          />
+
+          {!isContentSearch && books.length === 0 && (
+            <Box sx={{ textAlign: 'center', py: 8 }}>
+              <Description sx={{ fontSize: 80, color: 'text.secondary', mb: 2 }} />
+              <Typography variant="h5" color="text.secondary" gutterBottom>
+                {t('dashboard.noBooks')}
+              </Typography>
+              <Typography variant="body1" color="text.secondary">
+                Versuchen Sie eine andere Suche oder fügen Sie neue Bücher hinzu
+              </Typography>
+            </Box>
+          )}
         </Box>
-      )}
+      </Box>
 
       {/* Metadata Edit Dialog */}
       <Dialog open={metadataDialog} onClose={resetMetadataDialog} maxWidth="md" fullWidth>
@@ -955,7 +1916,7 @@ function EnhancedDashboard() {
               )}
               
               <Grid container spacing={2}>
-                <Grid item xs={12} sm={6}>
+                <Grid item xs={12}>
                   <TextField
                     fullWidth
                     label="Titel"
@@ -964,12 +1925,10 @@ function EnhancedDashboard() {
                     disabled={loadingMetadata}
                   />
                 </Grid>
-                <Grid item xs={12} sm={6}>
-                  <TextField
-                    fullWidth
-                    label="Autor"
-                    value={metadataFormData.author}
-                    onChange={(e) => setMetadataFormData({ ...metadataFormData, author: e.target.value })}
+                <Grid item xs={12}>
+                  <ContributorInput
+                    value={metadataFormData.contributors}
+                    onChange={(contributors) => setMetadataFormData({ ...metadataFormData, contributors })}
                     disabled={loadingMetadata}
                   />
                 </Grid>
@@ -996,11 +1955,10 @@ function EnhancedDashboard() {
                 <Grid item xs={12} sm={3}>
                   <TextField
                     fullWidth
-                    label="Erscheinungsdatum"
-                    type="date"
+                    label={t('upload.publishedDateLabel')}
                     value={metadataFormData.publishedDate}
                     onChange={(e) => setMetadataFormData({ ...metadataFormData, publishedDate: e.target.value })}
-                    InputLabelProps={{ shrink: true }}
+                    placeholder={t('upload.publishedDateHelp')}
                     disabled={loadingMetadata}
                   />
                 </Grid>
@@ -1014,6 +1972,75 @@ function EnhancedDashboard() {
                     disabled={loadingMetadata}
                   />
                 </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    label={t('dashboard.isbnLabel')}
+                    value={metadataFormData.isbn}
+                    onChange={(e) => setMetadataFormData({ ...metadataFormData, isbn: e.target.value })}
+                    disabled={loadingMetadata}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    label={t('upload.editionLabel')}
+                    value={metadataFormData.edition}
+                    onChange={(e) => setMetadataFormData({ ...metadataFormData, edition: e.target.value })}
+                    disabled={loadingMetadata}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label={t('upload.pageCountLabel')}
+                    value={metadataFormData.page_count}
+                    onChange={(e) => setMetadataFormData({ ...metadataFormData, page_count: e.target.value })}
+                    inputProps={{ min: 1, step: 1 }}
+                    disabled={loadingMetadata}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={9}>
+                  <TextField
+                    fullWidth
+                    label={t('series.seriesLabel')}
+                    value={metadataFormData.series}
+                    onChange={(e) => setMetadataFormData({ ...metadataFormData, series: e.target.value })}
+                    helperText={t('series.seriesHelp')}
+                    disabled={loadingMetadata}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label={t('series.indexLabel')}
+                    value={metadataFormData.series_index}
+                    onChange={(e) => setMetadataFormData({ ...metadataFormData, series_index: e.target.value })}
+                    inputProps={{ min: 0, step: 'any' }}
+                    disabled={loadingMetadata || !metadataFormData.series.trim()}
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    label={t('upload.subjectsLabel')}
+                    value={metadataFormData.subjects}
+                    onChange={(e) => setMetadataFormData({ ...metadataFormData, subjects: e.target.value })}
+                    helperText={t('upload.subjectsHelp')}
+                    disabled={loadingMetadata}
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <TagInput
+                    label={t('tags.label')}
+                    placeholder={t('tags.placeholder')}
+                    value={metadataFormData.tags}
+                    onChange={(tags) => setMetadataFormData({ ...metadataFormData, tags })}
+                    disabled={loadingMetadata}
+                  />
+                </Grid>
               </Grid>
             </Box>
           </Box>
@@ -1033,6 +2060,40 @@ function EnhancedDashboard() {
         </DialogActions>
       </Dialog>
 
+      {/* Bulk Tagging Dialog */}
+      <Dialog open={bulkTagDialog} onClose={() => setBulkTagDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('tags.bulkEdit')} ({selectedBookIds.length})</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TagInput
+              label={t('tags.bulkAdd')}
+              value={bulkAddTags}
+              onChange={setBulkAddTags}
+              disabled={bulkTagging}
+            />
+            <TagInput
+              label={t('tags.bulkRemove')}
+              value={bulkRemoveTags}
+              onChange={setBulkRemoveTags}
+              disabled={bulkTagging}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBulkTagDialog(false)} disabled={bulkTagging}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleBulkTagging}
+            disabled={bulkTagging || (bulkAddTags.length === 0 && bulkRemoveTags.length === 0)}
+            startIcon={bulkTagging ? <CircularProgress size={20} /> : <LocalOffer />}
+          >
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Share Dialog */}
       <Dialog open={shareDialog} onClose={() => { 
         setShareDialog(false); 
@@ -1114,6 +2175,22 @@ function EnhancedDashboard() {
                     <Typography variant="caption" display="block" sx={{ mt: 1, color: 'text.secondary' }}>
                       QR-Code scannen um das Buch zu öffnen
                     </Typography>
+                    <Box sx={{ display: 'flex', gap: 1, justifyContent: 'center', mt: 1 }}>
+                      <Button
+                        size="small"
+                        startIcon={<Download />}
+                        href={`${qrCodeUrl}?format=png&size=1024&download=1`}
+                      >
+                        PNG
+                      </Button>
+                      <Button
+                        size="small"
+                        startIcon={<Download />}
+                        href={`${qrCodeUrl}?format=svg&size=1024&download=1`}
+                      >
+                        SVG
+                      </Button>
+                    </Box>
                   </Box>
                 )}
                 
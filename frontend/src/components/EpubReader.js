@@ -0,0 +1,557 @@
+// frontend/src/components/EpubReader.js
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Box,
+  IconButton,
+  Tooltip,
+  Drawer,
+  List,
+  ListItemButton,
+  ListItemText,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert,
+  Button,
+} from '@mui/material';
+import {
+  ArrowBack,
+  Toc,
+  ChevronLeft,
+  ChevronRight,
+  TextDecrease,
+  TextIncrease,
+} from '@mui/icons-material';
+import axios from 'axios';
+import api from '../services/api';
+import { loadReadingProgress, createProgressSaver } from '../services/readingProgress';
+
+const STYLE_ID = 'lectoria-reader-style';
+const PAGE_PADDING = 32;
+const MIN_FONT_SIZE = 80;
+const MAX_FONT_SIZE = 200;
+const FONT_SIZE_STEP = 10;
+
+const THEMES = {
+  light: { background: '#ffffff', color: '#1a1a1a' },
+  sepia: { background: '#f4ecd8', color: '#5b4636' },
+  dark: { background: '#1e1e1e', color: '#e0e0e0' },
+};
+
+// Lay the chapter out in columns exactly one frame wide, so each column is a page
+const buildReaderStyle = ({ width, height, fontSize, theme }) => {
+  const colors = THEMES[theme] || THEMES.light;
+  const forceColors = theme !== 'light'
+    ? `body * { color: inherit !important; background-color: transparent !important; }`
+    : '';
+
+  return `
+    html {
+      height: ${height}px !important;
+      overflow: hidden !important;
+    }
+    body {
+      box-sizing: border-box !important;
+      height: ${height}px !important;
+      margin: 0 !important;
+      padding: ${PAGE_PADDING}px !important;
+      column-width: ${width - 2 * PAGE_PADDING}px !important;
+      column-gap: ${2 * PAGE_PADDING}px !important;
+      column-fill: auto !important;
+      font-size: ${fontSize}% !important;
+      line-height: 1.5;
+      overflow-wrap: break-word;
+      background: ${colors.background} !important;
+      color: ${colors.color} !important;
+    }
+    ${forceColors}
+    img, svg, video {
+      max-width: 100% !important;
+      max-height: ${height - 2 * PAGE_PADDING}px !important;
+      object-fit: contain;
+      break-inside: avoid;
+    }
+  `;
+};
+
+// Reading positions are stored as EPUB CFIs down to element level, e.g. epubcfi(/6/4!/4/2/10):
+// /6 is the package spine, /4 the second spine item, then the element path inside that document
+const SPINE_CFI_STEP = 6;
+
+const buildCfi = (spineIndex, element) => {
+  const steps = [];
+  for (let node = element; node?.parentElement; node = node.parentElement) {
+    steps.unshift((Array.prototype.indexOf.call(node.parentElement.children, node) + 1) * 2);
+  }
+  return `epubcfi(/${SPINE_CFI_STEP}/${(spineIndex + 1) * 2}!${steps.map(step => `/${step}`).join('')})`;
+};
+
+const parseCfi = (cfi) => {
+  const match = /^epubcfi\(\/\d+\/(\d+)(?:\[[^\]]*\])?!((?:\/\d+(?:\[[^\]]*\])?)*)/.exec(cfi || '');
+  if (!match) return null;
+
+  return {
+    spineIndex: Number(match[1]) / 2 - 1,
+    steps: (match[2].match(/\/\d+/g) || []).map(step => Number(step.substring(1))),
+  };
+};
+
+const resolveCfiSteps = (doc, steps) => {
+  let element = doc?.documentElement;
+  for (const step of steps) {
+    const child = element?.children[step / 2 - 1];
+    if (!child) break;
+    element = child;
+  }
+  return element;
+};
+
+// First element with text on the visible page; elements starting on this page win over ones continued from the previous page
+const findFirstVisibleElement = (doc, width) => {
+  let continued = null;
+
+  for (const element of doc.body ? doc.body.getElementsByTagName('*') : []) {
+    const hasText = Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+    if (element.children.length > 0 && !hasText) continue;
+
+    const rects = Array.from(element.getClientRects()).filter(rect => rect.width > 0);
+    if (rects.length === 0) continue;
+    if (rects[0].left >= 0 && rects[0].left < width) return element;
+    if (!continued && rects.some(rect => rect.left >= 0 && rect.left < width)) continued = element;
+  }
+
+  return continued;
+};
+
+const flattenToc = (items, depth = 0) => items.flatMap(item => [
+  { ...item, depth },
+  ...flattenToc(item.children || [], depth + 1),
+]);
+
+function EpubReader({ shared = false }) {
+  const { id, token } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+
+  const [book, setBook] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [chapterIndex, setChapterIndex] = useState(0);
+  const [page, setPage] = useState(0);
+  const [pageCount, setPageCount] = useState(1);
+  const [loadedChapter, setLoadedChapter] = useState(null);
+  const [tocOpen, setTocOpen] = useState(false);
+  const [fontSize, setFontSize] = useState(() => Number(localStorage.getItem('readerFontSize')) || 100);
+  const [theme, setTheme] = useState(() => localStorage.getItem('readerTheme') || 'light');
+
+  const frameRef = useRef(null);
+  const pageRef = useRef(0);
+  const pageCountRef = useRef(1);
+  // Where to go once the next chapter has loaded: 'start', 'end', { fragment } or { steps } of a CFI
+  const pendingTargetRef = useRef('start');
+  const handlersRef = useRef({});
+  const progressSaverRef = useRef(null);
+
+  const backPath = shared ? `/share/${token}` : '/';
+
+  useEffect(() => {
+    const loadBook = async () => {
+      try {
+        const response = shared
+          ? await axios.get(`/api/share/${token}/reader`)
+          : await api.get(`/api/books/${id}/reader`);
+
+        // A chapter in the link (e.g. from the content search) takes precedence over the saved position
+        const linkedChapter = parseInt(searchParams.get('chapter'), 10);
+        if (linkedChapter >= 0 && linkedChapter < response.data.spine.length) {
+          setChapterIndex(linkedChapter);
+        }
+
+        // Resume where the user stopped reading, on this or another device
+        if (!shared) {
+          const saved = Number.isNaN(linkedChapter) ? await loadReadingProgress(id).catch(() => null) : null;
+          const position = parseCfi(saved?.location);
+          if (position && position.spineIndex >= 0 && position.spineIndex < response.data.spine.length) {
+            pendingTargetRef.current = { steps: position.steps };
+            setChapterIndex(position.spineIndex);
+          }
+          progressSaverRef.current = createProgressSaver(id);
+        }
+
+        setBook(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || t('reader.loadError'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBook();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, token, shared]);
+
+  useEffect(() => {
+    const flushProgress = () => progressSaverRef.current?.flush();
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushProgress();
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flushProgress();
+    };
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem('readerFontSize', String(fontSize));
+    localStorage.setItem('readerTheme', theme);
+  }, [fontSize, theme]);
+
+  const getDocument = () => {
+    try {
+      return frameRef.current?.contentDocument || null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const showPage = useCallback((target) => {
+    const doc = getDocument();
+    const next = Math.max(0, Math.min(target, pageCountRef.current - 1));
+    if (doc) {
+      const scroller = doc.scrollingElement || doc.documentElement;
+      scroller.scrollLeft = next * frameRef.current.clientWidth;
+    }
+    pageRef.current = next;
+    setPage(next);
+  }, []);
+
+  // Apply the reader style and return the number of pages of the current chapter
+  const layoutChapter = useCallback(() => {
+    const doc = getDocument();
+    if (!doc || !doc.documentElement) return 1;
+
+    const width = frameRef.current.clientWidth;
+    const height = frameRef.current.clientHeight;
+
+    let style = doc.getElementById(STYLE_ID);
+    if (!style) {
+      style = doc.createElement('style');
+      style.id = STYLE_ID;
+      (doc.head || doc.documentElement).appendChild(style);
+    }
+    style.textContent = buildReaderStyle({ width, height, fontSize, theme });
+
+    const scroller = doc.scrollingElement || doc.documentElement;
+    const count = Math.max(1, Math.round(scroller.scrollWidth / width));
+    pageCountRef.current = count;
+    setPageCount(count);
+    return count;
+  }, [fontSize, theme]);
+
+  const getElementPage = (element) => {
+    const doc = getDocument();
+    if (!doc || !element || element === doc.documentElement) return 0;
+
+    const scroller = doc.scrollingElement || doc.documentElement;
+    const left = element.getBoundingClientRect().left + scroller.scrollLeft;
+    return Math.floor(left / frameRef.current.clientWidth);
+  };
+
+  const getTargetPage = (target) => {
+    if (target === 'end') return pageCountRef.current - 1;
+    if (target?.fragment) return getElementPage(getDocument()?.getElementById(target.fragment));
+    if (target?.steps) return getElementPage(resolveCfiSteps(getDocument(), target.steps));
+    return 0;
+  };
+
+  const goToChapter = (index, target = 'start') => {
+    if (!book || index < 0 || index >= book.spine.length) return;
+
+    if (index === chapterIndex) {
+      showPage(getTargetPage(target));
+      return;
+    }
+
+    pendingTargetRef.current = target;
+    setChapterIndex(index);
+  };
+
+  const goToHref = (href, fragment) => {
+    const index = book.spine.findIndex(item => item.href === href);
+    if (index !== -1) {
+      goToChapter(index, fragment ? { fragment } : 'start');
+    }
+  };
+
+  const nextPage = () => {
+    if (pageRef.current < pageCountRef.current - 1) {
+      showPage(pageRef.current + 1);
+    } else {
+      goToChapter(chapterIndex + 1, 'start');
+    }
+  };
+
+  const previousPage = () => {
+    if (pageRef.current > 0) {
+      showPage(pageRef.current - 1);
+    } else {
+      goToChapter(chapterIndex - 1, 'end');
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowRight' || event.key === 'PageDown') {
+      event.preventDefault();
+      nextPage();
+    } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+      event.preventDefault();
+      previousPage();
+    }
+  };
+
+  // Links inside the book stay in the reader, everything else opens in a new tab
+  const handleLinkClick = (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (!link) return;
+
+    event.preventDefault();
+    const url = new URL(link.href);
+    const base = new URL(book.resourceBase, window.location.origin);
+
+    if (url.origin === base.origin && url.pathname.startsWith(base.pathname)) {
+      const href = decodeURIComponent(url.pathname.substring(base.pathname.length));
+      goToHref(href, url.hash ? decodeURIComponent(url.hash.substring(1)) : null);
+    } else if (url.origin !== window.location.origin) {
+      window.open(url.href, '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  // Listeners inside the frame are attached once per chapter, so they go through a ref
+  handlersRef.current = { handleKeyDown, handleLinkClick };
+
+  const handleFrameLoad = () => {
+    const doc = getDocument();
+    if (!doc) return;
+
+    doc.addEventListener('keydown', event => handlersRef.current.handleKeyDown(event));
+    doc.addEventListener('click', event => handlersRef.current.handleLinkClick(event));
+
+    layoutChapter();
+    const target = pendingTargetRef.current;
+    pendingTargetRef.current = 'start';
+
+    showPage(getTargetPage(target));
+    setLoadedChapter(chapterIndex);
+  };
+
+  // Re-paginate on font, theme and window size changes while keeping the reading position
+  const relayout = useCallback(() => {
+    const position = pageCountRef.current > 1 ? pageRef.current / pageCountRef.current : 0;
+    const count = layoutChapter();
+    showPage(Math.floor(position * count));
+  }, [layoutChapter, showPage]);
+
+  useEffect(() => {
+    relayout();
+  }, [relayout]);
+
+  useEffect(() => {
+    const doc = getDocument();
+    if (!book || !progressSaverRef.current || loadedChapter !== chapterIndex || !doc) return;
+
+    const element = findFirstVisibleElement(doc, frameRef.current.clientWidth);
+    progressSaverRef.current.update({
+      location: buildCfi(chapterIndex, element || doc.body),
+      percentage: ((chapterIndex + (page + 1) / pageCount) / book.spine.length) * 100,
+    });
+  }, [book, chapterIndex, loadedChapter, page, pageCount]);
+
+  useEffect(() => {
+    window.addEventListener('resize', relayout);
+    return () => window.removeEventListener('resize', relayout);
+  }, [relayout]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => handlersRef.current.handleKeyDown(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: '100vh' }}>
+        <CircularProgress />
+        <Typography variant="body1" sx={{ mt: 2 }}>
+          {t('reader.loading')}
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (error || !book) {
+    return (
+      <Box sx={{ maxWidth: 600, mx: 'auto', mt: 8, textAlign: 'center' }}>
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error || t('reader.loadError')}
+        </Alert>
+        <Button startIcon={<ArrowBack />} onClick={() => navigate(backPath)}>
+          {t('reader.back')}
+        </Button>
+      </Box>
+    );
+  }
+
+  const chapter = book.spine[chapterIndex];
+  const tocItems = flattenToc(book.toc);
+  const currentTocItem = tocItems.find(item => item.href === chapter.href);
+  const isFirstPage = chapterIndex === 0 && page === 0;
+  const isLastPage = chapterIndex === book.spine.length - 1 && page >= pageCount - 1;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh', bgcolor: THEMES[theme].background }}>
+      <AppBar position="static" color="default" elevation={1}>
+        <Toolbar variant="dense" sx={{ gap: 1 }}>
+          <Tooltip title={t('reader.back')}>
+            <IconButton edge="start" onClick={() => navigate(backPath)} aria-label={t('reader.back')}>
+              <ArrowBack />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={t('reader.tableOfContents')}>
+            <IconButton onClick={() => setTocOpen(true)} aria-label={t('reader.tableOfContents')}>
+              <Toc />
+            </IconButton>
+          </Tooltip>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="subtitle1" noWrap>
+              {book.title}
+            </Typography>
+            {book.author && (
+              <Typography variant="caption" color="text.secondary" noWrap component="div">
+                {book.author}
+              </Typography>
+            )}
+          </Box>
+          <Tooltip title={t('reader.smallerFont')}>
+            <span>
+              <IconButton
+                onClick={() => setFontSize(size => Math.max(MIN_FONT_SIZE, size - FONT_SIZE_STEP))}
+                disabled={fontSize <= MIN_FONT_SIZE}
+                aria-label={t('reader.smallerFont')}
+              >
+                <TextDecrease />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Typography variant="body2" sx={{ minWidth: 40, textAlign: 'center' }}>
+            {fontSize}%
+          </Typography>
+          <Tooltip title={t('reader.largerFont')}>
+            <span>
+              <IconButton
+                onClick={() => setFontSize(size => Math.min(MAX_FONT_SIZE, size + FONT_SIZE_STEP))}
+                disabled={fontSize >= MAX_FONT_SIZE}
+                aria-label={t('reader.largerFont')}
+              >
+                <TextIncrease />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <ToggleButtonGroup
+            value={theme}
+            exclusive
+            size="small"
+            onChange={(event, value) => value && setTheme(value)}
+            aria-label={t('reader.theme')}
+            sx={{ display: { xs: 'none', sm: 'flex' } }}
+          >
+            <ToggleButton value="light">{t('reader.themeLight')}</ToggleButton>
+            <ToggleButton value="sepia">{t('reader.themeSepia')}</ToggleButton>
+            <ToggleButton value="dark">{t('reader.themeDark')}</ToggleButton>
+          </ToggleButtonGroup>
+        </Toolbar>
+      </AppBar>
+
+      <Box sx={{ flex: 1, position: 'relative', minHeight: 0 }}>
+        <Box
+          component="iframe"
+          ref={frameRef}
+          key={chapter.href}
+          src={`${book.resourceBase}${chapter.href.split('/').map(encodeURIComponent).join('/')}`}
+          title={book.title}
+          onLoad={handleFrameLoad}
+          sx={{ width: '100%', height: '100%', border: 0, display: 'block' }}
+        />
+      </Box>
+
+      <Box
+        component="nav"
+        sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 1, py: 0.5, borderTop: 1, borderColor: 'divider', bgcolor: 'background.paper' }}
+      >
+        <Tooltip title={t('reader.previousPage')}>
+          <span>
+            <IconButton onClick={previousPage} disabled={isFirstPage} aria-label={t('reader.previousPage')}>
+              <ChevronLeft />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Box sx={{ textAlign: 'center', minWidth: 0 }}>
+          {currentTocItem && (
+            <Typography variant="caption" color="text.secondary" noWrap component="div">
+              {currentTocItem.label}
+            </Typography>
+          )}
+          <Typography variant="body2">
+            {t('reader.page')} {page + 1} {t('reader.of')} {pageCount}
+          </Typography>
+        </Box>
+        <Tooltip title={t('reader.nextPage')}>
+          <span>
+            <IconButton onClick={nextPage} disabled={isLastPage} aria-label={t('reader.nextPage')}>
+              <ChevronRight />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Drawer anchor="left" open={tocOpen} onClose={() => setTocOpen(false)}>
+        <Box sx={{ width: 320, maxWidth: '85vw' }} role="navigation" aria-label={t('reader.tableOfContents')}>
+          <Typography variant="h6" sx={{ p: 2 }}>
+            {t('reader.tableOfContents')}
+          </Typography>
+          {tocItems.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ px: 2 }}>
+              {t('reader.noTableOfContents')}
+            </Typography>
+          ) : (
+            <List dense>
+              {tocItems.map((item, index) => (
+                <ListItemButton
+                  key={`${item.href}-${item.fragment}-${index}`}
+                  selected={item === currentTocItem}
+                  disabled={!item.href}
+                  onClick={() => {
+                    setTocOpen(false);
+                    goToHref(item.href, item.fragment);
+                  }}
+                  sx={{ pl: 2 + item.depth * 2 }}
+                >
+                  <ListItemText primary={item.label} />
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+        </Box>
+      </Drawer>
+    </Box>
+  );
+}
+
+export default EpubReader;
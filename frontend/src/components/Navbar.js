@@ -23,6 +23,8 @@ import {
   Brightness7,
   SettingsBrightness,
   Settings,
+  CollectionsBookmark,
+  RecentActors,
 } from '@mui/icons-material';
 import { ColorModeContext } from '../index';
 import { useLanguage } from '../contexts/LanguageContext';
@@ -65,6 +67,8 @@ function Navbar({ user, onLogout }) {
 
   const menuItems = [
     { path: '/', label: t('nav.dashboard'), icon: <Dashboard /> },
+    { path: '/series', label: t('nav.series'), icon: <CollectionsBookmark /> },
+    { path: '/authors', label: t('nav.authors'), icon: <RecentActors /> },
     { path: '/upload', label: t('nav.upload'), icon: <CloudUpload /> },
   ];
 
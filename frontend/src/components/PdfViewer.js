@@ -0,0 +1,486 @@
+// frontend/src/components/PdfViewer.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Box,
+  IconButton,
+  Tooltip,
+  TextField,
+  CircularProgress,
+  Alert,
+  Button,
+} from '@mui/material';
+import {
+  ArrowBack,
+  ChevronLeft,
+  ChevronRight,
+  ZoomIn,
+  ZoomOut,
+  FitScreen,
+  ViewSidebar,
+} from '@mui/icons-material';
+import * as pdfjsLib from 'pdfjs-dist';
+import axios from 'axios';
+import api from '../services/api';
+import { loadReadingProgress, createProgressSaver } from '../services/readingProgress';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+// pdf.js requests the file in chunks of this size instead of downloading it completely
+const RANGE_CHUNK_SIZE = 256 * 1024;
+const THUMBNAIL_WIDTH = 120;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 4;
+
+// Render a page into a canvas at the given scale, sharp on high-DPI screens
+const renderPage = (page, canvas, scale) => {
+  const viewport = page.getViewport({ scale });
+  const ratio = window.devicePixelRatio || 1;
+
+  canvas.width = Math.floor(viewport.width * ratio);
+  canvas.height = Math.floor(viewport.height * ratio);
+  canvas.style.width = `${Math.floor(viewport.width)}px`;
+  canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+  return page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport,
+    transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+  });
+};
+
+// Thumbnails are only rendered once they scroll into view
+function PdfThumbnail({ pdf, pageNumber, aspectRatio, selected, onSelect, label }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!visible) return undefined;
+
+    let renderTask = null;
+    let cancelled = false;
+
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled) return;
+      const scale = THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width;
+      renderTask = renderPage(page, canvasRef.current, scale);
+      renderTask.promise.catch(() => {});
+    }).catch(() => {});
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, visible]);
+
+  return (
+    <Box
+      ref={containerRef}
+      component="button"
+      type="button"
+      onClick={() => onSelect(pageNumber)}
+      aria-label={label}
+      aria-current={selected ? 'page' : undefined}
+      sx={{
+        display: 'block',
+        mx: 'auto',
+        mb: 1,
+        p: 0.5,
+        border: 2,
+        borderColor: selected ? 'primary.main' : 'transparent',
+        borderRadius: 1,
+        bgcolor: 'transparent',
+        cursor: 'pointer',
+      }}
+    >
+      <Box
+        sx={{
+          width: THUMBNAIL_WIDTH,
+          minHeight: Math.round(THUMBNAIL_WIDTH * aspectRatio),
+          bgcolor: 'common.white',
+        }}
+      >
+        <canvas ref={canvasRef} />
+      </Box>
+      <Typography variant="caption" color="text.secondary">
+        {pageNumber}
+      </Typography>
+    </Box>
+  );
+}
+
+function PdfViewer({ shared = false }) {
+  const { id, token } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+
+  const [book, setBook] = useState(null);
+  const [pdf, setPdf] = useState(null);
+  const [aspectRatio, setAspectRatio] = useState(Math.SQRT2);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageInput, setPageInput] = useState('1');
+  const [zoom, setZoom] = useState(1);
+  const [showThumbnails, setShowThumbnails] = useState(() => window.innerWidth >= 900);
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
+  const [loading, setLoading] = useState(true);
+  const [rendering, setRendering] = useState(false);
+  const [error, setError] = useState('');
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const progressSaverRef = useRef(null);
+
+  const backPath = shared ? `/share/${token}` : '/';
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadingTask = null;
+
+    const openDocument = async () => {
+      try {
+        const response = shared
+          ? await axios.get(`/api/share/${token}`)
+          : await api.get(`/api/books/${id}`);
+        if (cancelled) return;
+        setBook(response.data);
+
+        loadingTask = pdfjsLib.getDocument({
+          url: shared ? `/api/share/${token}/download?inline=1` : `/api/books/${id}/formats/pdf/download?inline=1`,
+          httpHeaders: shared ? undefined : { Authorization: `Bearer ${localStorage.getItem('token')}` },
+          rangeChunkSize: RANGE_CHUNK_SIZE,
+          disableAutoFetch: true,
+          disableStream: true,
+          isEvalSupported: false,
+        });
+
+        const pdfDocument = await loadingTask.promise;
+        const firstPage = await pdfDocument.getPage(1);
+        if (cancelled) return;
+
+        const viewport = firstPage.getViewport({ scale: 1 });
+        setAspectRatio(viewport.height / viewport.width);
+
+        // A page in the link (e.g. from the content search) takes precedence over the saved position
+        const linkedPage = parseInt(searchParams.get('page'), 10);
+        if (linkedPage >= 1 && linkedPage <= pdfDocument.numPages) {
+          setPageNumber(linkedPage);
+        }
+
+        // Resume at the last page read, on this or another device
+        if (!shared) {
+          const saved = Number.isNaN(linkedPage) ? await loadReadingProgress(id).catch(() => null) : null;
+          if (cancelled) return;
+          if (saved?.page && saved.page <= pdfDocument.numPages) {
+            setPageNumber(saved.page);
+          }
+          progressSaverRef.current = createProgressSaver(id);
+        }
+
+        setPdf(pdfDocument);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.error || t('pdfViewer.loadError'));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    openDocument();
+    return () => {
+      cancelled = true;
+      loadingTask?.destroy();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, token, shared]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setContainerSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [pdf]);
+
+  useEffect(() => {
+    if (!pdf || !containerSize.width) return undefined;
+
+    let renderTask = null;
+    let cancelled = false;
+    setRendering(true);
+
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled) return;
+
+      // Zoom 1 fits the whole page into the view
+      const viewport = page.getViewport({ scale: 1 });
+      const fitScale = Math.min(
+        (containerSize.width - 32) / viewport.width,
+        (containerSize.height - 32) / viewport.height
+      );
+      renderTask = renderPage(page, canvasRef.current, Math.max(fitScale, 0.1) * zoom);
+
+      return renderTask.promise.then(() => {
+        if (cancelled) return;
+        setRendering(false);
+        // Fetch the next page's data in the background so turning the page is instant
+        if (pageNumber < pdf.numPages) {
+          pdf.getPage(pageNumber + 1).catch(() => {});
+        }
+      });
+    }).catch(err => {
+      if (!cancelled && err?.name !== 'RenderingCancelledException') {
+        setError(t('pdfViewer.renderError'));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [pdf, pageNumber, zoom, containerSize]);
+
+  useEffect(() => {
+    if (!pdf || !progressSaverRef.current) return;
+
+    progressSaverRef.current.update({
+      page: pageNumber,
+      total_pages: pdf.numPages,
+      percentage: (pageNumber / pdf.numPages) * 100,
+    });
+  }, [pdf, pageNumber]);
+
+  useEffect(() => {
+    const flushProgress = () => progressSaverRef.current?.flush();
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushProgress();
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flushProgress();
+    };
+  }, []);
+
+  useEffect(() => {
+    setPageInput(String(pageNumber));
+    if (containerRef.current) {
+      containerRef.current.scrollTop = 0;
+    }
+  }, [pageNumber]);
+
+  const goToPage = (target) => {
+    if (!pdf) return;
+    setPageNumber(Math.max(1, Math.min(pdf.numPages, target)));
+  };
+
+  const handlePageJump = (event) => {
+    event.preventDefault();
+    const target = parseInt(pageInput, 10);
+    if (Number.isNaN(target)) {
+      setPageInput(String(pageNumber));
+    } else {
+      goToPage(target);
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target.tagName === 'INPUT') return;
+
+      if (event.key === 'ArrowRight' || event.key === 'PageDown') {
+        event.preventDefault();
+        setPageNumber(current => Math.min(pdf?.numPages || 1, current + 1));
+      } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+        event.preventDefault();
+        setPageNumber(current => Math.max(1, current - 1));
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [pdf]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: '100vh' }}>
+        <CircularProgress />
+        <Typography variant="body1" sx={{ mt: 2 }}>
+          {t('pdfViewer.loading')}
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (error || !pdf) {
+    return (
+      <Box sx={{ maxWidth: 600, mx: 'auto', mt: 8, textAlign: 'center' }}>
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error || t('pdfViewer.loadError')}
+        </Alert>
+        <Button startIcon={<ArrowBack />} onClick={() => navigate(backPath)}>
+          {t('reader.back')}
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh' }}>
+      <AppBar position="static" color="default" elevation={1}>
+        <Toolbar variant="dense" sx={{ gap: 1 }}>
+          <Tooltip title={t('reader.back')}>
+            <IconButton edge="start" onClick={() => navigate(backPath)} aria-label={t('reader.back')}>
+              <ArrowBack />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={t('pdfViewer.thumbnails')}>
+            <IconButton
+              onClick={() => setShowThumbnails(show => !show)}
+              color={showThumbnails ? 'primary' : 'default'}
+              aria-label={t('pdfViewer.thumbnails')}
+              aria-pressed={showThumbnails}
+            >
+              <ViewSidebar />
+            </IconButton>
+          </Tooltip>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="subtitle1" noWrap>
+              {book?.title}
+            </Typography>
+            {book?.author && (
+              <Typography variant="caption" color="text.secondary" noWrap component="div">
+                {book.author}
+              </Typography>
+            )}
+          </Box>
+          <Tooltip title={t('pdfViewer.zoomOut')}>
+            <span>
+              <IconButton
+                onClick={() => setZoom(value => Math.max(MIN_ZOOM, value / 1.25))}
+                disabled={zoom <= MIN_ZOOM}
+                aria-label={t('pdfViewer.zoomOut')}
+              >
+                <ZoomOut />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('pdfViewer.fitPage')}>
+            <IconButton onClick={() => setZoom(1)} aria-label={t('pdfViewer.fitPage')}>
+              <FitScreen />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={t('pdfViewer.zoomIn')}>
+            <span>
+              <IconButton
+                onClick={() => setZoom(value => Math.min(MAX_ZOOM, value * 1.25))}
+                disabled={zoom >= MAX_ZOOM}
+                aria-label={t('pdfViewer.zoomIn')}
+              >
+                <ZoomIn />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Toolbar>
+      </AppBar>
+
+      <Box sx={{ display: 'flex', flex: 1, minHeight: 0 }}>
+        {showThumbnails && (
+          <Box
+            component="nav"
+            aria-label={t('pdfViewer.thumbnails')}
+            sx={{ width: THUMBNAIL_WIDTH + 40, flexShrink: 0, overflowY: 'auto', py: 1, borderRight: 1, borderColor: 'divider', bgcolor: 'background.paper' }}
+          >
+            {Array.from({ length: pdf.numPages }, (_, index) => (
+              <PdfThumbnail
+                key={index + 1}
+                pdf={pdf}
+                pageNumber={index + 1}
+                aspectRatio={aspectRatio}
+                selected={index + 1 === pageNumber}
+                onSelect={goToPage}
+                label={`${t('reader.page')} ${index + 1}`}
+              />
+            ))}
+          </Box>
+        )}
+
+        <Box
+          ref={containerRef}
+          sx={{ flex: 1, overflow: 'auto', position: 'relative', bgcolor: 'action.hover', textAlign: 'center', p: 2 }}
+        >
+          <Box
+            component="canvas"
+            ref={canvasRef}
+            sx={{ boxShadow: 3, bgcolor: 'common.white', display: 'inline-block', verticalAlign: 'top' }}
+          />
+          {rendering && (
+            <CircularProgress size={32} sx={{ position: 'absolute', top: 16, right: 16 }} />
+          )}
+        </Box>
+      </Box>
+
+      <Box
+        component="nav"
+        sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1, px: 1, py: 0.5, borderTop: 1, borderColor: 'divider', bgcolor: 'background.paper' }}
+      >
+        <Tooltip title={t('reader.previousPage')}>
+          <span>
+            <IconButton onClick={() => goToPage(pageNumber - 1)} disabled={pageNumber <= 1} aria-label={t('reader.previousPage')}>
+              <ChevronLeft />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Box component="form" onSubmit={handlePageJump} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2">{t('reader.page')}</Typography>
+          <TextField
+            size="small"
+            value={pageInput}
+            onChange={(e) => setPageInput(e.target.value.replace(/\D/g, ''))}
+            onBlur={handlePageJump}
+            inputProps={{
+              inputMode: 'numeric',
+              'aria-label': t('pdfViewer.goToPage'),
+              style: { width: 48, textAlign: 'center', padding: '4px' },
+            }}
+          />
+          <Typography variant="body2">
+            {t('reader.of')} {pdf.numPages}
+          </Typography>
+        </Box>
+        <Tooltip title={t('reader.nextPage')}>
+          <span>
+            <IconButton onClick={() => goToPage(pageNumber + 1)} disabled={pageNumber >= pdf.numPages} aria-label={t('reader.nextPage')}>
+              <ChevronRight />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+    </Box>
+  );
+}
+
+export default PdfViewer;
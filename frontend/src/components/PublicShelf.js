@@ -0,0 +1,115 @@
+// frontend/src/components/PublicShelf.js
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Alert,
+  Avatar,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+} from '@mui/material';
+import { MenuBook, Book } from '@mui/icons-material';
+import axios from 'axios';
+import { useLanguage } from '../contexts/LanguageContext';
+import { shelfLabel } from './ShelfManager';
+
+// Read-only page for a shelf shared by a public link; lists the books without download
+function PublicShelf() {
+  const { token } = useParams();
+  const { t } = useLanguage();
+  const [shelf, setShelf] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadShelf();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const loadShelf = async () => {
+    try {
+      const response = await axios.get(`/api/shared-shelves/${token}`);
+      setShelf(response.data);
+    } catch (err) {
+      setError(err.response?.status === 404 ? t('shelves.publicNotFound') : t('shelves.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container maxWidth="md" sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '60vh' }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="md">
+        <Box sx={{ mt: 8, textAlign: 'center' }}>
+          <Alert severity="error">{error}</Alert>
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ mt: 4, mb: 4, textAlign: 'center' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', mb: 2 }}>
+          <MenuBook sx={{ fontSize: 48, color: 'primary.main', mr: 2 }} />
+          <Typography variant="h4" component="div">
+            Lectoria
+          </Typography>
+        </Box>
+        <Typography variant="h5" component="h1" gutterBottom>
+          {shelfLabel(shelf, t)}
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          {t('shelves.sharedBy')} {shelf.owner_name}
+        </Typography>
+        {shelf.description && (
+          <Typography variant="body1" sx={{ mt: 2 }}>
+            {shelf.description}
+          </Typography>
+        )}
+      </Box>
+
+      <Paper elevation={3}>
+        {shelf.books.length === 0 ? (
+          <Typography color="text.secondary" sx={{ p: 4, textAlign: 'center' }}>
+            {t('shelves.noBooks')}
+          </Typography>
+        ) : (
+          <List aria-label={t('shelves.booksOnShelf')}>
+            {shelf.books.map((book) => (
+              <ListItem key={book.id} alignItems="flex-start">
+                <ListItemAvatar>
+                  <Avatar variant="rounded" src={book.cover_image || undefined} sx={{ width: 48, height: 64, mr: 2 }}>
+                    <Book />
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={book.title}
+                  secondary={[book.author, book.published_date, book.series && `${book.series}${book.series_index != null ? ` #${book.series_index}` : ''}`]
+                    .filter(Boolean)
+                    .join(' · ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Container>
+  );
+}
+
+export default PublicShelf;
@@ -0,0 +1,214 @@
+// frontend/src/components/ReviewModeration.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Box,
+  Typography,
+  TextField,
+  Alert,
+  Chip,
+  IconButton,
+  Tooltip,
+  Rating,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  InputAdornment,
+  Pagination,
+} from '@mui/material';
+import { Delete, Search, Visibility, VisibilityOff, RateReview } from '@mui/icons-material';
+import api from '../services/api';
+
+const PAGE_SIZE = 50;
+
+// Admin tab: hide inappropriate reviews, show them again or delete them
+function ReviewModeration() {
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const [reviews, setReviews] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [status, setStatus] = useState('all');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(loadReviews, 250);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status, search, page]);
+
+  const loadReviews = async () => {
+    try {
+      const params = new URLSearchParams({ status, page, limit: PAGE_SIZE });
+      if (search.trim()) params.append('search', search.trim());
+      const response = await api.get(`/api/reviews?${params}`);
+      setReviews(response.data.reviews);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.error || t('reviews.loadError'));
+    }
+  };
+
+  const setHidden = async (review, hidden) => {
+    try {
+      await api.put(`/api/reviews/${review.id}`, { hidden });
+      setSuccess(hidden ? t('reviews.hiddenSuccess') : t('reviews.shownSuccess'));
+      loadReviews();
+    } catch (err) {
+      setError(err.response?.data?.error || t('reviews.moderateError'));
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm(`${t('reviews.deleteReviewConfirm')} ${review.username} / "${review.book_title}"`)) return;
+
+    try {
+      await api.delete(`/api/reviews/${review.id}`);
+      setSuccess(t('reviews.deleted'));
+      loadReviews();
+    } catch (err) {
+      setError(err.response?.data?.error || t('reviews.deleteError'));
+    }
+  };
+
+  return (
+    <>
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <Box>
+          <Typography variant="h6">{t('reviews.moderation')}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t('reviews.moderationDescription')}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            size="small"
+            placeholder={t('reviews.searchPlaceholder')}
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={status}
+            onChange={(e, value) => {
+              if (!value) return;
+              setStatus(value);
+              setPage(1);
+            }}
+            aria-label={t('reviews.statusFilter')}
+          >
+            <ToggleButton value="all">{t('reviews.statusAll')}</ToggleButton>
+            <ToggleButton value="visible">{t('reviews.statusVisible')}</ToggleButton>
+            <ToggleButton value="hidden">{t('reviews.statusHidden')}</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {reviews.length === 0 ? (
+        <Box sx={{ p: 4, textAlign: 'center' }}>
+          <RateReview sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            {t('reviews.noReviews')}
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{t('reviews.book')}</TableCell>
+                <TableCell>{t('reviews.user')}</TableCell>
+                <TableCell>{t('reviews.rating')}</TableCell>
+                <TableCell>{t('reviews.reviewText')}</TableCell>
+                <TableCell>{t('reviews.date')}</TableCell>
+                <TableCell align="right">{t('admin.actions')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {reviews.map((review) => (
+                <TableRow key={review.id} hover sx={{ opacity: review.hidden ? 0.6 : 1 }}>
+                  <TableCell>
+                    <Link component="button" variant="body2" underline="hover" onClick={() => navigate(`/books/${review.book_id}`)}>
+                      {review.book_title}
+                    </Link>
+                  </TableCell>
+                  <TableCell>{review.username}</TableCell>
+                  <TableCell>
+                    <Rating value={review.rating} size="small" readOnly />
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 400 }}>
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+                      {review.review || '–'}
+                    </Typography>
+                    {review.hidden && (
+                      <Chip size="small" color="warning" icon={<VisibilityOff />} label={t('reviews.hidden')} sx={{ mt: 0.5 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>{new Date(`${review.updated_at.replace(' ', 'T')}Z`).toLocaleDateString()}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {review.hidden ? (
+                      <Tooltip title={t('reviews.show')}>
+                        <IconButton size="small" onClick={() => setHidden(review, false)}>
+                          <Visibility />
+                        </IconButton>
+                      </Tooltip>
+                    ) : (
+                      <Tooltip title={t('reviews.hide')}>
+                        <IconButton size="small" onClick={() => setHidden(review, true)}>
+                          <VisibilityOff />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    <Tooltip title={t('reviews.delete')}>
+                      <IconButton size="small" color="error" onClick={() => handleDelete(review)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {pagination.pages > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+              <Pagination count={pagination.pages} page={page} onChange={(e, value) => setPage(value)} />
+            </Box>
+          )}
+        </TableContainer>
+      )}
+    </>
+  );
+}
+
+export default ReviewModeration;
@@ -0,0 +1,457 @@
+// frontend/src/components/SeriesView.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Container,
+  Grid,
+  Card,
+  CardActionArea,
+  CardContent,
+  CardMedia,
+  Typography,
+  Button,
+  TextField,
+  Box,
+  CircularProgress,
+  Alert,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Tooltip,
+  InputAdornment,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import {
+  Search,
+  Add,
+  Edit,
+  Delete,
+  ArrowBack,
+  CollectionsBookmark,
+  Book,
+  WarningAmber,
+} from '@mui/icons-material';
+import api from '../services/api';
+
+const emptySeriesForm = {
+  name: '',
+  description: '',
+  cover: null,
+  removeCover: false,
+};
+
+const getSeriesCover = (series) => series.cover_image || series.volume_cover;
+
+// In-browser reader for a volume, if it has a readable format (EPUB preferred)
+const getReaderPath = (book) => {
+  const formats = book.formats?.length ? book.formats : [book.format].filter(Boolean);
+  if (formats.includes('epub')) return `/read/${book.id}`;
+  if (formats.includes('pdf')) return `/pdf/${book.id}`;
+  return null;
+};
+
+/**
+ * Volumes in reading order with a placeholder for each missing volume number
+ * before the highest one; books without a number come last.
+ */
+const getReadingOrder = (series) => {
+  const missing = new Set(series.missing_volumes || []);
+  const numbered = series.books.filter(book => book.series_index != null);
+  const unnumbered = series.books.filter(book => book.series_index == null);
+
+  const entries = [];
+  let volume = 1;
+  for (const book of numbered) {
+    for (; volume <= Math.floor(book.series_index); volume++) {
+      if (missing.has(volume)) entries.push({ missing: volume });
+    }
+    entries.push({ book });
+  }
+  return [...entries, ...unnumbered.map(book => ({ book }))];
+};
+
+function SeriesView() {
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const user = JSON.parse(localStorage.getItem('user'));
+  const isAdmin = user?.role === 'admin';
+
+  const [seriesList, setSeriesList] = useState([]);
+  const [series, setSeries] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState(emptySeriesForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (id) {
+      loadSeries();
+    } else {
+      loadSeriesList();
+    }
+  }, [id, searchTerm]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadSeriesList = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams();
+      if (searchTerm.trim()) params.append('search', searchTerm.trim());
+      const response = await api.get(`/api/series?${params}`);
+      setSeriesList(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || t('series.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSeries = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/series/${id}`);
+      setSeries(response.data);
+      setError('');
+    } catch (err) {
+      setSeries(null);
+      setError(err.response?.data?.error || t('series.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateDialog = () => {
+    setEditing(false);
+    setFormData(emptySeriesForm);
+    setDialogOpen(true);
+  };
+
+  const openEditDialog = () => {
+    setEditing(true);
+    setFormData({
+      ...emptySeriesForm,
+      name: series.name,
+      description: series.description || '',
+    });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    const data = new FormData();
+    data.append('name', formData.name);
+    data.append('description', formData.description);
+    if (formData.cover) {
+      data.append('cover', formData.cover);
+    } else if (formData.removeCover) {
+      data.append('remove_cover', 'true');
+    }
+
+    try {
+      setSaving(true);
+      const config = { headers: { 'Content-Type': 'multipart/form-data' } };
+      if (editing) {
+        const response = await api.put(`/api/series/${series.id}`, data, config);
+        setSeries(response.data);
+        setSuccess(t('series.updated'));
+      } else {
+        const response = await api.post('/api/series', data, config);
+        setSuccess(t('series.created'));
+        navigate(`/series/${response.data.id}`);
+      }
+      setDialogOpen(false);
+    } catch (err) {
+      setError(err.response?.data?.error || t('series.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('series.deleteConfirm'))) return;
+
+    try {
+      await api.delete(`/api/series/${series.id}`);
+      setSuccess(t('series.deleted'));
+      navigate('/series');
+    } catch (err) {
+      setError(err.response?.data?.error || t('series.deleteError'));
+    }
+  };
+
+  const renderCover = (item, height) => (getSeriesCover(item) ? (
+    <CardMedia
+      component="img"
+      height={height}
+      image={getSeriesCover(item)}
+      alt={`Cover von ${item.name}`}
+      sx={{ objectFit: 'cover' }}
+    />
+  ) : (
+    <Box
+      sx={{ height, display: 'flex', alignItems: 'center', justifyContent: 'center', bgcolor: '#1a1a1a' }}
+      role="img"
+      aria-label={`Kein Cover verfügbar für ${item.name}`}
+    >
+      <CollectionsBookmark sx={{ fontSize: 60, color: 'grey.500' }} aria-hidden="true" />
+    </Box>
+  ));
+
+  const renderMissingChip = (item) => item.missing_count > 0 && (
+    <Chip
+      size="small"
+      color="warning"
+      icon={<WarningAmber />}
+      label={`${item.missing_count} ${t('series.missingVolumes')}`}
+    />
+  );
+
+  const renderList = () => (
+    <>
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <TextField
+          placeholder={t('series.searchPlaceholder')}
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          size="small"
+          sx={{ flexGrow: 1, minWidth: 240 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            ),
+          }}
+        />
+        {isAdmin && (
+          <Button variant="contained" startIcon={<Add />} onClick={openCreateDialog}>
+            {t('series.create')}
+          </Button>
+        )}
+      </Box>
+
+      {seriesList.length === 0 ? (
+        <Box sx={{ textAlign: 'center', py: 8 }}>
+          <CollectionsBookmark sx={{ fontSize: 80, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            {t('series.noSeries')}
+          </Typography>
+        </Box>
+      ) : (
+        <Grid container spacing={3}>
+          {seriesList.map((item) => (
+            <Grid item xs={12} sm={6} md={4} lg={3} key={item.id}>
+              <Card sx={{ height: '100%' }}>
+                <CardActionArea onClick={() => navigate(`/series/${item.id}`)} sx={{ height: '100%' }}>
+                  {renderCover(item, 180)}
+                  <CardContent>
+                    <Typography variant="h6" noWrap gutterBottom>
+                      {item.name}
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      <Chip size="small" label={`${item.book_count} ${t('series.volumes')}`} />
+                      {renderMissingChip(item)}
+                    </Box>
+                  </CardContent>
+                </CardActionArea>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+    </>
+  );
+
+  const renderDetail = () => (
+    <>
+      <Button startIcon={<ArrowBack />} onClick={() => navigate('/series')} sx={{ mb: 2 }}>
+        {t('series.backToList')}
+      </Button>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} sm={4} md={3}>
+          <Card>{renderCover(series, 280)}</Card>
+        </Grid>
+        <Grid item xs={12} sm={8} md={9}>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+            <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
+              {series.name}
+            </Typography>
+            {isAdmin && (
+              <>
+                <Tooltip title={t('series.edit')}>
+                  <IconButton onClick={openEditDialog} aria-label={t('series.edit')}>
+                    <Edit />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title={t('series.delete')}>
+                  <IconButton color="error" onClick={handleDelete} aria-label={t('series.delete')}>
+                    <Delete />
+                  </IconButton>
+                </Tooltip>
+              </>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', my: 1 }}>
+            <Chip size="small" label={`${series.book_count} ${t('series.volumes')}`} />
+            {renderMissingChip(series)}
+          </Box>
+          {series.description && (
+            <Typography variant="body1" color="text.secondary" sx={{ whiteSpace: 'pre-line' }}>
+              {series.description}
+            </Typography>
+          )}
+        </Grid>
+      </Grid>
+
+      <Typography variant="h6" sx={{ mt: 4, mb: 1 }}>
+        {t('series.readingOrder')}
+      </Typography>
+      {series.books.length === 0 ? (
+        <Typography color="text.secondary">{t('series.noBooks')}</Typography>
+      ) : (
+        <List aria-label={t('series.readingOrder')}>
+          {getReadingOrder(series).map((entry) => (entry.missing ? (
+            <ListItem
+              key={`missing-${entry.missing}`}
+              sx={{ border: '1px dashed', borderColor: 'warning.main', borderRadius: 1, mb: 1 }}
+            >
+              <ListItemAvatar>
+                <Avatar sx={{ bgcolor: 'warning.main' }}>{entry.missing}</Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={`${t('series.volume')} ${entry.missing}`}
+                secondary={t('series.volumeMissing')}
+                primaryTypographyProps={{ color: 'warning.main' }}
+              />
+            </ListItem>
+          ) : (
+            <ListItem key={entry.book.id} disablePadding sx={{ mb: 1 }}>
+              <ListItemButton
+                disabled={!getReaderPath(entry.book)}
+                onClick={() => navigate(getReaderPath(entry.book))}
+              >
+                <ListItemAvatar>
+                  <Avatar variant="rounded" src={entry.book.cover_image || undefined}>
+                    <Book />
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={entry.book.series_index != null
+                    ? `${entry.book.series_index}. ${entry.book.title}`
+                    : entry.book.title}
+                  secondary={entry.book.author}
+                />
+                {entry.book.progress_percentage != null && (
+                  <Chip size="small" label={`${Math.round(entry.book.progress_percentage)}% ${t('dashboard.progressRead')}`} />
+                )}
+              </ListItemButton>
+            </ListItem>
+          )))}
+        </List>
+      )}
+    </>
+  );
+
+  return (
+    <Container maxWidth="xl">
+      {!id && (
+        <Typography variant="h4" component="h1" gutterBottom>
+          {t('series.title')}
+        </Typography>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : id ? (series && renderDetail()) : renderList()}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing ? t('series.edit') : t('series.create')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            label={t('series.nameLabel')}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+          />
+          <TextField
+            fullWidth
+            multiline
+            rows={4}
+            margin="normal"
+            label={t('series.descriptionLabel')}
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          />
+          <Button variant="outlined" component="label" sx={{ mt: 1 }}>
+            {formData.cover ? formData.cover.name : t('series.coverLabel')}
+            <input
+              type="file"
+              hidden
+              accept="image/*"
+              onChange={(e) => setFormData({ ...formData, cover: e.target.files[0] || null, removeCover: false })}
+            />
+          </Button>
+          {editing && series?.cover_image && !formData.cover && (
+            <FormControlLabel
+              sx={{ display: 'block', mt: 1 }}
+              control={(
+                <Checkbox
+                  checked={formData.removeCover}
+                  onChange={(e) => setFormData({ ...formData, removeCover: e.target.checked })}
+                />
+              )}
+              label={t('series.removeCover')}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)} disabled={saving}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !formData.name.trim()}
+            startIcon={saving ? <CircularProgress size={20} /> : null}
+          >
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default SeriesView;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useNavigate } from 'react-router-dom';
 import {
   Container,
   Typography,
@@ -18,11 +18,22 @@ import {
   Article,
   Visibility,
   CloudDownload,
+  AutoStories,
 } from '@mui/icons-material';
 import axios from 'axios';
+import { RatingSummary, ReviewList } from './BookReviews';
+
+// Reader of a shared book: the EPUB reader if any of its files is an EPUB,
+// the PDF viewer if the shared (primary) file is a PDF
+const getReaderPath = (book) => {
+  if (book.formats?.includes('epub')) return 'read';
+  if (book.filename?.toLowerCase().endsWith('.pdf')) return 'pdf';
+  return null;
+};
 
 function SharedBook() {
   const { token } = useParams();
+  const navigate = useNavigate();
   const [book, setBook] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -172,6 +183,7 @@ function SharedBook() {
                 <Typography variant="h6" color="text.secondary" gutterBottom>
                   von {book.author || 'Unbekannt'}
                 </Typography>
+                <RatingSummary averageRating={book.average_rating} ratingCount={book.rating_count} size="medium" />
                 <Chip
                   label={book.type === 'magazine' ? 'Magazin' : 'Buch'}
                   color={book.type === 'magazine' ? 'secondary' : 'primary'}
@@ -245,6 +257,17 @@ function SharedBook() {
               >
                 {downloading ? 'Wird heruntergeladen...' : 'Herunterladen'}
               </Button>
+              {getReaderPath(book) && (
+                <Button
+                  variant="outlined"
+                  size="large"
+                  startIcon={<AutoStories />}
+                  onClick={() => navigate(`/share/${token}/${getReaderPath(book)}`)}
+                  sx={{ minWidth: 200, ml: 2 }}
+                >
+                  Online lesen
+                </Button>
+              )}
               <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
                 Dateiname: {book.filename}
               </Typography>
@@ -253,6 +276,15 @@ function SharedBook() {
         </Card>
       </Paper>
 
+      {book.reviews?.length > 0 && (
+        <Paper elevation={3} sx={{ mt: 3, p: 4 }}>
+          <Typography variant="h6" gutterBottom>
+            Bewertungen
+          </Typography>
+          <ReviewList reviews={book.reviews} />
+        </Paper>
+      )}
+
       <Box sx={{ mt: 4, textAlign: 'center' }}>
         <Typography variant="body2" color="text.secondary">
           Powered by Lectoria BookManager
@@ -0,0 +1,413 @@
+// frontend/src/components/ShelfManager.js
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Divider,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Add,
+  Delete,
+  ArrowUpward,
+  ArrowDownward,
+  Close,
+  ContentCopy,
+  Link as LinkIcon,
+  LinkOff,
+  PersonAdd,
+} from '@mui/icons-material';
+import api from '../services/api';
+
+// Default shelves ("To read", "Favorites") are shown with a translated name
+export const shelfLabel = (shelf, t) => (shelf.kind ? t(`shelves.kinds.${shelf.kind}`) : shelf.name);
+
+/**
+ * Dialog to manage the own shelves: create, rename and delete shelves, put
+ * shelves and their books in order, share a shelf with other users or by
+ * a public link. onChange is called whenever shelves or their books changed.
+ */
+function ShelfManager({ open, onClose, onChange, initialShelfId }) {
+  const { t } = useLanguage();
+  const [shelves, setShelves] = useState([]);
+  const [shelf, setShelf] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [shareUsername, setShareUsername] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setError('');
+      setSuccess('');
+      loadShelves(initialShelfId);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  const ownShelves = shelves.filter((item) => item.is_owner);
+
+  const loadShelves = async (selectId) => {
+    try {
+      const response = await api.get('/api/shelves');
+      setShelves(response.data);
+      const own = response.data.filter((item) => item.is_owner);
+      const selected = own.find((item) => item.id === selectId) || own[0];
+      if (selected) loadShelf(selected.id);
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.loadError'));
+    }
+  };
+
+  const loadShelf = async (id) => {
+    try {
+      const response = await api.get(`/api/shelves/${id}`);
+      setShelf(response.data);
+      setFormData({ name: response.data.name, description: response.data.description || '' });
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.loadError'));
+    }
+  };
+
+  // Reload after a change and tell the dashboard
+  const changed = async (message, selectId = shelf?.id) => {
+    setSuccess(message);
+    setError('');
+    await loadShelves(selectId);
+    onChange();
+  };
+
+  const handleCreate = async () => {
+    try {
+      const response = await api.post('/api/shelves', { name: newName });
+      setNewName('');
+      await changed(t('shelves.created'), response.data.id);
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.saveError'));
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      await api.put(`/api/shelves/${shelf.id}`, shelf.is_default
+        ? { description: formData.description }
+        : formData);
+      await changed(t('shelves.updated'));
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.saveError'));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`${t('shelves.deleteConfirm')} "${shelf.name}"`)) return;
+
+    try {
+      await api.delete(`/api/shelves/${shelf.id}`);
+      setShelf(null);
+      await changed(t('shelves.deleted'), null);
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.deleteError'));
+    }
+  };
+
+  // Swap a shelf with its neighbour in the list of own shelves
+  const moveShelf = async (index, offset) => {
+    const ids = ownShelves.map((item) => item.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    try {
+      await api.put('/api/shelves/order', { shelf_ids: ids });
+      await changed(t('shelves.orderSaved'));
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.saveError'));
+    }
+  };
+
+  const moveBook = async (index, offset) => {
+    const ids = shelf.books.map((book) => book.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    try {
+      await api.put(`/api/shelves/${shelf.id}/books/order`, { book_ids: ids });
+      await changed(t('shelves.orderSaved'));
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.saveError'));
+    }
+  };
+
+  const removeBook = async (book) => {
+    try {
+      await api.delete(`/api/shelves/${shelf.id}/books/${book.id}`);
+      await changed(t('shelves.bookRemoved'));
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.saveError'));
+    }
+  };
+
+  const handleShare = async () => {
+    try {
+      await api.post(`/api/shelves/${shelf.id}/shares`, { username: shareUsername });
+      setShareUsername('');
+      await changed(t('shelves.shared'));
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.shareError'));
+    }
+  };
+
+  const removeShare = async (sharedUser) => {
+    try {
+      await api.delete(`/api/shelves/${shelf.id}/shares/${sharedUser.id}`);
+      await changed(t('shelves.shareRemoved'));
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.shareError'));
+    }
+  };
+
+  const togglePublicLink = async () => {
+    try {
+      if (shelf.share_url) {
+        await api.delete(`/api/shelves/${shelf.id}/public-link`);
+        await changed(t('shelves.publicLinkRemoved'));
+      } else {
+        await api.post(`/api/shelves/${shelf.id}/public-link`);
+        await changed(t('shelves.publicLinkCreated'));
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || t('shelves.shareError'));
+    }
+  };
+
+  const copyPublicLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shelf.share_url);
+      setSuccess(t('shelves.linkCopied'));
+    } catch (err) {
+      setError(t('shelves.copyError'));
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{t('shelves.manage')}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+            {success}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 3, flexDirection: { xs: 'column', md: 'row' } }}>
+          <Box sx={{ width: { md: 260 }, flexShrink: 0 }}>
+            <List dense aria-label={t('shelves.myShelves')}>
+              {ownShelves.map((item, index) => (
+                <ListItem
+                  key={item.id}
+                  disablePadding
+                  secondaryAction={(
+                    <>
+                      <IconButton
+                        size="small"
+                        disabled={index === 0}
+                        onClick={() => moveShelf(index, -1)}
+                        aria-label={t('shelves.moveUp')}
+                      >
+                        <ArrowUpward fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        disabled={index === ownShelves.length - 1}
+                        onClick={() => moveShelf(index, 1)}
+                        aria-label={t('shelves.moveDown')}
+                      >
+                        <ArrowDownward fontSize="small" />
+                      </IconButton>
+                    </>
+                  )}
+                >
+                  <ListItemButton selected={shelf?.id === item.id} onClick={() => loadShelf(item.id)} sx={{ pr: 10 }}>
+                    <ListItemText primary={shelfLabel(item, t)} secondary={`${item.book_count} ${t('shelves.books')}`} />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+            </List>
+            <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+              <TextField
+                size="small"
+                fullWidth
+                label={t('shelves.newShelf')}
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && newName.trim()) handleCreate();
+                }}
+              />
+              <Tooltip title={t('shelves.create')}>
+                <span>
+                  <IconButton color="primary" disabled={!newName.trim()} onClick={handleCreate}>
+                    <Add />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          </Box>
+
+          {shelf && (
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <TextField
+                fullWidth
+                size="small"
+                margin="dense"
+                label={t('shelves.name')}
+                value={shelf.is_default ? shelfLabel(shelf, t) : formData.name}
+                disabled={shelf.is_default}
+                helperText={shelf.is_default ? t('shelves.defaultShelfHelp') : ''}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              />
+              <TextField
+                fullWidth
+                size="small"
+                margin="dense"
+                multiline
+                minRows={2}
+                label={t('shelves.description')}
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              />
+              <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                <Button variant="contained" size="small" onClick={handleSave} disabled={!formData.name.trim()}>
+                  {t('common.save')}
+                </Button>
+                {!shelf.is_default && (
+                  <Button color="error" size="small" startIcon={<Delete />} onClick={handleDelete}>
+                    {t('shelves.delete')}
+                  </Button>
+                )}
+              </Box>
+
+              <Divider sx={{ my: 2 }} />
+              <Typography variant="subtitle2" gutterBottom>
+                {t('shelves.booksOnShelf')} ({shelf.books.length})
+              </Typography>
+              {shelf.books.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">{t('shelves.noBooks')}</Typography>
+              ) : (
+                <List dense sx={{ maxHeight: 240, overflow: 'auto' }}>
+                  {shelf.books.map((book, index) => (
+                    <ListItem
+                      key={book.id}
+                      secondaryAction={(
+                        <>
+                          <IconButton
+                            size="small"
+                            disabled={index === 0}
+                            onClick={() => moveBook(index, -1)}
+                            aria-label={t('shelves.moveUp')}
+                          >
+                            <ArrowUpward fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            disabled={index === shelf.books.length - 1}
+                            onClick={() => moveBook(index, 1)}
+                            aria-label={t('shelves.moveDown')}
+                          >
+                            <ArrowDownward fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" onClick={() => removeBook(book)} aria-label={t('shelves.removeBook')}>
+                            <Close fontSize="small" />
+                          </IconButton>
+                        </>
+                      )}
+                      sx={{ pr: 14 }}
+                    >
+                      <ListItemText primary={`${index + 1}. ${book.title}`} secondary={book.author} />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+
+              <Divider sx={{ my: 2 }} />
+              <Typography variant="subtitle2" gutterBottom>
+                {t('shelves.sharing')}
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                <TextField
+                  size="small"
+                  fullWidth
+                  label={t('shelves.shareWithUser')}
+                  value={shareUsername}
+                  onChange={(e) => setShareUsername(e.target.value)}
+                />
+                <Button
+                  variant="outlined"
+                  startIcon={<PersonAdd />}
+                  disabled={!shareUsername.trim()}
+                  onClick={handleShare}
+                >
+                  {t('shelves.share')}
+                </Button>
+              </Box>
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 2 }}>
+                {(shelf.shared_with || []).map((sharedUser) => (
+                  <Chip key={sharedUser.id} label={sharedUser.username} onDelete={() => removeShare(sharedUser)} />
+                ))}
+              </Box>
+
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                {shelf.share_url && (
+                  <TextField
+                    size="small"
+                    fullWidth
+                    value={shelf.share_url}
+                    label={t('shelves.publicLink')}
+                    InputProps={{
+                      readOnly: true,
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton size="small" onClick={copyPublicLink} aria-label={t('shelves.copyLink')}>
+                            <ContentCopy fontSize="small" />
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                )}
+                <Button
+                  sx={{ flexShrink: 0 }}
+                  startIcon={shelf.share_url ? <LinkOff /> : <LinkIcon />}
+                  onClick={togglePublicLink}
+                >
+                  {shelf.share_url ? t('shelves.removePublicLink') : t('shelves.createPublicLink')}
+                </Button>
+              </Box>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ShelfManager;
@@ -0,0 +1,69 @@
+// frontend/src/components/ShelfMenu.js
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  IconButton,
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+} from '@mui/material';
+import { BookmarkAdd } from '@mui/icons-material';
+import api from '../services/api';
+import { shelfLabel } from './ShelfManager';
+
+// Button on a book that puts it on or takes it off the own shelves
+function ShelfMenu({ book, onChange, onError }) {
+  const { t } = useLanguage();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [shelves, setShelves] = useState([]);
+
+  const openMenu = async (e) => {
+    setAnchorEl(e.currentTarget);
+    try {
+      const response = await api.get(`/api/shelves?book_id=${book.id}`);
+      setShelves(response.data.filter((shelf) => shelf.is_owner));
+    } catch (err) {
+      setAnchorEl(null);
+      onError(err.response?.data?.error || t('shelves.loadError'));
+    }
+  };
+
+  const toggleShelf = async (shelf) => {
+    try {
+      if (shelf.has_book) {
+        await api.delete(`/api/shelves/${shelf.id}/books/${book.id}`);
+      } else {
+        await api.post(`/api/shelves/${shelf.id}/books`, { book_ids: [book.id] });
+      }
+      setShelves((current) => current.map((item) => (item.id === shelf.id ? { ...item, has_book: !item.has_book } : item)));
+      if (onChange) onChange();
+    } catch (err) {
+      onError(err.response?.data?.error || t('shelves.saveError'));
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title={t('shelves.addToShelf')}>
+        <IconButton size="small" onClick={openMenu} aria-label={t('shelves.addToShelf')}>
+          <BookmarkAdd />
+        </IconButton>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {shelves.map((shelf) => (
+          <MenuItem key={shelf.id} onClick={() => toggleShelf(shelf)} dense>
+            <ListItemIcon>
+              <Checkbox edge="start" size="small" checked={shelf.has_book} tabIndex={-1} disableRipple />
+            </ListItemIcon>
+            <ListItemText primary={shelfLabel(shelf, t)} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default ShelfMenu;
@@ -0,0 +1,83 @@
+// frontend/src/components/TagInput.js
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, TextField, Chip } from '@mui/material';
+import api from '../services/api';
+
+const SUGGESTION_LIMIT = 20;
+
+// Tag names without duplicates (case-insensitive); commas separate tags
+const splitTags = (values) => {
+  const seen = new Set();
+  return values
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim().replace(/\s+/g, ' '))
+    .filter((value) => {
+      if (!value || seen.has(value.toLowerCase())) return false;
+      seen.add(value.toLowerCase());
+      return true;
+    });
+};
+
+/**
+ * Tag selection with autocompletion from the existing tags. New tags can be
+ * typed and are created when the book is saved. value is a list of names.
+ */
+function TagInput({ value, onChange, label, placeholder, helperText, disabled, size }) {
+  const [inputValue, setInputValue] = useState('');
+  const [options, setOptions] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ limit: SUGGESTION_LIMIT });
+        if (inputValue.trim()) params.append('search', inputValue.trim());
+        const response = await api.get(`/api/tags?${params}`);
+        if (active) setOptions(response.data.map((tag) => tag.name));
+      } catch (err) {
+        console.error('Error loading tags:', err);
+      }
+    }, 250);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [inputValue]);
+
+  return (
+    <Autocomplete
+      multiple
+      freeSolo
+      size={size}
+      disabled={disabled}
+      options={options}
+      value={value}
+      inputValue={inputValue}
+      filterSelectedOptions
+      onInputChange={(e, newInputValue) => {
+        // A comma finishes the tag being typed
+        if (newInputValue.includes(',')) {
+          onChange(splitTags([...value, newInputValue]));
+          setInputValue('');
+        } else {
+          setInputValue(newInputValue);
+        }
+      }}
+      onChange={(e, newValue) => onChange(splitTags(newValue))}
+      renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+        <Chip size="small" label={tag} {...getTagProps({ index })} key={tag} />
+      ))}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label={label}
+          placeholder={value.length === 0 ? placeholder : undefined}
+          helperText={helperText}
+        />
+      )}
+    />
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,260 @@
+// frontend/src/components/TagManagement.js
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  InputAdornment,
+} from '@mui/material';
+import { Edit, Delete, MergeType, Search, LocalOffer } from '@mui/icons-material';
+import api from '../services/api';
+
+// Admin tab: rename, merge and delete tags
+function TagManagement() {
+  const { t } = useLanguage();
+  const [tags, setTags] = useState([]);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [renameTag, setRenameTag] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [mergeDialog, setMergeDialog] = useState(false);
+  const [mergeTarget, setMergeTarget] = useState('');
+
+  useEffect(() => {
+    loadTags();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadTags = async () => {
+    try {
+      const response = await api.get('/api/tags');
+      setTags(response.data);
+      setSelected((current) => current.filter((id) => response.data.some((tag) => tag.id === id)));
+    } catch (err) {
+      setError(err.response?.data?.error || t('tags.loadError'));
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((current) => (current.includes(id) ? current.filter((item) => item !== id) : [...current, id]));
+  };
+
+  const handleRename = async () => {
+    try {
+      await api.put(`/api/tags/${renameTag.id}`, { name: newName });
+      setSuccess(t('tags.renamed'));
+      setRenameTag(null);
+      loadTags();
+    } catch (err) {
+      setError(err.response?.data?.error || t('tags.saveError'));
+    }
+  };
+
+  const handleMerge = async () => {
+    try {
+      await api.post(`/api/tags/${mergeTarget}/merge`, {
+        tag_ids: selected.filter((id) => id !== mergeTarget),
+      });
+      setSuccess(t('tags.merged'));
+      setMergeDialog(false);
+      setSelected([]);
+      loadTags();
+    } catch (err) {
+      setError(err.response?.data?.error || t('tags.saveError'));
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`${t('tags.deleteConfirm')} "${tag.name}"`)) return;
+
+    try {
+      await api.delete(`/api/tags/${tag.id}`);
+      setSuccess(t('tags.deleted'));
+      loadTags();
+    } catch (err) {
+      setError(err.response?.data?.error || t('tags.deleteError'));
+    }
+  };
+
+  const visibleTags = tags.filter((tag) => tag.name.toLowerCase().includes(search.trim().toLowerCase()));
+  const selectedTags = tags.filter((tag) => selected.includes(tag.id));
+
+  return (
+    <>
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <Box>
+          <Typography variant="h6">{t('tags.management')}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t('tags.managementDescription')}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            size="small"
+            placeholder={t('tags.searchPlaceholder')}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Button
+            variant="contained"
+            startIcon={<MergeType />}
+            disabled={selected.length < 2}
+            onClick={() => {
+              setMergeTarget(selected[0]);
+              setMergeDialog(true);
+            }}
+          >
+            {t('tags.merge')}
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {tags.length === 0 ? (
+        <Box sx={{ p: 4, textAlign: 'center' }}>
+          <LocalOffer sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            {t('tags.noTags')}
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>{t('tags.name')}</TableCell>
+                <TableCell align="right">{t('tags.books')}</TableCell>
+                <TableCell align="right">{t('admin.actions')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibleTags.map((tag) => (
+                <TableRow key={tag.id} hover selected={selected.includes(tag.id)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={selected.includes(tag.id)}
+                      onChange={() => toggleSelected(tag.id)}
+                      inputProps={{ 'aria-label': tag.name }}
+                    />
+                  </TableCell>
+                  <TableCell>{tag.name}</TableCell>
+                  <TableCell align="right">{tag.book_count}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={t('tags.rename')}>
+                      <IconButton
+                        size="small"
+                        onClick={() => {
+                          setRenameTag(tag);
+                          setNewName(tag.name);
+                        }}
+                      >
+                        <Edit />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={t('tags.delete')}>
+                      <IconButton size="small" color="error" onClick={() => handleDelete(tag)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(renameTag)} onClose={() => setRenameTag(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{t('tags.rename')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            label={t('tags.name')}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRenameTag(null)}>{t('common.cancel')}</Button>
+          <Button variant="contained" onClick={handleRename} disabled={!newName.trim()}>
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={mergeDialog} onClose={() => setMergeDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{t('tags.merge')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {t('tags.mergeDescription')}
+          </DialogContentText>
+          <FormControl fullWidth>
+            <InputLabel>{t('tags.mergeTarget')}</InputLabel>
+            <Select
+              value={mergeTarget}
+              label={t('tags.mergeTarget')}
+              onChange={(e) => setMergeTarget(e.target.value)}
+            >
+              {selectedTags.map((tag) => (
+                <MenuItem key={tag.id} value={tag.id}>
+                  {tag.name} ({tag.book_count})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeDialog(false)}>{t('common.cancel')}</Button>
+          <Button variant="contained" onClick={handleMerge} disabled={!mergeTarget}>
+            {t('tags.merge')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default TagManagement;
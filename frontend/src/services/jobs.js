@@ -0,0 +1,37 @@
+import api from './api';
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a background job until it has finished. Resolves with the completed job,
+// rejects with the job's error if it failed; onUpdate receives every state in between.
+export const waitForJob = async (jobId, { onUpdate, interval = 1000 } = {}) => {
+  let job = (await api.get(`/api/jobs/${jobId}`)).data;
+
+  while (!isFinished(job)) {
+    if (onUpdate) onUpdate(job);
+    await wait(interval);
+    job = (await api.get(`/api/jobs/${jobId}`)).data;
+  }
+
+  if (onUpdate) onUpdate(job);
+  if (job.status === 'failed') {
+    throw new Error(job.error);
+  }
+  return job;
+};
+
+// Save the file a completed job produced (e.g. the books archive)
+export const downloadJobFile = async (job, filename = job.result.filename) => {
+  const response = await api.get(job.download_url, { responseType: 'blob' });
+
+  const url = window.URL.createObjectURL(new Blob([response.data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
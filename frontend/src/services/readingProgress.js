@@ -0,0 +1,70 @@
+import api from './api';
+
+// Shown next to the progress so users can tell where they last read
+export const getDeviceName = () => {
+  const stored = localStorage.getItem('deviceName');
+  if (stored) return stored;
+
+  const userAgent = navigator.userAgent;
+  const platform = /Android/i.test(userAgent) ? 'Android'
+    : /iPad/i.test(userAgent) ? 'iPad'
+    : /iPhone/i.test(userAgent) ? 'iPhone'
+    : /Windows/i.test(userAgent) ? 'Windows'
+    : /Mac OS X/i.test(userAgent) ? 'macOS'
+    : /Linux/i.test(userAgent) ? 'Linux'
+    : null;
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser';
+
+  return platform ? `${browser} (${platform})` : browser;
+};
+
+export const loadReadingProgress = async (bookId) => {
+  try {
+    const response = await api.get(`/api/books/${bookId}/progress`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+export const saveReadingProgress = async (bookId, progress) => {
+  const response = await api.put(`/api/books/${bookId}/progress`, {
+    ...progress,
+    percentage: Math.min(100, Math.max(0, progress.percentage)),
+    device_name: getDeviceName(),
+  });
+  return response.data;
+};
+
+// Collects position updates while reading and saves at most every few seconds
+export const createProgressSaver = (bookId, delay = 3000) => {
+  let pending = null;
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+
+    const progress = pending;
+    pending = null;
+    saveReadingProgress(bookId, progress).catch(error => {
+      console.error('Lesefortschritt konnte nicht gespeichert werden:', error);
+    });
+  };
+
+  return {
+    update(progress) {
+      pending = progress;
+      if (!timer) {
+        timer = setTimeout(flush, delay);
+      }
+    },
+    flush,
+  };
+};
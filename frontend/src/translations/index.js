@@ -16,6 +16,8 @@ const translations = {
     nav: {
       dashboard: 'Dashboard',
       upload: 'Upload',
+      series: 'Reihen',
+      authors: 'Autoren',
       users: 'Benutzer',
       settings: 'Einstellungen',
       logout: 'Abmelden',
@@ -30,13 +32,48 @@ const translations = {
       filterAll: 'Alle',
       filterBooks: 'Bücher',
       filterMagazines: 'Magazine',
+      format: 'Format',
+      allFormats: 'Alle Formate',
+      addFormat: 'Format hinzufügen',
+      addFormatError: 'Fehler beim Hinzufügen des Formats',
+      convert: 'In anderes Format konvertieren',
+      searchMode: 'Suchmodus',
+      searchModeMetadata: 'Titel & Autor',
+      searchModeContent: 'Volltext',
+      contentSearchPlaceholder: 'Im Inhalt der Bücher suchen...',
+      contentSearchError: 'Fehler bei der Volltextsuche',
+      contentMatches: 'Treffer',
+      noContentResults: 'Keine Treffer im Inhalt der Bücher',
+      chapter: 'Kapitel',
+      page: 'Seite',
       sortBy: 'Sortieren nach',
       sortTitle: 'Titel',
       sortAuthor: 'Autor',
       sortDate: 'Datum',
+      sortDownloads: 'Downloads',
+      sortSize: 'Dateigröße',
+      sortPublished: 'Erscheinungsdatum',
+      sortSeries: 'Reihe',
+      sortRating: 'Bewertung',
+      sortAscending: 'Aufsteigend',
+      sortDescending: 'Absteigend',
+      advancedFilters: 'Erweiterte Filter',
+      allUploaders: 'Alle',
+      myUploads: 'Meine Uploads',
+      uploadedFrom: 'Hochgeladen ab',
+      uploadedTo: 'Hochgeladen bis',
+      publishedFrom: 'Erschienen ab (Jahr)',
+      publishedTo: 'Erschienen bis (Jahr)',
+      minSizeMb: 'Min. Größe (MB)',
+      maxSizeMb: 'Max. Größe (MB)',
+      resetFilters: 'Filter zurücksetzen',
+      searchFieldsHelp: 'Feldsuche im Suchfeld: author:, contributor:, title:, publisher:, isbn:, language:, series:, subject:, edition:, published:, tag: - z. B. author:"Frank Herbert" published:1965',
       viewGrid: 'Kachelansicht',
       viewList: 'Listenansicht',
       download: 'Herunterladen',
+      read: 'Lesen',
+      continueReading: 'Weiterlesen',
+      progressRead: 'gelesen',
       share: 'Teilen',
       delete: 'Löschen',
       confirmDelete: 'Möchten Sie dieses Element wirklich löschen?',
@@ -68,7 +105,7 @@ const translations = {
       title: 'Bücher & Magazine hochladen',
       dragDrop: 'Dateien hier ablegen oder klicken zum Auswählen',
       selectFiles: 'Dateien auswählen',
-      supportedFormats: 'Unterstützte Formate: PDF, EPUB (max. 70MB)',
+      supportedFormats: 'Unterstützte Formate: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown (max. 70MB)',
       titleLabel: 'Titel',
       authorLabel: 'Autor',
       descriptionLabel: 'Beschreibung (optional)',
@@ -80,10 +117,25 @@ const translations = {
       success: 'Erfolgreich hochgeladen!',
       error: 'Fehler beim Hochladen',
       uploadHints: 'Hinweise zum Upload:',
-      hintFormats: 'Unterstützte Formate: PDF und EPUB',
+      hintFormats: 'Unterstützte Formate: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown',
       hintSize: 'Maximale Dateigröße: 70MB',
       hintCover: 'Cover-Bilder verbessern die Darstellung in der Bibliothek',
-      hintCategories: 'Kategorien helfen bei der Organisation Ihrer Sammlung'
+      hintCategories: 'Kategorien helfen bei der Organisation Ihrer Sammlung',
+      publisherLabel: 'Verlag',
+      languageLabel: 'Sprache',
+      isbnLabel: 'ISBN',
+      seriesLabel: 'Reihe',
+      seriesIndexLabel: 'Band',
+      publishedDateLabel: 'Erscheinungsdatum',
+      publishedDateHelp: 'JJJJ, JJJJ-MM oder JJJJ-MM-TT',
+      pageCountLabel: 'Seitenzahl',
+      editionLabel: 'Auflage',
+      subjectsLabel: 'Schlagwörter',
+      subjectsHelp: 'Mehrere Schlagwörter durch Kommas trennen',
+      analyzingFile: 'Metadaten werden aus der Datei gelesen...',
+      metadataDetected: 'Metadaten aus der Datei übernommen – bitte vor dem Hochladen prüfen',
+      embeddedCover: 'Cover aus der Datei',
+      pages: 'Seiten'
     },
     users: {
       title: 'Benutzerverwaltung',
@@ -112,6 +164,220 @@ const translations = {
       loginFailed: 'Anmeldung fehlgeschlagen',
       registrationFailed: 'Registrierung fehlgeschlagen'
     },
+    conversion: {
+      title: 'Format konvertieren',
+      targetFormat: 'Zielformat',
+      start: 'Konvertieren',
+      queued: 'Wartet auf Start...',
+      progress: 'Fortschritt der Konvertierung',
+      completed: 'Konvertierung abgeschlossen - das neue Format steht zum Download bereit',
+      failed: 'Konvertierung fehlgeschlagen',
+      noTargets: 'Für dieses Buch sind keine weiteren Formate verfügbar',
+      noConverter: 'Auf dem Server ist kein Konverter installiert (z. B. Calibre ebook-convert)',
+      loadError: 'Fehler beim Laden der Konvertierung',
+      startError: 'Fehler beim Starten der Konvertierung'
+    },
+    tags: {
+      label: 'Tags',
+      placeholder: 'Tag eingeben und Enter drücken',
+      help: 'Eigene Schlagwörter, z. B. gelesen oder lieblingsbuch. Komma trennt Tags.',
+      filterLabel: 'Tags (alle müssen passen)',
+      selectAll: 'Alle bearbeitbaren Bücher auswählen',
+      bulkEdit: 'Tags bearbeiten',
+      bulkAdd: 'Tags hinzufügen',
+      bulkRemove: 'Tags entfernen',
+      bulkSuccess: 'Tags wurden aktualisiert',
+      management: 'Tag-Verwaltung',
+      managementDescription: 'Tags umbenennen, zusammenführen oder löschen. Zum Zusammenführen mindestens zwei Tags auswählen.',
+      searchPlaceholder: 'Tags durchsuchen...',
+      noTags: 'Noch keine Tags vorhanden',
+      name: 'Name',
+      books: 'Bücher',
+      rename: 'Umbenennen',
+      delete: 'Löschen',
+      deleteConfirm: 'Tag wirklich löschen? Er wird von allen Büchern entfernt:',
+      merge: 'Zusammenführen',
+      mergeDescription: 'Alle ausgewählten Tags werden in den Ziel-Tag übernommen und danach gelöscht.',
+      mergeTarget: 'Ziel-Tag',
+      renamed: 'Tag wurde umbenannt',
+      merged: 'Tags wurden zusammengeführt',
+      deleted: 'Tag wurde gelöscht',
+      loadError: 'Fehler beim Laden der Tags',
+      saveError: 'Fehler beim Speichern der Tags',
+      deleteError: 'Fehler beim Löschen des Tags'
+    },
+    authors: {
+      title: 'Autoren',
+      searchPlaceholder: 'Autoren durchsuchen...',
+      noAuthors: 'Keine Autoren gefunden',
+      noBooks: 'Keine Bücher gefunden',
+      books: 'Bücher',
+      booksOf: 'Bücher',
+      backToList: 'Alle Autoren',
+      name: 'Name',
+      sortName: 'Sortiername',
+      sortNameHelp: 'z. B. "Herbert, Frank". Leer lassen, um ihn aus dem Namen abzuleiten.',
+      contributors: 'Autoren und Mitwirkende',
+      addContributor: 'Person hinzufügen',
+      removeContributor: 'Entfernen',
+      moveUp: 'Nach oben',
+      rolesLabel: 'Rollen',
+      roleFilter: 'Nach Rolle filtern',
+      allRoles: 'Alle',
+      roles: {
+        author: 'Autor',
+        editor: 'Herausgeber',
+        translator: 'Übersetzer',
+        illustrator: 'Illustrator'
+      },
+      edit: 'Autor bearbeiten',
+      delete: 'Autor löschen',
+      deleteConfirm: 'Autor wirklich löschen? Er wird von allen Büchern entfernt:',
+      management: 'Autoren-Verwaltung',
+      managementDescription: 'Namen und Sortiernamen korrigieren, doppelte Autoren zusammenführen oder löschen. Zum Zusammenführen mindestens zwei Autoren auswählen.',
+      findDuplicates: 'Duplikate suchen',
+      duplicates: 'Mögliche Duplikate',
+      noDuplicates: 'Keine Duplikate gefunden',
+      moreResults: 'Weitere Autoren vorhanden - Suche verwenden, um sie zu finden',
+      merge: 'Zusammenführen',
+      mergeDescription: 'Die Bücher aller ausgewählten Autoren werden dem Ziel-Autor in denselben Rollen zugeordnet, danach werden die anderen Autoren gelöscht.',
+      mergeTarget: 'Ziel-Autor',
+      updated: 'Autor wurde aktualisiert',
+      merged: 'Autoren wurden zusammengeführt',
+      deleted: 'Autor wurde gelöscht',
+      loadError: 'Fehler beim Laden der Autoren',
+      saveError: 'Fehler beim Speichern des Autors',
+      deleteError: 'Fehler beim Löschen des Autors'
+    },
+    shelves: {
+      shelf: 'Regal',
+      wholeLibrary: 'Gesamte Bibliothek',
+      manage: 'Regale verwalten',
+      myShelves: 'Meine Regale',
+      kinds: {
+        to_read: 'Zu lesen',
+        favorites: 'Favoriten'
+      },
+      books: 'Bücher',
+      newShelf: 'Neues Regal',
+      create: 'Regal anlegen',
+      name: 'Name',
+      description: 'Beschreibung',
+      defaultShelfHelp: 'Standardregale können nicht umbenannt oder gelöscht werden',
+      delete: 'Regal löschen',
+      deleteConfirm: 'Regal wirklich löschen? Die Bücher bleiben in der Bibliothek:',
+      moveUp: 'Nach oben',
+      moveDown: 'Nach unten',
+      booksOnShelf: 'Bücher im Regal',
+      noBooks: 'Dieses Regal ist leer',
+      removeBook: 'Aus dem Regal nehmen',
+      addToShelf: 'In ein Regal stellen',
+      sortShelf: 'Regalreihenfolge',
+      sharing: 'Teilen',
+      shareWithUser: 'Benutzername',
+      share: 'Teilen',
+      publicLink: 'Öffentlicher Link',
+      createPublicLink: 'Öffentlichen Link erstellen',
+      removePublicLink: 'Link entfernen',
+      copyLink: 'Link kopieren',
+      linkCopied: 'Link wurde kopiert',
+      copyError: 'Link konnte nicht kopiert werden',
+      sharedBy: 'Geteilt von',
+      publicNotFound: 'Dieses Regal ist nicht (mehr) öffentlich',
+      created: 'Regal wurde angelegt',
+      updated: 'Regal wurde gespeichert',
+      deleted: 'Regal wurde gelöscht',
+      orderSaved: 'Reihenfolge wurde gespeichert',
+      bookRemoved: 'Buch wurde aus dem Regal genommen',
+      shared: 'Regal wurde geteilt',
+      shareRemoved: 'Freigabe wurde entfernt',
+      publicLinkCreated: 'Öffentlicher Link wurde erstellt',
+      publicLinkRemoved: 'Öffentlicher Link wurde entfernt',
+      loadError: 'Fehler beim Laden der Regale',
+      saveError: 'Fehler beim Speichern des Regals',
+      deleteError: 'Fehler beim Löschen des Regals',
+      shareError: 'Fehler beim Teilen des Regals'
+    },
+    reviews: {
+      title: 'Bewertungen',
+      averageRating: 'Durchschnittliche Bewertung',
+      ratings: 'Bewertungen',
+      noReviews: 'Noch keine Bewertungen',
+      writeReview: 'Buch bewerten',
+      editYourReview: 'Deine Bewertung',
+      yourRating: 'Deine Sterne',
+      yourReview: 'Deine Bewertung',
+      reviewText: 'Rezension',
+      reviewTextHelp: 'Optional - eine Bewertung kann auch nur aus Sternen bestehen',
+      hidden: 'Ausgeblendet',
+      hiddenNotice: 'Deine Rezension wurde von einem Administrator ausgeblendet und ist für andere nicht sichtbar.',
+      delete: 'Bewertung löschen',
+      deleteConfirm: 'Deine Bewertung wirklich löschen?',
+      saved: 'Bewertung wurde gespeichert',
+      deleted: 'Bewertung wurde gelöscht',
+      moderation: 'Bewertungen moderieren',
+      moderationDescription: 'Ausgeblendete Rezensionen sieht nur ihr Verfasser; sie zählen nicht zur Durchschnittsbewertung.',
+      searchPlaceholder: 'Text, Buch oder Benutzer suchen...',
+      statusFilter: 'Status',
+      statusAll: 'Alle',
+      statusVisible: 'Sichtbar',
+      statusHidden: 'Ausgeblendet',
+      book: 'Buch',
+      user: 'Benutzer',
+      rating: 'Sterne',
+      date: 'Datum',
+      hide: 'Ausblenden',
+      show: 'Wieder anzeigen',
+      hiddenSuccess: 'Bewertung wurde ausgeblendet',
+      shownSuccess: 'Bewertung wird wieder angezeigt',
+      deleteReviewConfirm: 'Bewertung wirklich löschen?',
+      loadError: 'Fehler beim Laden der Bewertungen',
+      saveError: 'Fehler beim Speichern der Bewertung',
+      deleteError: 'Fehler beim Löschen der Bewertung',
+      moderateError: 'Fehler beim Moderieren der Bewertung'
+    },
+    bookDetail: {
+      back: 'Zurück',
+      description: 'Beschreibung',
+      publisher: 'Verlag',
+      published: 'Erschienen',
+      edition: 'Ausgabe',
+      language: 'Sprache',
+      pages: 'Seiten',
+      uploaded: 'Hochgeladen',
+      downloads: 'Downloads',
+      loadError: 'Fehler beim Laden des Buches',
+      downloadError: 'Fehler beim Herunterladen'
+    },
+    series: {
+      title: 'Reihen',
+      searchPlaceholder: 'Reihen durchsuchen...',
+      noSeries: 'Keine Reihen gefunden',
+      noBooks: 'Diese Reihe enthält noch keine Bücher',
+      volumes: 'Bände',
+      volume: 'Band',
+      missingVolumes: 'fehlend',
+      volumeMissing: 'Dieser Band fehlt in der Bibliothek',
+      readingOrder: 'Lesereihenfolge',
+      backToList: 'Alle Reihen',
+      create: 'Neue Reihe',
+      edit: 'Reihe bearbeiten',
+      delete: 'Reihe löschen',
+      deleteConfirm: 'Reihe wirklich löschen? Die Bücher bleiben erhalten.',
+      nameLabel: 'Name',
+      descriptionLabel: 'Beschreibung',
+      coverLabel: 'Cover auswählen',
+      removeCover: 'Cover entfernen',
+      seriesLabel: 'Reihe',
+      seriesHelp: 'Leer lassen, um das Buch aus seiner Reihe zu entfernen',
+      indexLabel: 'Band Nr.',
+      created: 'Reihe erstellt',
+      updated: 'Reihe aktualisiert',
+      deleted: 'Reihe gelöscht',
+      loadError: 'Fehler beim Laden der Reihen',
+      saveError: 'Fehler beim Speichern der Reihe',
+      deleteError: 'Fehler beim Löschen der Reihe'
+    },
     common: {
       loading: 'Wird geladen...',
       error: 'Ein Fehler ist aufgetreten',
@@ -133,6 +399,18 @@ const translations = {
       changePassword: 'Passwort ändern',
       tabUsers: 'Benutzer',
       tabCategories: 'Kategorien',
+      tabTags: 'Tags',
+      tabAuthors: 'Autoren',
+      tabReviews: 'Bewertungen',
+      categoryManagement: 'Kategorienverwaltung',
+      categoryTreeHelp: 'Kategorien lassen sich beliebig verschachteln. Eine Kategorie zeigt auch die Bücher ihrer Unterkategorien; beim Verschieben wandern die Unterkategorien mit.',
+      newCategory: 'Neue Kategorie',
+      newSubcategory: 'Unterkategorie anlegen',
+      editCategory: 'Kategorie bearbeiten',
+      deleteCategory: 'Kategorie löschen',
+      parentCategory: 'Übergeordnete Kategorie',
+      noParentCategory: 'Keine (oberste Ebene)',
+      confirmDeleteCategory: 'Kategorie wirklich löschen? Die Bücher bleiben erhalten, Unterkategorien rücken eine Ebene nach oben.',
       tabCalibreImport: 'Calibre Import',
       tabBackupRestore: 'Backup/Restore',
       userManagement: 'Benutzerverwaltung',
@@ -176,10 +454,64 @@ const translations = {
       accountActive: 'Konto aktiv',
       requirePasswordChange: 'Passwortänderung bei nächster Anmeldung erforderlich',
       newPasswordOptional: 'Neues Passwort (optional)',
-      newPasswordHelperText: 'Leer lassen, um das Passwort nicht zu ändern. Mindestens 6 Zeichen für neues Passwort.',
+      newPasswordHelperText: 'Leer lassen, um das Passwort nicht zu ändern. Mindestens 8 Zeichen mit Groß- und Kleinbuchstaben, Zahl und Sonderzeichen. Der Benutzer wird auf allen Geräten abgemeldet.',
       passwordMinLength: 'Mindestens 6 Zeichen',
       confirmNewPassword: 'Neues Passwort bestätigen',
-      passwordMismatch: 'Passwörter stimmen nicht überein'
+      backupContents: 'Inhalt',
+      backupBooks: 'Bücher',
+      backupUsers: 'Benutzer',
+      backupCategories: 'Kategorien',
+      backupFiles: 'Dateien',
+      backupShareLinks: 'Freigaben',
+      backupContentsUnknown: 'Unbekannt',
+      automaticBackups: 'Automatische Backups',
+      automaticBackupsDescription: 'Erstellt regelmäßig Backups und entfernt ältere automatische Backups gemäß der Aufbewahrungsregeln.',
+      enableAutomaticBackups: 'Automatische Backups aktivieren',
+      backupFrequency: 'Häufigkeit',
+      backupDaily: 'Täglich',
+      backupWeekly: 'Wöchentlich',
+      backupWeekday: 'Wochentag',
+      backupTime: 'Uhrzeit',
+      keepDaily: 'Tägliche Backups behalten',
+      keepWeekly: 'Wöchentliche Backups behalten',
+      keepMonthly: 'Monatliche Backups behalten',
+      lastSuccessfulBackup: 'Letztes erfolgreiches Backup',
+      noSuccessfulBackup: 'Noch kein erfolgreiches Backup',
+      nextScheduledBackup: 'Nächstes geplantes Backup',
+      backupFailed: 'Das letzte Backup ist fehlgeschlagen',
+      passwordMismatch: 'Passwörter stimmen nicht überein',
+      tabJobs: 'Aufträge',
+      jobs: 'Hintergrundaufträge',
+      jobsDescription: 'Archive, Backups, Cover-Downloads, Metadatensuchen, Konvertierungen und die Indizierung der Buchinhalte laufen im Hintergrund. Fehlgeschlagene Aufträge können hier wiederholt werden.',
+      jobType: 'Auftrag',
+      jobStatus: 'Status',
+      jobAttempts: 'Versuche',
+      allJobs: 'Alle',
+      activeJobs: 'Laufend und wartend',
+      failedJobs: 'Fehlgeschlagen',
+      noJobs: 'Keine Aufträge vorhanden',
+      retryJob: 'Erneut versuchen',
+      jobActionError: 'Aktion für den Auftrag fehlgeschlagen',
+      refresh: 'Aktualisieren',
+      reindexContent: 'Volltextindex neu aufbauen',
+      reindexStarted: 'Neuindizierung der Buchinhalte gestartet',
+      createdAt: 'Erstellt am',
+      actions: 'Aktionen',
+      jobTypes: {
+        books_archive: 'Bücherarchiv',
+        backup: 'Backup',
+        cover_download: 'Cover-Download',
+        metadata_lookup: 'Metadatensuche',
+        book_conversion: 'Formatkonvertierung',
+        content_index: 'Inhalt indizieren',
+        content_reindex: 'Volltextindex neu aufbauen'
+      },
+      jobStatuses: {
+        queued: 'Wartend',
+        running: 'Läuft',
+        completed: 'Abgeschlossen',
+        failed: 'Fehlgeschlagen'
+      }
     },
     pwa: {
       installButton: 'Als App installieren',
@@ -219,6 +551,33 @@ const translations = {
       alreadyInstalled: 'Lectoria ist bereits als App installiert!',
       reloadApp: 'App neu laden',
       installSuccess: 'App erfolgreich installiert!'
+    },
+    reader: {
+      back: 'Zurück',
+      tableOfContents: 'Inhaltsverzeichnis',
+      noTableOfContents: 'Kein Inhaltsverzeichnis vorhanden',
+      previousPage: 'Vorherige Seite',
+      nextPage: 'Nächste Seite',
+      smallerFont: 'Schrift verkleinern',
+      largerFont: 'Schrift vergrößern',
+      theme: 'Farbschema',
+      themeLight: 'Hell',
+      themeSepia: 'Sepia',
+      themeDark: 'Dunkel',
+      page: 'Seite',
+      of: 'von',
+      loading: 'Buch wird geladen...',
+      loadError: 'Das Buch konnte nicht geöffnet werden'
+    },
+    pdfViewer: {
+      thumbnails: 'Seitenvorschau',
+      zoomIn: 'Vergrößern',
+      zoomOut: 'Verkleinern',
+      fitPage: 'Ganze Seite',
+      goToPage: 'Gehe zu Seite',
+      loading: 'PDF wird geladen...',
+      loadError: 'Das PDF konnte nicht geöffnet werden',
+      renderError: 'Die Seite konnte nicht angezeigt werden'
     }
   },
   en: {
@@ -252,6 +611,8 @@ const translations = {
     nav: {
       dashboard: 'Dashboard',
       upload: 'Upload',
+      series: 'Series',
+      authors: 'Authors',
       users: 'Users',
       settings: 'Settings',
       logout: 'Logout',
@@ -266,13 +627,48 @@ const translations = {
       filterAll: 'All',
       filterBooks: 'Books',
       filterMagazines: 'Magazines',
+      format: 'Format',
+      allFormats: 'All formats',
+      addFormat: 'Add format',
+      addFormatError: 'Failed to add format',
+      convert: 'Convert to another format',
+      searchMode: 'Search mode',
+      searchModeMetadata: 'Title & author',
+      searchModeContent: 'Full text',
+      contentSearchPlaceholder: 'Search inside books...',
+      contentSearchError: 'Full-text search failed',
+      contentMatches: 'matches',
+      noContentResults: 'No matches inside the books',
+      chapter: 'Chapter',
+      page: 'Page',
       sortBy: 'Sort by',
       sortTitle: 'Title',
       sortAuthor: 'Author',
       sortDate: 'Date',
+      sortDownloads: 'Downloads',
+      sortSize: 'File size',
+      sortPublished: 'Publication date',
+      sortSeries: 'Series',
+      sortRating: 'Rating',
+      sortAscending: 'Ascending',
+      sortDescending: 'Descending',
+      advancedFilters: 'Advanced filters',
+      allUploaders: 'Everyone',
+      myUploads: 'My uploads',
+      uploadedFrom: 'Uploaded from',
+      uploadedTo: 'Uploaded until',
+      publishedFrom: 'Published from (year)',
+      publishedTo: 'Published until (year)',
+      minSizeMb: 'Min. size (MB)',
+      maxSizeMb: 'Max. size (MB)',
+      resetFilters: 'Reset filters',
+      searchFieldsHelp: 'Field search in the search box: author:, contributor:, title:, publisher:, isbn:, language:, series:, subject:, edition:, published:, tag: - e.g. author:"Frank Herbert" published:1965',
       viewGrid: 'Grid View',
       viewList: 'List View',
       download: 'Download',
+      read: 'Read',
+      continueReading: 'Continue reading',
+      progressRead: 'read',
       share: 'Share',
       delete: 'Delete',
       confirmDelete: 'Are you sure you want to delete this item?',
@@ -304,7 +700,7 @@ const translations = {
       title: 'Upload Books & Magazines',
       dragDrop: 'Drop files here or click to select',
       selectFiles: 'Select Files',
-      supportedFormats: 'Supported formats: PDF, EPUB (max. 70MB)',
+      supportedFormats: 'Supported formats: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown (max. 70MB)',
       titleLabel: 'Title',
       authorLabel: 'Author',
       descriptionLabel: 'Description (optional)',
@@ -316,13 +712,28 @@ const translations = {
       success: 'Successfully uploaded!',
       error: 'Upload failed',
       uploadHints: 'Upload Notes:',
-      hintFormats: 'Supported formats: PDF and EPUB',
+      hintFormats: 'Supported formats: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown',
       hintSize: 'Maximum file size: 70MB',
       hintCover: 'Cover images enhance the library display',
       hintCategories: 'Categories help organize your collection',
       searching: 'Searching...',
       searchMetadata: 'Search Metadata',
-      isbnHelpText: 'Enter an ISBN to automatically load title, author and cover'
+      isbnHelpText: 'Enter an ISBN to automatically load title, author and cover',
+      publisherLabel: 'Publisher',
+      languageLabel: 'Language',
+      isbnLabel: 'ISBN',
+      seriesLabel: 'Series',
+      seriesIndexLabel: 'Volume',
+      publishedDateLabel: 'Publication date',
+      publishedDateHelp: 'YYYY, YYYY-MM or YYYY-MM-DD',
+      pageCountLabel: 'Pages',
+      editionLabel: 'Edition',
+      subjectsLabel: 'Subjects',
+      subjectsHelp: 'Separate multiple subjects with commas',
+      analyzingFile: 'Reading metadata from the file...',
+      metadataDetected: 'Metadata taken from the file – please review before uploading',
+      embeddedCover: 'Cover from the file',
+      pages: 'pages'
     },
     users: {
       title: 'User Management',
@@ -351,6 +762,220 @@ const translations = {
       loginFailed: 'Login failed',
       registrationFailed: 'Registration failed'
     },
+    conversion: {
+      title: 'Convert format',
+      targetFormat: 'Target format',
+      start: 'Convert',
+      queued: 'Waiting to start...',
+      progress: 'Conversion progress',
+      completed: 'Conversion finished - the new format is ready for download',
+      failed: 'Conversion failed',
+      noTargets: 'No further formats are available for this book',
+      noConverter: 'No converter is installed on the server (e.g. Calibre ebook-convert)',
+      loadError: 'Failed to load conversion',
+      startError: 'Failed to start conversion'
+    },
+    tags: {
+      label: 'Tags',
+      placeholder: 'Type a tag and press Enter',
+      help: 'Your own keywords, e.g. read or favourite. A comma separates tags.',
+      filterLabel: 'Tags (all must match)',
+      selectAll: 'Select all editable books',
+      bulkEdit: 'Edit tags',
+      bulkAdd: 'Add tags',
+      bulkRemove: 'Remove tags',
+      bulkSuccess: 'Tags updated',
+      management: 'Tag Management',
+      managementDescription: 'Rename, merge or delete tags. Select at least two tags to merge them.',
+      searchPlaceholder: 'Search tags...',
+      noTags: 'No tags yet',
+      name: 'Name',
+      books: 'Books',
+      rename: 'Rename',
+      delete: 'Delete',
+      deleteConfirm: 'Really delete this tag? It will be removed from all books:',
+      merge: 'Merge',
+      mergeDescription: 'All selected tags are moved into the target tag and then deleted.',
+      mergeTarget: 'Target tag',
+      renamed: 'Tag renamed',
+      merged: 'Tags merged',
+      deleted: 'Tag deleted',
+      loadError: 'Failed to load tags',
+      saveError: 'Failed to save tags',
+      deleteError: 'Failed to delete tag'
+    },
+    authors: {
+      title: 'Authors',
+      searchPlaceholder: 'Search authors...',
+      noAuthors: 'No authors found',
+      noBooks: 'No books found',
+      books: 'Books',
+      booksOf: 'Books',
+      backToList: 'All authors',
+      name: 'Name',
+      sortName: 'Sort name',
+      sortNameHelp: 'e.g. "Herbert, Frank". Leave empty to derive it from the name.',
+      contributors: 'Authors and contributors',
+      addContributor: 'Add person',
+      removeContributor: 'Remove',
+      moveUp: 'Move up',
+      rolesLabel: 'Roles',
+      roleFilter: 'Filter by role',
+      allRoles: 'All',
+      roles: {
+        author: 'Author',
+        editor: 'Editor',
+        translator: 'Translator',
+        illustrator: 'Illustrator'
+      },
+      edit: 'Edit author',
+      delete: 'Delete author',
+      deleteConfirm: 'Really delete this author? They are removed from all books:',
+      management: 'Author management',
+      managementDescription: 'Correct names and sort names, merge duplicate authors or delete them. Select at least two authors to merge them.',
+      findDuplicates: 'Find duplicates',
+      duplicates: 'Possible duplicates',
+      noDuplicates: 'No duplicates found',
+      moreResults: 'More authors available - use the search to find them',
+      merge: 'Merge',
+      mergeDescription: 'The books of all selected authors are credited to the target author in the same roles, then the other authors are deleted.',
+      mergeTarget: 'Target author',
+      updated: 'Author updated',
+      merged: 'Authors merged',
+      deleted: 'Author deleted',
+      loadError: 'Error loading authors',
+      saveError: 'Error saving author',
+      deleteError: 'Error deleting author'
+    },
+    shelves: {
+      shelf: 'Shelf',
+      wholeLibrary: 'Whole library',
+      manage: 'Manage shelves',
+      myShelves: 'My shelves',
+      kinds: {
+        to_read: 'To read',
+        favorites: 'Favorites'
+      },
+      books: 'books',
+      newShelf: 'New shelf',
+      create: 'Create shelf',
+      name: 'Name',
+      description: 'Description',
+      defaultShelfHelp: 'Default shelves cannot be renamed or deleted',
+      delete: 'Delete shelf',
+      deleteConfirm: 'Really delete the shelf? The books stay in the library:',
+      moveUp: 'Move up',
+      moveDown: 'Move down',
+      booksOnShelf: 'Books on the shelf',
+      noBooks: 'This shelf is empty',
+      removeBook: 'Remove from shelf',
+      addToShelf: 'Put on a shelf',
+      sortShelf: 'Shelf order',
+      sharing: 'Sharing',
+      shareWithUser: 'Username',
+      share: 'Share',
+      publicLink: 'Public link',
+      createPublicLink: 'Create public link',
+      removePublicLink: 'Remove link',
+      copyLink: 'Copy link',
+      linkCopied: 'Link copied',
+      copyError: 'Could not copy the link',
+      sharedBy: 'Shared by',
+      publicNotFound: 'This shelf is not (or no longer) public',
+      created: 'Shelf created',
+      updated: 'Shelf saved',
+      deleted: 'Shelf deleted',
+      orderSaved: 'Order saved',
+      bookRemoved: 'Book removed from the shelf',
+      shared: 'Shelf shared',
+      shareRemoved: 'Sharing removed',
+      publicLinkCreated: 'Public link created',
+      publicLinkRemoved: 'Public link removed',
+      loadError: 'Error loading shelves',
+      saveError: 'Error saving the shelf',
+      deleteError: 'Error deleting the shelf',
+      shareError: 'Error sharing the shelf'
+    },
+    reviews: {
+      title: 'Reviews',
+      averageRating: 'Average rating',
+      ratings: 'ratings',
+      noReviews: 'No reviews yet',
+      writeReview: 'Rate this book',
+      editYourReview: 'Your review',
+      yourRating: 'Your stars',
+      yourReview: 'Your review',
+      reviewText: 'Review',
+      reviewTextHelp: 'Optional - a rating can be stars only',
+      hidden: 'Hidden',
+      hiddenNotice: 'Your review was hidden by an administrator and is not visible to others.',
+      delete: 'Delete review',
+      deleteConfirm: 'Really delete your review?',
+      saved: 'Review saved',
+      deleted: 'Review deleted',
+      moderation: 'Moderate reviews',
+      moderationDescription: 'Hidden reviews are only visible to their author and do not count toward the average rating.',
+      searchPlaceholder: 'Search text, book or user...',
+      statusFilter: 'Status',
+      statusAll: 'All',
+      statusVisible: 'Visible',
+      statusHidden: 'Hidden',
+      book: 'Book',
+      user: 'User',
+      rating: 'Stars',
+      date: 'Date',
+      hide: 'Hide',
+      show: 'Show again',
+      hiddenSuccess: 'Review hidden',
+      shownSuccess: 'Review visible again',
+      deleteReviewConfirm: 'Really delete the review?',
+      loadError: 'Error loading reviews',
+      saveError: 'Error saving the review',
+      deleteError: 'Error deleting the review',
+      moderateError: 'Error moderating the review'
+    },
+    bookDetail: {
+      back: 'Back',
+      description: 'Description',
+      publisher: 'Publisher',
+      published: 'Published',
+      edition: 'Edition',
+      language: 'Language',
+      pages: 'Pages',
+      uploaded: 'Uploaded',
+      downloads: 'Downloads',
+      loadError: 'Error loading the book',
+      downloadError: 'Error downloading'
+    },
+    series: {
+      title: 'Series',
+      searchPlaceholder: 'Search series...',
+      noSeries: 'No series found',
+      noBooks: 'This series has no books yet',
+      volumes: 'volumes',
+      volume: 'Volume',
+      missingVolumes: 'missing',
+      volumeMissing: 'This volume is missing from the library',
+      readingOrder: 'Reading order',
+      backToList: 'All series',
+      create: 'New series',
+      edit: 'Edit series',
+      delete: 'Delete series',
+      deleteConfirm: 'Really delete this series? The books are kept.',
+      nameLabel: 'Name',
+      descriptionLabel: 'Description',
+      coverLabel: 'Choose cover',
+      removeCover: 'Remove cover',
+      seriesLabel: 'Series',
+      seriesHelp: 'Leave empty to remove the book from its series',
+      indexLabel: 'Volume no.',
+      created: 'Series created',
+      updated: 'Series updated',
+      deleted: 'Series deleted',
+      loadError: 'Error loading series',
+      saveError: 'Error saving series',
+      deleteError: 'Error deleting series'
+    },
     common: {
       loading: 'Loading...',
       error: 'An error occurred',
@@ -372,6 +997,16 @@ const translations = {
       changePassword: 'Change Password',
       tabUsers: 'Users',
       tabCategories: 'Categories',
+      tabTags: 'Tags',
+      tabAuthors: 'Authors',
+      tabReviews: 'Reviews',
+      categoryTreeHelp: 'Categories can be nested freely. A category also shows the books of its subcategories; moving a category moves its subcategories along.',
+      newSubcategory: 'Add subcategory',
+      editCategory: 'Edit category',
+      deleteCategory: 'Delete category',
+      parentCategory: 'Parent category',
+      noParentCategory: 'None (top level)',
+      confirmDeleteCategory: 'Really delete this category? Its books are kept and its subcategories move up one level.',
       tabCalibreImport: 'Calibre Import',
       tabBackupRestore: 'Backup/Restore',
       userManagement: 'User Management',
@@ -415,7 +1050,7 @@ const translations = {
       accountActive: 'Account Active',
       requirePasswordChange: 'Require password change on next login',
       newPasswordOptional: 'New Password (optional)',
-      newPasswordHelperText: 'Leave empty to keep password unchanged. Minimum 6 characters for new password.',
+      newPasswordHelperText: 'Leave empty to keep the password unchanged. At least 8 characters with upper and lower case letters, a number and a special character. The user is signed out on all devices.',
       passwordMinLength: 'Minimum 6 characters',
       confirmNewPassword: 'Confirm New Password',
       passwordMismatch: 'Passwords do not match',
@@ -472,12 +1107,64 @@ const translations = {
       createdAt: 'Created At',
       size: 'Size',
       actions: 'Actions',
+      backupContents: 'Contents',
+      backupBooks: 'books',
+      backupUsers: 'users',
+      backupCategories: 'categories',
+      backupFiles: 'files',
+      backupShareLinks: 'share links',
+      backupContentsUnknown: 'Unknown',
+      automaticBackups: 'Automatic Backups',
+      automaticBackupsDescription: 'Creates backups on a schedule and removes older automatic backups according to the retention rules.',
+      enableAutomaticBackups: 'Enable automatic backups',
+      backupFrequency: 'Frequency',
+      backupDaily: 'Daily',
+      backupWeekly: 'Weekly',
+      backupWeekday: 'Weekday',
+      backupTime: 'Time',
+      keepDaily: 'Daily backups to keep',
+      keepWeekly: 'Weekly backups to keep',
+      keepMonthly: 'Monthly backups to keep',
+      lastSuccessfulBackup: 'Last successful backup',
+      noSuccessfulBackup: 'No successful backup yet',
+      nextScheduledBackup: 'Next scheduled backup',
+      backupFailed: 'The last backup failed',
       selectBackupFile: 'Select a backup ZIP file to restore your library.',
       warning: 'Warning',
       restoreWarning: 'Restoring may overwrite existing data.',
       selectZipFile: 'Select ZIP File',
       restoring: 'Restoring...',
-      noDescription: 'No description'
+      noDescription: 'No description',
+      tabJobs: 'Jobs',
+      jobs: 'Background jobs',
+      jobsDescription: 'Archives, backups, cover downloads, metadata lookups, conversions and the indexing of book contents run in the background. Failed jobs can be retried here.',
+      jobType: 'Job',
+      jobStatus: 'Status',
+      jobAttempts: 'Attempts',
+      allJobs: 'All',
+      activeJobs: 'Running and queued',
+      failedJobs: 'Failed',
+      noJobs: 'No jobs',
+      retryJob: 'Retry',
+      jobActionError: 'Job action failed',
+      refresh: 'Refresh',
+      reindexContent: 'Rebuild full-text index',
+      reindexStarted: 'Reindexing of book contents started',
+      jobTypes: {
+        books_archive: 'Books archive',
+        backup: 'Backup',
+        cover_download: 'Cover download',
+        metadata_lookup: 'Metadata lookup',
+        book_conversion: 'Format conversion',
+        content_index: 'Index contents',
+        content_reindex: 'Rebuild full-text index'
+      },
+      jobStatuses: {
+        queued: 'Queued',
+        running: 'Running',
+        completed: 'Completed',
+        failed: 'Failed'
+      }
     },
     pwa: {
       installButton: 'Install as App',
@@ -542,6 +1229,33 @@ const translations = {
         'Natur': 'Nature',
         'alles zum Thema Natur': 'Everything about Nature',
       }
+    },
+    reader: {
+      back: 'Back',
+      tableOfContents: 'Table of Contents',
+      noTableOfContents: 'No table of contents available',
+      previousPage: 'Previous page',
+      nextPage: 'Next page',
+      smallerFont: 'Decrease font size',
+      largerFont: 'Increase font size',
+      theme: 'Color scheme',
+      themeLight: 'Light',
+      themeSepia: 'Sepia',
+      themeDark: 'Dark',
+      page: 'Page',
+      of: 'of',
+      loading: 'Loading book...',
+      loadError: 'The book could not be opened'
+    },
+    pdfViewer: {
+      thumbnails: 'Page thumbnails',
+      zoomIn: 'Zoom in',
+      zoomOut: 'Zoom out',
+      fitPage: 'Fit page',
+      goToPage: 'Go to page',
+      loading: 'Loading PDF...',
+      loadError: 'The PDF could not be opened',
+      renderError: 'The page could not be displayed'
     }
   },
   fr: {
@@ -627,7 +1341,7 @@ const translations = {
       title: 'Télécharger des livres et magazines',
       dragDrop: 'Déposez les fichiers ici ou cliquez pour sélectionner',
       selectFiles: 'Sélectionner des fichiers',
-      supportedFormats: 'Formats pris en charge: PDF, EPUB (max. 70MB)',
+      supportedFormats: 'Formats pris en charge: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown (max. 70MB)',
       titleLabel: 'Titre',
       authorLabel: 'Auteur',
       descriptionLabel: 'Description (optionnelle)',
@@ -639,7 +1353,7 @@ const translations = {
       success: 'Téléchargé avec succès!',
       error: 'Échec du téléchargement',
       uploadHints: 'Notes de téléchargement:',
-      hintFormats: 'Formats pris en charge: PDF et EPUB',
+      hintFormats: 'Formats pris en charge: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown',
       hintSize: 'Taille maximale du fichier: 70MB',
       hintCover: 'Les images de couverture améliorent l\'affichage de la bibliothèque',
       hintCategories: 'Les catégories aident à organiser votre collection'
@@ -922,7 +1636,7 @@ const translations = {
       title: 'Subir libros y revistas',
       dragDrop: 'Arrastre archivos aquí o haga clic para seleccionar',
       selectFiles: 'Seleccionar archivos',
-      supportedFormats: 'Formatos admitidos: PDF, EPUB (máx. 70MB)',
+      supportedFormats: 'Formatos admitidos: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown (máx. 70MB)',
       titleLabel: 'Título',
       authorLabel: 'Autor',
       descriptionLabel: 'Descripción (opcional)',
@@ -934,7 +1648,7 @@ const translations = {
       success: '¡Subido con éxito!',
       error: 'Error al subir',
       uploadHints: 'Notas de carga:',
-      hintFormats: 'Formatos admitidos: PDF y EPUB',
+      hintFormats: 'Formatos admitidos: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown',
       hintSize: 'Tamaño máximo del archivo: 70MB',
       hintCover: 'Las imágenes de portada mejoran la visualización de la biblioteca',
       hintCategories: 'Las categorías ayudan a organizar su colección'
@@ -1217,7 +1931,7 @@ const translations = {
       title: 'Carica libri e riviste',
       dragDrop: 'Trascina i file qui o clicca per selezionare',
       selectFiles: 'Seleziona file',
-      supportedFormats: 'Formati supportati: PDF, EPUB (max. 70MB)',
+      supportedFormats: 'Formati supportati: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown (max. 70MB)',
       titleLabel: 'Titolo',
       authorLabel: 'Autore',
       descriptionLabel: 'Descrizione (opzionale)',
@@ -1229,7 +1943,7 @@ const translations = {
       success: 'Caricato con successo!',
       error: 'Caricamento fallito',
       uploadHints: 'Note sul caricamento:',
-      hintFormats: 'Formati supportati: PDF ed EPUB',
+      hintFormats: 'Formati supportati: PDF, EPUB, MOBI, AZW3, FB2, CBZ, CBR, DjVu, TXT, Markdown',
       hintSize: 'Dimensione massima del file: 70MB',
       hintCover: 'Le immagini di copertina migliorano la visualizzazione della biblioteca',
       hintCategories: 'Le categorie aiutano a organizzare la tua collezione'
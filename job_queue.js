@@ -0,0 +1,189 @@
+// job_queue.js - Persistent background jobs with workers, retries and progress reporting
+const database = require('./database');
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const handlers = new Map();
+const runningByType = new Map();
+
+let workerCount = 0;
+let activeWorkers = 0;
+let started = false;
+
+const jobError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Network problems and server-side errors are worth another attempt, invalid input is not
+const isRetryable = (error) => {
+    const status = error.response?.status ?? error.statusCode;
+    return !status || status >= 500 || status === 429;
+};
+
+/**
+ * Register the handler for a job type. The handler receives the payload and
+ * a context with the job and setProgress(percent); its return value is stored
+ * as the job result.
+ *
+ * Options: maxAttempts (default 1), retryDelay in ms (doubled per attempt),
+ * concurrency (jobs of this type running at the same time), retention of
+ * finished jobs in ms and cleanup(job), called before a job is deleted.
+ */
+const registerJobHandler = (type, handler, options = {}) => {
+    handlers.set(type, {
+        handler,
+        maxAttempts: options.maxAttempts || 1,
+        retryDelay: options.retryDelay || 30 * 1000,
+        concurrency: options.concurrency || Infinity,
+        retention: options.retention || DEFAULT_RETENTION_MS,
+        cleanup: options.cleanup || null
+    });
+};
+
+// Types a worker may take next: registered and below their concurrency limit
+const availableTypes = () => [...handlers.entries()]
+    .filter(([type, { concurrency }]) => (runningByType.get(type) || 0) < concurrency)
+    .map(([type]) => type);
+
+// Claims run one at a time and take the type's slot before the next claim starts,
+// so workers woken in the same tick cannot exceed a concurrency limit together
+let claimQueue = Promise.resolve();
+
+const claimJob = () => {
+    const claim = claimQueue.then(async () => {
+        const job = await database.claimNextJob(availableTypes());
+        if (job) runningByType.set(job.type, (runningByType.get(job.type) || 0) + 1);
+        return job;
+    });
+    claimQueue = claim.catch(() => {});
+    return claim;
+};
+
+// Runs a claimed job; the slot of its type was taken by claimJob and is released here
+const runJob = async (job) => {
+    const { handler, retryDelay } = handlers.get(job.type);
+
+    try {
+        let lastProgress = 0;
+        const setProgress = (progress) => {
+            const value = Math.max(0, Math.min(100, Math.round(progress)));
+            if (value === lastProgress) return;
+            lastProgress = value;
+            database.updateJobProgress(job.id, value).catch(console.error);
+        };
+
+        const result = await handler(job.payload, { job, setProgress });
+        await database.completeJob(job.id, result);
+    } catch (error) {
+        if (job.attempts < job.max_attempts && isRetryable(error)) {
+            const runAfter = new Date(Date.now() + retryDelay * 2 ** (job.attempts - 1));
+            console.warn(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}), retrying:`, error.message);
+            await database.retryJobLater(job.id, error.message, runAfter);
+        } else {
+            console.error(`Job ${job.type} ${job.id} failed:`, error.message);
+            await database.failJob(job.id, error.message);
+        }
+    } finally {
+        runningByType.set(job.type, runningByType.get(job.type) - 1);
+    }
+};
+
+const runWorker = async () => {
+    let job;
+    while ((job = await claimJob())) {
+        await runJob(job);
+        // A finished job may free a slot for a type another worker had to skip
+        wakeWorkers();
+    }
+};
+
+// Start idle workers while there may be work; called on enqueue, on a timer and after each job
+const wakeWorkers = () => {
+    if (!started) return;
+
+    while (activeWorkers < workerCount) {
+        activeWorkers++;
+        runWorker()
+            .catch(error => console.error('Job worker error:', error))
+            .finally(() => {
+                activeWorkers--;
+            });
+    }
+};
+
+/**
+ * Add a job to the queue and return it. bookId ties the job to a book
+ * (it is removed with the book), createdBy to the requesting user.
+ */
+const enqueueJob = async (type, payload, { bookId = null, createdBy = null } = {}) => {
+    const registered = handlers.get(type);
+    if (!registered) {
+        throw jobError(`Unbekannter Auftragstyp: ${type}`, 400);
+    }
+
+    const job = await database.createJob({
+        type,
+        payload,
+        bookId,
+        createdBy,
+        maxAttempts: registered.maxAttempts
+    });
+    wakeWorkers();
+    return job;
+};
+
+const retryJob = async (id) => {
+    const retried = await database.requeueJob(id);
+    if (retried) wakeWorkers();
+    return retried;
+};
+
+const deleteJob = async (job) => {
+    const deleted = await database.deleteJob(job.id);
+    const cleanup = handlers.get(job.type)?.cleanup;
+    if (deleted && cleanup) {
+        await cleanup(job);
+    }
+    return deleted;
+};
+
+// Remove finished jobs (and whatever files they produced) after their retention period
+const pruneJobs = async () => {
+    for (const [type, { retention }] of handlers) {
+        const jobs = await database.getFinishedJobs({ type, finishedBefore: new Date(Date.now() - retention) });
+        for (const job of jobs) {
+            await deleteJob(job);
+        }
+    }
+};
+
+/**
+ * Start the workers (JOB_WORKERS, default 2). Jobs interrupted by a restart
+ * are queued again if they have attempts left.
+ */
+const startJobQueue = async ({ workers = Number(process.env.JOB_WORKERS) || 2 } = {}) => {
+    workerCount = workers;
+    await database.recoverInterruptedJobs();
+    started = true;
+
+    // Picks up retries whose delay has passed
+    setInterval(wakeWorkers, POLL_INTERVAL_MS).unref();
+    setInterval(() => {
+        pruneJobs().catch(error => console.error('Job cleanup error:', error));
+    }, PRUNE_INTERVAL_MS).unref();
+
+    await pruneJobs();
+    wakeWorkers();
+};
+
+module.exports = {
+    registerJobHandler,
+    enqueueJob,
+    retryJob,
+    deleteJob,
+    startJobQueue
+};
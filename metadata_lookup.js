@@ -0,0 +1,181 @@
+// metadata_lookup.js - Look up book metadata online (Google Books, Open Library)
+const axios = require('axios');
+const { normalizeIsbn, isbnVariants, extractPublishedDate } = require('./book_metadata');
+const { AUTHOR_SEPARATOR } = require('./book_authors');
+
+const REQUEST_TIMEOUT = 5000;
+
+// Largest available Google Books cover, without the page curl effect
+const getGoogleCoverUrl = (imageLinks) => {
+    if (!imageLinks) return null;
+
+    const coverUrl = imageLinks.extraLarge ||
+                     imageLinks.large ||
+                     imageLinks.medium ||
+                     imageLinks.thumbnail ||
+                     imageLinks.smallThumbnail;
+    if (!coverUrl) return null;
+
+    // Try to get larger version by modifying zoom parameter
+    return coverUrl.replace('&edge=curl', '').replace('zoom=1', 'zoom=3');
+};
+
+// ISBN-10 and ISBN-13 of a Google Books volume; a missing form is derived from the other
+const getGoogleIsbns = (book) => {
+    const identifier = (type) => normalizeIsbn(book.industryIdentifiers?.find(id => id.type === type)?.identifier);
+    const isbn13 = identifier('ISBN_13');
+    const isbn10 = identifier('ISBN_10');
+    const variants = isbnVariants(isbn13 || isbn10) || {};
+    return { isbn10: isbn10 || variants.isbn_10 || '', isbn13: isbn13 || variants.isbn_13 || '' };
+};
+
+// Score based on available data quality; an exact ISBN match weighs most
+const scoreGoogleBook = (book, isbn, isbnClean) => {
+    let score = 0;
+
+    if (book.imageLinks) score += 10; // Cover image is very important
+    if (book.description && book.description.length > 50) score += 5; // Good description
+    if (book.publisher) score += 2; // Publisher info
+    if (book.authors && book.authors.length > 0) score += 3; // Author info
+    if (book.pageCount && book.pageCount > 0) score += 1; // Page count
+    if (book.categories && book.categories.length > 0) score += 1; // Categories
+    if (book.language === 'de' || book.language === 'en') score += 2; // Prefer German/English
+
+    if (book.industryIdentifiers) {
+        for (const id of book.industryIdentifiers) {
+            const cleanId = id.identifier.replace(/[-\s]/g, '');
+            if (cleanId === isbnClean || id.identifier === isbn) {
+                score += 15; // Big bonus for exact ISBN match
+                break;
+            }
+        }
+    }
+
+    return score;
+};
+
+/**
+ * Metadata for an ISBN: Google Books first (the best scored result), then
+ * Open Library. Both are queried with the ISBN as given and without hyphens.
+ * Returns { success: false, message } if nothing was found.
+ */
+const lookupIsbn = async (isbn) => {
+    const isbnClean = isbn.replace(/[-\s]/g, ''); // Remove hyphens and spaces
+
+    let googleResponse = await axios.get(
+        `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`,
+        { timeout: REQUEST_TIMEOUT }
+    );
+
+    // If no results with original ISBN, try without hyphens
+    if (!googleResponse.data.items || googleResponse.data.items.length === 0) {
+        googleResponse = await axios.get(
+            `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbnClean}`,
+            { timeout: REQUEST_TIMEOUT }
+        );
+    }
+
+    if (googleResponse.data.items && googleResponse.data.items.length > 0) {
+        let bestBook = null;
+        let bestScore = -1;
+
+        for (const item of googleResponse.data.items) {
+            const score = scoreGoogleBook(item.volumeInfo, isbn, isbnClean);
+            if (score > bestScore) {
+                bestScore = score;
+                bestBook = item.volumeInfo;
+            }
+        }
+
+        // Use the best book found, or fall back to first if no clear winner
+        const book = bestBook || googleResponse.data.items[0].volumeInfo;
+
+        return {
+            success: true,
+            title: book.title || '',
+            authors: book.authors ? book.authors.join(AUTHOR_SEPARATOR) : '',
+            description: book.description || '',
+            publisher: book.publisher || '',
+            publishedDate: extractPublishedDate(book.publishedDate) || '',
+            ...getGoogleIsbns(book),
+            language: book.language || '',
+            pageCount: book.pageCount || null,
+            categories: book.categories || [],
+            coverUrl: getGoogleCoverUrl(book.imageLinks)
+        };
+    }
+
+    // Try Open Library API as fallback - try both ISBN formats
+    let openLibResponse = await axios.get(
+        `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&jscmd=data&format=json`,
+        { timeout: REQUEST_TIMEOUT }
+    );
+
+    let openLibData = openLibResponse.data[`ISBN:${isbn}`];
+
+    // If no results with original ISBN, try without hyphens
+    if (!openLibData) {
+        openLibResponse = await axios.get(
+            `https://openlibrary.org/api/books?bibkeys=ISBN:${isbnClean}&jscmd=data&format=json`,
+            { timeout: REQUEST_TIMEOUT }
+        );
+        openLibData = openLibResponse.data[`ISBN:${isbnClean}`];
+    }
+
+    if (openLibData) {
+        const variants = isbnVariants(openLibData.identifiers?.isbn_13?.[0] || openLibData.identifiers?.isbn_10?.[0] || isbnClean) || {};
+        return {
+            success: true,
+            title: openLibData.title || '',
+            authors: openLibData.authors ? openLibData.authors.map(a => a.name).join(AUTHOR_SEPARATOR) : '',
+            description: openLibData.description || '',
+            publisher: openLibData.publishers ? openLibData.publishers[0].name : '',
+            publishedDate: extractPublishedDate(openLibData.publish_date) || '',
+            isbn10: variants.isbn_10 || '',
+            isbn13: variants.isbn_13 || '',
+            language: '',
+            pageCount: openLibData.number_of_pages || null,
+            categories: openLibData.subjects ? openLibData.subjects.map(s => s.name) : [],
+            coverUrl: openLibData.cover
+                ? openLibData.cover.large || openLibData.cover.medium || openLibData.cover.small
+                : null
+        };
+    }
+
+    return { success: false, message: 'Keine Metadaten gefunden' };
+};
+
+// Up to ten Google Books matches for a title and optional author
+const searchMetadata = async ({ title, author }) => {
+    let query = title;
+    if (author) {
+        query += `+inauthor:${author}`;
+    }
+
+    const googleResponse = await axios.get(
+        `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=10`,
+        { timeout: REQUEST_TIMEOUT }
+    );
+
+    const results = (googleResponse.data.items || []).map(({ volumeInfo: book }) => ({
+        title: book.title || '',
+        authors: book.authors ? book.authors.join(AUTHOR_SEPARATOR) : '',
+        description: book.description || '',
+        publisher: book.publisher || '',
+        publishedDate: extractPublishedDate(book.publishedDate) || '',
+        language: book.language || '',
+        pageCount: book.pageCount || null,
+        categories: book.categories || [],
+        isbn: book.industryIdentifiers ?
+              book.industryIdentifiers.find(id => id.type === 'ISBN_13' || id.type === 'ISBN_10')?.identifier : '',
+        ...getGoogleIsbns(book),
+        coverUrl: getGoogleCoverUrl(book.imageLinks)
+    }));
+
+    return { results };
+};
+
+module.exports = {
+    lookupIsbn,
+    searchMetadata
+};
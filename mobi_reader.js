@@ -0,0 +1,120 @@
+// mobi_reader.js - Read metadata and cover of MOBI/AZW3 (Mobipocket/KF8) files
+const fs = require('fs-extra');
+const { htmlToText } = require('./text_utils');
+
+// EXTH record types (https://wiki.mobileread.com/wiki/MOBI#EXTH_Header)
+const EXTH = {
+    AUTHOR: 100,
+    PUBLISHER: 101,
+    DESCRIPTION: 103,
+    ISBN: 104,
+    SUBJECT: 105,
+    PUBLISHING_DATE: 106,
+    COVER_OFFSET: 201,
+    UPDATED_TITLE: 503,
+    LANGUAGE: 524
+};
+
+const NO_IMAGE = 0xffffffff;
+
+const mobiError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+};
+
+const imageMediaType = (data) => {
+    if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+    if (data.subarray(0, 4).toString('latin1') === '\x89PNG') return 'image/png';
+    if (data.subarray(0, 3).toString('latin1') === 'GIF') return 'image/gif';
+    return null;
+};
+
+// PalmDB container: a table of record offsets after the 78 byte database header
+const readRecords = (data) => {
+    const count = data.readUInt16BE(76);
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+        offsets.push(data.readUInt32BE(78 + i * 8));
+    }
+    return offsets.map((offset, index) => ({
+        start: offset,
+        end: index + 1 < offsets.length ? offsets[index + 1] : data.length
+    }));
+};
+
+const readExth = (data, offset, decode) => {
+    const records = new Map();
+    if (data.subarray(offset, offset + 4).toString('latin1') !== 'EXTH') return records;
+
+    const count = data.readUInt32BE(offset + 8);
+    let position = offset + 12;
+    for (let i = 0; i < count && position + 8 <= data.length; i++) {
+        const type = data.readUInt32BE(position);
+        const length = data.readUInt32BE(position + 4);
+        if (length < 8) break;
+
+        const value = data.subarray(position + 8, position + length);
+        if (!records.has(type)) records.set(type, []);
+        records.get(type).push(type === EXTH.COVER_OFFSET ? value.readUInt32BE(0) : decode(value).trim());
+        position += length;
+    }
+    return records;
+};
+
+/**
+ * Metadata of a Mobipocket (MOBI/AZW) or KF8 (AZW3) book from the MOBI and
+ * EXTH headers of the first record, plus the cover image if one is marked.
+ */
+const getMobiMetadata = async (filepath) => {
+    const data = await fs.readFile(filepath);
+    if (data.length < 78 || data.subarray(60, 68).toString('latin1') !== 'BOOKMOBI') {
+        throw mobiError('Ungültige MOBI-Datei: Kopfdaten fehlen');
+    }
+
+    const records = readRecords(data);
+    const header = records[0] && records[0].start + 16;
+    if (!header || data.subarray(header, header + 4).toString('latin1') !== 'MOBI') {
+        throw mobiError('Ungültige MOBI-Datei: MOBI-Header fehlt');
+    }
+
+    const headerLength = data.readUInt32BE(header + 4);
+    const decoder = new TextDecoder(data.readUInt32BE(header + 12) === 65001 ? 'utf-8' : 'windows-1252');
+    const decode = (buffer) => decoder.decode(buffer);
+
+    const titleOffset = records[0].start + data.readUInt32BE(header + 68);
+    const fullTitle = decode(data.subarray(titleOffset, titleOffset + data.readUInt32BE(header + 72))).trim();
+    const firstImage = data.readUInt32BE(header + 92);
+    const hasExth = (data.readUInt32BE(header + 112) & 0x40) !== 0;
+    const exth = hasExth ? readExth(data, header + headerLength, decode) : new Map();
+    // Cover offset 0 (the first image) is valid, so no falsy fallback here
+    const first = (type) => (exth.has(type) ? exth.get(type)[0] : null);
+
+    let cover = null;
+    const coverOffset = first(EXTH.COVER_OFFSET);
+    if (firstImage !== NO_IMAGE && coverOffset !== null && coverOffset !== NO_IMAGE) {
+        const record = records[firstImage + coverOffset];
+        const image = record && data.subarray(record.start, record.end);
+        if (image && imageMediaType(image)) {
+            cover = { data: Buffer.from(image), mediaType: imageMediaType(image) };
+        }
+    }
+
+    const isbn = (first(EXTH.ISBN) || '').replace(/[-\s]/g, '');
+
+    return {
+        title: first(EXTH.UPDATED_TITLE) || fullTitle || null,
+        authors: exth.get(EXTH.AUTHOR) || [],
+        description: first(EXTH.DESCRIPTION) ? htmlToText(first(EXTH.DESCRIPTION)) : null,
+        keywords: exth.get(EXTH.SUBJECT) || [],
+        language: first(EXTH.LANGUAGE),
+        publisher: first(EXTH.PUBLISHER),
+        published_date: first(EXTH.PUBLISHING_DATE),
+        isbn: /^(\d{13}|\d{9}[\dX])$/i.test(isbn) ? isbn.toUpperCase() : null,
+        cover
+    };
+};
+
+module.exports = {
+    getMobiMetadata
+};
@@ -0,0 +1,184 @@
+// opds_feed.js - OPDS 1.2 catalog documents (Atom navigation/acquisition feeds, OpenSearch)
+const path = require('path');
+const { getFormatByFilename, getFormatById } = require('./book_formats');
+
+const OPDS_NAVIGATION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const OPDS_ACQUISITION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+const OPENSEARCH_TYPE = 'application/opensearchdescription+xml';
+
+const IMAGE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// SQLite datetime('now') values are UTC without a zone designator; Atom needs RFC 3339
+const toAtomDate = (value) => {
+    if (!value) return new Date().toISOString();
+    const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+const renderLink = ({ rel, href, type, title, extra = '' }) =>
+    `<link rel="${escapeXml(rel)}" href="${escapeXml(href)}"` +
+    (type ? ` type="${escapeXml(type)}"` : '') +
+    (title ? ` title="${escapeXml(title)}"` : '') +
+    `${extra}/>`;
+
+const renderFeed = ({ id, title, selfHref, kind, updated, links = [], extra = '', entries }) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"
+      xmlns:dc="http://purl.org/dc/terms/"
+      xmlns:opds="http://opds-spec.org/2010/catalog"
+      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/"
+      xmlns:thr="http://purl.org/syndication/thread/1.0">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${escapeXml(updated || new Date().toISOString())}</updated>${extra}
+  <author><name>Lectoria</name></author>
+  ${[
+        { rel: 'self', href: selfHref, type: kind },
+        { rel: 'start', href: '/opds', type: OPDS_NAVIGATION_TYPE },
+        { rel: 'search', href: '/opds/opensearch.xml', type: OPENSEARCH_TYPE },
+        ...links
+    ].map(renderLink).join('\n  ')}
+${entries.join('\n')}
+</feed>
+`;
+
+/**
+ * Navigation feed. Entries: { id, title, href, content, count, kind }
+ * where kind is the feed type the entry links to (defaults to acquisition).
+ */
+const renderNavigationFeed = ({ id, title, selfHref, entries, links = [] }) => renderFeed({
+    id,
+    title,
+    selfHref,
+    kind: OPDS_NAVIGATION_TYPE,
+    links,
+    entries: entries.map(entry => {
+        const elements = [
+            `<id>${escapeXml(entry.id)}</id>`,
+            `<title>${escapeXml(entry.title)}</title>`,
+            `<updated>${escapeXml(toAtomDate(entry.updated))}</updated>`,
+            entry.content && `<content type="text">${escapeXml(entry.content)}</content>`,
+            renderLink({
+                rel: 'subsection',
+                href: entry.href,
+                type: entry.kind || OPDS_ACQUISITION_TYPE,
+                extra: entry.count !== undefined ? ` thr:count="${Number(entry.count)}"` : ''
+            })
+        ];
+        return `  <entry>\n    ${elements.filter(Boolean).join('\n    ')}\n  </entry>`;
+    })
+});
+
+// One acquisition link per file; the primary file keeps the plain download URL and its size
+const renderAcquisitionLinks = (book) => {
+    const bookHref = `/opds/books/${encodeURIComponent(book.id)}`;
+    const primary = getFormatByFilename(book.filename);
+    const links = [
+        renderLink({
+            rel: 'http://opds-spec.org/acquisition',
+            href: `${bookHref}/download`,
+            type: primary ? primary.mimeType : 'application/octet-stream',
+            extra: book.file_size ? ` length="${Number(book.file_size)}"` : ''
+        })
+    ];
+
+    for (const formatId of book.formats || []) {
+        const format = getFormatById(formatId);
+        if (!format || format === primary) continue;
+        links.push(renderLink({
+            rel: 'http://opds-spec.org/acquisition',
+            href: `${bookHref}/formats/${encodeURIComponent(format.id)}/download`,
+            type: format.mimeType
+        }));
+    }
+    return links;
+};
+
+const renderBookEntry = (book) => {
+    const links = renderAcquisitionLinks(book);
+
+    if (book.cover_image) {
+        const imageType = IMAGE_MIME_TYPES[path.extname(book.cover_image).toLowerCase()] || 'image/jpeg';
+        links.push(
+            renderLink({ rel: 'http://opds-spec.org/image', href: book.cover_image, type: imageType }),
+            renderLink({ rel: 'http://opds-spec.org/image/thumbnail', href: book.cover_image, type: imageType })
+        );
+    }
+
+    const elements = [
+        `<id>urn:uuid:${escapeXml(book.id)}</id>`,
+        `<title>${escapeXml(book.title)}</title>`,
+        `<author><name>${escapeXml(book.author || 'Unbekannt')}</name></author>`,
+        `<updated>${escapeXml(toAtomDate(book.upload_date))}</updated>`,
+        `<dc:issued>${escapeXml(book.published_date || toAtomDate(book.upload_date).substring(0, 10))}</dc:issued>`,
+        book.isbn && `<dc:identifier>urn:isbn:${escapeXml(book.isbn)}</dc:identifier>`,
+        book.publisher && `<dc:publisher>${escapeXml(book.publisher)}</dc:publisher>`,
+        book.language && `<dc:language>${escapeXml(book.language)}</dc:language>`,
+        ...(book.subjects || []).map(subject => `<category term="${escapeXml(subject)}" label="${escapeXml(subject)}" scheme="urn:lectoria:subject"/>`),
+        book.category_name && `<category term="${escapeXml(book.category_name)}" label="${escapeXml(book.category_name)}"/>`,
+        `<category term="${escapeXml(book.type || 'book')}" scheme="urn:lectoria:type"/>`,
+        book.description && `<summary type="text">${escapeXml(book.description)}</summary>`,
+        ...links
+    ];
+
+    return `  <entry>\n    ${elements.filter(Boolean).join('\n    ')}\n  </entry>`;
+};
+
+/**
+ * Acquisition feed for a page of books. `pageHref(page)` builds the URL of
+ * another page of the same listing for first/previous/next/last links.
+ */
+const renderAcquisitionFeed = ({ id, title, selfHref, books, page, totalPages, total, pageSize, pageHref }) => {
+    const links = [];
+    if (totalPages > 1) {
+        links.push({ rel: 'first', href: pageHref(1), type: OPDS_ACQUISITION_TYPE });
+        if (page > 1) links.push({ rel: 'previous', href: pageHref(page - 1), type: OPDS_ACQUISITION_TYPE });
+        if (page < totalPages) links.push({ rel: 'next', href: pageHref(page + 1), type: OPDS_ACQUISITION_TYPE });
+        links.push({ rel: 'last', href: pageHref(totalPages), type: OPDS_ACQUISITION_TYPE });
+    }
+
+    return renderFeed({
+        id,
+        title,
+        selfHref,
+        kind: OPDS_ACQUISITION_TYPE,
+        updated: books.length > 0 ? toAtomDate(books[0].upload_date) : undefined,
+        links,
+        // OpenSearch response elements let clients show result counts
+        extra: `
+  <opensearch:totalResults>${Number(total)}</opensearch:totalResults>
+  <opensearch:itemsPerPage>${Number(pageSize)}</opensearch:itemsPerPage>
+  <opensearch:startIndex>${(page - 1) * pageSize + 1}</opensearch:startIndex>`,
+        entries: books.map(renderBookEntry)
+    });
+};
+
+const renderOpenSearchDescription = () => `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>Lectoria</ShortName>
+  <Description>Lectoria durchsuchen (Titel und Autor)</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <OutputEncoding>UTF-8</OutputEncoding>
+  <Url type="${OPDS_ACQUISITION_TYPE}" template="/opds/search?q={searchTerms}"/>
+  <Url type="application/atom+xml" template="/opds/search?q={searchTerms}"/>
+</OpenSearchDescription>
+`;
+
+module.exports = {
+    OPDS_NAVIGATION_TYPE,
+    OPDS_ACQUISITION_TYPE,
+    OPENSEARCH_TYPE,
+    renderNavigationFeed,
+    renderAcquisitionFeed,
+    renderOpenSearchDescription
+};
@@ -0,0 +1,163 @@
+// pdf_reader.js - Read PDF metadata (Info dictionary, XMP) and render first-page thumbnails
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const { PDFDocument, PDFName, PDFRawStream, PDFString, PDFHexString, decodePDFRawStream } = require('pdf-lib');
+const { XMLParser } = require('fast-xml-parser');
+
+const execFileAsync = promisify(execFile);
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false
+});
+
+const THUMBNAIL_SIZE = 600;
+const RENDER_TIMEOUT = 30 * 1000;
+
+// Placeholder titles written by office suites and scanners
+const PLACEHOLDER_TITLE = /^(untitled|unbenannt|document\d*|dokument\d*|scan\d*)(\.\w+)?$|^microsoft (word|powerpoint|excel) - /i;
+
+let pdftoppmMissing = false;
+
+const pdfError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+};
+
+const asArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+const cleanText = (value) => {
+    if (typeof value !== 'string') return null;
+    // Strip control characters left over from badly encoded Info strings
+    const cleaned = value.replace(/[\u0000-\u001f\ufeff]/g, ' ').replace(/\s+/g, ' ').trim();
+    return cleaned || null;
+};
+
+// XMP values are plain text, rdf:Alt/rdf:Seq/rdf:Bag lists of rdf:li, or attributes of rdf:Description
+const xmpValues = (node, name, values = []) => {
+    if (!node || typeof node !== 'object') return values;
+    for (const [key, value] of Object.entries(node)) {
+        if (key === `@_${name}`) {
+            values.push(value);
+        } else if (key === name) {
+            for (const element of asArray(value)) {
+                const items = ['Alt', 'Seq', 'Bag']
+                    .flatMap(list => asArray(element?.[list]))
+                    .flatMap(list => asArray(list?.li));
+                for (const item of items.length > 0 ? items : [element]) {
+                    values.push(typeof item === 'object' ? item?.['#text'] : item);
+                }
+            }
+        } else if (!key.startsWith('@_')) {
+            for (const child of asArray(value)) xmpValues(child, name, values);
+        }
+    }
+    return values.map(cleanText).filter(Boolean);
+};
+
+const readXmp = (pdfDocument) => {
+    try {
+        const stream = pdfDocument.catalog.lookup(PDFName.of('Metadata'));
+        if (!(stream instanceof PDFRawStream)) return null;
+        const xml = Buffer.from(decodePDFRawStream(stream).decode()).toString('utf8');
+        return xmlParser.parse(xml);
+    } catch (error) {
+        // Broken XMP is common; the Info dictionary is still used
+        return null;
+    }
+};
+
+const readCatalogLanguage = (pdfDocument) => {
+    const lang = pdfDocument.catalog.lookup(PDFName.of('Lang'));
+    return lang instanceof PDFString || lang instanceof PDFHexString ? cleanText(lang.decodeText()) : null;
+};
+
+const splitList = (value, separator = /[,;]/) => (value || '')
+    .split(separator)
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// "Last, First" is common in Info/Author, so only semicolons and conjunctions separate authors
+const splitAuthors = (value) => splitList(value, /;|\s+(?:and|und|&)\s+/);
+
+// Keywords are usually separated by commas or semicolons; some tools only use spaces ("news tech")
+const splitKeywords = (value) => splitList(value, /[,;]/.test(value || '') ? /[,;]/ : /\s+/);
+
+/**
+ * Bibliographic metadata of a PDF: title, authors, subject, keywords,
+ * language, publisher and page count. The Info dictionary is preferred,
+ * XMP fills the gaps (and is the only source for encrypted files).
+ */
+const getPdfMetadata = async (filepath) => {
+    let pdfDocument;
+    let pageCount;
+    try {
+        pdfDocument = await PDFDocument.load(await fs.readFile(filepath), {
+            ignoreEncryption: true,
+            updateMetadata: false
+        });
+        // Fails for files without a usable page tree
+        pageCount = pdfDocument.getPageCount();
+    } catch (error) {
+        throw pdfError('Ungültige PDF-Datei: Dokument kann nicht gelesen werden');
+    }
+
+    // Info strings of encrypted documents are encrypted as well
+    const info = (getter) => (pdfDocument.isEncrypted ? null : cleanText(getter()));
+    const xmp = readXmp(pdfDocument);
+
+    const infoTitle = info(() => pdfDocument.getTitle());
+    const title = [infoTitle, ...xmpValues(xmp, 'title')].find(value => value && !PLACEHOLDER_TITLE.test(value)) || null;
+    const infoAuthor = info(() => pdfDocument.getAuthor());
+    const keywords = info(() => pdfDocument.getKeywords());
+
+    return {
+        title,
+        authors: infoAuthor ? splitAuthors(infoAuthor) : xmpValues(xmp, 'creator'),
+        subject: info(() => pdfDocument.getSubject()) || xmpValues(xmp, 'description')[0] || null,
+        keywords: keywords ? splitKeywords(keywords) : [...new Set([...xmpValues(xmp, 'Keywords').flatMap(value => splitKeywords(value)), ...xmpValues(xmp, 'subject')])],
+        language: readCatalogLanguage(pdfDocument) || xmpValues(xmp, 'language')[0] || null,
+        publisher: xmpValues(xmp, 'publisher')[0] || null,
+        page_count: pageCount
+    };
+};
+
+/**
+ * Render the first page to a JPEG (longest side THUMBNAIL_SIZE px) using
+ * pdftoppm from poppler-utils. Returns false if pdftoppm is not installed.
+ */
+const renderPdfThumbnail = async (filepath, outputPath) => {
+    if (pdftoppmMissing) return false;
+
+    try {
+        await execFileAsync('pdftoppm', [
+            '-f', '1', '-l', '1', '-singlefile',
+            '-jpeg', '-jpegopt', 'quality=85',
+            '-scale-to', String(THUMBNAIL_SIZE),
+            filepath, outputPath.replace(/\.jpg$/, '')
+        ], { timeout: RENDER_TIMEOUT });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            pdftoppmMissing = true;
+            console.warn('⚠️ pdftoppm nicht gefunden - PDF-Vorschaubilder sind deaktiviert (poppler-utils installieren)');
+            return false;
+        }
+        await fs.remove(outputPath).catch(() => {});
+        throw pdfError('Erste Seite der PDF-Datei konnte nicht gerendert werden');
+    }
+
+    return fs.pathExists(outputPath);
+};
+
+module.exports = {
+    getPdfMetadata,
+    renderPdfThumbnail
+};
@@ -0,0 +1,23 @@
+// text_utils.js - Shared text helpers for metadata extraction
+
+// Descriptions are often (escaped) HTML; keep paragraphs, drop markup
+const htmlToText = (html) => {
+    if (!html) return '';
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n\s*/g, '\n\n')
+        .trim();
+};
+
+module.exports = {
+    htmlToText
+};